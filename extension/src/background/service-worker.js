@@ -6,13 +6,18 @@
 // ==================== CONSTANTS ====================
 
 const DB_NAME = 'RetweetFilterDB';
-const DB_VERSION = 1;
+const DB_VERSION = 10;            // version of the last entry in MIGRATIONS
 
 const STORES = {
   RETWEETS: 'retweets',
   SETTINGS: 'settings',
   SAVED_SEARCHES: 'savedSearches',
-  CATEGORIES: 'categories'
+  CATEGORIES: 'categories',
+  SEARCH_INDEX: 'searchIndex',
+  SEARCH_TERMS: 'searchTerms',
+  TAG_RULES: 'tagRules',
+  TRASH: 'trash',
+  COLLECTIONS: 'collections'
 };
 
 const SOURCES = {
@@ -20,114 +25,196 @@ const SOURCES = {
   ARCHIVE: 'archive',
   NITTER: 'nitter',
   CSV: 'csv',
-  MANUAL: 'manual'
+  MANUAL: 'manual',
+  INSTAGRAM_EXPORT: 'instagram_export',
+  TIKTOK_EXPORT: 'tiktok_export',
+  YOUTUBE_TAKEOUT: 'youtube_takeout',
+  BOOKMARKS_HTML: 'bookmarks_html',
+  POCKET: 'pocket',
+  RAINDROP: 'raindrop'
 };
 
-const DEFAULT_CATEGORIES = {
-  // Technology
-  'AI': [
-    'artificial intelligence', 'machine learning', 'neural', 'GPT', 'LLM',
-    'deep learning', 'AI', 'openai', 'anthropic', 'model', 'training',
-    'inference', 'embeddings', 'vector', 'RAG'
-  ],
-  'Language Models': [
-    'GPT', 'Claude', 'LLM', 'transformer', 'chatgpt', 'llama', 'mistral',
-    'gemini', 'palm', 'bert', 'token', 'prompt', 'fine-tune', 'RLHF',
-    'context window', 'completion'
-  ],
-  'Programming': [
-    'code', 'programming', 'javascript', 'python', 'rust', 'developer',
-    'API', 'typescript', 'react', 'node', 'database', 'backend', 'frontend',
-    'git', 'deploy', 'docker', 'kubernetes', 'serverless'
-  ],
-  'Design': [
-    'design', 'UI', 'UX', 'figma', 'typography', 'visual', 'aesthetic',
-    'interface', 'prototype', 'wireframe', 'mockup', 'layout', 'color',
-    'brand', 'logo', 'graphic'
-  ],
-
-  // Business & Finance
-  'Finance': [
-    'finance', 'investing', 'stocks', 'bonds', 'portfolio', 'dividend',
-    'earnings', 'market', 'bull', 'bear', 'trading', 'hedge fund', 'ETF',
-    'index fund', 'compound', 'interest rate', 'fed', 'inflation', 'recession'
-  ],
-  'Crypto': [
-    'crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'NFT', 'web3',
-    'wallet', 'token', 'mining', 'staking', 'dao', 'smart contract', 'solana',
-    'altcoin', 'exchange', 'hodl', 'bull run', 'bear market'
-  ],
-  'Business': [
-    'business', 'strategy', 'management', 'leadership', 'CEO', 'executive',
-    'revenue', 'profit', 'margins', 'operations', 'consulting', 'enterprise',
-    'B2B', 'B2C', 'supply chain', 'logistics', 'quarterly', 'market share'
-  ],
-  'Startups': [
-    'startup', 'founder', 'YC', 'venture', 'fundraise', 'seed', 'series',
-    'investor', 'pitch', 'MVP', 'product-market fit', 'growth', 'scale',
-    'acquisition', 'IPO', 'valuation'
-  ],
-  'Marketing': [
-    'marketing', 'SEO', 'content', 'viral', 'engagement', 'conversion',
-    'funnel', 'ads', 'campaign', 'audience', 'brand awareness', 'influencer',
-    'social media', 'analytics', 'growth hacking', 'copywriting', 'CTR'
-  ],
+// What the user did to a post that put it in an import (record.actions)
+const CAPTURE_ACTIONS = {
+  RETWEET: 'retweet',
+  QUOTE: 'quote',
+  LIKE: 'like',
+  BOOKMARK: 'bookmark',
+  SAVE: 'save',
+  FAVORITE: 'favorite'
+};
 
-  // Knowledge & Learning
-  'Science': [
-    'research', 'paper', 'study', 'scientists', 'discovery', 'experiment',
-    'hypothesis', 'data', 'analysis', 'peer-review', 'journal', 'citation',
-    'breakthrough', 'innovation'
-  ],
-  'Philosophy': [
-    'philosophy', 'stoic', 'ethics', 'moral', 'existential', 'metaphysics',
-    'epistemology', 'consciousness', 'free will', 'determinism', 'nihilism',
-    'rationalism', 'empiricism', 'virtue', 'wisdom', 'meaning', 'truth'
-  ],
-  'Books': [
-    'book', 'reading', 'author', 'novel', 'non-fiction', 'biography',
-    'memoir', 'bestseller', 'kindle', 'audiobook', 'library', 'literature',
-    'chapter', 'must-read', 'book club', 'recommendation'
-  ],
-  'Education': [
-    'education', 'learning', 'course', 'tutorial', 'teaching', 'student',
-    'university', 'degree', 'online course', 'certification', 'bootcamp',
-    'curriculum', 'lecture', 'professor', 'academic', 'scholarship'
-  ],
+// Reading-queue state; favorites are marked separately (favorited_at)
+const READ_STATUSES = {
+  UNREAD: 'unread',
+  READ: 'read',
+  ARCHIVED: 'archived'
+};
 
-  // Lifestyle & Culture
-  'Health': [
-    'health', 'fitness', 'workout', 'exercise', 'nutrition', 'diet', 'sleep',
-    'mental health', 'meditation', 'wellness', 'gym', 'running', 'yoga',
-    'weight loss', 'muscle', 'cardio', 'longevity', 'biohacking'
-  ],
-  'Productivity': [
-    'productivity', 'habits', 'routine', 'focus', 'time management', 'goals',
-    'discipline', 'motivation', 'efficiency', 'workflow', 'automation',
-    'calendar', 'todo', 'deep work', 'pomodoro', 'morning routine'
-  ],
-  'Entertainment': [
-    'movie', 'film', 'tv show', 'series', 'netflix', 'streaming', 'music',
-    'album', 'concert', 'gaming', 'video game', 'anime', 'comedy', 'drama',
-    'documentary', 'podcast', 'youtube', 'viral video'
-  ],
-  'Sports': [
-    'sports', 'football', 'basketball', 'soccer', 'baseball', 'tennis',
-    'golf', 'nfl', 'nba', 'mlb', 'championship', 'playoffs', 'athlete',
-    'coach', 'team', 'score', 'winning', 'draft', 'trade'
-  ],
+const TAG_PATH_SEPARATOR = '/';
 
-  // News & Current Events
-  'Politics': [
-    'politics', 'election', 'vote', 'democrat', 'republican', 'congress',
-    'senate', 'policy', 'legislation', 'government', 'president', 'campaign',
-    'political', 'reform', 'bipartisan', 'poll', 'debate'
-  ],
-  'News': [
-    'breaking', 'news', 'headline', 'report', 'update', 'developing',
-    'exclusive', 'investigation', 'sources say', 'according to', 'announced',
-    'confirmed', 'latest', 'just in', 'coverage'
-  ]
+const DEFAULT_CATEGORIES = {
+  'Technology': { keywords: [] },
+  'AI': {
+    parent: 'Technology',
+    keywords: [
+      'artificial intelligence', 'machine learning', 'neural', 'GPT', 'LLM',
+      'deep learning', 'AI', 'openai', 'anthropic', 'model', 'training',
+      'inference', 'embeddings', 'vector', 'RAG'
+    ]
+  },
+  'Language Models': {
+    parent: 'AI',
+    keywords: [
+      'GPT', 'Claude', 'LLM', 'transformer', 'chatgpt', 'llama', 'mistral',
+      'gemini', 'palm', 'bert', 'token', 'prompt', 'fine-tune', 'RLHF',
+      'context window', 'completion'
+    ]
+  },
+  'Programming': {
+    parent: 'Technology',
+    keywords: [
+      'code', 'programming', 'javascript', 'python', 'rust', 'developer',
+      'API', 'typescript', 'react', 'node', 'database', 'backend', 'frontend',
+      'git', 'deploy', 'docker', 'kubernetes', 'serverless'
+    ]
+  },
+  'Design': {
+    parent: 'Technology',
+    keywords: [
+      'design', 'UI', 'UX', 'figma', 'typography', 'visual', 'aesthetic',
+      'interface', 'prototype', 'wireframe', 'mockup', 'layout', 'color',
+      'brand', 'logo', 'graphic'
+    ]
+  },
+
+  'Business & Finance': { keywords: [] },
+  'Finance': {
+    parent: 'Business & Finance',
+    keywords: [
+      'finance', 'investing', 'stocks', 'bonds', 'portfolio', 'dividend',
+      'earnings', 'market', 'bull', 'bear', 'trading', 'hedge fund', 'ETF',
+      'index fund', 'compound', 'interest rate', 'fed', 'inflation', 'recession'
+    ]
+  },
+  'Crypto': {
+    parent: 'Business & Finance',
+    keywords: [
+      'crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'NFT', 'web3',
+      'wallet', 'token', 'mining', 'staking', 'dao', 'smart contract', 'solana',
+      'altcoin', 'exchange', 'hodl', 'bull run', 'bear market'
+    ]
+  },
+  'Business': {
+    parent: 'Business & Finance',
+    keywords: [
+      'business', 'strategy', 'management', 'leadership', 'CEO', 'executive',
+      'revenue', 'profit', 'margins', 'operations', 'consulting', 'enterprise',
+      'B2B', 'B2C', 'supply chain', 'logistics', 'quarterly', 'market share'
+    ]
+  },
+  'Startups': {
+    parent: 'Business & Finance',
+    keywords: [
+      'startup', 'founder', 'YC', 'venture', 'fundraise', 'seed', 'series',
+      'investor', 'pitch', 'MVP', 'product-market fit', 'growth', 'scale',
+      'acquisition', 'IPO', 'valuation'
+    ]
+  },
+  'Marketing': {
+    parent: 'Business & Finance',
+    keywords: [
+      'marketing', 'SEO', 'content', 'viral', 'engagement', 'conversion',
+      'funnel', 'ads', 'campaign', 'audience', 'brand awareness', 'influencer',
+      'social media', 'analytics', 'growth hacking', 'copywriting', 'CTR'
+    ]
+  },
+
+  'Knowledge & Learning': { keywords: [] },
+  'Science': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'research', 'paper', 'study', 'scientists', 'discovery', 'experiment',
+      'hypothesis', 'data', 'analysis', 'peer-review', 'journal', 'citation',
+      'breakthrough', 'innovation'
+    ]
+  },
+  'Philosophy': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'philosophy', 'stoic', 'ethics', 'moral', 'existential', 'metaphysics',
+      'epistemology', 'consciousness', 'free will', 'determinism', 'nihilism',
+      'rationalism', 'empiricism', 'virtue', 'wisdom', 'meaning', 'truth'
+    ]
+  },
+  'Books': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'book', 'reading', 'author', 'novel', 'non-fiction', 'biography',
+      'memoir', 'bestseller', 'kindle', 'audiobook', 'library', 'literature',
+      'chapter', 'must-read', 'book club', 'recommendation'
+    ]
+  },
+  'Education': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'education', 'learning', 'course', 'tutorial', 'teaching', 'student',
+      'university', 'degree', 'online course', 'certification', 'bootcamp',
+      'curriculum', 'lecture', 'professor', 'academic', 'scholarship'
+    ]
+  },
+
+  'Lifestyle & Culture': { keywords: [] },
+  'Health': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'health', 'fitness', 'workout', 'exercise', 'nutrition', 'diet', 'sleep',
+      'mental health', 'meditation', 'wellness', 'gym', 'running', 'yoga',
+      'weight loss', 'muscle', 'cardio', 'longevity', 'biohacking'
+    ]
+  },
+  'Productivity': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'productivity', 'habits', 'routine', 'focus', 'time management', 'goals',
+      'discipline', 'motivation', 'efficiency', 'workflow', 'automation',
+      'calendar', 'todo', 'deep work', 'pomodoro', 'morning routine'
+    ]
+  },
+  'Entertainment': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'movie', 'film', 'tv show', 'series', 'netflix', 'streaming', 'music',
+      'album', 'concert', 'gaming', 'video game', 'anime', 'comedy', 'drama',
+      'documentary', 'podcast', 'youtube', 'viral video'
+    ]
+  },
+  'Sports': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'sports', 'football', 'basketball', 'soccer', 'baseball', 'tennis',
+      'golf', 'nfl', 'nba', 'mlb', 'championship', 'playoffs', 'athlete',
+      'coach', 'team', 'score', 'winning', 'draft', 'trade'
+    ]
+  },
+
+  'News & Current Events': { keywords: [] },
+  'Politics': {
+    parent: 'News & Current Events',
+    keywords: [
+      'politics', 'election', 'vote', 'democrat', 'republican', 'congress',
+      'senate', 'policy', 'legislation', 'government', 'president', 'campaign',
+      'political', 'reform', 'bipartisan', 'poll', 'debate'
+    ]
+  },
+  'News': {
+    parent: 'News & Current Events',
+    keywords: [
+      'breaking', 'news', 'headline', 'report', 'update', 'developing',
+      'exclusive', 'investigation', 'sources say', 'according to', 'announced',
+      'confirmed', 'latest', 'just in', 'coverage'
+    ]
+  }
 };
 
 const MESSAGES = {
@@ -148,14 +235,144 @@ const MESSAGES = {
   OPEN_DASHBOARD: 'OPEN_DASHBOARD'
 };
 
+// Searchable fields; weight scales a field's contribution to the BM25 score
 const SEARCH_OPTIONS = {
-  keys: ['text', 'quoted_text', 'user_handle', 'user_name', 'quoted_author'],
-  threshold: 0.3,
+  keys: [
+    { name: 'user_handle', weight: 3 },
+    { name: 'user_name', weight: 2.5 },
+    { name: 'text', weight: 2 },
+    { name: 'note', weight: 2 },
+    { name: 'quoted_author', weight: 1.5 },
+    { name: 'quoted_text', weight: 1.5 },
+    { name: 'card.title', weight: 1 }
+  ],
+  // Typo matches: a term of minLength or more matches a word that starts with
+  // the same prefixLength characters and has up to maxGaps extra characters
+  // before the term is complete ("chtgpt" finds "ChatGPT")
+  fuzzy: { minLength: 3, maxGaps: 2, prefixLength: 2 },
+  // Shortest word part found inside a word ("gpt" finds "ChatGPT"); shorter
+  // words only match the start of a word
+  infixMinLength: 3,
+  // Most index words a term can expand to through inside-word and typo matches
+  maxExpansions: 200,
+  bm25: { k1: 1.2, b: 0.75 },
+  // Most results for a query of operators alone, newest first
+  browseLimit: 1000,
   ignoreLocation: true,
   includeScore: true,
   includeMatches: true
 };
 
+const SEARCH_INDEX_MIN_TOKEN_LENGTH = 2;
+
+// Comparison operators for auto-tag rule conditions
+const TAG_RULE_OPERATORS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches: 'matches regex',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  exists: 'is present',
+  not_exists: 'is missing'
+};
+
+// Common words ignored when comparing or classifying content
+const STOP_WORDS = [
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who',
+  'did', 'get', 'got', 'him', 'let', 'she', 'too', 'use', 'this', 'that', 'with', 'from',
+  'they', 'will', 'what', 'when', 'your', 'just', 'like', 'than', 'then', 'them', 'been',
+  'were', 'into', 'more', 'some', 'only', 'also', 'about', 'there', 'their', 'which',
+  'would', 'could', 'should', 'these', 'those', 'being', 'here', 'over', 'very', 'is',
+  'it', 'in', 'on', 'of', 'to', 'an', 'at', 'as', 'be', 'by', 'or', 'if', 'so', 'do',
+  'my', 'me', 'we', 'up', 'no', 'https', 'http', 'www', 'com'
+];
+
+// "Similar captures" (TF-IDF) settings
+const SIMILARITY_OPTIONS = {
+  keys: ['text', 'quoted_text', 'card.title'],
+  limit: 5,
+  minScore: 0.05,
+  maxCandidates: 200,             // captures compared, picked from the search index
+  maxTermDocs: 1000               // terms in more captures don't pick candidates
+};
+
+// Learned tag suggestions (local Naive Bayes trained on manual tags)
+const CLASSIFIER_OPTIONS = {
+  modelKey: 'tagClassifier',      // settings key holding the model
+  enabledKey: 'learnedTagsEnabled',
+  minExamples: 3,                 // manual uses needed before a tag is predicted
+  minConfidence: 0.8,             // added to auto_tags at capture
+  suggestionConfidence: 0.5,      // offered in the tag editor
+  limit: 3
+};
+
+// Background re-tag job, run after categories change
+const RETAG_OPTIONS = {
+  stateKey: 'retagJob',           // settings key holding the job's progress
+  alarmName: 'retag-job',         // wakes a suspended service worker to resume
+  batchSize: 100
+};
+
+// Background build of the search terms store, run once after the upgrade that adds it
+const SEARCH_TERMS_OPTIONS = {
+  stateKey: 'searchTermsBuild',   // settings key holding the build's progress
+  alarmName: 'search-terms-build', // wakes a suspended service worker to resume
+  batchSize: 500                  // index words per transaction
+};
+
+const TAG_MANAGER_OPTIONS = {
+  colorsKey: 'tagColors',         // settings key holding { tag: '#rrggbb' }
+  undoKey: 'tagUndo'              // settings key holding the last change's snapshot
+};
+
+const BACKUP_OPTIONS = {
+  minVersion: 1,                  // oldest export version that can be restored
+  // Derived or in-flight state that is rebuilt rather than restored
+  skippedSettings: [CLASSIFIER_OPTIONS.modelKey, RETAG_OPTIONS.stateKey, SEARCH_TERMS_OPTIONS.stateKey, TAG_MANAGER_OPTIONS.undoKey],
+  clearTokenMaxAge: 10 * 60 * 1000, // ms an export's backupToken allows one CLEAR_DATA
+  clearTokenKey: 'clearDataBackup' // chrome.storage.session key holding the latest token
+};
+
+const MIGRATION_OPTIONS = {
+  progressInterval: 500           // records between progress reports while backfilling
+};
+
+const TRASH_OPTIONS = {
+  retentionKey: 'trashRetentionDays', // settings key; 0 keeps items until the trash is emptied
+  retentionDays: 30,
+  alarmName: 'purge-trash',
+  purgeIntervalMinutes: 360
+};
+
+// Duplicate finder (see DUPLICATES)
+const DUPLICATE_OPTIONS = {
+  minTextTokens: 6,               // shorter texts only match by post ID or URL
+  textSimilarity: 0.9,            // word overlap (Jaccard) for near-identical text
+  blockTokens: 4,                 // texts are compared when their first or last words agree
+  batchSize: 500,                 // records read per batch while scanning
+  // Query parameters that don't change what a URL points to
+  trackingParams: [/^utm_/, /^fbclid$/, /^gclid$/, /^igshid$/, /^igsh$/, /^si$/, /^feature$/, /^ref_src$/, /^ref_url$/]
+};
+
+// Personal notes and highlights on captures (see NOTES)
+const NOTE_OPTIONS = {
+  maxLength: 20000,               // characters in a note's Markdown
+  maxHighlights: 100              // highlighted passages kept per capture
+};
+
+// Collections: hand-ordered reading lists (see COLLECTIONS)
+const COLLECTION_OPTIONS = {
+  maxNameLength: 100,
+  maxDescriptionLength: 2000
+};
+
 // ==================== UTILITY FUNCTIONS ====================
 
 function generateId() {
@@ -172,25 +389,161 @@ function escapeRegex(string) {
 
 // ==================== TAGGER FUNCTIONS ====================
 
+// Plain keyword arrays (older data) mean weight 1, no exclusions, no threshold, no parent
+function normalizeCategory(category) {
+  if (Array.isArray(category)) {
+    return { keywords: category, exclude: [], weights: {}, threshold: 0, parent: null };
+  }
+
+  return {
+    keywords: category?.keywords || [],
+    exclude: category?.exclude || [],
+    weights: category?.weights || {},
+    threshold: Number(category?.threshold) || 0,
+    parent: category?.parent || null
+  };
+}
+
+// Nested tags take the path before the last separator; categories their parent
+function getTagParent(tag, categories = DEFAULT_CATEGORIES) {
+  const separatorIndex = tag.lastIndexOf(TAG_PATH_SEPARATOR);
+  if (separatorIndex > 0) return tag.substring(0, separatorIndex);
+
+  const name = Object.keys(categories).find(c => c.toLowerCase() === tag.toLowerCase());
+  return name ? normalizeCategory(categories[name]).parent : null;
+}
+
+function getTagAncestors(tag, categories = DEFAULT_CATEGORIES) {
+  const ancestors = [];
+  const seen = new Set([tag.toLowerCase()]);
+  let parent = getTagParent(tag, categories);
+
+  while (parent && !seen.has(parent.toLowerCase())) {
+    ancestors.push(parent);
+    seen.add(parent.toLowerCase());
+    parent = getTagParent(parent, categories);
+  }
+
+  return ancestors;
+}
+
+// Adds descendant categories; nested tag paths are matched by prefix instead
+function expandTagFilter(tags = [], categories = DEFAULT_CATEGORIES) {
+  const wanted = new Set(tags.map(tag => tag.toLowerCase()));
+  const expanded = [...tags];
+
+  for (const name of Object.keys(categories)) {
+    if (wanted.has(name.toLowerCase())) continue;
+
+    const ancestors = getTagAncestors(name, categories);
+    if (ancestors.some(ancestor => wanted.has(ancestor.toLowerCase()))) {
+      expanded.push(name);
+    }
+  }
+
+  return expanded;
+}
+
+function tagMatchesFilter(tag, filterTag) {
+  const tagLower = tag.toLowerCase();
+  const filterLower = filterTag.toLowerCase();
+  return tagLower === filterLower || tagLower.startsWith(filterLower + TAG_PATH_SEPARATOR);
+}
+
+function keywordRegex(keyword, flags = 'i') {
+  return new RegExp(`\\b${escapeRegex(keyword)}\\b`, flags);
+}
+
 function suggestTags(text, categories = DEFAULT_CATEGORIES) {
+  return analyzeContent(text, categories)
+    .filter(result => result.score > 0 && result.score >= result.threshold)
+    .map(result => result.category);
+}
+
+// Each matched keyword scores weight * (0.3 + 0.2 per occurrence)
+function analyzeContent(text, categories = DEFAULT_CATEGORIES) {
   if (!text) return [];
 
   const textLower = text.toLowerCase();
-  const suggestions = [];
+  const results = [];
+
+  for (const [category, definition] of Object.entries(categories)) {
+    const { keywords, exclude, weights, threshold } = normalizeCategory(definition);
+
+    if (exclude.some(keyword => keywordRegex(keyword).test(textLower))) continue;
+
+    let matchCount = 0;
+    let score = 0;
+    const matchedKeywords = [];
 
-  for (const [category, keywords] of Object.entries(categories)) {
     for (const keyword of keywords) {
-      const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i');
-      if (regex.test(textLower)) {
-        if (!suggestions.includes(category)) {
-          suggestions.push(category);
+      const matches = textLower.match(keywordRegex(keyword, 'gi'));
+      if (matches) {
+        matchCount += matches.length;
+        if (!matchedKeywords.includes(keyword.toLowerCase())) {
+          matchedKeywords.push(keyword.toLowerCase());
+          score += (weights[keyword] ?? 1) * (0.3 + matches.length * 0.2);
         }
-        break;
       }
     }
+
+    if (matchCount > 0) {
+      results.push({
+        category,
+        matchCount,
+        matchedKeywords,
+        score,
+        threshold,
+        confidence: Math.max(0, Math.min(1, score))
+      });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return results;
+}
+
+// Tags nested under a replaced tag move with it, or go when it is deleted
+function replaceTagPath(tag, fromTags = [], toTag = null) {
+  if (fromTags.includes(tag)) return toTag;
+
+  const parent = fromTags.find(from => tag.startsWith(from + TAG_PATH_SEPARATOR));
+  if (!parent) return tag;
+  return toTag ? toTag + tag.substring(parent.length) : null;
+}
+
+// toTag null deletes; order is kept and duplicates dropped
+function replaceTags(tags = [], fromTags = [], toTag = null) {
+  const result = [];
+
+  for (const tag of tags) {
+    const replaced = replaceTagPath(tag, fromTags, toTag);
+    if (replaced && !result.includes(replaced)) result.push(replaced);
+  }
+
+  return result;
+}
+
+// Changed tag fields, or null if the record has none of fromTags
+function applyTagChange(retweet, fromTags, toTag = null) {
+  const learned = retweet.learned_tags || [];
+  const affected = [...(retweet.tags || []), ...(retweet.auto_tags || []), ...learned.map(entry => entry.tag)]
+    .some(tag => replaceTagPath(tag, fromTags, toTag) !== tag);
+  if (!affected) return null;
+
+  const learnedTags = [];
+  for (const entry of learned) {
+    const tag = replaceTagPath(entry.tag, fromTags, toTag);
+    if (tag && !learnedTags.some(existing => existing.tag === tag)) {
+      learnedTags.push({ ...entry, tag });
+    }
   }
 
-  return suggestions;
+  return {
+    tags: replaceTags(retweet.tags, fromTags, toTag),
+    auto_tags: replaceTags(retweet.auto_tags, fromTags, toTag),
+    learned_tags: learnedTags
+  };
 }
 
 // ==================== SEARCH FUNCTIONS ====================
@@ -205,6 +558,7 @@ function fuzzyMatch(text, pattern) {
   if (exactIndex !== -1) {
     return {
       score: 0,
+      gaps: 0,
       indices: [[exactIndex, exactIndex + pattern.length - 1]]
     };
   }
@@ -212,38 +566,260 @@ function fuzzyMatch(text, pattern) {
   let patternIdx = 0;
   let textIdx = 0;
   const indices = [];
-  let score = 0;
+  let gaps = 0;
 
   while (textIdx < text.length && patternIdx < pattern.length) {
     if (textLower[textIdx] === patternLower[patternIdx]) {
       indices.push([textIdx, textIdx]);
       patternIdx++;
     } else {
-      score += 0.1;
+      gaps++;
     }
     textIdx++;
   }
 
   if (patternIdx === pattern.length) {
-    return { score, indices };
+    return { score: gaps * 0.1, gaps, indices };
+  }
+
+  return null;
+}
+
+const QUERY_OPERATORS = ['from', 'tag', 'platform', 'has', 'is', 'before', 'after'];
+
+const PLATFORM_ALIASES = {
+  x: 'twitter',
+  twitter: 'twitter',
+  ig: 'instagram',
+  instagram: 'instagram',
+  tt: 'tiktok',
+  tiktok: 'tiktok',
+  yt: 'youtube',
+  youtube: 'youtube'
+};
+
+// Parses from:, tag:, platform:, has:media, has:link, is:, before:, after:,
+// "phrases", -exclusions and OR into { groups, exclude, filters }
+function parseQuery(query) {
+  const parsed = { groups: [], exclude: [], filters: {} };
+  if (!query || query.trim() === '') return parsed;
+
+  const tokenRegex = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let joinNext = false;
+  let match;
+
+  while ((match = tokenRegex.exec(query)) !== null) {
+    const [raw, negation, operator, quoted, bare] = match;
+    const isPhrase = quoted !== undefined;
+    const value = isPhrase ? quoted : bare;
+
+    if (!operator && !negation && !isPhrase && value === 'OR') {
+      joinNext = parsed.groups.length > 0;
+      continue;
+    }
+
+    if (operator && QUERY_OPERATORS.includes(operator.toLowerCase()) &&
+      applyQueryOperator(parsed.filters, operator.toLowerCase(), value, !!negation)) {
+      joinNext = false;
+      continue;
+    }
+
+    const text = operator ? raw.substring(negation.length) : value;
+    if (!text || text.trim() === '') continue;
+
+    const term = { value: text.toLowerCase(), phrase: isPhrase };
+
+    if (negation) {
+      parsed.exclude.push(term);
+    } else if (joinNext) {
+      parsed.groups[parsed.groups.length - 1].push(term);
+    } else {
+      parsed.groups.push([term]);
+    }
+    joinNext = false;
+  }
+
+  return parsed;
+}
+
+function applyQueryOperator(filters, operator, value, negated) {
+  if (!value) return false;
+
+  switch (operator) {
+    case 'from':
+      if (negated) {
+        filters.excludeAuthors = [...(filters.excludeAuthors || []), value.replace(/^@/, '')];
+      } else {
+        filters.author = value.replace(/^@/, '');
+      }
+      return true;
+
+    case 'tag':
+      if (negated) {
+        filters.excludeTags = [...(filters.excludeTags || []), value];
+      } else {
+        filters.tags = [...(filters.tags || []), value];
+      }
+      return true;
+
+    case 'platform': {
+      const platform = PLATFORM_ALIASES[value.toLowerCase()];
+      if (!platform || negated) return false;
+      filters.platform = platform;
+      return true;
+    }
+
+    case 'has':
+      if (value.toLowerCase() === 'media') {
+        filters.hasMedia = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'link') {
+        filters.hasLink = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'note') {
+        filters.hasNote = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'highlight') {
+        filters.hasHighlight = !negated;
+        return true;
+      }
+      return false;
+
+    case 'is': {
+      const state = value.toLowerCase();
+      if (state === 'favorite' || state === 'fav') {
+        filters.favorite = !negated;
+        return true;
+      }
+      if (negated || !Object.values(READ_STATUSES).includes(state)) return false;
+      filters.status = state;
+      return true;
+    }
+
+    case 'before':
+    case 'after':
+      if (negated || isNaN(new Date(value).getTime())) return false;
+      filters[operator === 'after' ? 'startDate' : 'endDate'] = value;
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+function mergeFilters(filters = {}, queryFilters = {}) {
+  const merged = { ...filters, ...queryFilters };
+
+  for (const key of ['tags', 'excludeTags', 'excludeAuthors']) {
+    if (filters[key] && queryFilters[key]) {
+      merged[key] = [...new Set([...filters[key], ...queryFilters[key]])];
+    }
+  }
+
+  return merged;
+}
+
+// Filtering on (or excluding) a parent category includes its children; query
+// tag: operators are folded in so they expand too
+function expandSearchTags(query, filters = {}, categories) {
+  const merged = mergeFilters(filters, parseQuery(query || '').filters);
+  const expanded = { ...filters };
+
+  for (const key of ['tags', 'excludeTags']) {
+    if (merged[key] && merged[key].length > 0) expanded[key] = expandTagFilter(merged[key], categories);
+  }
+  return expanded;
+}
+
+// A term starting with a word shorter than infixMinLength must occur at the
+// start of a word; a single word may also match a word with typos
+function matchTerm(value, term) {
+  const valueLower = value.toLowerCase();
+  const firstWord = term.value.match(/^[\p{L}\p{N}_]+/u)?.[0] || '';
+  const atWordStart = firstWord.length >= SEARCH_INDEX_MIN_TOKEN_LENGTH && firstWord.length < SEARCH_OPTIONS.infixMinLength;
+
+  let index = valueLower.indexOf(term.value);
+  while (atWordStart && index > 0 && /[\p{L}\p{N}_]/u.test(valueLower[index - 1])) {
+    index = valueLower.indexOf(term.value, index + 1);
+  }
+  if (index !== -1) {
+    return { score: 0, gaps: 0, indices: [[index, index + term.value.length - 1]] };
+  }
+
+  for (const word of valueLower.matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const match = matchWordWithTypos(word[0], term);
+    if (match) {
+      return { ...match, indices: match.indices.map(([start, end]) => [start + word.index, end + word.index]) };
+    }
   }
 
   return null;
 }
 
-function searchRetweets(retweets, query, filters = {}) {
-  let results = [...retweets];
+// The word starts with the term's first prefixLength characters and holds the
+// rest in order, with at most maxGaps extra characters ("opnai" -> "openai")
+function matchWordWithTypos(word, term) {
+  if (!canMatchWithTypos(term) || !word.startsWith(term.value.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength))) {
+    return null;
+  }
+
+  const match = fuzzyMatch(word, term.value);
+  return match && match.gaps <= SEARCH_OPTIONS.fuzzy.maxGaps ? match : null;
+}
+
+function canMatchWithTypos(term) {
+  return !term.phrase && term.value.length >= SEARCH_OPTIONS.fuzzy.minLength && /^[\p{L}\p{N}_]+$/u.test(term.value);
+}
+
+// Terms without a word long enough to be indexed ("a", "+") are ignored
+function isIndexedTerm(term) {
+  return tokenize(term.value).length > 0;
+}
+
+// Each word of a term is a prefix lookup in the index (a record needs all of
+// them); longer words are also found inside other words through their first
+// part in the search terms store, and typo matches through its "^" key
+function termIndexKeys(term) {
+  const words = tokenize(term.value);
+  const parts = words.map(word => (word.length >= SEARCH_OPTIONS.infixMinLength
+    ? word.substring(0, SEARCH_OPTIONS.infixMinLength)
+    : null));
+  const typoKey = canMatchWithTypos(term) ? `^${term.value.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength)}` : null;
+
+  return { words, parts, typoKey };
+}
+
+// Search terms store keys for an index word: each infixMinLength part, and
+// "^" plus its first prefixLength characters
+function wordIndexKeys(word) {
+  const keys = new Set([`^${word.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength)}`]);
+  for (let start = 0; start <= word.length - SEARCH_OPTIONS.infixMinLength; start++) {
+    keys.add(word.substring(start, start + SEARCH_OPTIONS.infixMinLength));
+  }
+  return Array.from(keys);
+}
 
-  // Apply filters first
-  results = results.filter(retweet => {
+function applySearchFilters(retweets, filters) {
+  return retweets.filter(retweet => {
     if (filters.tags && filters.tags.length > 0) {
       const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
       const hasMatchingTag = filters.tags.some(tag =>
-        allTags.some(t => t.toLowerCase() === tag.toLowerCase())
+        allTags.some(t => tagMatchesFilter(t, tag))
       );
       if (!hasMatchingTag) return false;
     }
 
+    if (filters.excludeTags && filters.excludeTags.length > 0) {
+      const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+      const hasExcludedTag = filters.excludeTags.some(tag =>
+        allTags.some(t => tagMatchesFilter(t, tag))
+      );
+      if (hasExcludedTag) return false;
+    }
+
     if (filters.startDate) {
       const capturedDate = new Date(retweet.captured_at);
       const startDate = new Date(filters.startDate);
@@ -267,6 +843,30 @@ function searchRetweets(retweets, query, filters = {}) {
       if (filters.hasMedia !== hasMedia) return false;
     }
 
+    if (filters.hasLink !== undefined) {
+      const hasLink = (retweet.urls && retweet.urls.length > 0) || !!retweet.card;
+      if (filters.hasLink !== hasLink) return false;
+    }
+
+    if (filters.hasNote !== undefined) {
+      const hasNote = !!(retweet.note && retweet.note.trim());
+      if (filters.hasNote !== hasNote) return false;
+    }
+
+    if (filters.hasHighlight !== undefined) {
+      const hasHighlight = !!(retweet.highlights && retweet.highlights.length > 0);
+      if (filters.hasHighlight !== hasHighlight) return false;
+    }
+
+    // Records without a status predate the reading queue
+    if (filters.status && (retweet.status || READ_STATUSES.UNREAD) !== filters.status) {
+      return false;
+    }
+
+    if (filters.favorite !== undefined && !!retweet.favorited_at !== filters.favorite) {
+      return false;
+    }
+
     if (filters.author) {
       const authorLower = filters.author.toLowerCase();
       if (!retweet.user_handle.toLowerCase().includes(authorLower) &&
@@ -275,6 +875,14 @@ function searchRetweets(retweets, query, filters = {}) {
       }
     }
 
+    if (filters.excludeAuthors && filters.excludeAuthors.some(author => {
+      const authorLower = author.toLowerCase();
+      return retweet.user_handle.toLowerCase().includes(authorLower) ||
+        retweet.user_name.toLowerCase().includes(authorLower);
+    })) {
+      return false;
+    }
+
     // Platform filter (twitter or instagram)
     if (filters.platform) {
       const retweetPlatform = retweet.platform || 'twitter';
@@ -283,8 +891,52 @@ function searchRetweets(retweets, query, filters = {}) {
 
     return true;
   });
+}
+
+// Reads dotted paths such as "card.title"
+function getFieldValue(retweet, name) {
+  const value = name.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), retweet);
+  return typeof value === 'string' ? value : '';
+}
+
+// Fuzzy (non-substring) matches count as a partial occurrence
+function termFrequency(value, term, match) {
+  const valueLower = value.toLowerCase();
+  let count = 0;
+  let index = valueLower.indexOf(term.value);
+
+  while (index !== -1) {
+    count++;
+    index = valueLower.indexOf(term.value, index + term.value.length);
+  }
+
+  return count > 0 ? count : 1 - match.score;
+}
+
+function inverseDocumentFrequency(totalDocs, docFreq) {
+  const df = Math.min(Math.max(docFreq, 0), totalDocs);
+  return Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+}
+
+// BM25F ranking: higher scores first, ties broken by recency. stats
+// ({ totalDocs, docFreq }) supplies corpus-wide numbers when only a
+// candidate subset is passed in.
+function searchRetweets(retweets, query, filters = {}, stats = {}) {
+  const parsed = parseQuery(query);
+  let results = applySearchFilters(retweets, mergeFilters(filters, parsed.filters));
+
+  if (parsed.exclude.length > 0) {
+    results = results.filter(retweet => !parsed.exclude.some(term =>
+      SEARCH_OPTIONS.keys.some(key => getFieldValue(retweet, key.name).toLowerCase().includes(term.value))
+    ));
+  }
+
+  // Terms too short to look up are left out, as the search index does
+  const groups = parsed.groups
+    .map(group => group.filter(isIndexedTerm))
+    .filter(group => group.length > 0);
 
-  if (!query || query.trim() === '') {
+  if (groups.length === 0) {
     return results.map(item => ({
       item,
       score: 0,
@@ -292,1396 +944,5714 @@ function searchRetweets(retweets, query, filters = {}) {
     })).sort((a, b) => new Date(b.item.captured_at) - new Date(a.item.captured_at));
   }
 
-  const searchTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
-  const searchResults = [];
+  const { k1, b } = SEARCH_OPTIONS.bm25;
+
+  // Average token length of each field, over records that have it
+  const avgFieldLength = {};
+  for (const key of SEARCH_OPTIONS.keys) {
+    let total = 0;
+    let count = 0;
+    for (const retweet of results) {
+      const length = tokenize(getFieldValue(retweet, key.name)).length;
+      if (length > 0) {
+        total += length;
+        count++;
+      }
+    }
+    avgFieldLength[key.name] = count > 0 ? total / count : 1;
+  }
+
+  const docFreq = {};
+  const candidates = [];
 
   for (const retweet of results) {
-    let totalScore = 0;
-    let matchCount = 0;
+    const termWeights = new Map();
     const matches = [];
 
-    for (const term of searchTerms) {
-      for (const key of SEARCH_OPTIONS.keys) {
-        const value = retweet[key];
-        if (!value) continue;
-
-        const match = fuzzyMatch(value, term);
-        if (match && match.score <= SEARCH_OPTIONS.threshold) {
-          totalScore += match.score;
-          matchCount++;
-          matches.push({
-            key,
-            indices: match.indices,
-            value
-          });
+    // Every group must match; within a group any alternative will do.
+    // All groups are checked so document frequencies stay complete.
+    const groupMatches = groups.map(group => {
+      let groupMatched = false;
+
+      for (const term of group) {
+        let weightedTf = 0;
+
+        for (const key of SEARCH_OPTIONS.keys) {
+          const value = getFieldValue(retweet, key.name);
+          if (!value) continue;
+
+          const match = matchTerm(value, term);
+          if (match) {
+            const length = tokenize(value).length || 1;
+            const norm = 1 - b + b * (length / avgFieldLength[key.name]);
+            weightedTf += key.weight * termFrequency(value, term, match) / norm;
+            matches.push({
+              key: key.name,
+              indices: match.indices,
+              value
+            });
+          }
+        }
+
+        if (weightedTf > 0) {
+          groupMatched = true;
+          termWeights.set(term.value, Math.max(termWeights.get(term.value) || 0, weightedTf));
         }
       }
+
+      return groupMatched;
+    });
+    const matchedAllGroups = groupMatches.every(Boolean);
+
+    for (const termValue of termWeights.keys()) {
+      docFreq[termValue] = (docFreq[termValue] || 0) + 1;
     }
 
-    if (matchCount > 0) {
-      searchResults.push({
-        item: retweet,
-        score: totalScore / matchCount,
-        matches
-      });
+    if (matchedAllGroups) {
+      candidates.push({ retweet, termWeights, matches });
     }
   }
 
+  const totalDocs = stats.totalDocs ?? results.length;
+  const searchResults = candidates.map(({ retweet, termWeights, matches }) => {
+    let score = 0;
+
+    for (const [termValue, weightedTf] of termWeights) {
+      const df = stats.docFreq?.[termValue] ?? docFreq[termValue];
+      score += inverseDocumentFrequency(totalDocs, df) * (weightedTf * (k1 + 1)) / (weightedTf + k1);
+    }
+
+    return { item: retweet, score, matches };
+  });
+
   searchResults.sort((a, b) => {
-    if (Math.abs(a.score - b.score) < 0.1) {
+    if (Math.abs(a.score - b.score) < 1e-9) {
       return new Date(b.item.captured_at) - new Date(a.item.captured_at);
     }
-    return a.score - b.score;
+    return b.score - a.score;
   });
 
   return searchResults;
 }
 
-// ==================== DATABASE CLASS ====================
-
-class RetweetDB {
-  constructor() {
-    this.db = null;
-    this.dbReady = this.init();
-  }
-
-  async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-      request.onerror = () => reject(request.error);
+function matchesSavedSearch(retweet, search, categories) {
+  const filters = expandSearchTags(search.query, search.filters || {}, categories);
+  return searchRetweets([retweet], search.query || '', filters).length > 0;
+}
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+// ==================== SEARCH INDEX ====================
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        if (!db.objectStoreNames.contains(STORES.RETWEETS)) {
-          const retweetsStore = db.createObjectStore(STORES.RETWEETS, { keyPath: 'id' });
-          retweetsStore.createIndex('tweet_id', 'tweet_id', { unique: false });
-          retweetsStore.createIndex('user_handle', 'user_handle', { unique: false });
-          retweetsStore.createIndex('captured_at', 'captured_at', { unique: false });
-          retweetsStore.createIndex('source', 'source', { unique: false });
-          retweetsStore.createIndex('tweet_id_source', ['tweet_id', 'source'], { unique: true });
-        }
+function tokenize(text) {
+  if (!text) return [];
 
-        if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-          db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
-        }
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => token.length >= SEARCH_INDEX_MIN_TOKEN_LENGTH);
+}
 
-        if (!db.objectStoreNames.contains(STORES.SAVED_SEARCHES)) {
-          const searchesStore = db.createObjectStore(STORES.SAVED_SEARCHES, { keyPath: 'id' });
-          searchesStore.createIndex('created_at', 'created_at', { unique: false });
-        }
+// Words are indexed whole; tags are "#tag"
+function tokenizeRetweet(retweet) {
+  const tokens = new Set();
 
-        if (!db.objectStoreNames.contains(STORES.CATEGORIES)) {
-          db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
-        }
-      };
-    });
+  for (const key of SEARCH_OPTIONS.keys) {
+    for (const token of tokenize(getFieldValue(retweet, key.name))) {
+      tokens.add(token);
+    }
   }
 
-  async ready() {
-    await this.dbReady;
-    return this.db;
+  for (const tag of [...(retweet.tags || []), ...(retweet.auto_tags || [])]) {
+    tokens.add(`#${tag.toLowerCase()}`);
   }
 
-  async addRetweet(retweet) {
-    await this.ready();
+  return Array.from(tokens);
+}
 
-    const record = {
-      id: generateId(),
-      tweet_id: retweet.tweet_id,
+// Moves a retweet to the trash and removes every posting it had
+function moveToTrash(transaction, record, deletedAt) {
+  const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+  transaction.objectStore(STORES.TRASH).put({ ...record, deleted_at: deletedAt });
+  transaction.objectStore(STORES.RETWEETS).delete(record.id);
 
-      // Author information (enhanced)
-      user_handle: retweet.user_handle || '',
-      user_name: retweet.user_name || '',
-      user_avatar: retweet.user_avatar || '',
-      user_verified: retweet.user_verified || false,
-      user_blue_verified: retweet.user_blue_verified || false,
-      user_business: retweet.user_business || false,
-      user_government: retweet.user_government || false,
+  const keysRequest = indexStore.index('id').getAllKeys(record.id);
+  keysRequest.onsuccess = () => {
+    for (const key of keysRequest.result) {
+      indexStore.delete(key);
+    }
+  };
+}
 
-      // Content
-      text: retweet.text || '',
+// A word new to the index is also added to the search terms store, which the
+// transaction must cover
+function writePostings(indexStore, id, oldTokens, newTokens) {
+  const termsStore = indexStore.transaction.objectStore(STORES.SEARCH_TERMS);
+  const next = new Set(newTokens);
+  const previous = new Set(oldTokens);
 
-      // Entities
-      urls: retweet.urls || [],
-      hashtags: retweet.hashtags || [],
-      mentions: retweet.mentions || [],
+  for (const token of previous) {
+    if (!next.has(token)) indexStore.delete([token, id]);
+  }
 
-      // Engagement metrics
-      reply_count: retweet.reply_count || 0,
-      retweet_count: retweet.retweet_count || 0,
-      like_count: retweet.like_count || 0,
-      view_count: retweet.view_count || 0,
-      bookmark_count: retweet.bookmark_count || 0,
+  for (const token of next) {
+    if (previous.has(token)) continue;
 
-      // Quote tweet (enhanced)
-      quoted_tweet: retweet.quoted_tweet || null,
-      // Legacy fields for backward compatibility
-      quoted_text: retweet.quoted_text || retweet.quoted_tweet?.text || '',
-      quoted_author: retweet.quoted_author || retweet.quoted_tweet?.author?.handle || '',
+    // Counted before the put below, so 0 means no record had the word yet
+    if (!token.startsWith('#')) {
+      const countRequest = indexStore.count(exactRange(token));
+      countRequest.onsuccess = () => {
+        if (countRequest.result === 0) writeTermKeys(termsStore, token);
+      };
+    }
+    indexStore.put({ token, id });
+  }
+}
 
-      // Media
-      media: retweet.media || [],
+function writeTermKeys(termsStore, word) {
+  for (const gram of wordIndexKeys(word)) {
+    termsStore.put({ gram, token: word });
+  }
+}
 
-      // Card/link preview
-      card: retweet.card || null,
+function lookupPostings(indexStore, range, limit) {
+  return new Promise((resolve, reject) => {
+    const request = indexStore.getAllKeys(range, limit);
+    request.onsuccess = () => resolve(new Set(request.result.map(([, id]) => id)));
+    request.onerror = () => reject(request.error);
+  });
+}
 
-      // Reply info
-      is_reply: retweet.is_reply || false,
-      reply_to: retweet.reply_to || null,
+function countRange(indexStore, range) {
+  return new Promise((resolve, reject) => {
+    const request = indexStore.count(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-      // Timestamps
-      captured_at: retweet.captured_at || new Date().toISOString(),
-      original_created_at: retweet.original_created_at || null,
+// Words that have left the index stay in the store until it is rebuilt;
+// their postings lookups just come back empty
+function lookupTermWords(termsStore, range, accept) {
+  return new Promise((resolve, reject) => {
+    const request = termsStore.getAllKeys(range);
+    request.onsuccess = () => resolve(request.result.map(([, word]) => word).filter(accept));
+    request.onerror = () => reject(request.error);
+  });
+}
 
-      // Tags
-      tags: retweet.tags || [],
-      auto_tags: retweet.auto_tags || [],
+function exactRange(token) {
+  return IDBKeyRange.bound([token], [token, []]);
+}
 
-      // Source
-      source: retweet.source || 'browser',
-      source_url: retweet.source_url || '',
+function prefixRange(token) {
+  return IDBKeyRange.bound([token], [`${token}\uffff`]);
+}
 
-      // Platform (twitter or instagram)
-      platform: retweet.platform || 'twitter',
+// ==================== SIMILAR CAPTURES ====================
 
-      // Status
-      is_available: true,
-      raw_payload: retweet.raw_payload || null,
-      synced_at: null
-    };
+// Authors are left out so matches are topical; tags count as terms
+function similarityTerms(retweet) {
+  const stopWords = new Set(STOP_WORDS);
+  const terms = [];
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.add(record);
+  for (const key of SIMILARITY_OPTIONS.keys) {
+    for (const token of tokenize(getFieldValue(retweet, key))) {
+      if (!stopWords.has(token) && !/^\d+$/.test(token)) terms.push(token);
+    }
+  }
 
-      request.onsuccess = () => resolve(record);
-      request.onerror = () => {
-        if (request.error?.name === 'ConstraintError') {
-          resolve(null);
-        } else {
-          reject(request.error);
-        }
-      };
-    });
+  for (const tag of [...(retweet.tags || []), ...(retweet.auto_tags || [])]) {
+    terms.push(`#${tag.toLowerCase()}`);
   }
 
-  async addRetweets(retweets) {
-    await this.ready();
+  return terms;
+}
 
-    let added = 0;
-    let duplicates = 0;
-    const results = [];
+// stats ({ totalDocs, docFreq }) come from the search index when retweets are
+// only candidates; anything missing is counted from the retweets
+function buildTfIdfVectors(retweets, stats = {}) {
+  const termCounts = new Map();
+  const docFreq = new Map();
 
-    for (const retweet of retweets) {
-      try {
-        const result = await this.addRetweet(retweet);
-        if (result) {
-          added++;
-          results.push(result);
-        } else {
-          duplicates++;
-        }
-      } catch (error) {
-        duplicates++;
-      }
+  for (const retweet of retweets) {
+    const counts = new Map();
+    for (const term of similarityTerms(retweet)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
     }
-
-    return { added, duplicates, results };
+    for (const term of counts.keys()) {
+      docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+    termCounts.set(retweet.id, counts);
   }
 
-  async getRetweet(id) {
-    await this.ready();
+  const totalDocs = Math.max(stats.totalDocs ?? 0, retweets.length);
+  const vectors = new Map();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.get(id);
+  for (const [id, counts] of termCounts) {
+    const vector = new Map();
+    let norm = 0;
 
-      request.onsuccess = () => resolve(request.result || null);
-      request.onerror = () => reject(request.error);
-    });
+    for (const [term, count] of counts) {
+      const df = Math.max(stats.docFreq?.[term] ?? 0, docFreq.get(term));
+      const weight = (1 + Math.log(count)) * Math.log(1 + totalDocs / df);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    vectors.set(id, vector);
   }
 
-  async getRetweets({ page = 1, pageSize = 50, sortBy = 'captured_at', sortOrder = 'desc' } = {}) {
-    await this.ready();
+  return vectors;
+}
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const items = [];
+function findSimilarRetweets(id, retweets, limit = SIMILARITY_OPTIONS.limit, stats = {}) {
+  const vectors = buildTfIdfVectors(retweets, stats);
+  const target = vectors.get(id);
+  if (!target || target.size === 0) return [];
 
-      const request = store.openCursor();
+  const results = [];
 
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          items.push(cursor.value);
-          cursor.continue();
-        } else {
-          items.sort((a, b) => {
-            const aVal = a[sortBy];
-            const bVal = b[sortBy];
-            const comparison = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-            return sortOrder === 'desc' ? -comparison : comparison;
-          });
+  for (const retweet of retweets) {
+    if (retweet.id === id) continue;
 
-          const start = (page - 1) * pageSize;
-          const paginatedItems = items.slice(start, start + pageSize);
+    const vector = vectors.get(retweet.id);
+    const shared = [];
+    let score = 0;
 
-          resolve({
-            items: paginatedItems,
-            total: items.length,
-            page,
-            pageSize,
-            totalPages: Math.ceil(items.length / pageSize)
-          });
-        }
-      };
+    for (const [term, weight] of target) {
+      const other = vector.get(term);
+      if (other) {
+        score += weight * other;
+        shared.push([term, weight * other]);
+      }
+    }
 
-      request.onerror = () => reject(request.error);
-    });
+    if (score >= SIMILARITY_OPTIONS.minScore) {
+      results.push({
+        item: retweet,
+        score,
+        terms: shared.sort((a, b) => b[1] - a[1]).slice(0, 3).map(([term]) => term)
+      });
+    }
   }
 
-  async getAllRetweets() {
-    await this.ready();
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.getAll();
+// ==================== NOTES ====================
 
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () => reject(request.error);
-    });
+// Validate a note (Markdown) before it is stored
+function normalizeNote(note) {
+  if (note === null || note === undefined) return '';
+  if (typeof note !== 'string') {
+    throw new Error('Note must be text');
   }
 
-  async updateRetweet(id, updates) {
-    await this.ready();
-
-    const existing = await this.getRetweet(id);
-    if (!existing) throw new Error('Retweet not found');
+  const trimmed = note.trimEnd();
+  if (trimmed.length > NOTE_OPTIONS.maxLength) {
+    throw new Error(`Note is too long (max ${NOTE_OPTIONS.maxLength} characters)`);
+  }
+  return trimmed;
+}
 
-    const updated = { ...existing, ...updates };
+// Anchor { start, end, text } highlights to the text: stale ranges follow
+// their passage, overlaps are merged and the result is sorted
+function normalizeHighlights(text, highlights) {
+  if (highlights === null || highlights === undefined) return [];
+  if (!Array.isArray(highlights)) {
+    throw new Error('Highlights must be an array');
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.put(updated);
+  const source = text || '';
+  const ranges = [];
 
-      request.onsuccess = () => resolve(updated);
-      request.onerror = () => reject(request.error);
-    });
+  for (const highlight of highlights) {
+    const range = anchorHighlight(source, highlight);
+    if (range) ranges.push(range);
   }
 
-  async updateTags(id, tags) {
-    return this.updateRetweet(id, { tags });
+  ranges.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
   }
 
-  async bulkUpdateTags(ids, tagsToAdd = [], tagsToRemove = []) {
-    await this.ready();
-    let updated = 0;
+  return merged.slice(0, NOTE_OPTIONS.maxHighlights).map(({ start, end }) => ({
+    start,
+    end,
+    text: source.substring(start, end)
+  }));
+}
 
-    for (const id of ids) {
-      const retweet = await this.getRetweet(id);
-      if (retweet) {
-        let newTags = [...retweet.tags];
-        newTags = newTags.filter(tag => !tagsToRemove.includes(tag));
+function anchorHighlight(text, highlight) {
+  if (!highlight || typeof highlight !== 'object') return null;
 
-        for (const tag of tagsToAdd) {
-          if (!newTags.includes(tag)) {
-            newTags.push(tag);
-          }
-        }
+  const { start, end, text: passage } = highlight;
+  const hasRange = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start && end <= text.length;
 
-        await this.updateTags(id, newTags);
-        updated++;
-      }
-    }
+  if (typeof passage === 'string' && passage.trim()) {
+    if (hasRange && text.substring(start, end) === passage) return { start, end };
 
-    return updated;
+    const found = text.indexOf(passage);
+    return found === -1 ? null : { start: found, end: found + passage.length };
   }
 
-  async deleteRetweet(id) {
-    await this.ready();
+  return hasRange ? { start, end } : null;
+}
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
-      const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.delete(id);
+// ==================== COLLECTIONS ====================
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
-  }
+// Membership is an ordered list of capture IDs on the collection. Deleted
+// captures keep their place so restoring them puts them back.
+function normalizeCollection(collection = {}) {
+  const name = typeof collection.name === 'string' ? collection.name.trim() : '';
+  const description = typeof collection.description === 'string' ? collection.description.trim() : '';
+  const coverImage = typeof collection.cover_image === 'string' ? collection.cover_image.trim() : '';
 
-  async deleteRetweets(ids) {
-    let deleted = 0;
-    for (const id of ids) {
-      try {
-        await this.deleteRetweet(id);
-        deleted++;
-      } catch (error) {
-        console.error('Failed to delete retweet:', id, error);
-      }
-    }
-    return deleted;
+  if (!name) {
+    throw new Error('Collection name is required');
+  }
+  if (name.length > COLLECTION_OPTIONS.maxNameLength) {
+    throw new Error(`Collection name is too long (max ${COLLECTION_OPTIONS.maxNameLength} characters)`);
+  }
+  if (description.length > COLLECTION_OPTIONS.maxDescriptionLength) {
+    throw new Error(`Description is too long (max ${COLLECTION_OPTIONS.maxDescriptionLength} characters)`);
+  }
+  if (coverImage && !/^(https?:\/\/\S+|data:image\/[\w.+-]+[;,]\S+)$/i.test(coverImage)) {
+    throw new Error('Cover image must be an http(s) link or an image data URL');
   }
 
-  async filterRetweets(filters = {}) {
-    const all = await this.getAllRetweets();
+  return { name, description, cover_image: coverImage };
+}
 
-    return all.filter(retweet => {
-      if (filters.tags && filters.tags.length > 0) {
-        const hasTags = filters.tags.some(tag =>
-          retweet.tags.includes(tag) || retweet.auto_tags.includes(tag)
-        );
-        if (!hasTags) return false;
-      }
+function addItems(itemIds, ids) {
+  const items = [...itemIds];
+  const present = new Set(items);
 
-      if (filters.startDate) {
-        const start = new Date(filters.startDate);
-        if (new Date(retweet.captured_at) < start) return false;
-      }
-      if (filters.endDate) {
-        const end = new Date(filters.endDate);
-        if (new Date(retweet.captured_at) > end) return false;
-      }
+  for (const id of ids) {
+    if (present.has(id)) continue;
+    present.add(id);
+    items.push(id);
+  }
 
-      if (filters.source && retweet.source !== filters.source) {
-        return false;
-      }
+  return items;
+}
 
-      if (filters.hasMedia !== undefined) {
-        const hasMedia = retweet.media && retweet.media.length > 0;
-        if (filters.hasMedia !== hasMedia) return false;
-      }
+function removeItems(itemIds, ids) {
+  const removed = new Set(ids);
+  return itemIds.filter(id => !removed.has(id));
+}
 
-      // Platform filter (twitter or instagram)
-      if (filters.platform) {
-        const retweetPlatform = retweet.platform || 'twitter';
-        if (retweetPlatform !== filters.platform) return false;
-      }
+// Items left out of the new order keep their relative order after the placed ones
+function orderItems(itemIds, orderedIds) {
+  const present = new Set(itemIds);
+  const ordered = [...new Set(orderedIds)].filter(id => present.has(id));
+  const placed = new Set(ordered);
 
-      return true;
-    });
-  }
+  return [...ordered, ...itemIds.filter(id => !placed.has(id))];
+}
 
-  async getStats() {
-    const all = await this.getAllRetweets();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+// Merged duplicates are replaced by the record they were merged into
+function replaceItems(itemIds, fromIds, toId) {
+  const replaced = new Set(fromIds);
+  if (!itemIds.some(id => replaced.has(id))) return itemIds;
 
-    const todayCount = all.filter(r => new Date(r.captured_at) >= today).length;
+  return addItems([], itemIds.map(id => (replaced.has(id) ? toId : id)));
+}
 
-    const bySources = {};
-    for (const r of all) {
-      bySources[r.source] = (bySources[r.source] || 0) + 1;
-    }
+// ==================== DUPLICATES ====================
 
-    const byTags = {};
-    for (const r of all) {
-      for (const tag of [...r.tags, ...r.auto_tags]) {
-        byTags[tag] = (byTags[tag] || 0) + 1;
-      }
-    }
+const DUPLICATE_REASONS = ['post', 'url', 'text'];
 
-    const unsyncedCount = all.filter(r => !r.synced_at).length;
+const RICH_FIELDS = ['text', 'user_name', 'user_avatar', 'card', 'quoted_tweet', 'original_created_at', 'raw_payload', 'source_url'];
+const FILLED_FIELDS = ['user_name', 'user_avatar', 'quoted_tweet', 'quoted_text', 'quoted_author', 'card', 'reply_to', 'original_created_at', 'raw_payload', 'source_url'];
+const FLAG_FIELDS = ['user_verified', 'user_blue_verified', 'user_business', 'user_government', 'is_reply'];
+const POST_KEY = /^(twitter|instagram|tiktok|youtube):/;
 
-    return {
-      total: all.length,
-      today: todayCount,
-      bySource: bySources,
-      byTag: byTags,
-      unsynced: unsyncedCount
-    };
+// [platform, host, path pattern capturing the post ID]
+const POST_URLS = [
+  ['twitter', /^(twitter\.com|x\.com|nitter\.[a-z.]+)$/, /^\/(?:i\/web|[^/]+)\/status(?:es)?\/(\d+)/],
+  ['youtube', /^youtube\.com$/, /^\/(?:shorts|embed|live)\/([\w-]+)/],
+  ['youtube', /^youtu\.be$/, /^\/([\w-]+)/],
+  ['tiktok', /^tiktok\.com$/, /^\/@[^/]+\/video\/(\d+)/],
+  ['instagram', /^instagram\.com$/, /^\/(?:[^/]+\/)?(?:p|reels?|tv)\/([\w-]+)/]
+];
+
+// Reduce a URL to a form shared by every link to the same thing
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
   }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
 
-  async getSetting(key, defaultValue = null) {
-    await this.ready();
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
-      const store = transaction.objectStore(STORES.SETTINGS);
-      const request = store.get(key);
+  if (host === 'youtube.com' && path === '/watch' && parsed.searchParams.get('v')) {
+    return `youtube:${parsed.searchParams.get('v')}`;
+  }
 
-      request.onsuccess = () => {
-        resolve(request.result?.value ?? defaultValue);
-      };
-      request.onerror = () => reject(request.error);
-    });
+  for (const [platform, hostPattern, pathPattern] of POST_URLS) {
+    const match = hostPattern.test(host) && path.match(pathPattern);
+    if (match) return `${platform}:${match[1]}`;
   }
 
-  async setSetting(key, value) {
-    await this.ready();
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !DUPLICATE_OPTIONS.trackingParams.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SETTINGS], 'readwrite');
-      const store = transaction.objectStore(STORES.SETTINGS);
-      const request = store.put({ key, value });
+  return `${host}${path}${query}`;
+}
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
-  }
+// Split text into the words compared for near-identical text
+function textTokens(text = '') {
+  return (text || '')
+    .toLowerCase()
+    .replace(/^rt @\w+:\s*/, '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
 
-  async getAllSettings() {
-    await this.ready();
+// Work out what a record can be matched on
+function getDuplicateKeys(record) {
+  const platform = record.platform || 'twitter';
+  const keys = new Set();
+  if (record.tweet_id) keys.add(`${platform}:${record.tweet_id}`);
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
-      const store = transaction.objectStore(STORES.SETTINGS);
-      const request = store.getAll();
+  const ownUrl = canonicalUrl(record.source_url);
+  if (ownUrl) keys.add(ownUrl);
 
-      request.onsuccess = () => {
-        const settings = {};
-        for (const item of request.result || []) {
-          settings[item.key] = item.value;
-        }
-        resolve(settings);
-      };
-      request.onerror = () => reject(request.error);
-    });
+  const linked = (record.urls || []).map(u => (typeof u === 'string' ? u : u.expanded_url || u.url));
+  if (record.card?.url) linked.push(record.card.url);
+
+  const links = new Set();
+  for (const url of linked) {
+    const key = canonicalUrl(url);
+    if (key && POST_KEY.test(key) && !key.startsWith(`${platform}:`)) links.add(key);
   }
 
-  async getCategories() {
-    await this.ready();
+  return { id: record.id, keys: [...keys], links: [...links], tokens: textTokens(record.text) };
+}
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.CATEGORIES], 'readonly');
-      const store = transaction.objectStore(STORES.CATEGORIES);
-      const request = store.getAll();
+// Group records that look like the same post
+function findDuplicateGroups(entries) {
+  const parent = new Map();
+  const reasons = new Map();
+
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent.set(rootB, rootA);
+      for (const r of reasons.get(rootB)) reasons.get(rootA).add(r);
+    }
+    reasons.get(rootA).add(reason);
+  };
 
-      request.onsuccess = () => {
-        const categories = {};
-        const results = request.result || [];
+  for (const entry of entries) {
+    parent.set(entry.id, entry.id);
+    reasons.set(entry.id, new Set());
+  }
 
-        if (results.length === 0) {
-          resolve(DEFAULT_CATEGORIES);
-        } else {
-          for (const cat of results) {
-            categories[cat.name] = cat.keywords;
-          }
-          resolve(categories);
-        }
-      };
-      request.onerror = () => reject(request.error);
-    });
+  // Post IDs and URLs
+  const owners = new Map();
+  for (const entry of entries) {
+    for (const key of entry.keys) {
+      if (owners.has(key)) union(owners.get(key), entry.id, POST_KEY.test(key) ? 'post' : 'url');
+      else owners.set(key, entry.id);
+    }
+  }
+  for (const entry of entries) {
+    for (const key of entry.links) {
+      if (owners.has(key)) union(owners.get(key), entry.id, 'url');
+    }
   }
 
-  async setCategory(name, keywords) {
-    await this.ready();
+  // Near-identical text: identical word lists first, then word overlap within blocks
+  const texts = new Map();
+  const blocks = new Map();
+  const size = DUPLICATE_OPTIONS.blockTokens;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
-      const store = transaction.objectStore(STORES.CATEGORIES);
-      const request = store.put({ name, keywords });
+  for (const entry of entries) {
+    if (entry.tokens.length < DUPLICATE_OPTIONS.minTextTokens) continue;
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
+    const text = entry.tokens.join(' ');
+    if (texts.has(text)) {
+      union(texts.get(text), entry.id, 'text');
+      continue;
+    }
+    texts.set(text, entry.id);
+
+    const words = new Set(entry.tokens);
+    const blockKeys = [`^${entry.tokens.slice(0, size).join(' ')}`, `$${entry.tokens.slice(-size).join(' ')}`];
+    const compared = new Set();
+
+    for (const blockKey of blockKeys) {
+      const block = blocks.get(blockKey) || [];
+      for (const other of block) {
+        if (compared.has(other.id)) continue;
+        compared.add(other.id);
+        if (jaccard(words, other.words) >= DUPLICATE_OPTIONS.textSimilarity) union(other.id, entry.id, 'text');
+      }
+      block.push({ id: entry.id, words });
+      blocks.set(blockKey, block);
+    }
   }
 
-  async deleteCategory(name) {
-    await this.ready();
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = find(entry.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry.id);
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
-      const store = transaction.objectStore(STORES.CATEGORIES);
-      const request = store.delete(name);
+  return [...groups.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, reasons: DUPLICATE_REASONS.filter(r => reasons.get(root).has(r)) }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
+// Score how much a record knows about its post
+function metadataScore(record) {
+  let score = RICH_FIELDS.filter(field => !isEmpty(record[field])).length;
+  score += METRIC_FIELDS.filter(field => record[field] > 0).length;
+  score += (record.media || []).length;
+  return score;
+}
+
+// Pick the record a group should be merged into
+function pickRichest(records) {
+  return records.reduce((best, record) => {
+    const diff = metadataScore(record) - metadataScore(best);
+    if (diff !== 0) return diff > 0 ? record : best;
+    return (record.captured_at || '') < (best.captured_at || '') ? record : best;
+  });
+}
+
+// Fold duplicates into the record being kept
+function mergeRecords(keep, others) {
+  const all = [keep, ...others];
+  const merged = { ...keep };
+
+  for (const field of FILLED_FIELDS) {
+    if (!isEmpty(merged[field])) continue;
+    const donor = others.find(record => !isEmpty(record[field]));
+    if (donor) merged[field] = donor[field];
   }
 
-  async initDefaultCategories() {
-    for (const [name, keywords] of Object.entries(DEFAULT_CATEGORIES)) {
-      await this.setCategory(name, keywords);
-    }
+  for (const field of FLAG_FIELDS) {
+    merged[field] = all.some(record => record[field]);
   }
 
-  async saveSearch(search) {
-    await this.ready();
+  for (const field of METRIC_FIELDS) {
+    merged[field] = Math.max(...all.map(record => Number(record[field]) || 0));
+  }
 
-    const record = {
-      id: generateId(),
-      name: search.name,
-      query: search.query || '',
-      filters: search.filters || {},
-      created_at: new Date().toISOString()
-    };
+  merged.text = all.reduce((text, record) => ((record.text || '').length > text.length ? record.text : text), keep.text || '');
+  merged.media = all.reduce((media, record) => ((record.media || []).length > media.length ? record.media : media), keep.media || []);
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
-      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
-      const request = store.add(record);
+  for (const field of ['tags', 'auto_tags', 'hashtags', 'mentions', 'actions']) {
+    merged[field] = uniqueIgnoringCase(all.flatMap(record => record[field] || []));
+  }
 
-      request.onsuccess = () => resolve(record);
-      request.onerror = () => reject(request.error);
-    });
+  // Learned tags are { tag, confidence }; one entry per tag, the most confident
+  const learned = new Map();
+  for (const entry of all.flatMap(record => record.learned_tags || [])) {
+    const key = String(entry.tag).toLowerCase();
+    const existing = learned.get(key);
+    if (!existing || (entry.confidence || 0) > (existing.confidence || 0)) learned.set(key, entry);
   }
+  merged.learned_tags = [...learned.values()];
 
-  async getSavedSearches() {
-    await this.ready();
+  const urlKey = u => (typeof u === 'string' ? u : u.expanded_url || u.url);
+  const urls = new Map();
+  for (const url of all.flatMap(record => record.urls || [])) {
+    if (!urls.has(urlKey(url))) urls.set(urlKey(url), url);
+  }
+  merged.urls = [...urls.values()];
+
+  // Every note is kept; highlights are moved onto the kept text
+  merged.note = [...new Set(all.map(record => (record.note || '').trim()).filter(Boolean))].join('\n\n');
+  merged.highlights = normalizeHighlights(merged.text, all.flatMap(record => record.highlights || []));
+
+  merged.captured_at = all.map(record => record.captured_at).filter(Boolean).sort()[0] || keep.captured_at;
+  // Stays read or archived, and a favorite, if any copy was
+  merged.status = all.map(record => record.status).find(status => status && status !== READ_STATUSES.UNREAD) ||
+    keep.status || READ_STATUSES.UNREAD;
+  merged.favorited_at = all.map(record => record.favorited_at).filter(Boolean).sort()[0] || null;
+  merged.merged_from = [
+    ...(keep.merged_from || []),
+    ...others.flatMap(record => [
+      ...(record.merged_from || []),
+      {
+        id: record.id,
+        tweet_id: record.tweet_id,
+        source: record.source,
+        platform: record.platform || 'twitter',
+        source_url: record.source_url || '',
+        captured_at: record.captured_at
+      }
+    ])
+  ];
+  merged.synced_at = null;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readonly');
-      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
-      const request = store.getAll();
+  return merged;
+}
 
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () => reject(request.error);
-    });
+// Check whether a field holds nothing worth keeping
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Drop repeated values, comparing without case; the first spelling wins
+function uniqueIgnoringCase(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = String(value).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Share of words two texts have in common
+function jaccard(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
   }
+  return shared / (a.size + b.size - shared);
+}
 
-  async deleteSavedSearch(id) {
-    await this.ready();
+// ==================== TAG RULES ====================
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
-      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
-      const request = store.delete(id);
+// User-defined rules: { name, enabled, match: 'all'|'any', conditions, tags }.
+// Conditions are { field, operator, value } or nested { match, conditions }
+// groups; array-valued fields match if any value does.
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const NEGATED_OPERATORS = {
+  not_equals: 'equals',
+  not_contains: 'contains',
+  not_exists: 'exists'
+};
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
-  }
+function getRuleFieldValues(retweet, field) {
+  const media = retweet.media || [];
+  const urls = (retweet.urls || []).map(u => (typeof u === 'string' ? u : u.expanded_url || u.url)).filter(Boolean);
+  if (retweet.card?.url) urls.push(retweet.card.url);
 
-  async exportAll() {
-    const retweets = await this.getAllRetweets();
-    const settings = await this.getAllSettings();
-    const categories = await this.getCategories();
-    const savedSearches = await this.getSavedSearches();
+  switch (field) {
+    case 'author':
+      return retweet.user_handle ? [retweet.user_handle.replace(/^@/, '')] : [];
 
-    return {
-      version: DB_VERSION,
-      exported_at: new Date().toISOString(),
-      retweets,
-      settings,
-      categories,
-      savedSearches
-    };
-  }
+    case 'text':
+      return [retweet.text, retweet.quoted_text].filter(Boolean);
 
-  async clearAll() {
-    await this.ready();
+    case 'url':
+      return urls;
 
-    const stores = [STORES.RETWEETS, STORES.SETTINGS, STORES.SAVED_SEARCHES, STORES.CATEGORIES];
+    case 'domain':
+      return [...new Set(urls.map(getDomain).filter(Boolean))];
 
-    for (const storeName of stores) {
-      await new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.clear();
+    case 'hashtag': {
+      const fromText = (retweet.text || '').match(/#\w+/g) || [];
+      return [...new Set([...(retweet.hashtags || []), ...fromText.map(h => h.substring(1))])];
+    }
 
-        request.onsuccess = () => resolve(true);
-        request.onerror = () => reject(request.error);
-      });
+    case 'mention':
+      return retweet.mentions || [];
+
+    case 'platform':
+      return [retweet.platform || 'twitter'];
+
+    case 'has': {
+      const has = [];
+      if (media.length > 0) has.push('media');
+      if (media.some(m => m.type === 'image' || m.type === 'photo')) has.push('image');
+      if (media.some(m => m.type === 'video' || m.type === 'gif')) has.push('video');
+      if (urls.length > 0) has.push('link');
+      if (retweet.quoted_text || retweet.quoted_tweet) has.push('quote');
+      return has;
+    }
+
+    case 'duration': {
+      const durations = media.map(m => m.duration).filter(d => typeof d === 'number' && d > 0);
+      return durations.length > 0 ? [Math.max(...durations) / 60] : [];
+    }
+
+    case 'likes':
+      return [retweet.like_count || 0];
+
+    case 'views':
+      return [retweet.view_count || 0];
+
+    case 'retweets':
+      return [retweet.retweet_count || 0];
+
+    case 'replies':
+      return [retweet.reply_count || 0];
+
+    case 'tag':
+      return [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+
+    default: {
+      // Arrays are flattened at every step, so "media.type" lists each item's type
+      let values = [retweet];
+      for (const part of field.split('.')) {
+        values = values.flatMap(value => {
+          if (value === null || typeof value !== 'object') return [];
+          return Array.isArray(value[part]) ? value[part] : [value[part]];
+        });
+      }
+      return values.filter(value => value !== undefined && value !== null && value !== '');
     }
   }
 }
 
-// ==================== IMPORTER FUNCTIONS ====================
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
 
-function cleanRetweetText(text) {
-  if (!text) return '';
-  return text.replace(/^RT @\w+:\s*/, '').trim();
+function compareValue(actual, operator, expected, field) {
+  if (operator === 'exists') return true;
+
+  if (NUMERIC_OPERATORS.includes(operator)) {
+    const a = Number(actual);
+    const b = Number(expected);
+    if (isNaN(a) || isNaN(b)) return false;
+    if (operator === 'gt') return a > b;
+    if (operator === 'gte') return a >= b;
+    if (operator === 'lt') return a < b;
+    return a <= b;
+  }
+
+  const a = String(actual).toLowerCase();
+  let b = String(expected ?? '').toLowerCase();
+  if (field === 'author') b = b.replace(/^@/, '');
+
+  switch (operator) {
+    case 'equals':
+      return a === b || (field === 'domain' && a.endsWith(`.${b}`));
+    case 'contains':
+      return a.includes(b);
+    case 'starts_with':
+      return a.startsWith(b);
+    case 'ends_with':
+      return a.endsWith(b);
+    case 'matches':
+      try {
+        return new RegExp(expected, 'i').test(String(actual));
+      } catch {
+        return false;
+      }
+    default:
+      return false;
+  }
 }
 
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
+function evaluateCondition(retweet, condition) {
+  if (Array.isArray(condition.conditions)) {
+    return evaluateGroup(retweet, condition.match, condition.conditions);
+  }
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+  const values = getRuleFieldValues(retweet, condition.field);
+  const positive = NEGATED_OPERATORS[condition.operator];
 
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      values.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
+  if (positive) {
+    return !values.some(value => compareValue(value, positive, condition.value, condition.field));
   }
 
-  values.push(current);
-  return values;
+  return values.some(value => compareValue(value, condition.operator, condition.value, condition.field));
 }
 
-async function importArchive(data) {
-  try {
-    let tweets;
+function evaluateGroup(retweet, match, conditions) {
+  if (!conditions || conditions.length === 0) return false;
 
-    if (data.startsWith('window.YTD.tweets.part')) {
-      const jsonStart = data.indexOf('[');
-      const jsonData = data.substring(jsonStart);
-      tweets = JSON.parse(jsonData);
-    } else if (data.startsWith('[')) {
-      tweets = JSON.parse(data);
-    } else {
-      throw new Error('Unrecognized archive format');
-    }
+  return match === 'any'
+    ? conditions.some(condition => evaluateCondition(retweet, condition))
+    : conditions.every(condition => evaluateCondition(retweet, condition));
+}
 
-    const categories = await db.getCategories();
-    const retweets = [];
+function evaluateRule(rule, retweet) {
+  if (rule.enabled === false) return false;
+  return evaluateGroup(retweet, rule.match, rule.conditions);
+}
 
-    for (const item of tweets) {
-      const tweet = item.tweet || item;
+function applyTagRules(retweet, rules = []) {
+  const tags = new Set();
 
-      const isRetweet = tweet.full_text?.startsWith('RT @') ||
-        tweet.retweeted_status ||
-        tweet.text?.startsWith('RT @');
-      const isQuote = tweet.is_quote_status || tweet.quoted_status;
+  for (const rule of rules) {
+    if (evaluateRule(rule, retweet)) {
+      for (const tag of rule.tags || []) tags.add(tag);
+    }
+  }
 
-      if (!isRetweet && !isQuote) continue;
+  return Array.from(tags);
+}
 
-      const text = tweet.full_text || tweet.text || '';
+function validateRule(rule) {
+  const errors = [];
 
-      let userHandle = '';
-      let userName = '';
+  if (!rule || !rule.name || rule.name.trim() === '') {
+    errors.push('Rule needs a name');
+  }
 
-      if (tweet.retweeted_status) {
-        userHandle = tweet.retweeted_status.user?.screen_name || '';
-        userName = tweet.retweeted_status.user?.name || '';
-      } else if (text.startsWith('RT @')) {
-        const match = text.match(/^RT @(\w+):/);
-        if (match) userHandle = match[1];
-      }
+  if (!rule || !Array.isArray(rule.tags) || rule.tags.filter(t => t && t.trim()).length === 0) {
+    errors.push('Rule needs at least one tag');
+  }
 
-      let quotedText = '';
-      let quotedAuthor = '';
+  const checkConditions = (conditions) => {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      errors.push('Rule needs at least one condition');
+      return;
+    }
 
-      if (tweet.quoted_status) {
-        quotedText = tweet.quoted_status.full_text || tweet.quoted_status.text || '';
-        quotedAuthor = tweet.quoted_status.user?.screen_name || '';
+    for (const condition of conditions) {
+      if (Array.isArray(condition.conditions)) {
+        checkConditions(condition.conditions);
+        continue;
       }
 
-      const media = [];
-      const entities = tweet.extended_entities || tweet.entities;
+      if (!condition.field) {
+        errors.push('Condition is missing a field');
+      }
 
-      if (entities?.media) {
-        for (const m of entities.media) {
-          media.push({
-            type: m.type === 'photo' ? 'image' : m.type,
-            url: m.media_url_https || m.media_url,
-            thumb_url: m.media_url_https || m.media_url
-          });
-        }
+      if (!TAG_RULE_OPERATORS[condition.operator]) {
+        errors.push(`Unknown operator "${condition.operator}"`);
+        continue;
       }
 
-      const textToAnalyze = text + ' ' + quotedText;
-      const autoTags = suggestTags(textToAnalyze, categories);
+      const value = condition.value === undefined || condition.value === null ? '' : String(condition.value).trim();
+      if (NUMERIC_OPERATORS.includes(condition.operator) && (value === '' || isNaN(Number(value)))) {
+        errors.push(`"${condition.field}" ${TAG_RULE_OPERATORS[condition.operator]} needs a number`);
+      }
 
-      retweets.push({
-        tweet_id: tweet.id_str || tweet.id,
-        user_handle: userHandle,
-        user_name: userName,
-        text: cleanRetweetText(text),
-        quoted_text: quotedText,
-        quoted_author: quotedAuthor,
-        media,
-        original_created_at: tweet.created_at ? new Date(tweet.created_at).toISOString() : null,
-        source: SOURCES.ARCHIVE,
-        source_url: userHandle ? `https://x.com/${userHandle}/status/${tweet.id_str || tweet.id}` : '',
-        auto_tags: autoTags,
-        raw_payload: tweet
-      });
+      if (condition.operator === 'matches') {
+        try {
+          new RegExp(condition.value);
+        } catch {
+          errors.push(`Invalid regex "${condition.value}"`);
+        }
+      }
     }
+  };
 
-    const result = await db.addRetweets(retweets);
+  checkConditions(rule?.conditions);
 
-    return {
-      added: result.added,
-      duplicates: result.duplicates,
-      total: retweets.length
-    };
-  } catch (error) {
-    console.error('Archive import error:', error);
-    throw new Error(`Failed to parse archive: ${error.message}`);
-  }
+  return {
+    valid: errors.length === 0,
+    errors
+  };
 }
 
-async function importCSV(data) {
-  try {
-    const lines = data.split('\n');
-    if (lines.length < 2) {
-      throw new Error('CSV file is empty or has no data rows');
-    }
+// ==================== LEARNED TAGS ====================
 
-    const header = parseCSVLine(lines[0]);
-    const requiredColumns = ['tweet_id', 'text'];
-    const headerLower = header.map(h => h.toLowerCase().trim());
+// Naive Bayes over manual tags; the model is plain counts kept in settings
+const CLASSIFIER_FIELDS = ['text', 'quoted_text', 'card.title'];
 
-    for (const col of requiredColumns) {
-      if (!headerLower.includes(col)) {
-        throw new Error(`Missing required column: ${col}`);
-      }
+function featurize(retweet) {
+  const stopWords = new Set(STOP_WORDS);
+  const features = new Set();
+
+  for (const field of CLASSIFIER_FIELDS) {
+    for (const token of tokenize(getFieldValue(retweet, field))) {
+      if (!stopWords.has(token) && !/^\d+$/.test(token)) features.add(token);
     }
+  }
 
-    const indices = {
-      tweet_id: headerLower.indexOf('tweet_id'),
-      user_handle: headerLower.indexOf('user_handle') !== -1 ? headerLower.indexOf('user_handle') : headerLower.indexOf('author'),
-      user_name: headerLower.indexOf('user_name') !== -1 ? headerLower.indexOf('user_name') : headerLower.indexOf('name'),
-      text: headerLower.indexOf('text') !== -1 ? headerLower.indexOf('text') : headerLower.indexOf('content'),
-      date: headerLower.indexOf('date') !== -1 ? headerLower.indexOf('date') : headerLower.indexOf('created_at'),
-      url: headerLower.indexOf('url') !== -1 ? headerLower.indexOf('url') : headerLower.indexOf('source_url'),
-      tags: headerLower.indexOf('tags')
-    };
+  const handle = (retweet.user_handle || '').replace(/^@/, '').toLowerCase();
+  if (handle) features.add(`@${handle}`);
 
-    const categories = await db.getCategories();
-    const retweets = [];
+  return Array.from(features);
+}
 
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
+function createClassifier() {
+  return { version: 1, docCount: 0, tokenTotal: 0, tokenCounts: {}, tags: {} };
+}
 
-      const values = parseCSVLine(line);
-      if (values.length < 2) continue;
-
-      const tweetId = values[indices.tweet_id]?.trim();
-      const text = values[indices.text]?.trim();
+function addCount(counts, key, delta) {
+  const value = (counts[key] || 0) + delta;
+  if (value > 0) {
+    counts[key] = value;
+  } else {
+    delete counts[key];
+  }
+}
 
-      if (!tweetId || !text) continue;
+// weight 1 trains, -1 untrains; records without manual tags are ignored
+function trainClassifier(model, retweet, tags = [], weight = 1) {
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.length === 0) return model;
 
-      const userHandle = indices.user_handle !== -1 ? values[indices.user_handle]?.trim() : '';
-      const userName = indices.user_name !== -1 ? values[indices.user_name]?.trim() : '';
-      const date = indices.date !== -1 ? values[indices.date]?.trim() : '';
-      const url = indices.url !== -1 ? values[indices.url]?.trim() : '';
-      const tags = indices.tags !== -1 ? values[indices.tags]?.split(',').map(t => t.trim()).filter(t => t) : [];
+  const features = featurize(retweet);
 
-      const autoTags = suggestTags(text, categories);
+  model.docCount = Math.max(0, model.docCount + weight);
+  model.tokenTotal = Math.max(0, model.tokenTotal + weight * features.length);
+  for (const feature of features) {
+    addCount(model.tokenCounts, feature, weight);
+  }
 
-      retweets.push({
-        tweet_id: tweetId,
-        user_handle: userHandle.replace('@', ''),
-        user_name: userName,
-        text: text,
-        quoted_text: '',
-        quoted_author: '',
-        media: [],
-        original_created_at: date ? new Date(date).toISOString() : null,
-        source: SOURCES.CSV,
-        source_url: url || (userHandle ? `https://x.com/${userHandle.replace('@', '')}/status/${tweetId}` : ''),
-        tags: tags,
-        auto_tags: autoTags
-      });
+  for (const tag of uniqueTags) {
+    const entry = model.tags[tag] || { docs: 0, total: 0, tokens: {} };
+    entry.docs += weight;
+    entry.total += weight * features.length;
+    for (const feature of features) {
+      addCount(entry.tokens, feature, weight);
     }
 
-    if (retweets.length === 0) {
-      throw new Error('No valid retweets found in CSV');
+    if (entry.docs > 0) {
+      model.tags[tag] = entry;
+    } else {
+      delete model.tags[tag];
     }
+  }
 
-    const result = await db.addRetweets(retweets);
+  return model;
+}
 
-    return {
-      added: result.added,
-      duplicates: result.duplicates,
-      total: retweets.length
-    };
-  } catch (error) {
-    console.error('CSV import error:', error);
-    throw new Error(`Failed to parse CSV: ${error.message}`);
+function updateClassifier(model, previous, current) {
+  if (previous) trainClassifier(model, previous, previous.tags || [], -1);
+  if (current) trainClassifier(model, current, current.tags || [], 1);
+  return model;
+}
+
+function buildClassifier(retweets) {
+  const model = createClassifier();
+  for (const retweet of retweets) {
+    trainClassifier(model, retweet, retweet.tags || []);
   }
+  return model;
 }
 
-async function importNitter(url) {
-  try {
-    if (!url.includes('/rss') && !url.includes('rss.')) {
-      throw new Error('Invalid Nitter RSS URL. Expected format: https://nitter.net/username/rss');
-    }
+// One-vs-rest log odds with Laplace smoothing; confidence is the posterior
+function predictTags(model, retweet, {
+  minConfidence = CLASSIFIER_OPTIONS.minConfidence,
+  limit = CLASSIFIER_OPTIONS.limit,
+  exclude = []
+} = {}) {
+  if (!model || model.docCount === 0) return [];
 
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch RSS feed: ${response.status}`);
-    }
+  const features = featurize(retweet).filter(feature => model.tokenCounts[feature]);
+  if (features.length === 0) return [];
 
-    const xml = await response.text();
+  const vocabulary = Object.keys(model.tokenCounts).length;
+  const excluded = new Set(exclude.map(tag => tag.toLowerCase()));
+  const predictions = [];
 
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(xml, 'application/xml');
+  for (const [tag, entry] of Object.entries(model.tags)) {
+    if (excluded.has(tag.toLowerCase())) continue;
 
-    const items = doc.querySelectorAll('item');
-    if (items.length === 0) {
-      throw new Error('No items found in RSS feed');
+    const negativeDocs = model.docCount - entry.docs;
+    if (entry.docs < CLASSIFIER_OPTIONS.minExamples || negativeDocs <= 0) continue;
+
+    const negativeTotal = model.tokenTotal - entry.total;
+    let logOdds = Math.log(entry.docs / negativeDocs);
+
+    for (const feature of features) {
+      const positive = entry.tokens[feature] || 0;
+      const negative = model.tokenCounts[feature] - positive;
+      logOdds += Math.log((positive + 1) / (entry.total + vocabulary));
+      logOdds -= Math.log((negative + 1) / (negativeTotal + vocabulary));
     }
 
-    const categories = await db.getCategories();
-    const retweets = [];
+    const confidence = 1 / (1 + Math.exp(-logOdds));
+    if (confidence >= minConfidence) {
+      predictions.push({ tag, confidence });
+    }
+  }
 
-    for (const item of items) {
-      const title = item.querySelector('title')?.textContent || '';
-      const link = item.querySelector('link')?.textContent || '';
-      const description = item.querySelector('description')?.textContent || '';
-      const pubDate = item.querySelector('pubDate')?.textContent;
+  return predictions
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
 
-      if (!title.startsWith('RT by') && !title.includes('RT @')) continue;
+function getClassifierStats(model) {
+  const entries = Object.values(model?.tags || {});
+  return {
+    trainedOn: model?.docCount || 0,
+    tags: entries.length,
+    readyTags: entries.filter(entry => entry.docs >= CLASSIFIER_OPTIONS.minExamples).length
+  };
+}
 
-      const tweetIdMatch = link.match(/\/status\/(\d+)/);
-      if (!tweetIdMatch) continue;
+// ==================== MIGRATIONS ====================
 
-      const tweetId = tweetIdMatch[1];
+// One step per database version, run in order inside the versionchange
+// transaction; a failing step rolls the whole upgrade back
+const METRIC_FIELDS = ['reply_count', 'retweet_count', 'like_count', 'view_count', 'bookmark_count'];
 
-      const authorMatch = link.match(/\/(\w+)\/status/);
-      const userHandle = authorMatch ? authorMatch[1] : '';
+const PLATFORM_HOSTS = [
+  ['instagram', /(^|\.)instagram\.com$/],
+  ['tiktok', /(^|\.)tiktok\.com$/],
+  ['youtube', /(^|\.)(youtube\.com|youtu\.be)$/]
+];
 
-      const text = description
-        .replace(/<[^>]+>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .trim();
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the captures, settings, saved searches and categories stores',
+    migrate(transaction) {
+      const db = transaction.db;
 
-      const autoTags = suggestTags(text, categories);
+      const retweetsStore = db.createObjectStore(STORES.RETWEETS, { keyPath: 'id' });
+      retweetsStore.createIndex('tweet_id', 'tweet_id', { unique: false });
+      retweetsStore.createIndex('user_handle', 'user_handle', { unique: false });
+      retweetsStore.createIndex('captured_at', 'captured_at', { unique: false });
+      retweetsStore.createIndex('source', 'source', { unique: false });
+      retweetsStore.createIndex('tweet_id_source', ['tweet_id', 'source'], { unique: true });
 
-      retweets.push({
-        tweet_id: tweetId,
-        user_handle: userHandle,
-        user_name: '',
-        text: text,
-        quoted_text: '',
-        quoted_author: '',
-        media: [],
-        original_created_at: pubDate ? new Date(pubDate).toISOString() : null,
-        source: SOURCES.NITTER,
-        source_url: link.replace(/nitter\.[^/]+/, 'x.com'),
-        auto_tags: autoTags
+      db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+
+      const searchesStore = db.createObjectStore(STORES.SAVED_SEARCHES, { keyPath: 'id' });
+      searchesStore.createIndex('created_at', 'created_at', { unique: false });
+
+      db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Build the search index',
+    migrate(transaction, report) {
+      const indexStore = transaction.db.createObjectStore(STORES.SEARCH_INDEX, { keyPath: ['token', 'id'] });
+      indexStore.createIndex('id', 'id', { unique: false });
+
+      forEachRecord(transaction.objectStore(STORES.RETWEETS), report, (record) => {
+        for (const token of tokenizeRetweet(record)) {
+          indexStore.put({ token, id: record.id });
+        }
       });
     }
+  },
+  {
+    version: 3,
+    description: 'Create the auto-tag rules store',
+    migrate(transaction) {
+      const rulesStore = transaction.db.createObjectStore(STORES.TAG_RULES, { keyPath: 'id' });
+      rulesStore.createIndex('created_at', 'created_at', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Create the trash store',
+    migrate(transaction) {
+      const trashStore = transaction.db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+      trashStore.createIndex('deleted_at', 'deleted_at', { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: 'Fill in platform, metrics and entities on older captures',
+    migrate(transaction, report) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('platform', 'platform', { unique: false });
+      retweetsStore.createIndex('platform_captured_at', ['platform', 'captured_at'], { unique: false });
+
+      const backfill = (record, cursor) => {
+        const updated = backfillRetweet(record);
+        if (updated) cursor.update(updated);
+      };
 
-    if (retweets.length === 0) {
-      throw new Error('No retweets found in RSS feed');
+      forEachRecord(retweetsStore, report, backfill);
+      forEachRecord(transaction.objectStore(STORES.TRASH), () => {}, backfill);
+    }
+  },
+  {
+    version: 6,
+    description: 'Index tags, auto-tags and sync state for filtering',
+    migrate(transaction) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      retweetsStore.createIndex('auto_tags', 'auto_tags', { unique: false, multiEntry: true });
+      retweetsStore.createIndex('synced_at', 'synced_at', { unique: false });
     }
+  },
+  {
+    version: 7,
+    description: 'Create the collections store',
+    migrate(transaction) {
+      const collectionsStore = transaction.db.createObjectStore(STORES.COLLECTIONS, { keyPath: 'id' });
+      collectionsStore.createIndex('position', 'position', { unique: false });
+      collectionsStore.createIndex('item_ids', 'item_ids', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 8,
+    description: 'Add reading status and favorites to captures',
+    migrate(transaction, report) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('status', 'status', { unique: false });
+      // Only favorites have a favorited_at; the null on the rest keeps them out of the index
+      retweetsStore.createIndex('favorited_at', 'favorited_at', { unique: false });
+
+      const backfill = (record, cursor) => {
+        const updated = backfillRetweet(record);
+        if (updated) cursor.update(updated);
+      };
 
-    const result = await db.addRetweets(retweets);
+      forEachRecord(retweetsStore, report, backfill);
+      forEachRecord(transaction.objectStore(STORES.TRASH), () => {}, backfill);
+    }
+  },
+  {
+    version: 9,
+    description: 'Create the search terms store',
+    migrate(transaction) {
+      // Words already indexed are added in batches after the upgrade
+      transaction.db.createObjectStore(STORES.SEARCH_TERMS, { keyPath: ['gram', 'token'] });
+      transaction.objectStore(STORES.SETTINGS).put({
+        key: SEARCH_TERMS_OPTIONS.stateKey,
+        value: { status: 'running', cursor: null, added: 0 }
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Group unmodified default categories under their parents',
+    migrate(transaction) {
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.getAll();
 
-    return {
-      added: result.added,
-      duplicates: result.duplicates,
-      total: retweets.length
-    };
-  } catch (error) {
-    console.error('Nitter import error:', error);
-    throw new Error(`Failed to import from Nitter: ${error.message}`);
+      request.onsuccess = () => {
+        for (const record of regroupDefaultCategories(request.result)) {
+          store.put(record);
+        }
+      };
+    }
   }
-}
-
-// ==================== DATABASE INSTANCE ====================
-
-console.log('[Retweet Filter] Service worker starting...');
+];
+
+function runMigrations(transaction, oldVersion, onProgress = () => {}) {
+  const steps = MIGRATIONS.filter(step => step.version > oldVersion);
+  const to = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  for (const step of steps) {
+    const report = (processed, total) => onProgress({
+      from: oldVersion,
+      to,
+      version: step.version,
+      description: step.description,
+      processed,
+      total
+    });
 
-const db = new RetweetDB();
+    report(0, 0);
+    step.migrate(transaction, report);
+  }
 
-// Initialize database when extension loads
-db.ready().then(() => {
-  console.log('[Retweet Filter] Database initialized successfully');
-}).catch(error => {
-  console.error('[Retweet Filter] Database init error:', error);
-});
+  return steps;
+}
 
-console.log('[Retweet Filter] Service worker loaded, setting up message listener...');
+// Returns null when the record already has every field
+function backfillRetweet(record) {
+  const updates = {};
 
-// ==================== MESSAGE HANDLER ====================
+  if (!record.platform) {
+    updates.platform = detectPlatform(record.source_url);
+  }
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[Retweet Filter] Received message:', message.type);
-  handleMessage(message, sender).then(response => {
-    console.log('[Retweet Filter] Sending response for:', message.type, response?.success);
-    sendResponse(response);
-  }).catch(error => {
-    console.error('[Retweet Filter] Message handler error:', error);
-    sendResponse({ success: false, error: error.message });
-  });
-  return true;
-});
+  for (const field of METRIC_FIELDS) {
+    if (typeof record[field] !== 'number') {
+      updates[field] = Number(record[field]) || 0;
+    }
+  }
 
-async function handleMessage(message, sender) {
-  const { type, data } = message;
+  const entities = extractEntities(record.text);
+  for (const field of ['urls', 'hashtags', 'mentions']) {
+    if (!Array.isArray(record[field])) {
+      updates[field] = entities[field];
+    }
+  }
 
-  switch (type) {
-    case MESSAGES.CAPTURE_RETWEET:
-      return captureRetweet(data);
+  if (!Array.isArray(record.media)) {
+    updates.media = [];
+  }
 
-    case MESSAGES.CAPTURE_INSTAGRAM:
-      return captureInstagram(data);
+  // Captures from before the reading queue are already read; only new
+  // captures start out unread
+  if (!Object.values(READ_STATUSES).includes(record.status)) {
+    updates.status = READ_STATUSES.READ;
+  }
+  if (record.favorited_at === undefined) {
+    updates.favorited_at = null;
+  }
 
-    case MESSAGES.CAPTURE_TIKTOK:
-    case 'CAPTURE_TIKTOK':
-      return captureTikTok(data);
+  return Object.keys(updates).length > 0 ? { ...record, ...updates } : null;
+}
 
-    case MESSAGES.CAPTURE_YOUTUBE:
-    case 'CAPTURE_YOUTUBE':
-      return captureYouTube(data);
+// Stored categories still exactly as shipped take the parents the defaults
+// gained; a missing keywordless group is added, a deleted category is not
+function regroupDefaultCategories(records = []) {
+  const stored = new Map(records.map(record => [record.name, record]));
+  const updates = [];
 
-    case MESSAGES.GET_RETWEETS:
-      return getRetweetsHandler(data);
+  for (const record of records) {
+    const defaults = DEFAULT_CATEGORIES[record.name];
+    if (!defaults?.parent || !isUnmodifiedDefault(record, defaults)) continue;
 
-    case MESSAGES.SEARCH_RETWEETS:
-      return searchRetweetsHandler(data);
+    if (!stored.has(defaults.parent)) {
+      const group = DEFAULT_CATEGORIES[defaults.parent];
+      if (group.keywords.length > 0) continue;
 
-    case MESSAGES.UPDATE_TAGS:
-      return updateTagsHandler(data);
+      const added = { name: defaults.parent, keywords: [], exclude: [], weights: {}, threshold: 0, parent: group.parent || null };
+      stored.set(added.name, added);
+      updates.push(added);
+    }
 
-    case MESSAGES.DELETE_RETWEET:
-      return deleteRetweetHandler(data);
+    updates.push({ ...record, parent: defaults.parent });
+  }
 
-    case MESSAGES.IMPORT_DATA:
-      return importDataHandler(data);
+  return updates;
+}
 
-    case MESSAGES.EXPORT_DATA:
-      return exportDataHandler();
+function isUnmodifiedDefault(record, defaults) {
+  const keywords = record.keywords || [];
+  return !record.parent &&
+    !(record.exclude || []).length &&
+    Object.keys(record.weights || {}).length === 0 &&
+    !Number(record.threshold) &&
+    keywords.length === defaults.keywords.length &&
+    defaults.keywords.every(keyword => keywords.includes(keyword));
+}
 
-    case MESSAGES.GET_STATS:
-      return getStatsHandler();
+function detectPlatform(url) {
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return 'twitter';
+  }
 
-    case MESSAGES.GET_SETTINGS:
-      return getSettingsHandler();
+  const match = PLATFORM_HOSTS.find(([, pattern]) => pattern.test(host));
+  return match ? match[0] : 'twitter';
+}
 
-    case MESSAGES.UPDATE_SETTINGS:
-      return updateSettingsHandler(data);
+// Same shapes as the content scripts capture
+function extractEntities(text = '') {
+  const source = text || '';
+  const urls = (source.match(/https?:\/\/[^\s]+/g) || []).map(url => ({
+    url,
+    display_url: url.replace(/^https?:\/\//, ''),
+    expanded_url: url
+  }));
+
+  return {
+    urls,
+    hashtags: (source.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.substring(1)),
+    mentions: (source.match(/@\w+/g) || []).map(mention => mention.substring(1))
+  };
+}
 
-    case MESSAGES.OPEN_DASHBOARD:
-      return openDashboardHandler();
+function forEachRecord(store, report, visit) {
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    const total = countRequest.result;
+    let processed = 0;
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        report(total, total);
+        return;
+      }
 
-    case 'BULK_UPDATE_TAGS':
-      return bulkUpdateTagsHandler(data);
+      visit(cursor.value, cursor);
+      processed++;
+      if (processed % MIGRATION_OPTIONS.progressInterval === 0) report(processed, total);
+      cursor.continue();
+    };
+  };
+}
 
-    case 'GET_CATEGORIES':
-      return getCategoriesHandler();
+// ==================== DATABASE CLASS ====================
 
-    case 'SET_CATEGORY':
-      return setCategoryHandler(data);
+class RetweetDB {
+  constructor({ onMigrationProgress = () => {} } = {}) {
+    this.db = null;
+    this.migration = null;
+    this.onMigrationProgress = onMigrationProgress;
+    this.dbReady = this.init();
+  }
 
-    case 'DELETE_CATEGORY':
-      return deleteCategoryHandler(data);
+  async init() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-    case 'FILTER_RETWEETS':
-      return filterRetweetsHandler(data);
+      request.onerror = () => {
+        this.finishMigration('failed', request.error?.message);
+        reject(request.error);
+      };
 
-    case 'GET_SAVED_SEARCHES':
-      return getSavedSearchesHandler();
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.finishMigration('done');
+        resolve(this.db);
+      };
 
-    case 'SAVE_SEARCH':
-      return saveSearchHandler(data);
+      request.onupgradeneeded = (event) => {
+        this.migration = { from: event.oldVersion, to: event.newVersion, status: 'running' };
+        runMigrations(event.target.transaction, event.oldVersion, (progress) => {
+          this.migration = { ...progress, status: 'running' };
+          this.onMigrationProgress(this.migration);
+        });
+      };
+    });
+  }
 
-    case 'DELETE_SAVED_SEARCH':
-      return deleteSavedSearchHandler(data);
+  finishMigration(status, error = null) {
+    if (!this.migration) return;
 
-    case 'BULK_DELETE':
-      return bulkDeleteHandler(data);
+    this.migration = { from: this.migration.from, to: this.migration.to, status, error };
+    this.onMigrationProgress(this.migration);
+  }
 
-    default:
-      return { success: false, error: 'Unknown message type' };
+  async ready() {
+    await this.dbReady;
+    return this.db;
   }
-}
 
-// ==================== MESSAGE HANDLERS ====================
+  async addRetweet(retweet) {
+    await this.ready();
+
+    const record = {
+      id: generateId(),
+      tweet_id: retweet.tweet_id,
+
+      // Author information (enhanced)
+      user_handle: retweet.user_handle || '',
+      user_name: retweet.user_name || '',
+      user_avatar: retweet.user_avatar || '',
+      user_verified: retweet.user_verified || false,
+      user_blue_verified: retweet.user_blue_verified || false,
+      user_business: retweet.user_business || false,
+      user_government: retweet.user_government || false,
+
+      // Content
+      text: retweet.text || '',
+
+      // Entities
+      urls: retweet.urls || [],
+      hashtags: retweet.hashtags || [],
+      mentions: retweet.mentions || [],
+
+      // Engagement metrics
+      reply_count: retweet.reply_count || 0,
+      retweet_count: retweet.retweet_count || 0,
+      like_count: retweet.like_count || 0,
+      view_count: retweet.view_count || 0,
+      bookmark_count: retweet.bookmark_count || 0,
+
+      // Quote tweet (enhanced)
+      quoted_tweet: retweet.quoted_tweet || null,
+      // Legacy fields for backward compatibility
+      quoted_text: retweet.quoted_text || retweet.quoted_tweet?.text || '',
+      quoted_author: retweet.quoted_author || retweet.quoted_tweet?.author?.handle || '',
+
+      // Media
+      media: retweet.media || [],
+
+      // Card/link preview
+      card: retweet.card || null,
+
+      // Reply info
+      is_reply: retweet.is_reply || false,
+      reply_to: retweet.reply_to || null,
+
+      // Timestamps
+      captured_at: retweet.captured_at || new Date().toISOString(),
+      original_created_at: retweet.original_created_at || null,
+
+      // Tags
+      tags: retweet.tags || [],
+      auto_tags: retweet.auto_tags || [],
+      learned_tags: retweet.learned_tags || [],
+
+      // Personal note (Markdown) and highlighted passages of the text
+      note: retweet.note || '',
+      highlights: retweet.highlights || [],
+
+      // Reading queue: unread, read or archived; favorites have a favorited_at
+      status: retweet.status || READ_STATUSES.UNREAD,
+      favorited_at: retweet.favorited_at || null,
+
+      // Source
+      source: retweet.source || 'browser',
+      source_url: retweet.source_url || '',
+      // What was done to the post, for imports that know (retweet, quote, like, bookmark)
+      actions: retweet.actions || [],
+
+      // Platform (twitter or instagram)
+      platform: retweet.platform || 'twitter',
+
+      // Status
+      is_available: true,
+      raw_payload: retweet.raw_payload || null,
+      synced_at: null
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const request = store.add(record);
+
+      request.onsuccess = () => {
+        writePostings(transaction.objectStore(STORES.SEARCH_INDEX), record.id, [], tokenizeRetweet(record));
+      };
+      transaction.oncomplete = () => resolve(record);
+      request.onerror = () => {
+        if (request.error?.name === 'ConstraintError') {
+          resolve(null);
+        } else {
+          reject(request.error);
+        }
+      };
+    });
+  }
+
+  // Imports start as read unless the export gave them a status, so they don't flood the Inbox
+  async addRetweets(retweets) {
+    await this.ready();
+
+    let added = 0;
+    let duplicates = 0;
+    const results = [];
+
+    for (const retweet of retweets) {
+      try {
+        const result = await this.addRetweet({ ...retweet, status: retweet.status || READ_STATUSES.READ });
+        if (result) {
+          added++;
+          results.push(result);
+        } else {
+          duplicates++;
+        }
+      } catch (error) {
+        duplicates++;
+      }
+    }
+
+    return { added, duplicates, results };
+  }
+
+  async getRetweet(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const request = store.get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRetweetByTweetId(tweetId, source = 'browser') {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const request = store.index('tweet_id_source').get([tweetId, source]);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRetweets(options = {}) {
+    return this.filterRetweets({}, options);
+  }
+
+  async getAllRetweets() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async countRetweets() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const request = transaction.objectStore(STORES.RETWEETS).count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRetweetBatch(afterId = null, limit = 100) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const range = afterId === null ? null : IDBKeyRange.lowerBound(afterId, true);
+      const request = store.getAll(range, limit);
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRetweetsByIds(ids) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const items = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) items.push(request.result);
+        };
+      }
+
+      transaction.oncomplete = () => resolve(items);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Every record a term can match comes from the index: words inside other
+  // words and typo words are looked up in the search terms store first, up to
+  // maxExpansions per term. Groups are intersected, alternatives unioned. The
+  // same lookups give the BM25 stats. ids is null when nothing could narrow the search.
+  async getSearchCandidates(groups = [], tags = []) {
+    await this.ready();
+
+    const termKey = (term) => `${term.phrase ? '"' : ''}${term.value}`;
+    const terms = new Map();
+    for (const term of groups.flat()) {
+      if (isIndexedTerm(term)) terms.set(termKey(term), term);
+    }
+
+    // Index words the terms expand to, from the search terms store
+    const termsTransaction = this.db.transaction([STORES.SEARCH_TERMS], 'readonly');
+    const termsStore = termsTransaction.objectStore(STORES.SEARCH_TERMS);
+    const expansions = new Map();
+    for (const [key, term] of terms) {
+      const { words, parts, typoKey } = termIndexKeys(term);
+      expansions.set(key, {
+        words,
+        inside: Promise.all(parts.map((part, i) => (part
+          ? lookupTermWords(termsStore, exactRange(part), word => word.includes(words[i]) && !word.startsWith(words[i]))
+          : []))),
+        typos: typoKey
+          ? lookupTermWords(termsStore, exactRange(typoKey), word => !word.startsWith(term.value) && matchWordWithTypos(word, term) !== null)
+          : []
+      });
+    }
+    for (const expansion of expansions.values()) {
+      expansion.inside = await expansion.inside;
+      expansion.typos = await expansion.typos;
+    }
+
+    // Issue every posting lookup up front so the transaction stays active
+    const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX], 'readonly');
+    const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+    const countRequest = transaction.objectStore(STORES.RETWEETS).count();
+
+    const termLookups = new Map();
+    for (const [key, { words, inside, typos }] of expansions) {
+      termLookups.set(key, {
+        term: terms.get(key),
+        words: words.map((word, i) => [
+          lookupPostings(indexStore, prefixRange(word)),
+          ...inside[i].slice(0, SEARCH_OPTIONS.maxExpansions).map(found => lookupPostings(indexStore, exactRange(found)))
+        ]),
+        typos: typos.slice(0, SEARCH_OPTIONS.maxExpansions).map(found => lookupPostings(indexStore, exactRange(found)))
+      });
+    }
+    const tagLookups = (tags || []).flatMap(tag => {
+      const token = `#${tag.toLowerCase()}`;
+      return [
+        lookupPostings(indexStore, exactRange(token)),
+        lookupPostings(indexStore, prefixRange(token + TAG_PATH_SEPARATOR))
+      ];
+    });
+
+    const totalDocs = await new Promise((resolve, reject) => {
+      countRequest.onsuccess = () => resolve(countRequest.result);
+      countRequest.onerror = () => reject(countRequest.error);
+    });
+
+    const union = (sets) => {
+      const ids = new Set();
+      for (const found of sets) {
+        for (const id of found) ids.add(id);
+      }
+      return ids;
+    };
+
+    // A term matches records with all of its words, or with one of its typo words
+    const termIds = new Map();
+    const docFreq = {};
+    for (const [key, lookup] of termLookups) {
+      const wordIds = [];
+      for (const lookups of lookup.words) wordIds.push(union(await Promise.all(lookups)));
+      const ids = wordIds.reduce((acc, found) => new Set([...acc].filter(id => found.has(id))));
+      for (const id of union(await Promise.all(lookup.typos))) ids.add(id);
+
+      termIds.set(key, ids);
+      docFreq[lookup.term.value] = Math.max(docFreq[lookup.term.value] || 0, ids.size);
+    }
+
+    let candidates = null;
+    const intersect = (ids) => {
+      candidates = candidates === null
+        ? ids
+        : new Set([...candidates].filter(id => ids.has(id)));
+    };
+
+    for (const group of groups) {
+      const keys = group.map(termKey).filter(key => termIds.has(key));
+      if (keys.length === 0) continue;
+      intersect(union(keys.map(key => termIds.get(key))));
+    }
+
+    if (tagLookups.length > 0) {
+      intersect(union(await Promise.all(tagLookups)));
+    }
+
+    return { ids: candidates, totalDocs, docFreq };
+  }
+
+  // Retweets sharing the most rare terms with one, best first, with the index
+  // counts as TF-IDF stats. Terms in more than maxTermDocs retweets only count
+  // toward the stats. The counts include author words, a close approximation.
+  async getSimilarCandidates(terms, excludeId) {
+    await this.ready();
+
+    // Issue every lookup up front so the transaction stays active
+    const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX], 'readonly');
+    const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+    const countRequest = transaction.objectStore(STORES.RETWEETS).count();
+    const lookups = [...new Set(terms)].map(term => ({
+      term,
+      count: countRange(indexStore, exactRange(term)),
+      ids: lookupPostings(indexStore, exactRange(term), SIMILARITY_OPTIONS.maxTermDocs + 1)
+    }));
+
+    const totalDocs = await new Promise((resolve, reject) => {
+      countRequest.onsuccess = () => resolve(countRequest.result);
+      countRequest.onerror = () => reject(countRequest.error);
+    });
+
+    const docFreq = {};
+    const scores = new Map();
+    for (const lookup of lookups) {
+      const count = await lookup.count;
+      const ids = await lookup.ids;
+      docFreq[lookup.term] = count;
+      if (count === 0 || ids.size > SIMILARITY_OPTIONS.maxTermDocs) continue;
+
+      const weight = Math.log(1 + totalDocs / count);
+      for (const id of ids) {
+        if (id !== excludeId) scores.set(id, (scores.get(id) || 0) + weight);
+      }
+    }
+
+    const ids = [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SIMILARITY_OPTIONS.maxCandidates)
+      .map(([id]) => id);
+
+    return { ids, totalDocs, docFreq };
+  }
+
+  // Adds up to limit distinct index words after afterWord to the search terms
+  // store; last is null once the end of the index is reached
+  async addSearchTermsBatch(afterWord = null, limit = SEARCH_TERMS_OPTIONS.batchSize) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const termsStore = transaction.objectStore(STORES.SEARCH_TERMS);
+      const range = afterWord === null ? null : IDBKeyRange.lowerBound([afterWord, []]);
+      const request = transaction.objectStore(STORES.SEARCH_INDEX).openKeyCursor(range);
+      let added = 0;
+      let last = null;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          last = null;
+          return;
+        }
+
+        const [word] = cursor.key;
+        if (!word.startsWith('#')) writeTermKeys(termsStore, word);
+        added++;
+        last = word;
+
+        // Skip the word's other postings
+        if (added < limit) cursor.continue([word, []]);
+      };
+
+      transaction.oncomplete = () => resolve({ added, last });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async updateRetweet(id, updates) {
+    await this.ready();
+
+    const existing = await this.getRetweet(id);
+    if (!existing) throw new Error('Retweet not found');
+
+    const updated = { ...existing, ...updates };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const request = store.put(updated);
+
+      request.onsuccess = () => {
+        writePostings(
+          transaction.objectStore(STORES.SEARCH_INDEX),
+          id,
+          tokenizeRetweet(existing),
+          tokenizeRetweet(updated)
+        );
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async updateTags(id, tags) {
+    return this.updateRetweet(id, { tags });
+  }
+
+  // Leave note or highlights out to keep the stored value
+  async updateNotes(id, { note, highlights } = {}) {
+    const existing = await this.getRetweet(id);
+    if (!existing) throw new Error('Retweet not found');
+
+    const updates = { note_updated_at: new Date().toISOString() };
+    if (note !== undefined) updates.note = normalizeNote(note);
+    if (highlights !== undefined) updates.highlights = normalizeHighlights(existing.text, highlights);
+
+    return this.updateRetweet(id, updates);
+  }
+
+  // Leave status or favorite out to keep its stored value
+  async updateStatus(ids, { status, favorite } = {}) {
+    await this.ready();
+
+    if (status !== undefined && !Object.values(READ_STATUSES).includes(status)) {
+      throw new Error(`Unknown status "${status}"`);
+    }
+
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    for (const id of ids) {
+      const retweet = await this.getRetweet(id);
+      if (!retweet) continue;
+
+      const updates = {};
+      if (status !== undefined) updates.status = status;
+      if (favorite !== undefined && favorite !== !!retweet.favorited_at) {
+        updates.favorited_at = favorite ? now : null;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await this.updateRetweet(id, updates);
+      }
+      updated++;
+    }
+
+    return updated;
+  }
+
+  async bulkUpdateTags(ids, tagsToAdd = [], tagsToRemove = []) {
+    await this.ready();
+    let updated = 0;
+
+    for (const id of ids) {
+      const retweet = await this.getRetweet(id);
+      if (retweet) {
+        let newTags = [...retweet.tags];
+        newTags = newTags.filter(tag => !tagsToRemove.includes(tag));
+
+        for (const tag of tagsToAdd) {
+          if (!newTags.includes(tag)) {
+            newTags.push(tag);
+          }
+        }
+
+        await this.updateTags(id, newTags);
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  async deleteRetweet(id) {
+    await this.deleteRetweets([id]);
+    return true;
+  }
+
+  // Moves retweets to the trash; restoreFromTrash writes their postings back
+  async deleteRetweets(ids) {
+    await this.ready();
+
+    const deletedAt = new Date().toISOString();
+    let deleted = 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.TRASH], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+
+          moveToTrash(transaction, request.result, deletedAt);
+          deleted++;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Merged records move to the trash, so a merge can be undone from there.
+  // The kept record takes their place in collections.
+  async mergeRetweets(keepId, ids) {
+    await this.ready();
+
+    const otherIds = [...new Set(ids)].filter(id => id !== keepId);
+    const deletedAt = new Date().toISOString();
+    let result = { kept: null, merged: null, removed: [] };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH, STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const records = new Map();
+      let pending = otherIds.length + 1;
+
+      for (const id of [keepId, ...otherIds]) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) records.set(id, request.result);
+          pending--;
+          if (pending > 0) return;
+
+          const kept = records.get(keepId);
+          const removed = otherIds.map(otherId => records.get(otherId)).filter(Boolean);
+          if (!kept || removed.length === 0) return;
+
+          const merged = mergeRecords(kept, removed);
+          store.put(merged);
+          writePostings(transaction.objectStore(STORES.SEARCH_INDEX), keepId, tokenizeRetweet(kept), tokenizeRetweet(merged));
+
+          for (const record of removed) {
+            moveToTrash(transaction, record, deletedAt);
+          }
+
+          const removedIds = removed.map(record => record.id);
+          transaction.objectStore(STORES.COLLECTIONS).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const itemIds = replaceItems(cursor.value.item_ids, removedIds, keepId);
+            if (itemIds !== cursor.value.item_ids) cursor.update({ ...cursor.value, item_ids: itemIds });
+            cursor.continue();
+          };
+          result = { kept, merged, removed };
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Page through matches newest first: platform and dates walk the captured_at
+  // indexes, tags/author/source come from their indexes, the rest are checked
+  // per record (recordFilter). A cursor (previous nextCursor) takes precedence over page.
+  async filterRetweets(filters = {}, { page = 1, pageSize = 50, cursor = null, sortOrder = 'desc' } = {}) {
+    const ids = await this.getFilterIds(filters);
+    const descending = sortOrder !== 'asc';
+    const matchesRecord = recordFilter(filters);
+    const checkRecords = matchesRecord !== null;
+    // Without per-record checks the index count is the total, so the walk can stop after the page
+    const walkAll = ids !== null || checkRecords;
+    const empty = { items: [], total: 0, page, pageSize, totalPages: 0, nextCursor: null };
+
+    const bounds = captureBounds(filters);
+    if (!bounds || ids?.size === 0) return empty;
+
+    // A walk that stops after the page can start at the cursor instead of skipping to it
+    let walkBounds = bounds;
+    if (cursor && !walkAll) {
+      walkBounds = descending
+        ? { ...bounds, upper: cursor.captured_at < bounds.upper ? cursor.captured_at : bounds.upper }
+        : { ...bounds, lower: cursor.captured_at > bounds.lower ? cursor.captured_at : bounds.lower };
+      if (walkBounds.lower > walkBounds.upper) return empty;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const { index, range } = captureRange(store, filters.platform, walkBounds);
+      const isAfterCursor = (capturedAt, id) => {
+        if (!cursor) return true;
+        if (capturedAt !== cursor.captured_at) return descending ? capturedAt < cursor.captured_at : capturedAt > cursor.captured_at;
+        return descending ? id < cursor.id : id > cursor.id;
+      };
+
+      const items = [];
+      let total = 0;
+      let skip = cursor ? 0 : (page - 1) * pageSize;
+      let hasMore = false;
+
+      if (!walkAll) {
+        const countRequest = index.count(captureRange(store, filters.platform, bounds).range);
+        countRequest.onsuccess = () => { total = countRequest.result; };
+      }
+
+      // Key cursors skip loading records; pages are read once the walk is done
+      const direction = descending ? 'prev' : 'next';
+      const request = checkRecords ? index.openCursor(range, direction) : index.openKeyCursor(range, direction);
+      const loadPage = () => {
+        if (checkRecords) return;
+        items.forEach((id, i) => {
+          store.get(id).onsuccess = (event) => { items[i] = event.target.result; };
+        });
+      };
+
+      request.onsuccess = (event) => {
+        const entry = event.target.result;
+        if (!entry) {
+          loadPage();
+          return;
+        }
+
+        const id = entry.primaryKey;
+        const capturedAt = filters.platform ? entry.key[1] : entry.key;
+        const matches = (!ids || ids.has(id)) &&
+          (!checkRecords || matchesRecord(entry.value));
+
+        if (matches) {
+          if (walkAll) total++;
+
+          if (!isAfterCursor(capturedAt, id)) {
+            // Already returned on an earlier page
+          } else if (skip > 0) {
+            skip--;
+          } else if (items.length < pageSize) {
+            items.push(checkRecords ? entry.value : id);
+          } else {
+            hasMore = true;
+            if (!walkAll) {
+              loadPage();
+              return;
+            }
+          }
+        }
+
+        entry.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => {
+        const last = items[items.length - 1];
+        resolve({
+          items,
+          total,
+          page,
+          pageSize,
+          totalPages: Math.ceil(total / pageSize),
+          nextCursor: hasMore ? { captured_at: last.captured_at, id: last.id } : null
+        });
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // IDs matching every indexed set filter, or null if none was given
+  async getFilterIds({ tags = [], author = '', source = '', status = '', favorite } = {}) {
+    await this.ready();
+
+    const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+    const store = transaction.objectStore(STORES.RETWEETS);
+
+    // Issue every lookup up front so the transaction stays active
+    const lookups = [];
+    if (tags && tags.length > 0) {
+      lookups.push(collectIndexIds(
+        [store.index('tags'), store.index('auto_tags')],
+        key => tags.some(tag => tagMatchesFilter(key, tag))
+      ));
+    }
+    if (author) {
+      const query = author.replace(/^@/, '').toLowerCase();
+      lookups.push(collectRecordIds(store.index('user_handle'), record =>
+        (record.user_handle || '').toLowerCase().includes(query) ||
+        (record.user_name || '').toLowerCase().includes(query)
+      ));
+    }
+    if (source) {
+      lookups.push(collectIndexIds([store.index('source')], key => key === source));
+    }
+    if (status) {
+      lookups.push(collectIndexIds([store.index('status')], key => key === status));
+    }
+    if (favorite) {
+      lookups.push(collectIndexIds([store.index('favorited_at')], () => true));
+    }
+
+    if (lookups.length === 0) return null;
+
+    const sets = await Promise.all(lookups);
+    return sets.reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id))));
+  }
+
+  // Counted from index keys, without loading records
+  async getStats() {
+    await this.ready();
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const stats = { total: 0, today: 0, bySource: {}, byTag: {}, byStatus: {}, favorites: 0, unsynced: 0 };
+      let synced = 0;
+
+      const totalRequest = store.count();
+      totalRequest.onsuccess = () => { stats.total = totalRequest.result; };
+
+      const todayRequest = store.index('captured_at').count(IDBKeyRange.lowerBound(today.toISOString()));
+      todayRequest.onsuccess = () => { stats.today = todayRequest.result; };
+
+      // Unsynced records have a null synced_at, which is left out of the index
+      const syncedRequest = store.index('synced_at').count();
+      syncedRequest.onsuccess = () => { synced = syncedRequest.result; };
+
+      // Only favorites have a favorited_at in the index
+      const favoritesRequest = store.index('favorited_at').count();
+      favoritesRequest.onsuccess = () => { stats.favorites = favoritesRequest.result; };
+
+      countIndexKeys(store.index('source'), stats.bySource);
+      countIndexKeys(store.index('status'), stats.byStatus);
+      countIndexKeys(store.index('tags'), stats.byTag);
+      countIndexKeys(store.index('auto_tags'), stats.byTag);
+
+      transaction.oncomplete = () => resolve({ ...stats, unsynced: stats.total - synced });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getTrash() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TRASH], 'readonly');
+      const request = transaction.objectStore(STORES.TRASH).index('deleted_at').getAll();
+
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // An item captured again since it was deleted keeps its current record, with
+  // the trashed copy's tags, notes and highlights merged into it
+  async restoreFromTrash(ids) {
+    await this.ready();
+
+    const restored = [];
+    const merged = [];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const trashStore = transaction.objectStore(STORES.TRASH);
+      // Records written here, so two trashed copies of a post merge too
+      const written = new Map();
+
+      for (const id of ids) {
+        const request = trashStore.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+
+          const { deleted_at, ...record } = request.result;
+          const key = [record.tweet_id, record.source];
+          const existingRequest = store.index('tweet_id_source').get(key);
+          existingRequest.onsuccess = () => {
+            const existing = written.get(key.join('\u0000')) || existingRequest.result;
+            const current = existing ? mergeRecords(existing, [record]) : record;
+
+            store.put(current);
+            writePostings(indexStore, current.id, existing ? tokenizeRetweet(existing) : [], tokenizeRetweet(current));
+            trashStore.delete(id);
+            written.set(key.join('\u0000'), current);
+
+            if (existing) {
+              merged.push({ previous: existing, current });
+            } else {
+              restored.push(record);
+            }
+          };
+        };
+      }
+
+      transaction.oncomplete = () => resolve({ restored, merged });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Deletes the given ids, items trashed before a date, or the whole trash
+  async purgeTrash({ ids = null, before = null } = {}) {
+    await this.ready();
+
+    let purged = 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TRASH], 'readwrite');
+      const store = transaction.objectStore(STORES.TRASH);
+
+      if (ids) {
+        for (const id of ids) {
+          const request = store.getKey(id);
+          request.onsuccess = () => {
+            if (request.result === undefined) return;
+            store.delete(id);
+            purged++;
+          };
+        }
+      } else {
+        const range = before ? IDBKeyRange.upperBound(before, true) : null;
+        store.index('deleted_at').openCursor(range).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          purged++;
+          cursor.continue();
+        };
+      }
+
+      transaction.oncomplete = () => resolve(purged);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getSetting(key, defaultValue = null) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
+      const store = transaction.objectStore(STORES.SETTINGS);
+      const request = store.get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result?.value ?? defaultValue);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async setSetting(key, value) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SETTINGS], 'readwrite');
+      const store = transaction.objectStore(STORES.SETTINGS);
+      const request = store.put({ key, value });
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllSettings() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
+      const store = transaction.objectStore(STORES.SETTINGS);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const settings = {};
+        for (const item of request.result || []) {
+          settings[item.key] = item.value;
+        }
+        resolve(settings);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getCategories() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.CATEGORIES], 'readonly');
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const categories = {};
+        const results = request.result || [];
+
+        const source = results.length === 0
+          ? Object.entries(DEFAULT_CATEGORIES).map(([name, category]) => ({ name, ...category }))
+          : results;
+
+        for (const cat of source) {
+          categories[cat.name] = normalizeCategory(cat);
+        }
+        resolve(categories);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async setCategory(name, keywords, { exclude = [], weights = {}, threshold = 0, parent = null } = {}) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.put({ name, keywords, exclude, weights, threshold, parent });
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteCategory(name) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.delete(name);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async reparentCategories(from, to) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.openCursor();
+      let moved = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        if (cursor.value.parent === from) {
+          cursor.update({ ...cursor.value, parent: to });
+          moved++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve(moved);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async initDefaultCategories() {
+    for (const [name, category] of Object.entries(DEFAULT_CATEGORIES)) {
+      await this.setCategory(name, category.keywords, category);
+    }
+  }
+
+  async getTagRules() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readonly');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.index('created_at').getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create or update an auto-tag rule
+   * @param {Object} rule - Rule definition (without id to create)
+   * @returns {Object} Saved rule
+   */
+  async saveTagRule(rule) {
+    await this.ready();
+
+    const now = new Date().toISOString();
+    const record = {
+      id: rule.id || generateId(),
+      name: rule.name.trim(),
+      enabled: rule.enabled !== false,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: rule.conditions,
+      tags: rule.tags.map(t => t.trim()).filter(t => t.length > 0),
+      created_at: rule.created_at || now,
+      updated_at: now
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readwrite');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.put(record);
+
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete an auto-tag rule
+   * @param {string} id - Rule ID
+   */
+  async deleteTagRule(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readwrite');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // One transaction over records, rules and colors; the snapshot backs UNDO_TAG_CHANGE
+  async replaceTags(fromTags, toTag, description) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.SETTINGS],
+        'readwrite'
+      );
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const settingsStore = transaction.objectStore(STORES.SETTINGS);
+      const undo = { description, created_at: new Date().toISOString(), records: [], rules: [], colors: {} };
+      const changes = [];
+
+      // The snapshot is written once every store has been walked
+      let pending = 3;
+      const finish = () => {
+        pending--;
+        if (pending === 0) settingsStore.put({ key: TAG_MANAGER_OPTIONS.undoKey, value: undo });
+      };
+
+      const retweetsRequest = transaction.objectStore(STORES.RETWEETS).openCursor();
+      retweetsRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return finish();
+
+        const previous = cursor.value;
+        const change = applyTagChange(previous, fromTags, toTag);
+        if (change) {
+          const current = { ...previous, ...change };
+          cursor.update(current);
+          writePostings(indexStore, current.id, tokenizeRetweet(previous), tokenizeRetweet(current));
+          undo.records.push({
+            id: previous.id,
+            tags: previous.tags || [],
+            auto_tags: previous.auto_tags || [],
+            learned_tags: previous.learned_tags || []
+          });
+          changes.push({ previous, current });
+        }
+        cursor.continue();
+      };
+
+      const rulesRequest = transaction.objectStore(STORES.TAG_RULES).openCursor();
+      rulesRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return finish();
+
+        if (cursor.value.tags.some(tag => replaceTagPath(tag, fromTags, toTag) !== tag)) {
+          undo.rules.push(cursor.value);
+          cursor.update({ ...cursor.value, tags: replaceTags(cursor.value.tags, fromTags, toTag) });
+        }
+        cursor.continue();
+      };
+
+      const colorsRequest = settingsStore.get(TAG_MANAGER_OPTIONS.colorsKey);
+      colorsRequest.onsuccess = () => {
+        const colors = { ...(colorsRequest.result?.value || {}) };
+        undo.colors = { ...colors };
+
+        // The target keeps its own color, otherwise it takes the first source's
+        const inherited = fromTags.map(tag => colors[tag]).find(Boolean);
+        for (const tag of fromTags) delete colors[tag];
+        if (toTag && !colors[toTag] && inherited) colors[toTag] = inherited;
+
+        // Nested tags keep their colors at their new paths
+        for (const tag of Object.keys(colors)) {
+          const replaced = replaceTagPath(tag, fromTags, toTag);
+          if (replaced === tag) continue;
+          if (replaced && !colors[replaced]) colors[replaced] = colors[tag];
+          delete colors[tag];
+        }
+
+        settingsStore.put({ key: TAG_MANAGER_OPTIONS.colorsKey, value: colors });
+        finish();
+      };
+
+      transaction.oncomplete = () => resolve({ updated: changes.length, changes });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Records deleted since the change are skipped
+  async undoTagChange() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.SETTINGS],
+        'readwrite'
+      );
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const rulesStore = transaction.objectStore(STORES.TAG_RULES);
+      const settingsStore = transaction.objectStore(STORES.SETTINGS);
+      const changes = [];
+      let undo = null;
+
+      const undoRequest = settingsStore.get(TAG_MANAGER_OPTIONS.undoKey);
+      undoRequest.onsuccess = () => {
+        undo = undoRequest.result?.value;
+        if (!undo) {
+          transaction.abort();
+          return;
+        }
+
+        for (const snapshot of undo.records) {
+          const request = store.get(snapshot.id);
+          request.onsuccess = () => {
+            const previous = request.result;
+            if (!previous) return;
+
+            const current = { ...previous, ...snapshot };
+            store.put(current);
+            writePostings(indexStore, current.id, tokenizeRetweet(previous), tokenizeRetweet(current));
+            changes.push({ previous, current });
+          };
+        }
+
+        for (const rule of undo.rules) {
+          const request = rulesStore.get(rule.id);
+          request.onsuccess = () => {
+            if (request.result) rulesStore.put(rule);
+          };
+        }
+
+        settingsStore.put({ key: TAG_MANAGER_OPTIONS.colorsKey, value: undo.colors });
+        settingsStore.delete(TAG_MANAGER_OPTIONS.undoKey);
+      };
+
+      transaction.oncomplete = () => resolve({ description: undo.description, restored: changes.length, changes });
+      transaction.onabort = () => reject(transaction.error || new Error('Nothing to undo'));
+    });
+  }
+
+  async saveSearch(search) {
+    await this.ready();
+
+    const record = {
+      id: generateId(),
+      name: search.name,
+      query: search.query || '',
+      filters: search.filters || {},
+      watch: !!search.watch,
+      unread: 0,
+      last_match_at: null,
+      created_at: new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const request = store.add(record);
+
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSavedSearches() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readonly');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async updateSavedSearch(id, updates) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) {
+          reject(new Error('Saved search not found'));
+          return;
+        }
+        updated = { ...request.result, ...updates, id };
+        store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async recordSavedSearchMatches(ids) {
+    await this.ready();
+
+    // Read and increment in one transaction so concurrent captures never lose a count
+    const matchedAt = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const updated = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          const search = {
+            ...request.result,
+            unread: (request.result.unread || 0) + 1,
+            last_match_at: matchedAt
+          };
+          store.put(search);
+          updated.push(search);
+        };
+      }
+
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteSavedSearch(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ---------- Collections ----------
+
+  // In manual order, each with `count`: how many of its items still exist
+  async getCollections() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS, STORES.RETWEETS], 'readonly');
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      const request = transaction.objectStore(STORES.COLLECTIONS).index('position').getAll();
+      let collections = [];
+
+      request.onsuccess = () => {
+        collections = request.result.map(collection => ({ ...collection, count: 0 }));
+        for (const collection of collections) {
+          for (const id of collection.item_ids) {
+            retweetsStore.getKey(id).onsuccess = (event) => {
+              if (event.target.result !== undefined) collection.count++;
+            };
+          }
+        }
+      };
+      transaction.oncomplete = () => resolve(collections);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getCollection(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readonly');
+      const request = transaction.objectStore(STORES.COLLECTIONS).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Creates (at the end of the list) or renames/redescribes; names are unique ignoring case
+  async saveCollection(collection) {
+    await this.ready();
+
+    const fields = normalizeCollection(collection);
+    const now = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.getAll();
+      let saved = null;
+
+      request.onsuccess = () => {
+        const existing = collection.id ? request.result.find(c => c.id === collection.id) : null;
+        if (collection.id && !existing) {
+          reject(new Error('Collection not found'));
+          return;
+        }
+
+        const nameTaken = request.result.some(c => c.id !== collection.id && c.name.toLowerCase() === fields.name.toLowerCase());
+        if (nameTaken) {
+          reject(new Error(`A collection named "${fields.name}" already exists`));
+          return;
+        }
+
+        saved = existing
+          ? { ...existing, ...fields, updated_at: now }
+          : {
+            id: generateId(),
+            ...fields,
+            item_ids: [],
+            position: Math.max(-1, ...request.result.map(c => c.position)) + 1,
+            created_at: now,
+            updated_at: now
+          };
+        store.put(saved);
+      };
+      transaction.oncomplete = () => resolve(saved);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // change(item_ids) returns the new item list
+  async updateCollectionItems(id, change) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) {
+          reject(new Error('Collection not found'));
+          return;
+        }
+        updated = { ...request.result, item_ids: change(request.result.item_ids), updated_at: new Date().toISOString() };
+        store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Collections left out keep their relative order after the listed ones
+  async reorderCollections(ids) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.index('position').getAll();
+      let ordered = [];
+
+      request.onsuccess = () => {
+        const rank = id => (ids.includes(id) ? ids.indexOf(id) : ids.length);
+        ordered = [...request.result]
+          .sort((a, b) => rank(a.id) - rank(b.id))
+          .map((collection, position) => ({ ...collection, position }));
+        for (const collection of ordered) store.put(collection);
+      };
+      transaction.oncomplete = () => resolve(ordered);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteCollection(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const request = transaction.objectStore(STORES.COLLECTIONS).delete(id);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // A page of the collection in its manual order; deleted or trashed items are skipped
+  async getCollectionItems(id, { page = 1, pageSize = 50 } = {}) {
+    await this.ready();
+
+    const collection = await this.getCollection(id);
+    if (!collection) throw new Error('Collection not found');
+
+    const presentIds = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const present = [];
+
+      for (const itemId of collection.item_ids) {
+        store.getKey(itemId).onsuccess = (event) => {
+          if (event.target.result !== undefined) present.push(itemId);
+        };
+      }
+      transaction.oncomplete = () => resolve(present);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const start = (page - 1) * pageSize;
+    const items = await this.getRetweetsByIds(presentIds.slice(start, start + pageSize));
+
+    return {
+      collection: { ...collection, count: presentIds.length },
+      items,
+      total: presentIds.length,
+      page,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(presentIds.length / pageSize))
+    };
+  }
+
+  async exportAll() {
+    const retweets = await this.getAllRetweets();
+    const settings = await this.getAllSettings();
+    const categories = await this.getCategories();
+    const savedSearches = await this.getSavedSearches();
+    const tagRules = await this.getTagRules();
+    const collections = (await this.getCollections()).map(({ count, ...collection }) => collection);
+
+    return {
+      version: DB_VERSION,
+      exported_at: new Date().toISOString(),
+      retweets,
+      settings,
+      categories,
+      savedSearches,
+      tagRules,
+      collections
+    };
+  }
+
+  // Keys already stored, for planning a backup restore
+  async getBackupKeys() {
+    await this.ready();
+
+    const transaction = this.db.transaction(
+      [STORES.RETWEETS, STORES.SETTINGS, STORES.CATEGORIES, STORES.SAVED_SEARCHES, STORES.TAG_RULES, STORES.COLLECTIONS],
+      'readonly'
+    );
+    const getKeys = (storeName) => new Promise((resolve, reject) => {
+      const request = transaction.objectStore(storeName).getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // The tweet_id_source index keys are what the unique constraint checks
+    const retweets = new Promise((resolve, reject) => {
+      const keys = [];
+      const request = transaction.objectStore(STORES.RETWEETS).index('tweet_id_source').openKeyCursor();
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return resolve(keys);
+
+        const [tweet_id, source] = cursor.key;
+        keys.push({ id: cursor.primaryKey, tweet_id, source });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    const [retweetKeys, settings, categories, savedSearches, tagRules, collections] = await Promise.all([
+      retweets,
+      getKeys(STORES.SETTINGS),
+      getKeys(STORES.CATEGORIES),
+      getKeys(STORES.SAVED_SEARCHES),
+      getKeys(STORES.TAG_RULES),
+      getKeys(STORES.COLLECTIONS)
+    ]);
+
+    return { retweets: retweetKeys, settings, categories, savedSearches, tagRules, collections };
+  }
+
+  // Replace mode clears every store in the same transaction, so a failed restore changes nothing
+  async restoreBackup(plan) {
+    await this.ready();
+
+    const storeNames = {
+      retweets: STORES.RETWEETS,
+      settings: STORES.SETTINGS,
+      categories: STORES.CATEGORIES,
+      savedSearches: STORES.SAVED_SEARCHES,
+      tagRules: STORES.TAG_RULES,
+      collections: STORES.COLLECTIONS
+    };
+
+    const summary = {};
+    for (const [name, counts] of Object.entries(plan.summary)) {
+      summary[name] = { ...counts, conflicts: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([...Object.values(storeNames), STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+
+      if (plan.mode === 'replace') {
+        for (const storeName of [...Object.values(storeNames), STORES.SEARCH_INDEX, STORES.SEARCH_TERMS]) {
+          transaction.objectStore(storeName).clear();
+        }
+      }
+
+      for (const [name, storeName] of Object.entries(storeNames)) {
+        const store = transaction.objectStore(storeName);
+        for (const record of plan.records[name] || []) {
+          const request = store.put(record);
+          if (name === 'retweets') {
+            request.onsuccess = () => writePostings(indexStore, record.id, [], tokenizeRetweet(record));
+          }
+          // A record clashing on a unique index is skipped instead of aborting the restore
+          request.onerror = (event) => {
+            if (request.error?.name !== 'ConstraintError') return;
+            event.preventDefault();
+            event.stopPropagation();
+            summary[name].conflicts++;
+          };
+        }
+      }
+
+      transaction.oncomplete = () => resolve(summary);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Captures, trashed ones included, can be limited by platform and an inclusive
+  // captured_at date range; cleared categories fall back to the defaults
+  async clearData(scope = {}, { preview = false } = {}) {
+    await this.ready();
+
+    const storeNames = [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH, STORES.SETTINGS, STORES.CATEGORIES, STORES.SAVED_SEARCHES, STORES.TAG_RULES, STORES.COLLECTIONS];
+    const counts = { captures: 0, trash: 0, settings: 0, categories: 0, savedSearches: 0, tagRules: 0, collections: 0 };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, preview ? 'readonly' : 'readwrite');
+
+      const clearStore = (storeName, countKey) => {
+        const store = transaction.objectStore(storeName);
+        const request = store.count();
+        request.onsuccess = () => {
+          counts[countKey] = request.result;
+          if (!preview) store.clear();
+        };
+      };
+
+      if (scope.captures) {
+        const store = transaction.objectStore(STORES.RETWEETS);
+        const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+
+        if (!scope.platform && !scope.startDate && !scope.endDate) {
+          clearStore(STORES.RETWEETS, 'captures');
+          clearStore(STORES.TRASH, 'trash');
+          if (!preview) {
+            indexStore.clear();
+            transaction.objectStore(STORES.SEARCH_TERMS).clear();
+          }
+        } else {
+          const trashRequest = transaction.objectStore(STORES.TRASH).openCursor();
+          trashRequest.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            if (isInClearScope(cursor.value, scope)) {
+              counts.trash++;
+              if (!preview) cursor.delete();
+            }
+            cursor.continue();
+          };
+
+          const request = store.openCursor();
+          request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            if (isInClearScope(cursor.value, scope)) {
+              counts.captures++;
+              if (!preview) {
+                cursor.delete();
+                const keysRequest = indexStore.index('id').getAllKeys(cursor.value.id);
+                keysRequest.onsuccess = () => {
+                  for (const key of keysRequest.result) indexStore.delete(key);
+                };
+              }
+            }
+            cursor.continue();
+          };
+        }
+      }
+
+      if (scope.settings) clearStore(STORES.SETTINGS, 'settings');
+      if (scope.categories) clearStore(STORES.CATEGORIES, 'categories');
+      if (scope.savedSearches) clearStore(STORES.SAVED_SEARCHES, 'savedSearches');
+      if (scope.tagRules) clearStore(STORES.TAG_RULES, 'tagRules');
+      if (scope.collections) clearStore(STORES.COLLECTIONS, 'collections');
+
+      transaction.oncomplete = () => resolve(counts);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearAll() {
+    await this.ready();
+
+    const stores = [STORES.RETWEETS, STORES.SETTINGS, STORES.SAVED_SEARCHES, STORES.CATEGORIES, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.TRASH, STORES.COLLECTIONS];
+
+    for (const storeName of stores) {
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.clear();
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+  }
+}
+
+// Capture scope for clearData: platform and inclusive captured_at dates
+function isInClearScope(retweet, { platform, startDate, endDate }) {
+  if (platform && (retweet.platform || 'twitter') !== platform) return false;
+
+  const capturedAt = new Date(retweet.captured_at);
+  if (startDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    if (capturedAt < start) return false;
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    if (capturedAt > end) return false;
+  }
+
+  return true;
+}
+
+// captured_at bounds for a filter's date range, or null if it is empty
+function captureBounds({ startDate, endDate }) {
+  const toTime = (value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date "${value}"`);
+    return date.toISOString();
+  };
+
+  const lower = startDate ? toTime(startDate) : '';
+  const upper = endDate ? toTime(endDate) : '\uffff';
+  return lower <= upper ? { lower, upper } : null;
+}
+
+// Check for the filters no index covers, or null if there is nothing to check
+function recordFilter({ hasMedia, hasLink, hasNote, hasHighlight, favorite, excludeTags = [], excludeAuthors = [] }) {
+  const checks = [];
+
+  if (hasMedia !== undefined) {
+    checks.push(record => (record.media?.length > 0) === hasMedia);
+  }
+  if (hasLink !== undefined) {
+    checks.push(record => (record.urls?.length > 0 || !!record.card) === hasLink);
+  }
+  if (hasNote !== undefined) {
+    checks.push(record => !!record.note?.trim() === hasNote);
+  }
+  if (hasHighlight !== undefined) {
+    checks.push(record => (record.highlights?.length > 0) === hasHighlight);
+  }
+  // Favorites are looked up in the favorited_at index; the rest are not in it
+  if (favorite === false) {
+    checks.push(record => !record.favorited_at);
+  }
+  if (excludeTags && excludeTags.length > 0) {
+    checks.push(record => ![...(record.tags || []), ...(record.auto_tags || [])]
+      .some(key => excludeTags.some(tag => tagMatchesFilter(key, tag))));
+  }
+  if (excludeAuthors && excludeAuthors.length > 0) {
+    const queries = excludeAuthors.map(author => author.replace(/^@/, '').toLowerCase());
+    checks.push(record => !queries.some(query =>
+      (record.user_handle || '').toLowerCase().includes(query) ||
+      (record.user_name || '').toLowerCase().includes(query)
+    ));
+  }
+
+  return checks.length > 0 ? record => checks.every(check => check(record)) : null;
+}
+
+// Index and key range covering captured_at bounds
+function captureRange(store, platform, { lower, upper }) {
+  if (platform) {
+    return {
+      index: store.index('platform_captured_at'),
+      range: IDBKeyRange.bound([platform, lower], [platform, upper])
+    };
+  }
+
+  return { index: store.index('captured_at'), range: IDBKeyRange.bound(lower, upper) };
+}
+
+// Primary keys filed under every matching index key, walking distinct keys only
+function collectIndexIds(indexes, matchKey) {
+  return new Promise((resolve, reject) => {
+    const ids = new Set();
+    let pending = indexes.length;
+    const done = () => {
+      pending--;
+      if (pending === 0) resolve(ids);
+    };
+
+    for (const index of indexes) {
+      const request = index.openKeyCursor(null, 'nextunique');
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          done();
+          return;
+        }
+
+        if (typeof cursor.key === 'string' && matchKey(cursor.key)) {
+          pending++;
+          const keysRequest = index.getAllKeys(IDBKeyRange.only(cursor.key));
+          keysRequest.onsuccess = () => {
+            keysRequest.result.forEach(id => ids.add(id));
+            done();
+          };
+          keysRequest.onerror = () => reject(keysRequest.error);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+// Primary keys of the records an index walk matches, checked one at a time
+function collectRecordIds(index, matchRecord) {
+  return new Promise((resolve, reject) => {
+    const ids = new Set();
+    const request = index.openCursor();
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(ids);
+        return;
+      }
+
+      if (matchRecord(cursor.value)) ids.add(cursor.primaryKey);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Count the entries under each key of an index
+function countIndexKeys(index, counts) {
+  index.openKeyCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+    cursor.continue();
+  };
+}
+
+// ==================== IMPORTER FUNCTIONS ====================
+
+function cleanRetweetText(text) {
+  if (!text) return '';
+  return text.replace(/^RT @\w+:\s*/, '').trim();
+}
+
+function parseCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current);
+  return values;
+}
+
+// Whole CSV text into rows; quoted values may hold commas and line breaks. Blank lines stay as [''].
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let current = '';
+  let inQuotes = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(current);
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(current);
+      rows.push(row);
+      row = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current || row.length > 0) {
+    row.push(current);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Dataset named in an archive file's window.YTD assignment
+const ARCHIVE_DATASETS = {
+  tweets: 'tweets',
+  tweet: 'tweets',
+  like: 'like',
+  bookmark: 'bookmark',
+  bookmarks: 'bookmark'
+};
+
+// One archive file: window.YTD.<dataset>.partN = [...], or a bare JSON array
+function parseArchiveFile(data) {
+  const text = String(data || '').replace(/^\uFEFF/, '').trim();
+  const assignment = text.match(/^window\.YTD\.(\w+)\.part\d+\s*=\s*/);
+  let dataset = null;
+  let json = text;
+
+  if (assignment) {
+    dataset = ARCHIVE_DATASETS[assignment[1]];
+    if (!dataset) {
+      throw new Error(`Unsupported archive file (${assignment[1]}.js)`);
+    }
+    json = text.substring(assignment[0].length);
+  } else if (!text.startsWith('[')) {
+    throw new Error('Unrecognized archive format');
+  }
+
+  let items;
+  try {
+    items = JSON.parse(json.replace(/;\s*$/, ''));
+  } catch (error) {
+    throw new Error('Archive file is not valid JSON');
+  }
+  if (!Array.isArray(items)) {
+    throw new Error('Archive file does not contain a list');
+  }
+
+  if (!dataset) {
+    const first = items[0] || {};
+    dataset = first.like ? 'like' : first.bookmark ? 'bookmark' : 'tweets';
+  }
+
+  return { dataset, items };
+}
+
+// Records from one or more archive files; a post in several datasets becomes one record
+function parseArchive(files, autoTag = () => []) {
+  const list = Array.isArray(files) ? files : [files];
+  if (list.length === 0) {
+    throw new Error('No archive files given');
+  }
+
+  const records = new Map();
+
+  for (const file of list) {
+    const { dataset, items } = parseArchiveFile(file);
+
+    for (const item of items) {
+      const record = dataset === 'tweets' ? archivePostRecord(item) : archiveSavedRecord(item, dataset);
+      if (!record) continue;
+
+      const existing = records.get(record.tweet_id);
+      if (existing) {
+        mergeArchiveRecord(existing, record);
+      } else {
+        records.set(record.tweet_id, record);
+      }
+    }
+  }
+
+  const retweets = [...records.values()];
+  const actions = {};
+
+  for (const record of retweets) {
+    record.auto_tags = autoTag(`${record.text} ${record.quoted_text}`);
+    for (const action of record.actions) {
+      actions[action] = (actions[action] || 0) + 1;
+    }
+  }
+
+  return { retweets, actions };
+}
+
+// Retweets and quotes from tweets.js
+function archivePostRecord(item) {
+  const tweet = item?.tweet || item;
+  if (!tweet || typeof tweet !== 'object') return null;
+
+  const text = tweet.full_text || tweet.text || '';
+  const isRetweet = Boolean(tweet.retweeted_status || text.startsWith('RT @'));
+  const isQuote = Boolean(tweet.is_quote_status || tweet.quoted_status);
+  const tweetId = String(tweet.id_str || tweet.id || '');
+
+  if ((!isRetweet && !isQuote) || !tweetId) return null;
+
+  let userHandle = '';
+  let userName = '';
+
+  if (tweet.retweeted_status) {
+    userHandle = tweet.retweeted_status.user?.screen_name || '';
+    userName = tweet.retweeted_status.user?.name || '';
+  } else if (text.startsWith('RT @')) {
+    const match = text.match(/^RT @(\w+):/);
+    if (match) userHandle = match[1];
+  }
+
+  const media = [];
+  const entities = tweet.extended_entities || tweet.entities;
+
+  for (const m of entities?.media || []) {
+    media.push({
+      type: m.type === 'photo' ? 'image' : m.type,
+      url: m.media_url_https || m.media_url,
+      thumb_url: m.media_url_https || m.media_url
+    });
+  }
+
+  const actions = [];
+  if (isRetweet) actions.push(CAPTURE_ACTIONS.RETWEET);
+  if (isQuote) actions.push(CAPTURE_ACTIONS.QUOTE);
+
+  return {
+    tweet_id: tweetId,
+    user_handle: userHandle,
+    user_name: userName,
+    text: cleanRetweetText(text),
+    quoted_text: tweet.quoted_status?.full_text || tweet.quoted_status?.text || '',
+    quoted_author: tweet.quoted_status?.user?.screen_name || '',
+    media,
+    original_created_at: tweet.created_at ? new Date(tweet.created_at).toISOString() : null,
+    source: SOURCES.ARCHIVE,
+    source_url: userHandle ? `https://x.com/${userHandle}/status/${tweetId}` : '',
+    actions,
+    raw_payload: tweet
+  };
+}
+
+// Entries in like.js and bookmark.js: the post ID, and its text where the archive has it
+function archiveSavedRecord(item, dataset) {
+  const entry = item?.[dataset] || item;
+  const tweetId = String(entry?.tweetId || entry?.tweet_id || '');
+  if (!/^\d+$/.test(tweetId)) return null;
+
+  const url = typeof entry.expandedUrl === 'string' ? entry.expandedUrl : '';
+  const handle = url.match(/^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/(\w+)\/status\//);
+  const userHandle = handle && handle[1] !== 'i' ? handle[1] : '';
+
+  return {
+    tweet_id: tweetId,
+    user_handle: userHandle,
+    user_name: '',
+    text: entry.fullText || '',
+    quoted_text: '',
+    quoted_author: '',
+    media: [],
+    original_created_at: null,
+    source: SOURCES.ARCHIVE,
+    source_url: `https://x.com/${userHandle || 'i/web'}/status/${tweetId}`,
+    actions: [dataset === 'like' ? CAPTURE_ACTIONS.LIKE : CAPTURE_ACTIONS.BOOKMARK],
+    raw_payload: entry
+  };
+}
+
+// Posts from tweets.js carry the most detail, so their fields win; actions are combined
+function mergeArchiveRecord(target, record) {
+  const richer = record.actions.some(action => action === CAPTURE_ACTIONS.RETWEET || action === CAPTURE_ACTIONS.QUOTE);
+  const actions = [...new Set([...target.actions, ...record.actions])];
+
+  if (richer) {
+    Object.assign(target, record);
+  } else {
+    for (const field of ['user_handle', 'text']) {
+      if (!target[field] && record[field]) target[field] = record[field];
+    }
+  }
+  target.actions = actions;
+}
+
+async function importArchive(data) {
+  try {
+    const categories = await db.getCategories();
+    const { retweets, actions } = parseArchive(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No retweets, quotes, likes or bookmarks found in archive');
+    }
+
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('Archive import error:', error);
+    throw new Error(`Failed to parse archive: ${error.message}`);
+  }
+}
+
+async function importCSV(data) {
+  try {
+    const lines = data.split('\n');
+    if (lines.length < 2) {
+      throw new Error('CSV file is empty or has no data rows');
+    }
+
+    const header = parseCSVLine(lines[0]);
+    const requiredColumns = ['tweet_id', 'text'];
+    const headerLower = header.map(h => h.toLowerCase().trim());
+
+    for (const col of requiredColumns) {
+      if (!headerLower.includes(col)) {
+        throw new Error(`Missing required column: ${col}`);
+      }
+    }
+
+    const indices = {
+      tweet_id: headerLower.indexOf('tweet_id'),
+      user_handle: headerLower.indexOf('user_handle') !== -1 ? headerLower.indexOf('user_handle') : headerLower.indexOf('author'),
+      user_name: headerLower.indexOf('user_name') !== -1 ? headerLower.indexOf('user_name') : headerLower.indexOf('name'),
+      text: headerLower.indexOf('text') !== -1 ? headerLower.indexOf('text') : headerLower.indexOf('content'),
+      date: headerLower.indexOf('date') !== -1 ? headerLower.indexOf('date') : headerLower.indexOf('created_at'),
+      url: headerLower.indexOf('url') !== -1 ? headerLower.indexOf('url') : headerLower.indexOf('source_url'),
+      tags: headerLower.indexOf('tags')
+    };
+
+    const categories = await db.getCategories();
+    const retweets = [];
+
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+
+      const values = parseCSVLine(line);
+      if (values.length < 2) continue;
+
+      const tweetId = values[indices.tweet_id]?.trim();
+      const text = values[indices.text]?.trim();
+
+      if (!tweetId || !text) continue;
+
+      const userHandle = indices.user_handle !== -1 ? values[indices.user_handle]?.trim() : '';
+      const userName = indices.user_name !== -1 ? values[indices.user_name]?.trim() : '';
+      const date = indices.date !== -1 ? values[indices.date]?.trim() : '';
+      const url = indices.url !== -1 ? values[indices.url]?.trim() : '';
+      const tags = indices.tags !== -1 ? values[indices.tags]?.split(',').map(t => t.trim()).filter(t => t) : [];
+
+      const autoTags = suggestTags(text, categories);
+
+      retweets.push({
+        tweet_id: tweetId,
+        user_handle: userHandle.replace('@', ''),
+        user_name: userName,
+        text: text,
+        quoted_text: '',
+        quoted_author: '',
+        media: [],
+        original_created_at: date ? new Date(date).toISOString() : null,
+        source: SOURCES.CSV,
+        source_url: url || (userHandle ? `https://x.com/${userHandle.replace('@', '')}/status/${tweetId}` : ''),
+        tags: tags,
+        auto_tags: autoTags
+      });
+    }
+
+    if (retweets.length === 0) {
+      throw new Error('No valid retweets found in CSV');
+    }
+
+    const result = await db.addRetweets(retweets);
+    learnTags(result.results.map(current => ({ previous: null, current }))).catch(console.error);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length
+    };
+  } catch (error) {
+    console.error('CSV import error:', error);
+    throw new Error(`Failed to parse CSV: ${error.message}`);
+  }
+}
+
+async function importNitter(url) {
+  try {
+    if (!url.includes('/rss') && !url.includes('rss.')) {
+      throw new Error('Invalid Nitter RSS URL. Expected format: https://nitter.net/username/rss');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch RSS feed: ${response.status}`);
+    }
+
+    const xml = await response.text();
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(xml, 'application/xml');
+
+    const items = doc.querySelectorAll('item');
+    if (items.length === 0) {
+      throw new Error('No items found in RSS feed');
+    }
+
+    const categories = await db.getCategories();
+    const retweets = [];
+
+    for (const item of items) {
+      const title = item.querySelector('title')?.textContent || '';
+      const link = item.querySelector('link')?.textContent || '';
+      const description = item.querySelector('description')?.textContent || '';
+      const pubDate = item.querySelector('pubDate')?.textContent;
+
+      if (!title.startsWith('RT by') && !title.includes('RT @')) continue;
+
+      const tweetIdMatch = link.match(/\/status\/(\d+)/);
+      if (!tweetIdMatch) continue;
+
+      const tweetId = tweetIdMatch[1];
+
+      const authorMatch = link.match(/\/(\w+)\/status/);
+      const userHandle = authorMatch ? authorMatch[1] : '';
+
+      const text = description
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .trim();
+
+      const autoTags = suggestTags(text, categories);
+
+      retweets.push({
+        tweet_id: tweetId,
+        user_handle: userHandle,
+        user_name: '',
+        text: text,
+        quoted_text: '',
+        quoted_author: '',
+        media: [],
+        original_created_at: pubDate ? new Date(pubDate).toISOString() : null,
+        source: SOURCES.NITTER,
+        source_url: link.replace(/nitter\.[^/]+/, 'x.com'),
+        auto_tags: autoTags
+      });
+    }
+
+    if (retweets.length === 0) {
+      throw new Error('No retweets found in RSS feed');
+    }
+
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length
+    };
+  } catch (error) {
+    console.error('Nitter import error:', error);
+    throw new Error(`Failed to import from Nitter: ${error.message}`);
+  }
+}
+
+// ==================== PLATFORM DATA DOWNLOADS ====================
+
+// Instagram post links: /p/, /reel/, /reels/ and /tv/, optionally after the owner's name
+const INSTAGRAM_POST_URL = /^https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(p|reels?|tv)\/([\w-]+)/i;
+
+// TikTok video links: tiktok.com/@user/video/ID, or the tiktokv.com share links in the download
+const TIKTOK_VIDEO_URL = /^https?:\/\/(?:[\w-]+\.)?tiktokv?\.com\/(?:@([\w.-]+)\/video|share\/video|v)\/(\d+)/i;
+
+// Sections of user_data.json with the video lists, by the action they record
+const TIKTOK_SECTIONS = {
+  'Favorite Videos': CAPTURE_ACTIONS.FAVORITE,
+  'Like List': CAPTURE_ACTIONS.LIKE
+};
+
+// What YouTube playlists become: tags on their videos, or collections
+const YOUTUBE_PLAYLIST_MODES = ['tags', 'collections'];
+
+// Names Takeout gives the liked videos playlist
+const YOUTUBE_LIKED_PLAYLIST = /^(liked videos|likes)$/i;
+const YOUTUBE_VIDEO_ID = /^[\w-]{11}$/;
+
+// Instagram "Download your information" (JSON): saved_posts.json and liked_posts.json
+function parseInstagramExport(files, autoTag = () => []) {
+  const records = new Map();
+
+  for (const file of toExportFileList(files)) {
+    const data = parseExportJson(file, 'Instagram');
+    let entries;
+    let action;
+
+    if (Array.isArray(data.saved_saved_media)) {
+      entries = data.saved_saved_media;
+      action = CAPTURE_ACTIONS.SAVE;
+    } else if (Array.isArray(data.likes_media_likes)) {
+      entries = data.likes_media_likes;
+      action = CAPTURE_ACTIONS.LIKE;
+    } else {
+      throw new Error('Unrecognized Instagram file (expected saved_posts.json or liked_posts.json)');
+    }
+
+    for (const entry of entries) {
+      addExportRecord(records, instagramExportRecord(entry, action));
+    }
+  }
+
+  return finishExportRecords(records, autoTag);
+}
+
+// Entries name the owner in `title`; the link and time are in string_map_data (saves) or string_list_data (likes)
+function instagramExportRecord(entry, action) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const values = [
+    ...Object.values(entry.string_map_data || {}),
+    ...(Array.isArray(entry.string_list_data) ? entry.string_list_data : [])
+  ].filter(value => value && typeof value === 'object');
+
+  const link = values.find(value => INSTAGRAM_POST_URL.test(value.href || ''));
+  if (!link) return null;
+
+  const [, match, postId] = link.href.match(INSTAGRAM_POST_URL);
+  const kind = match.toLowerCase().startsWith('reel') ? 'reel' : match.toLowerCase();
+  const postType = kind === 'reel' ? 'reel' : kind === 'tv' ? 'igtv' : 'post';
+  const handle = typeof entry.title === 'string' ? entry.title.trim().replace(/^@/, '') : '';
+  const timestamp = link.timestamp || values.find(value => value.timestamp)?.timestamp;
+
+  return {
+    tweet_id: postId,
+    post_id: postId,
+    post_type: postType,
+    platform: 'instagram',
+    user_handle: handle,
+    user_name: handle,
+    text: '',
+    media: [],
+    original_created_at: null,
+    captured_at: exportTimestampToIso(timestamp),
+    source: SOURCES.INSTAGRAM_EXPORT,
+    source_url: `https://www.instagram.com/${kind}/${postId}/`,
+    actions: [action],
+    raw_payload: entry
+  };
+}
+
+// TikTok "Download your data" (JSON): Favorite Videos and Like List, wherever they sit in user_data.json
+function parseTikTokExport(files, autoTag = () => []) {
+  const records = new Map();
+
+  for (const file of toExportFileList(files)) {
+    const sections = findExportSections(parseExportJson(file, 'TikTok'), Object.keys(TIKTOK_SECTIONS));
+    if (sections.length === 0) {
+      throw new Error('No Favorite Videos or Like List found in the TikTok file');
+    }
+
+    for (const { name, value } of sections) {
+      // Each section holds one list (FavoriteVideoList, ItemFavoriteList)
+      const list = Array.isArray(value) ? value : Object.values(value || {}).find(Array.isArray) || [];
+      for (const entry of list) {
+        addExportRecord(records, tiktokExportRecord(entry, TIKTOK_SECTIONS[name]));
+      }
+    }
+  }
+
+  return finishExportRecords(records, autoTag);
+}
+
+function tiktokExportRecord(entry, action) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const link = String(entry.Link || entry.link || entry.VideoLink || '').trim();
+  const match = link.match(TIKTOK_VIDEO_URL);
+  if (!match) return null;
+
+  const [, handle = '', videoId] = match;
+
+  return {
+    tweet_id: videoId,
+    post_id: videoId,
+    post_type: 'video',
+    platform: 'tiktok',
+    user_handle: handle,
+    user_name: handle,
+    text: '',
+    media: [],
+    original_created_at: null,
+    captured_at: parseExportUtcDate(entry.Date || entry.date),
+    source: SOURCES.TIKTOK_EXPORT,
+    source_url: `https://www.tiktok.com/@${handle}/video/${videoId}`,
+    actions: [action],
+    raw_payload: entry
+  };
+}
+
+// Google Takeout, YouTube: liked videos are likes, other playlists saves; watch history is skipped.
+// Files are { name, text }, as current playlist CSVs ("Road trip-videos.csv") only name the playlist in the file name.
+function parseYouTubeTakeout(files, autoTag = () => [], { playlists: playlistMode = 'tags' } = {}) {
+  if (!YOUTUBE_PLAYLIST_MODES.includes(playlistMode)) {
+    throw new Error(`Unknown playlist mode "${playlistMode}"`);
+  }
+
+  const records = new Map();
+  const playlists = new Map();
+
+  for (const file of toExportFileList(files)) {
+    const { name = '', text = '' } = typeof file === 'string' ? { text: file } : file || {};
+
+    for (const video of readTakeoutFile(name, text)) {
+      const liked = video.liked || YOUTUBE_LIKED_PLAYLIST.test(video.playlist);
+      const record = youtubeExportRecord(video, liked ? CAPTURE_ACTIONS.LIKE : CAPTURE_ACTIONS.SAVE);
+      if (!record) continue;
+
+      if (video.playlist && !liked) {
+        if (!playlists.has(video.playlist)) playlists.set(video.playlist, []);
+        playlists.get(video.playlist).push(record.tweet_id);
+        if (playlistMode === 'tags') record.tags = [video.playlist];
+      }
+
+      const existing = records.get(record.tweet_id);
+      addExportRecord(records, record);
+      if (existing) existing.tags = [...new Set([...existing.tags, ...record.tags])];
+    }
+  }
+
+  return {
+    ...finishExportRecords(records, autoTag),
+    playlists: [...playlists].map(([name, ids]) => ({ name, video_ids: [...new Set(ids)] }))
+  };
+}
+
+// Videos in one Takeout file: playlist CSV or JSON, or My Activity JSON
+function readTakeoutFile(name, text) {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  const baseName = name.split('/').pop().replace(/\.(csv|json)$/i, '');
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const data = parseExportJson(content, 'YouTube');
+    const items = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(items)) {
+      throw new Error('Unrecognized YouTube file (expected a playlist or My Activity file)');
+    }
+
+    return items.filter(item => item && typeof item === 'object').map(item => {
+      // My Activity: { title: "Liked <video>", titleUrl, subtitles: [{ name: channel }], time }
+      if ('titleUrl' in item || 'header' in item) {
+        const liked = /^Liked /.test(item.title || '');
+        const videoId = liked ? (String(item.titleUrl || '').match(/[?&]v=([\w-]{11})/) || [])[1] : null;
+        return {
+          videoId,
+          addedAt: item.time,
+          title: liked ? item.title.replace(/^Liked /, '') : '',
+          channel: item.subtitles?.[0]?.name || '',
+          playlist: '',
+          liked,
+          raw: item
+        };
+      }
+
+      // Older playlist exports: YouTube API playlistItem resources
+      return {
+        videoId: item.contentDetails?.videoId || item.snippet?.resourceId?.videoId,
+        addedAt: item.snippet?.publishedAt,
+        title: item.snippet?.title || '',
+        channel: item.snippet?.videoOwnerChannelTitle || '',
+        playlist: baseName,
+        liked: false,
+        raw: item
+      };
+    });
+  }
+
+  if (content.startsWith('<')) {
+    throw new Error('This YouTube file is in HTML format; choose JSON for My Activity in Takeout');
+  }
+
+  // Playlist CSV: "Video ID,Playlist Video Creation Timestamp" rows, after a
+  // playlist header block in older Takeouts
+  const rows = parseCSV(content);
+  const header = rows.findIndex(row => /^video id$/i.test((row[0] || '').trim()));
+  if (header === -1) {
+    // playlists.csv only describes the playlists
+    if (/^playlist id$/i.test((rows[0]?.[0] || '').trim())) return [];
+    throw new Error('Unrecognized YouTube file (expected a playlist CSV)');
+  }
+
+  let playlist = baseName.replace(/-videos$/i, '');
+  const info = rows.findIndex(row => /^playlist id$/i.test((row[0] || '').trim()));
+  if (info !== -1 && info < header) {
+    const titleColumn = rows[info].findIndex(cell => /^title$/i.test(cell.trim()));
+    if (titleColumn !== -1 && rows[info + 1]?.[titleColumn]) playlist = rows[info + 1][titleColumn].trim();
+  }
+
+  return rows.slice(header + 1).map(row => ({
+    videoId: (row[0] || '').trim(),
+    addedAt: (row[1] || '').trim(),
+    title: '',
+    channel: '',
+    playlist,
+    liked: false,
+    raw: { video_id: (row[0] || '').trim(), added_at: (row[1] || '').trim(), playlist }
+  }));
+}
+
+function youtubeExportRecord(video, action) {
+  if (!YOUTUBE_VIDEO_ID.test(video.videoId || '')) return null;
+
+  const url = `https://www.youtube.com/watch?v=${video.videoId}`;
+
+  return {
+    tweet_id: video.videoId,
+    post_id: video.videoId,
+    platform: 'youtube',
+    user_handle: '',
+    user_name: video.channel,
+    text: video.title,
+    media: [{
+      type: 'video',
+      url,
+      thumb_url: `https://i.ytimg.com/vi/${video.videoId}/hqdefault.jpg`,
+      duration: 0,
+      source_platform: 'youtube'
+    }],
+    original_created_at: null,
+    captured_at: parseExportUtcDate(video.addedAt),
+    source: SOURCES.YOUTUBE_TAKEOUT,
+    source_url: url,
+    tags: [],
+    actions: [action],
+    raw_payload: video.raw
+  };
+}
+
+// { name, value } for each of the keys found anywhere in the file, outermost first
+function findExportSections(data, names) {
+  const found = [];
+  const queue = [data];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object' || Array.isArray(node)) continue;
+
+    for (const [key, value] of Object.entries(node)) {
+      if (names.includes(key)) {
+        found.push({ name: key, value });
+      } else {
+        queue.push(value);
+      }
+    }
+  }
+
+  return found;
+}
+
+function toExportFileList(files) {
+  const list = Array.isArray(files) ? files : [files];
+  if (list.length === 0) {
+    throw new Error('No files given');
+  }
+  return list;
+}
+
+function parseExportJson(file, platform) {
+  const text = String(file || '').replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('<')) {
+    throw new Error(`This ${platform} download is in HTML format; request it again in JSON format`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${platform} file is not valid JSON`);
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${platform} file is not valid JSON`);
+  }
+  return data;
+}
+
+// A post found again gains the actions; the earliest capture time wins
+function addExportRecord(records, record) {
+  if (!record) return;
+
+  const existing = records.get(record.tweet_id);
+  if (!existing) {
+    records.set(record.tweet_id, record);
+    return;
+  }
+
+  existing.actions = [...new Set([...existing.actions, ...record.actions])];
+  if (record.captured_at && (!existing.captured_at || record.captured_at < existing.captured_at)) {
+    existing.captured_at = record.captured_at;
+  }
+  for (const field of ['user_handle', 'user_name', 'text']) {
+    if (!existing[field] && record[field]) existing[field] = record[field];
+  }
+}
+
+function finishExportRecords(records, autoTag) {
+  const retweets = [...records.values()];
+  const actions = {};
+
+  for (const record of retweets) {
+    record.auto_tags = autoTag(record.text);
+    for (const action of record.actions) {
+      actions[action] = (actions[action] || 0) + 1;
+    }
+  }
+
+  return { retweets, actions };
+}
+
+// Unix seconds to an ISO date
+function exportTimestampToIso(seconds) {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000).toISOString() : undefined;
+}
+
+// "2024-01-15 10:00:00" without a zone, or with "UTC", is UTC
+function parseExportUtcDate(date) {
+  const value = String(date || '').trim().replace(/\s*UTC$/i, 'Z').replace(' ', 'T');
+  if (!value) return undefined;
+
+  const parsed = new Date(/(Z|[+-]\d\d:?\d\d)$/i.test(value) ? value : `${value}Z`);
+  return isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+}
+
+async function importInstagram(data) {
+  try {
+    const categories = await db.getCategories();
+    const { retweets, actions } = parseInstagramExport(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No saved or liked posts found');
+    }
+
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('Instagram import error:', error);
+    throw new Error(`Failed to import Instagram data: ${error.message}`);
+  }
+}
+
+async function importTikTok(data) {
+  try {
+    const categories = await db.getCategories();
+    const { retweets, actions } = parseTikTokExport(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No favorite or liked videos found');
+    }
+
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('TikTok import error:', error);
+    throw new Error(`Failed to import TikTok data: ${error.message}`);
+  }
+}
+
+async function importYouTube(data, { playlists = 'tags' } = {}) {
+  try {
+    const categories = await db.getCategories();
+    const parsed = parseYouTubeTakeout(data, text => suggestTags(text, categories), { playlists });
+
+    if (parsed.retweets.length === 0) {
+      throw new Error('No liked videos or playlists found');
+    }
+
+    const result = await db.addRetweets(parsed.retweets);
+    const collections = playlists === 'collections' ? await addPlaylistCollections(parsed.playlists) : 0;
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: parsed.retweets.length,
+      actions: parsed.actions,
+      collections
+    };
+  } catch (error) {
+    console.error('YouTube import error:', error);
+    throw new Error(`Failed to import YouTube data: ${error.message}`);
+  }
+}
+
+// Playlists go into collections of the same name, reusing one that exists so re-imports don't duplicate it
+async function addPlaylistCollections(playlists) {
+  const existing = await db.getCollections();
+
+  for (const playlist of playlists) {
+    const name = playlist.name.substring(0, COLLECTION_OPTIONS.maxNameLength);
+    let collection = existing.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!collection) {
+      collection = await db.saveCollection({ name, description: 'Imported from YouTube' });
+      existing.push(collection);
+    }
+
+    const ids = [];
+    for (const videoId of playlist.video_ids) {
+      const record = await db.getRetweetByTweetId(videoId, SOURCES.YOUTUBE_TAKEOUT);
+      if (record) ids.push(record.id);
+    }
+    await db.updateCollectionItems(collection.id, items => addItems(items, ids));
+  }
+
+  return playlists.length;
+}
+
+// ==================== BOOKMARK AND READ-LATER EXPORTS ====================
+
+// Top-level folders browsers put every bookmark in; they don't become tags
+const BROWSER_ROOT_FOLDERS = /^(bookmarks bar|bookmarks toolbar|bookmarks menu|other bookmarks|mobile bookmarks|favorites bar|other favorites)$/i;
+
+// Raindrop's folder for links not filed anywhere
+const RAINDROP_UNSORTED = /^unsorted$/i;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Netscape bookmark HTML from any browser; each <H3> names the folder whose <DL> follows it
+function parseBookmarksHtml(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toExportFileList(files)) {
+    const html = String(file || '');
+    if (!/<a\s[^>]*href\s*=/i.test(html)) {
+      throw new Error('Unrecognized bookmarks file (expected an HTML bookmarks export)');
+    }
+
+    const folders = [];
+    let pendingFolder = null;
+    const tokens = /<(h3|a)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<(\/?)dl\b[^>]*>/gi;
+
+    for (const [, tag, attributes, content, closing] of html.matchAll(tokens)) {
+      if (!tag) {
+        if (closing) {
+          folders.pop();
+        } else {
+          folders.push(pendingFolder);
+          pendingFolder = null;
+        }
+      } else if (tag.toLowerCase() === 'h3') {
+        pendingFolder = decodeEntities(stripHtmlTags(content));
+      } else {
+        const attrs = readHtmlAttributes(attributes);
+        const path = folders.filter(Boolean);
+        if (path.length > 0 && BROWSER_ROOT_FOLDERS.test(path[0])) path.shift();
+
+        links.push({
+          url: attrs.href || '',
+          title: decodeEntities(stripHtmlTags(content)),
+          addedAt: exportTimestampToIso(attrs.add_date || attrs.time_added),
+          folders: path,
+          tags: splitExportTags(attrs.tags, ','),
+          raw: { url: attrs.href || '', folders: path, add_date: attrs.add_date || attrs.time_added || '', tags: attrs.tags || '' }
+        });
+      }
+    }
+  }
+
+  return collectSavedLinks(links, SOURCES.BOOKMARKS_HTML, autoTag);
+}
+
+// Pocket CSV: tags separated by "|"; archived items stay archived
+function parsePocketExport(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toExportFileList(files)) {
+    const rows = readExportCsvRows(file, ['url', 'time_added'], 'Unrecognized Pocket file (expected a CSV with url and time_added columns)');
+
+    for (const row of rows) {
+      links.push({
+        url: row.url || '',
+        title: row.title || '',
+        addedAt: exportTimestampToIso(row.time_added),
+        folders: [],
+        tags: splitExportTags(row.tags, '|'),
+        status: row.status === 'archive' ? READ_STATUSES.ARCHIVED : undefined,
+        raw: row
+      });
+    }
+  }
+
+  return collectSavedLinks(links, SOURCES.POCKET, autoTag);
+}
+
+// Raindrop.io CSV: the folder column holds the collection ("Parent/Child"); favorites stay favorites
+function parseRaindropExport(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toExportFileList(files)) {
+    const rows = readExportCsvRows(file, ['url', 'folder'], 'Unrecognized Raindrop file (expected a CSV with url and folder columns)');
+
+    for (const row of rows) {
+      const folder = (row.folder || '').trim();
+      const created = new Date(row.created || '');
+
+      links.push({
+        url: row.url || '',
+        title: row.title || '',
+        note: row.note || '',
+        addedAt: isNaN(created.getTime()) ? undefined : created.toISOString(),
+        folders: RAINDROP_UNSORTED.test(folder) ? [] : folder.split(TAG_PATH_SEPARATOR),
+        tags: splitExportTags(row.tags, ','),
+        favorite: row.favorite === 'true',
+        raw: row
+      });
+    }
+  }
+
+  return collectSavedLinks(links, SOURCES.RAINDROP, autoTag);
+}
+
+// One record per post; copies saved in several places add their tags
+function collectSavedLinks(links, source, autoTag) {
+  const records = new Map();
+  let skipped = 0;
+
+  for (const link of links) {
+    const record = savedLinkRecord(link, source);
+    if (!record) {
+      skipped++;
+      continue;
+    }
+
+    const key = `${record.platform}:${record.tweet_id}`;
+    const existing = records.get(key);
+    if (!existing) {
+      records.set(key, record);
+      continue;
+    }
+
+    existing.tags = uniqueExportTags([...existing.tags, ...record.tags]);
+    if (record.captured_at && (!existing.captured_at || record.captured_at < existing.captured_at)) {
+      existing.captured_at = record.captured_at;
+    }
+    if (!existing.text && record.text) existing.text = record.text;
+    if (!existing.favorited_at && record.favorited_at) existing.favorited_at = record.favorited_at;
+  }
+
+  const retweets = [...records.values()];
+  for (const record of retweets) {
+    record.auto_tags = autoTag(record.text);
+  }
+
+  return {
+    retweets,
+    actions: retweets.length > 0 ? { [CAPTURE_ACTIONS.BOOKMARK]: retweets.length } : {},
+    skipped
+  };
+}
+
+// Platform and post ID from canonicalUrl, the author from the link's path where it names one
+function savedLinkRecord(link, source) {
+  const match = (canonicalUrl(link.url.trim()) || '').match(/^(twitter|instagram|tiktok|youtube):(.+)$/);
+  if (!match) return null;
+
+  const [, platform, postId] = match;
+  const path = new URL(link.url.trim()).pathname.split('/').filter(Boolean);
+  const title = link.title === link.url ? '' : link.title.trim();
+  const record = {
+    tweet_id: postId,
+    post_id: postId,
+    platform,
+    user_handle: '',
+    user_name: '',
+    text: title,
+    media: [],
+    original_created_at: null,
+    captured_at: link.addedAt,
+    source,
+    tags: uniqueExportTags([savedLinkFolderTag(link.folders), ...link.tags]),
+    note: link.note || '',
+    actions: [CAPTURE_ACTIONS.BOOKMARK],
+    raw_payload: link.raw
+  };
+
+  if (link.status) record.status = link.status;
+  if (link.favorite) record.favorited_at = link.addedAt || new Date().toISOString();
+
+  if (platform === 'twitter') {
+    record.user_handle = path[0] && path[0] !== 'i' ? path[0] : '';
+    record.source_url = `https://x.com/${record.user_handle || 'i/web'}/status/${postId}`;
+  } else if (platform === 'instagram') {
+    const kindIndex = path.findIndex(part => /^(p|reels?|tv)$/i.test(part));
+    const kind = path[kindIndex].toLowerCase().startsWith('reel') ? 'reel' : path[kindIndex].toLowerCase();
+    record.post_type = kind === 'reel' ? 'reel' : kind === 'tv' ? 'igtv' : 'post';
+    record.user_handle = kindIndex > 0 ? path[0] : '';
+    record.source_url = `https://www.instagram.com/${kind}/${postId}/`;
+  } else if (platform === 'tiktok') {
+    record.post_type = 'video';
+    record.user_handle = path[0].replace(/^@/, '');
+    record.source_url = `https://www.tiktok.com/@${record.user_handle}/video/${postId}`;
+  } else {
+    record.source_url = `https://www.youtube.com/watch?v=${postId}`;
+    record.media = [{
+      type: 'video',
+      url: record.source_url,
+      thumb_url: `https://i.ytimg.com/vi/${postId}/hqdefault.jpg`,
+      duration: 0,
+      source_platform: 'youtube'
+    }];
+  }
+  record.user_name = record.user_handle;
+
+  return record;
+}
+
+// Rows keyed by lower-case column name, blank lines left out
+function readExportCsvRows(file, required, message) {
+  const [header = [], ...rows] = parseCSV(String(file || ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!required.every(name => columns.includes(name))) {
+    throw new Error(message);
+  }
+
+  return rows
+    .filter(row => row.some(value => value.trim()))
+    .map(row => Object.fromEntries(columns.map((name, i) => [name, (row[i] || '').trim()])));
+}
+
+function readHtmlAttributes(text) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of text.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return attrs;
+}
+
+// Folder path as one nested tag, e.g. "Reading/Tech"
+function savedLinkFolderTag(folders) {
+  return folders
+    .map(name => name.split(TAG_PATH_SEPARATOR).join('-').trim())
+    .filter(Boolean)
+    .join(TAG_PATH_SEPARATOR);
+}
+
+function splitExportTags(value, separator) {
+  return String(value || '').split(separator).map(tag => tag.trim()).filter(Boolean);
+}
+
+// Drop empty and repeated tags, comparing without case
+function uniqueExportTags(tags) {
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function stripHtmlTags(html) {
+  return html.replace(/<[^>]*>/g, '').trim();
+}
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+async function importBookmarks(data) {
+  return importReadingList(data, parseBookmarksHtml, 'bookmarks');
+}
+
+async function importPocket(data) {
+  return importReadingList(data, parsePocketExport, 'Pocket export');
+}
+
+async function importRaindrop(data) {
+  return importReadingList(data, parseRaindropExport, 'Raindrop export');
+}
+
+async function importReadingList(data, parse, label) {
+  try {
+    const categories = await db.getCategories();
+    const { retweets, actions, skipped } = parse(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No links to X, Instagram, TikTok or YouTube posts found');
+    }
+
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions,
+      skipped
+    };
+  } catch (error) {
+    console.error(`Import error (${label}):`, error);
+    throw new Error(`Failed to import ${label}: ${error.message}`);
+  }
+}
+
+// ==================== BACKUP RESTORE ====================
+
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Accepts older exports (no tag rules, keyword-array categories); rejects newer ones
+function parseBackup(data) {
+  let backup = data;
+
+  if (typeof data === 'string') {
+    try {
+      backup = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Backup is not valid JSON');
+    }
+  }
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    throw new Error('Backup must be a JSON object');
+  }
+
+  const version = backup.version;
+  if (!Number.isInteger(version) || !Array.isArray(backup.retweets)) {
+    throw new Error('This file is not a Retweet Filter backup (missing version or retweets)');
+  }
+  if (version > DB_VERSION) {
+    throw new Error(`Backup is from a newer version (v${version}) than this extension supports (v${DB_VERSION}). Update the extension first.`);
+  }
+  if (version < BACKUP_OPTIONS.minVersion) {
+    throw new Error(`Backup version v${version} is not supported`);
+  }
+
+  const isRecord = item => item && typeof item === 'object' && !Array.isArray(item);
+  const retweets = backup.retweets
+    .filter(record => isRecord(record) && record.id && record.tweet_id)
+    .map(record => ({
+      ...(backfillRetweet(record) || record),
+      tags: record.tags || [],
+      auto_tags: record.auto_tags || [],
+      learned_tags: record.learned_tags || []
+    }));
+
+  // Derived or in-flight state is rebuilt rather than restored
+  const settings = Object.entries(isRecord(backup.settings) ? backup.settings : {})
+    .filter(([key]) => !BACKUP_OPTIONS.skippedSettings.includes(key))
+    .map(([key, value]) => ({ key, value }));
+
+  const categories = Object.entries(isRecord(backup.categories) ? backup.categories : {})
+    .map(([name, category]) => ({ name, ...normalizeCategory(category) }));
+
+  const byId = list => (Array.isArray(list) ? list : []).filter(item => isRecord(item) && item.id);
+
+  return {
+    version,
+    exported_at: backup.exported_at || null,
+    retweets,
+    settings,
+    categories,
+    savedSearches: byId(backup.savedSearches),
+    tagRules: byId(backup.tagRules),
+    collections: byId(backup.collections).map(collection => ({
+      ...collection,
+      item_ids: Array.isArray(collection.item_ids) ? collection.item_ids : []
+    })),
+    invalid: backup.retweets.length - retweets.length
+  };
+}
+
+// merge adds what is missing and keeps the rest; replace empties every store first.
+// A capture already exists when its id, or its tweet_id and source, do.
+function planRestore(backup, existing, mode = 'merge') {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode "${mode}"`);
+  }
+
+  const replace = mode === 'replace';
+  const summary = {};
+  const records = {};
+
+  const existingRetweets = existing.retweets || [];
+  const retweetIds = new Set(existingRetweets.map(r => r.id));
+  const retweetKeys = new Set(existingRetweets.map(r => `${r.tweet_id}\u0000${r.source}`));
+  const retweetKey = record => `${record.tweet_id}\u0000${record.source || 'browser'}`;
+
+  const stores = {
+    retweets: { items: backup.retweets, existingKeys: retweetIds, key: r => r.id },
+    settings: { items: backup.settings, existingKeys: new Set(existing.settings || []), key: s => s.key },
+    categories: { items: backup.categories, existingKeys: new Set(existing.categories || []), key: c => c.name },
+    savedSearches: { items: backup.savedSearches, existingKeys: new Set(existing.savedSearches || []), key: s => s.id },
+    tagRules: { items: backup.tagRules, existingKeys: new Set(existing.tagRules || []), key: r => r.id },
+    collections: { items: backup.collections || [], existingKeys: new Set(existing.collections || []), key: c => c.id }
+  };
+
+  for (const [name, { items, existingKeys, key }] of Object.entries(stores)) {
+    const backupKeys = new Set(items.map(key));
+    const exists = name === 'retweets'
+      ? item => existingKeys.has(item.id) || retweetKeys.has(retweetKey(item))
+      : item => existingKeys.has(key(item));
+
+    if (replace) {
+      records[name] = items;
+      summary[name] = {
+        added: items.filter(item => !existingKeys.has(key(item))).length,
+        replaced: items.filter(item => existingKeys.has(key(item))).length,
+        removed: [...existingKeys].filter(k => !backupKeys.has(k)).length,
+        kept: 0
+      };
+    } else {
+      records[name] = items.filter(item => !exists(item));
+      summary[name] = {
+        added: records[name].length,
+        replaced: 0,
+        removed: 0,
+        kept: items.length - records[name].length
+      };
+    }
+  }
+
+  return {
+    mode,
+    version: backup.version,
+    exported_at: backup.exported_at,
+    invalid: backup.invalid,
+    summary,
+    records
+  };
+}
+
+async function importBackup(data, { mode = 'merge', preview = false } = {}) {
+  const backup = parseBackup(data);
+  const { records, ...plan } = planRestore(backup, await db.getBackupKeys(), mode);
+
+  const summary = preview ? plan.summary : await db.restoreBackup({ ...plan, records });
+  const conflicts = Object.values(summary).reduce((total, counts) => total + (counts.conflicts || 0), 0);
+
+  return {
+    ...plan,
+    summary,
+    preview,
+    added: records.retweets.length - (summary.retweets.conflicts || 0),
+    duplicates: plan.summary.retweets.kept,
+    conflicts
+  };
+}
+
+// ==================== DATABASE INSTANCE ====================
+
+console.log('[Retweet Filter] Service worker starting...');
+
+const db = new RetweetDB({ onMigrationProgress: broadcastMigrationProgress });
+
+// Lets an open dashboard show the upgrade while the worker migrates on first open
+function broadcastMigrationProgress(progress) {
+  if (progress.status !== 'running') {
+    console.log(`[Retweet Filter] Database migration v${progress.from} -> v${progress.to} ${progress.status}`, progress.error || '');
+  }
+  chrome.runtime.sendMessage({ type: 'MIGRATION_PROGRESS', data: progress }).catch(() => {});
+}
+
+// Initialize database when extension loads
+db.ready().then(() => {
+  console.log('[Retweet Filter] Database initialized successfully');
+}).catch(error => {
+  console.error('[Retweet Filter] Database init error:', error);
+});
+
+console.log('[Retweet Filter] Service worker loaded, setting up message listener...');
+
+// ==================== MESSAGE HANDLER ====================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log('[Retweet Filter] Received message:', message.type);
+  handleMessage(message, sender).then(response => {
+    console.log('[Retweet Filter] Sending response for:', message.type, response?.success);
+    sendResponse(response);
+  }).catch(error => {
+    console.error('[Retweet Filter] Message handler error:', error);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+});
+
+async function handleMessage(message, sender) {
+  const { type, data } = message;
+
+  switch (type) {
+    case MESSAGES.CAPTURE_RETWEET:
+      return captureRetweet(data);
+
+    case MESSAGES.CAPTURE_INSTAGRAM:
+      return captureInstagram(data);
+
+    case MESSAGES.CAPTURE_TIKTOK:
+    case 'CAPTURE_TIKTOK':
+      return captureTikTok(data);
+
+    case MESSAGES.CAPTURE_YOUTUBE:
+    case 'CAPTURE_YOUTUBE':
+      return captureYouTube(data);
+
+    case MESSAGES.GET_RETWEETS:
+      return getRetweetsHandler(data);
+
+    case MESSAGES.SEARCH_RETWEETS:
+      return searchRetweetsHandler(data);
+
+    case MESSAGES.UPDATE_TAGS:
+      return updateTagsHandler(data);
+
+    case MESSAGES.DELETE_RETWEET:
+      return deleteRetweetHandler(data);
+
+    case MESSAGES.IMPORT_DATA:
+      return importDataHandler(data);
+
+    case MESSAGES.EXPORT_DATA:
+      return exportDataHandler();
+
+    case MESSAGES.GET_STATS:
+      return getStatsHandler();
+
+    case MESSAGES.GET_SETTINGS:
+      return getSettingsHandler();
+
+    case MESSAGES.UPDATE_SETTINGS:
+      return updateSettingsHandler(data);
+
+    case MESSAGES.OPEN_DASHBOARD:
+      return openDashboardHandler(data);
+
+    case 'BULK_UPDATE_TAGS':
+      return bulkUpdateTagsHandler(data);
+
+    case 'GET_CATEGORIES':
+      return getCategoriesHandler();
+
+    case 'SET_CATEGORY':
+      return setCategoryHandler(data);
+
+    case 'DELETE_CATEGORY':
+      return deleteCategoryHandler(data);
+
+    case 'FILTER_RETWEETS':
+      return filterRetweetsHandler(data);
+
+    case 'GET_SAVED_SEARCHES':
+      return getSavedSearchesHandler();
+
+    case 'SAVE_SEARCH':
+      return saveSearchHandler(data);
+
+    case 'DELETE_SAVED_SEARCH':
+      return deleteSavedSearchHandler(data);
+
+    case 'UPDATE_SAVED_SEARCH':
+      return updateSavedSearchHandler(data);
+
+    case 'GET_COLLECTIONS':
+      return getCollectionsHandler();
+
+    case 'SAVE_COLLECTION':
+      return saveCollectionHandler(data);
+
+    case 'DELETE_COLLECTION':
+      return deleteCollectionHandler(data);
+
+    case 'REORDER_COLLECTIONS':
+      return reorderCollectionsHandler(data);
+
+    case 'GET_COLLECTION_ITEMS':
+      return getCollectionItemsHandler(data);
+
+    case 'ADD_TO_COLLECTION':
+      return addToCollectionHandler(data);
+
+    case 'REMOVE_FROM_COLLECTION':
+      return removeFromCollectionHandler(data);
+
+    case 'REORDER_COLLECTION':
+      return reorderCollectionHandler(data);
+
+    case 'BULK_DELETE':
+      return bulkDeleteHandler(data);
+
+    case 'FIND_SIMILAR':
+      return findSimilarHandler(data);
+
+    case 'GET_TAG_RULES':
+      return getTagRulesHandler();
+
+    case 'SAVE_TAG_RULE':
+      return saveTagRuleHandler(data);
+
+    case 'DELETE_TAG_RULE':
+      return deleteTagRuleHandler(data);
+
+    case 'GET_CLASSIFIER_STATUS':
+      return getClassifierStatusHandler();
+
+    case 'RETRAIN_CLASSIFIER':
+      return retrainClassifierHandler();
+
+    case 'SUGGEST_TAGS':
+      return suggestTagsHandler(data);
+
+    case 'GET_RETAG_STATUS':
+      return getRetagStatusHandler();
+
+    case 'CANCEL_RETAG':
+      return cancelRetagHandler();
+
+    case 'RESUME_RETAG':
+      return resumeRetagHandler();
+
+    case 'APPLY_TAG_RULES':
+      return applyTagRulesHandler();
+
+    case 'GET_TAGS':
+      return getTagsHandler();
+
+    case 'RENAME_TAG':
+      return renameTagHandler(data);
+
+    case 'MERGE_TAGS':
+      return mergeTagsHandler(data);
+
+    case 'DELETE_TAG':
+      return deleteTagHandler(data);
+
+    case 'SET_TAG_COLOR':
+      return setTagColorHandler(data);
+
+    case 'UNDO_TAG_CHANGE':
+      return undoTagChangeHandler();
+
+    case 'CLEAR_DATA':
+      return clearDataHandler(data);
+
+    case 'GET_MIGRATION_STATUS':
+      return { success: true, data: db.migration };
+
+    case 'GET_TRASH':
+      return getTrashHandler();
+
+    case 'RESTORE_FROM_TRASH':
+      return restoreFromTrashHandler(data);
+
+    case 'PURGE_TRASH':
+      return purgeTrashHandler(data);
+
+    case 'FIND_DUPLICATES':
+      return findDuplicatesHandler();
+
+    case 'MERGE_DUPLICATES':
+      return mergeDuplicatesHandler(data);
+
+    case 'UPDATE_NOTES':
+      return updateNotesHandler(data);
+
+    case 'UPDATE_STATUS':
+      return updateStatusHandler(data);
+
+    default:
+      return { success: false, error: 'Unknown message type' };
+  }
+}
+
+// ==================== MESSAGE HANDLERS ====================
 
 // Simple Supabase sync function
 async function syncPostToSupabase(post) {
   try {
-    const { supabase_session } = await chrome.storage.local.get('supabase_session');
-    if (!supabase_session) {
-      return; // Not authenticated, skip silently
+    const { supabase_session } = await chrome.storage.local.get('supabase_session');
+    if (!supabase_session) {
+      return; // Not authenticated, skip silently
+    }
+
+    const SUPABASE_URL = 'http://localhost:54321'; // Will be updated for production
+    const SUPABASE_ANON_KEY = 'your-anon-key'; // Will be updated for production
+
+    await fetch(`${SUPABASE_URL}/rest/v1/posts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabase_session.access_token}`,
+        'apikey': SUPABASE_ANON_KEY,
+        'Prefer': 'resolution=merge-duplicates'
+      },
+      body: JSON.stringify({
+        user_id: supabase_session.user.id,
+        post_id: post.tweet_id || post.post_id,
+        platform: post.platform || 'twitter',
+        user_handle: post.user_handle,
+        user_name: post.user_name,
+        user_avatar: post.user_avatar,
+        text: post.text,
+        media: post.media || [],
+        like_count: post.like_count || 0,
+        view_count: post.view_count || 0,
+        tags: post.tags || [],
+        auto_tags: post.auto_tags || [],
+        captured_at: post.captured_at,
+        source: post.source || 'browser',
+        source_url: post.source_url
+      })
+    });
+  } catch (error) {
+    console.error('[Sync] Sync error:', error);
+    // Don't fail the capture if sync fails
+  }
+}
+
+// Keyword categories, user-defined tag rules and learned tags
+function computeAutoTags(post, categories, rules, learnedTags = []) {
+  const keywordTags = suggestTags(`${post.text || ''} ${post.quoted_text || ''}`, categories);
+  return [...new Set([...keywordTags, ...applyTagRules(post, rules), ...learnedTags.map(t => t.tag)])];
+}
+
+async function captureRetweet(data) {
+  try {
+    console.log('[Retweet Filter] Capturing retweet with data:', {
+      tweet_id: data.tweet_id,
+      user_handle: data.user_handle,
+      has_avatar: !!data.user_avatar,
+      avatar_url: data.user_avatar?.substring(0, 50),
+      like_count: data.like_count,
+      retweet_count: data.retweet_count,
+      view_count: data.view_count,
+      user_verified: data.user_verified
+    });
+
+    const categories = await db.getCategories();
+    const rules = await db.getTagRules();
+    const learnedTags = await predictLearnedTags({ ...data, platform: 'twitter' });
+    const autoTags = computeAutoTags({ ...data, platform: 'twitter' }, categories, rules, learnedTags);
+
+    const retweet = await db.addRetweet({
+      ...data,
+      platform: 'twitter',
+      auto_tags: autoTags,
+      learned_tags: learnedTags
+    });
+
+    if (retweet) {
+      console.log('[Retweet Filter] Retweet saved successfully:', {
+        id: retweet.id,
+        has_avatar: !!retweet.user_avatar,
+        like_count: retweet.like_count,
+        retweet_count: retweet.retweet_count
+      });
+      // NEW: Sync in background (don't await - fire and forget)
+      syncPostToSupabase(retweet).catch(console.error);
+      notifyWatchedSearches(retweet).catch(console.error);
+      
+      updateBadge();
+      return { success: true, data: retweet };
+    } else {
+      return { success: false, error: 'Duplicate retweet' };
+    }
+  } catch (error) {
+    console.error('[Retweet Filter] Capture error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function captureInstagram(data) {
+  try {
+    console.log('[Instagram Filter] Capturing Instagram post with data:', {
+      post_id: data.post_id || data.tweet_id,
+      user_handle: data.user_handle,
+      has_avatar: !!data.user_avatar,
+      like_count: data.like_count,
+      post_type: data.post_type,
+      user_verified: data.user_verified
+    });
+
+    const categories = await db.getCategories();
+    const rules = await db.getTagRules();
+    const learnedTags = await predictLearnedTags({ ...data, platform: 'instagram' });
+    const autoTags = computeAutoTags({ ...data, platform: 'instagram' }, categories, rules, learnedTags);
+
+    const post = await db.addRetweet({
+      ...data,
+      platform: 'instagram',
+      auto_tags: autoTags,
+      learned_tags: learnedTags
+    });
+
+    if (post) {
+      console.log('[Instagram Filter] Post saved successfully:', {
+        id: post.id,
+        has_avatar: !!post.user_avatar,
+        like_count: post.like_count,
+        platform: post.platform
+      });
+      // NEW: Sync in background
+      syncPostToSupabase(post).catch(console.error);
+      notifyWatchedSearches(post).catch(console.error);
+      
+      updateBadge();
+      return { success: true, data: post };
+    } else {
+      return { success: false, error: 'Duplicate post' };
+    }
+  } catch (error) {
+    console.error('[Instagram Filter] Capture error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function captureTikTok(data) {
+  try {
+    console.log('[TikTok Filter] Capturing TikTok video with data:', {
+      post_id: data.post_id || data.tweet_id,
+      user_handle: data.user_handle,
+      has_avatar: !!data.user_avatar,
+      like_count: data.like_count,
+      post_type: data.post_type,
+      user_verified: data.user_verified
+    });
+
+    const categories = await db.getCategories();
+    const rules = await db.getTagRules();
+    const learnedTags = await predictLearnedTags({ ...data, platform: 'tiktok' });
+    const autoTags = computeAutoTags({ ...data, platform: 'tiktok' }, categories, rules, learnedTags);
+
+    const post = await db.addRetweet({
+      ...data,
+      platform: 'tiktok',
+      auto_tags: autoTags,
+      learned_tags: learnedTags
+    });
+
+    if (post) {
+      console.log('[TikTok Filter] Video saved successfully:', {
+        id: post.id,
+        has_avatar: !!post.user_avatar,
+        like_count: post.like_count,
+        platform: post.platform
+      });
+      // NEW: Sync in background
+      syncPostToSupabase(post).catch(console.error);
+      notifyWatchedSearches(post).catch(console.error);
+      
+      updateBadge();
+      return { success: true, data: post };
+    } else {
+      return { success: false, error: 'Duplicate post' };
+    }
+  } catch (error) {
+    console.error('[TikTok Filter] Capture error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function captureYouTube(data) {
+  try {
+    console.log('[YouTube Filter] Capturing YouTube video with data:', {
+      post_id: data.post_id || data.tweet_id,
+      user_handle: data.user_handle,
+      like_count: data.like_count
+    });
+
+    const categories = await db.getCategories();
+    const rules = await db.getTagRules();
+    const learnedTags = await predictLearnedTags({ ...data, platform: 'youtube' });
+    const autoTags = computeAutoTags({ ...data, platform: 'youtube' }, categories, rules, learnedTags);
+
+    const post = await db.addRetweet({
+      ...data,
+      platform: 'youtube',
+      auto_tags: autoTags,
+      learned_tags: learnedTags
+    });
+
+    if (post) {
+      console.log('[YouTube Filter] Video saved successfully:', {
+        id: post.id,
+        platform: post.platform
+      });
+      // NEW: Sync in background
+      syncPostToSupabase(post).catch(console.error);
+      notifyWatchedSearches(post).catch(console.error);
+      
+      updateBadge();
+      return { success: true, data: post };
+    } else {
+      return { success: false, error: 'Duplicate post' };
+    }
+  } catch (error) {
+    console.error('[YouTube Filter] Capture error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getRetweetsHandler(options) {
+  try {
+    const result = await db.getRetweets(options);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function searchRetweetsHandler({ query, filters }) {
+  try {
+    const parsed = parseQuery(query);
+    const expandedFilters = expandSearchTags(query, filters, await db.getCategories());
+    const mergedFilters = mergeFilters(expandedFilters, parsed.filters);
+    const { ids, totalDocs, docFreq } = await db.getSearchCandidates(parsed.groups, mergedFilters.tags);
+
+    // A query of operators alone browses the newest matching posts
+    if (!ids) {
+      const page = await db.filterRetweets(mergedFilters, { pageSize: SEARCH_OPTIONS.browseLimit });
+      return { success: true, data: searchRetweets(page.items, query, expandedFilters) };
+    }
+
+    // Tags were matched by the index; the other filters narrow by their own indexes
+    const filterIds = await db.getFilterIds({ ...mergedFilters, tags: [] });
+    const candidateIds = filterIds ? [...ids].filter(id => filterIds.has(id)) : [...ids];
+    const retweets = await db.getRetweetsByIds(candidateIds);
+    return { success: true, data: searchRetweets(retweets, query, expandedFilters, { totalDocs, docFreq }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateTagsHandler({ id, tags }) {
+  try {
+    const previous = await db.getRetweet(id);
+    const updated = await db.updateTags(id, tags);
+    learnTags([{ previous, current: updated }]).catch(console.error);
+    return { success: true, data: updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateNotesHandler({ id, note, highlights } = {}) {
+  try {
+    const updated = await db.updateNotes(id, { note, highlights });
+    return { success: true, data: updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateStatusHandler({ ids, status, favorite } = {}) {
+  try {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('No captures given');
+    }
+
+    const count = await db.updateStatus(ids, { status, favorite });
+    return { success: true, data: { updated: count } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function bulkUpdateTagsHandler({ ids, tagsToAdd, tagsToRemove }) {
+  try {
+    const previous = await db.getRetweetsByIds(ids);
+    const count = await db.bulkUpdateTags(ids, tagsToAdd, tagsToRemove);
+    const current = new Map((await db.getRetweetsByIds(ids)).map(r => [r.id, r]));
+    learnTags(previous.map(r => ({ previous: r, current: current.get(r.id) }))).catch(console.error);
+    return { success: true, data: { updated: count } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteRetweetHandler({ id }) {
+  try {
+    const previous = await db.getRetweet(id);
+    await db.deleteRetweet(id);
+    if (previous) learnTags([{ previous, current: null }]).catch(console.error);
+    updateBadge();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function bulkDeleteHandler({ ids }) {
+  try {
+    const previous = await db.getRetweetsByIds(ids);
+    const count = await db.deleteRetweets(ids);
+    learnTags(previous.map(r => ({ previous: r, current: null }))).catch(console.error);
+    updateBadge();
+    return { success: true, data: { deleted: count } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTrashHandler() {
+  try {
+    const items = await db.getTrash();
+    const retentionDays = await db.getSetting(TRASH_OPTIONS.retentionKey, TRASH_OPTIONS.retentionDays);
+    return { success: true, data: { items, retentionDays } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function restoreFromTrashHandler({ ids }) {
+  try {
+    if (!Array.isArray(ids) || ids.length === 0) throw new Error('No items to restore');
+
+    const { restored, merged } = await db.restoreFromTrash(ids);
+    learnTags([...restored.map(r => ({ previous: null, current: r })), ...merged]).catch(console.error);
+    updateBadge();
+    return { success: true, data: { restored: restored.length, merged: merged.length } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Without ids the whole trash is emptied
+async function purgeTrashHandler({ ids = null } = {}) {
+  try {
+    const purged = await db.purgeTrash({ ids });
+    return { success: true, data: { purged } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Records are read in batches; only their match keys are kept while grouping
+async function findDuplicatesHandler() {
+  try {
+    const entries = [];
+    let afterId = null;
+
+    while (true) {
+      const batch = await db.getRetweetBatch(afterId, DUPLICATE_OPTIONS.batchSize);
+      if (batch.length === 0) break;
+      for (const record of batch) entries.push(getDuplicateKeys(record));
+      afterId = batch[batch.length - 1].id;
     }
 
-    const SUPABASE_URL = 'http://localhost:54321'; // Will be updated for production
-    const SUPABASE_ANON_KEY = 'your-anon-key'; // Will be updated for production
+    const groups = [];
+    for (const { ids, reasons } of findDuplicateGroups(entries)) {
+      const items = await db.getRetweetsByIds(ids);
+      if (items.length < 2) continue;
+      const keep = pickRichest(items);
+      groups.push({ keepId: keep.id, reasons, items: [keep, ...items.filter(item => item !== keep)] });
+    }
 
-    await fetch(`${SUPABASE_URL}/rest/v1/posts`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${supabase_session.access_token}`,
-        'apikey': SUPABASE_ANON_KEY,
-        'Prefer': 'resolution=merge-duplicates'
-      },
-      body: JSON.stringify({
-        user_id: supabase_session.user.id,
-        post_id: post.tweet_id || post.post_id,
-        platform: post.platform || 'twitter',
-        user_handle: post.user_handle,
-        user_name: post.user_name,
-        user_avatar: post.user_avatar,
-        text: post.text,
-        media: post.media || [],
-        like_count: post.like_count || 0,
-        view_count: post.view_count || 0,
-        tags: post.tags || [],
-        auto_tags: post.auto_tags || [],
-        captured_at: post.captured_at,
-        source: post.source || 'browser',
-        source_url: post.source_url
-      })
-    });
+    return { success: true, data: { groups, scanned: entries.length } };
   } catch (error) {
-    console.error('[Sync] Sync error:', error);
-    // Don't fail the capture if sync fails
+    return { success: false, error: error.message };
   }
 }
 
-async function captureRetweet(data) {
+// groups: [{ keepId, ids }], ids being the records merged into keepId
+async function mergeDuplicatesHandler({ groups } = {}) {
   try {
-    console.log('[Retweet Filter] Capturing retweet with data:', {
-      tweet_id: data.tweet_id,
-      user_handle: data.user_handle,
-      has_avatar: !!data.user_avatar,
-      avatar_url: data.user_avatar?.substring(0, 50),
-      like_count: data.like_count,
-      retweet_count: data.retweet_count,
-      view_count: data.view_count,
-      user_verified: data.user_verified
-    });
+    if (!Array.isArray(groups) || groups.length === 0) throw new Error('No duplicates to merge');
 
-    const categories = await db.getCategories();
-    const autoTags = suggestTags(data.text + ' ' + (data.quoted_text || ''), categories);
+    let merged = 0;
+    let removed = 0;
+    const changes = [];
 
-    const retweet = await db.addRetweet({
-      ...data,
-      platform: 'twitter',
-      auto_tags: autoTags
-    });
+    for (const { keepId, ids } of groups) {
+      if (!keepId || !Array.isArray(ids)) throw new Error('Each group needs keepId and ids');
 
-    if (retweet) {
-      console.log('[Retweet Filter] Retweet saved successfully:', {
-        id: retweet.id,
-        has_avatar: !!retweet.user_avatar,
-        like_count: retweet.like_count,
-        retweet_count: retweet.retweet_count
-      });
-      // NEW: Sync in background (don't await - fire and forget)
-      syncPostToSupabase(retweet).catch(console.error);
-      
+      const result = await db.mergeRetweets(keepId, ids);
+      if (!result.merged) continue;
+
+      merged++;
+      removed += result.removed.length;
+      changes.push({ previous: result.kept, current: result.merged });
+      changes.push(...result.removed.map(record => ({ previous: record, current: null })));
+    }
+
+    learnTags(changes).catch(console.error);
+    updateBadge();
+    return { success: true, data: { merged, removed } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Only candidates from the search index are compared, with its corpus statistics
+async function findSimilarHandler({ id, limit }) {
+  try {
+    const target = await db.getRetweet(id);
+    if (!target) return { success: true, data: [] };
+
+    const { ids, totalDocs, docFreq } = await db.getSimilarCandidates(similarityTerms(target), id);
+    const retweets = [target, ...await db.getRetweetsByIds(ids)];
+    const results = findSimilarRetweets(id, retweets, limit, { totalDocs, docFreq });
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function importDataHandler({ type, data, mode, preview = false, playlists }) {
+  try {
+    let result;
+    switch (type) {
+      case 'archive':
+        result = await importArchive(data);
+        break;
+      case 'instagram':
+        result = await importInstagram(data);
+        break;
+      case 'tiktok':
+        result = await importTikTok(data);
+        break;
+      case 'youtube':
+        result = await importYouTube(data, { playlists });
+        break;
+      case 'bookmarks':
+        result = await importBookmarks(data);
+        break;
+      case 'pocket':
+        result = await importPocket(data);
+        break;
+      case 'raindrop':
+        result = await importRaindrop(data);
+        break;
+      case 'csv':
+        result = await importCSV(data);
+        break;
+      case 'nitter':
+        result = await importNitter(data);
+        break;
+      case 'backup':
+        result = await importBackup(data, { mode, preview });
+        // The restored captures no longer match the learned model
+        if (!preview) await resetTagClassifier();
+        break;
+      default:
+        throw new Error('Unknown import type');
+    }
+
+    updateBadge();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Issued with the latest export; CLEAR_DATA deletes nothing without it.
+// Kept in session storage so it outlives the worker being stopped while idle
+async function exportDataHandler() {
+  try {
+    const data = await db.exportAll();
+    const backup = { token: generateId(), issuedAt: Date.now() };
+    await chrome.storage.session.set({ [BACKUP_OPTIONS.clearTokenKey]: backup });
+    return { success: true, data, backupToken: backup.token };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function clearDataHandler({ scope = {}, preview = false, backupToken = null } = {}) {
+  try {
+    const { captures, settings, categories, savedSearches, tagRules, collections, startDate, endDate } = scope;
+    if (!captures && !settings && !categories && !savedSearches && !tagRules && !collections) {
+      throw new Error('Choose what to clear');
+    }
+    for (const date of [startDate, endDate]) {
+      if (date && isNaN(new Date(date).getTime())) throw new Error(`Invalid date "${date}"`);
+    }
+
+    if (!preview) {
+      const { [BACKUP_OPTIONS.clearTokenKey]: backup } = await chrome.storage.session.get(BACKUP_OPTIONS.clearTokenKey);
+      if (!backup || backup.token !== backupToken || Date.now() - backup.issuedAt > BACKUP_OPTIONS.clearTokenMaxAge) {
+        throw new Error('Export a backup before clearing data');
+      }
+      await chrome.storage.session.remove(BACKUP_OPTIONS.clearTokenKey);
+    }
+
+    const counts = await db.clearData(scope, { preview });
+
+    if (!preview) {
+      // The learned model was trained on the deleted captures (or lived in settings)
+      if (counts.captures > 0 || settings) await resetTagClassifier();
+      // Remaining captures were tagged with the old categories
+      if (categories && !(captures && !scope.platform && !startDate && !endDate)) {
+        await startRetagJob('Categories reset to defaults');
+      }
       updateBadge();
-      return { success: true, data: retweet };
-    } else {
-      return { success: false, error: 'Duplicate retweet' };
     }
+
+    return { success: true, data: counts };
   } catch (error) {
-    console.error('[Retweet Filter] Capture error:', error);
     return { success: false, error: error.message };
   }
 }
 
-async function captureInstagram(data) {
+async function getStatsHandler() {
   try {
-    console.log('[Instagram Filter] Capturing Instagram post with data:', {
-      post_id: data.post_id || data.tweet_id,
-      user_handle: data.user_handle,
-      has_avatar: !!data.user_avatar,
-      like_count: data.like_count,
-      post_type: data.post_type,
-      user_verified: data.user_verified
-    });
+    const stats = await db.getStats();
+    return { success: true, data: stats };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getSettingsHandler() {
+  try {
+    const {
+      [CLASSIFIER_OPTIONS.modelKey]: model,
+      [RETAG_OPTIONS.stateKey]: retagJob,
+      [TAG_MANAGER_OPTIONS.undoKey]: tagUndo,
+      ...settings
+    } = await db.getAllSettings();
+    return { success: true, data: settings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateSettingsHandler(settings) {
+  try {
+    for (const [key, value] of Object.entries(settings)) {
+      await db.setSetting(key, value);
+    }
+
+    // Turning learned tags off discards the model; it is rebuilt when turned back on
+    if (settings[CLASSIFIER_OPTIONS.enabledKey] === false) {
+      await resetTagClassifier();
+    }
+
+    // A shorter retention applies right away
+    if (TRASH_OPTIONS.retentionKey in settings) {
+      await purgeExpiredTrash();
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getCategoriesHandler() {
+  try {
+    const categories = await db.getCategories();
+    return { success: true, data: categories };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function setCategoryHandler({ name, keywords, exclude = [], weights = {}, threshold = 0, parent = null, previousName = null }) {
+  try {
+    const categories = await db.getCategories();
+    const renamed = previousName && previousName !== name;
 
+    if (renamed && categories[name]) {
+      throw new Error(`Category "${name}" already exists`);
+    }
+
+    if (parent) {
+      if (!categories[parent]) throw new Error(`Parent category "${parent}" does not exist`);
+
+      // A category cannot sit under itself or one of its own descendants
+      const ownNames = [name, previousName].filter(Boolean);
+      const lineage = [parent, ...getTagAncestors(parent, categories)];
+      if (lineage.some(ancestor => ownNames.includes(ancestor))) {
+        throw new Error(`"${name}" cannot be nested under "${parent}"`);
+      }
+    }
+
+    if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0) {
+      throw new Error('Minimum score must be a number of 0 or more');
+    }
+
+    // Keep weights only for keywords that still exist
+    const keywordWeights = {};
+    for (const [keyword, weight] of Object.entries(weights)) {
+      if (!keywords.includes(keyword)) continue;
+      if (!Number.isFinite(Number(weight))) throw new Error(`Weight for "${keyword}" must be a number`);
+      keywordWeights[keyword] = Number(weight);
+    }
+
+    await db.setCategory(name, keywords, { exclude, weights: keywordWeights, threshold: Number(threshold), parent });
+
+    if (renamed) {
+      await db.reparentCategories(previousName, name);
+      await db.deleteCategory(previousName);
+    }
+
+    const job = await startRetagJob(`Category "${name}" updated`);
+    return { success: true, data: { job } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteCategoryHandler({ name }) {
+  try {
+    // Children move up to the deleted category's parent
+    const categories = await db.getCategories();
+    await db.reparentCategories(name, categories[name]?.parent || null);
+    await db.deleteCategory(name);
+    const job = await startRetagJob(`Category "${name}" deleted`);
+    return { success: true, data: { job } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function filterRetweetsHandler({ page, pageSize, cursor, sortOrder, ...filters } = {}) {
+  try {
+    const expandedFilters = expandSearchTags('', filters, await db.getCategories());
+    const results = await db.filterRetweets(expandedFilters, { page, pageSize, cursor, sortOrder });
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTagRulesHandler() {
+  try {
+    const rules = await db.getTagRules();
+    return { success: true, data: rules };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function saveTagRuleHandler(rule) {
+  try {
+    const validation = validateRule(rule);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join('; ') };
+    }
+
+    const saved = await db.saveTagRule(rule);
+    return { success: true, data: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteTagRuleHandler({ id }) {
+  try {
+    await db.deleteTagRule(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Recompute auto tags (categories + rules) across the whole archive
+// Runs as the batched re-tag job, so a large archive doesn't tie up one message
+async function applyTagRulesHandler() {
+  try {
+    const job = await startRetagJob('Tag rules re-run');
+    return { success: true, data: { job } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTagsHandler() {
+  try {
+    const stats = await db.getStats();
     const categories = await db.getCategories();
-    const autoTags = suggestTags(data.text || '', categories);
+    const colors = await db.getSetting(TAG_MANAGER_OPTIONS.colorsKey, {});
+    const undo = await db.getSetting(TAG_MANAGER_OPTIONS.undoKey);
 
-    const post = await db.addRetweet({
-      ...data,
-      platform: 'instagram',
-      auto_tags: autoTags
-    });
+    const tags = Object.entries(stats.byTag)
+      .map(([tag, count]) => ({ tag, count, color: colors[tag] || null, category: !!categories[tag] }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
 
-    if (post) {
-      console.log('[Instagram Filter] Post saved successfully:', {
-        id: post.id,
-        has_avatar: !!post.user_avatar,
-        like_count: post.like_count,
-        platform: post.platform
-      });
-      // NEW: Sync in background
-      syncPostToSupabase(post).catch(console.error);
-      
-      updateBadge();
-      return { success: true, data: post };
-    } else {
-      return { success: false, error: 'Duplicate post' };
-    }
+    return {
+      success: true,
+      data: { tags, colors, undo: undo ? { description: undo.description, created_at: undo.created_at } : null }
+    };
   } catch (error) {
-    console.error('[Instagram Filter] Capture error:', error);
     return { success: false, error: error.message };
   }
 }
 
-async function captureTikTok(data) {
-  try {
-    console.log('[TikTok Filter] Capturing TikTok video with data:', {
-      post_id: data.post_id || data.tweet_id,
-      user_handle: data.user_handle,
-      has_avatar: !!data.user_avatar,
-      like_count: data.like_count,
-      post_type: data.post_type,
-      user_verified: data.user_verified
-    });
+// Category tags are recomputed from their category, so they are edited there
+async function changeTags(fromTags, toTag, description) {
+  const categories = await db.getCategories();
+  const category = fromTags.find(tag => categories[tag]);
+  if (category) {
+    throw new Error(`"${category}" is a category. Rename or delete it under Categories instead.`);
+  }
 
-    const categories = await db.getCategories();
-    const autoTags = suggestTags(data.text || '', categories);
+  const { updated, changes } = await db.replaceTags(fromTags, toTag, description);
+  learnTags(changes).catch(console.error);
+  return { success: true, data: { updated, description } };
+}
 
-    const post = await db.addRetweet({
-      ...data,
-      platform: 'tiktok',
-      auto_tags: autoTags
-    });
+async function renameTagHandler({ from, to }) {
+  try {
+    const name = (to || '').trim();
+    if (!from || !name) throw new Error('Both the tag and its new name are required');
+    if (name === from) throw new Error('The new name is the same as the old one');
 
-    if (post) {
-      console.log('[TikTok Filter] Video saved successfully:', {
-        id: post.id,
-        has_avatar: !!post.user_avatar,
-        like_count: post.like_count,
-        platform: post.platform
-      });
-      // NEW: Sync in background
-      syncPostToSupabase(post).catch(console.error);
-      
-      updateBadge();
-      return { success: true, data: post };
-    } else {
-      return { success: false, error: 'Duplicate post' };
-    }
+    return await changeTags([from], name, `Renamed "${from}" to "${name}"`);
   } catch (error) {
-    console.error('[TikTok Filter] Capture error:', error);
     return { success: false, error: error.message };
   }
 }
 
-async function captureYouTube(data) {
+async function mergeTagsHandler({ tags, into }) {
   try {
-    console.log('[YouTube Filter] Capturing YouTube video with data:', {
-      post_id: data.post_id || data.tweet_id,
-      user_handle: data.user_handle,
-      like_count: data.like_count
-    });
+    const target = (into || '').trim();
+    const sources = (tags || []).filter(tag => tag !== target);
+    if (!target || sources.length === 0) throw new Error('Choose the tags to merge and the tag to merge them into');
 
-    const categories = await db.getCategories();
-    const autoTags = suggestTags(data.text || '', categories);
+    return await changeTags(sources, target, `Merged ${sources.map(tag => `"${tag}"`).join(', ')} into "${target}"`);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    const post = await db.addRetweet({
-      ...data,
-      platform: 'youtube',
-      auto_tags: autoTags
-    });
+async function deleteTagHandler({ tag }) {
+  try {
+    if (!tag) throw new Error('Tag is required');
+    return await changeTags([tag], null, `Deleted "${tag}"`);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    if (post) {
-      console.log('[YouTube Filter] Video saved successfully:', {
-        id: post.id,
-        platform: post.platform
-      });
-      // NEW: Sync in background
-      syncPostToSupabase(post).catch(console.error);
-      
-      updateBadge();
-      return { success: true, data: post };
+async function setTagColorHandler({ tag, color = null }) {
+  try {
+    if (!tag) throw new Error('Tag is required');
+    if (color && !/^#[0-9a-f]{6}$/i.test(color)) throw new Error('Color must look like #3b82f6');
+
+    const colors = await db.getSetting(TAG_MANAGER_OPTIONS.colorsKey, {});
+    if (color) {
+      colors[tag] = color.toLowerCase();
     } else {
-      return { success: false, error: 'Duplicate post' };
+      delete colors[tag];
     }
+    await db.setSetting(TAG_MANAGER_OPTIONS.colorsKey, colors);
+    return { success: true, data: colors };
   } catch (error) {
-    console.error('[YouTube Filter] Capture error:', error);
     return { success: false, error: error.message };
   }
 }
 
-async function getRetweetsHandler(options) {
+async function undoTagChangeHandler() {
   try {
-    const result = await db.getRetweets(options);
-    return { success: true, data: result };
+    const { description, restored, changes } = await db.undoTagChange();
+    learnTags(changes).catch(console.error);
+    return { success: true, data: { description, restored } };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function searchRetweetsHandler({ query, filters }) {
+async function getClassifierStatusHandler() {
   try {
-    const allRetweets = await db.getAllRetweets();
-    const results = searchRetweets(allRetweets, query, filters);
-    return { success: true, data: results };
+    const enabled = await isLearnedTaggingEnabled();
+    const stats = enabled ? getClassifierStats(await getTagClassifier()) : getClassifierStats(null);
+    return { success: true, data: { enabled, ...stats } };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function updateTagsHandler({ id, tags }) {
+async function retrainClassifierHandler() {
   try {
-    const updated = await db.updateTags(id, tags);
-    return { success: true, data: updated };
+    if (!(await isLearnedTaggingEnabled())) throw new Error('Learned tags are turned off');
+    const model = await retrainTagClassifier();
+    return { success: true, data: { enabled: true, ...getClassifierStats(model) } };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function bulkUpdateTagsHandler({ ids, tagsToAdd, tagsToRemove }) {
+// Learned suggestions for an existing capture (shown in the tag editor)
+async function suggestTagsHandler({ id }) {
   try {
-    const count = await db.bulkUpdateTags(ids, tagsToAdd, tagsToRemove);
-    return { success: true, data: { updated: count } };
+    const retweet = await db.getRetweet(id);
+    if (!retweet) throw new Error('Retweet not found');
+    if (!(await isLearnedTaggingEnabled())) return { success: true, data: [] };
+
+    const predictions = predictTags(await getTagClassifier(), retweet, {
+      minConfidence: CLASSIFIER_OPTIONS.suggestionConfidence,
+      exclude: retweet.tags || []
+    });
+    return { success: true, data: predictions };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function deleteRetweetHandler({ id }) {
+async function getRetagStatusHandler() {
   try {
-    await db.deleteRetweet(id);
-    updateBadge();
-    return { success: true };
+    const job = await db.getSetting(RETAG_OPTIONS.stateKey);
+    return { success: true, data: job };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function bulkDeleteHandler({ ids }) {
+async function cancelRetagHandler() {
   try {
-    const count = await db.deleteRetweets(ids);
-    updateBadge();
-    return { success: true, data: { deleted: count } };
+    const job = await setRetagStatus('cancelled');
+    return { success: true, data: job };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function importDataHandler({ type, data }) {
+async function resumeRetagHandler() {
   try {
-    let result;
-    switch (type) {
-      case 'archive':
-        result = await importArchive(data);
-        break;
-      case 'csv':
-        result = await importCSV(data);
-        break;
-      case 'nitter':
-        result = await importNitter(data);
-        break;
-      default:
-        throw new Error('Unknown import type');
-    }
-
-    updateBadge();
-    return { success: true, data: result };
+    const job = await setRetagStatus('running');
+    return { success: true, data: job };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function exportDataHandler() {
+async function getSavedSearchesHandler() {
   try {
-    const data = await db.exportAll();
-    return { success: true, data };
+    const searches = await db.getSavedSearches();
+    return { success: true, data: searches };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function getStatsHandler() {
+async function saveSearchHandler(search) {
   try {
-    const stats = await db.getStats();
-    return { success: true, data: stats };
+    const saved = await db.saveSearch(search);
+    return { success: true, data: saved };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function getSettingsHandler() {
+async function updateSavedSearchHandler({ id, ...updates }) {
   try {
-    const settings = await db.getAllSettings();
-    return { success: true, data: settings };
+    const search = await db.updateSavedSearch(id, updates);
+    return { success: true, data: search };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function updateSettingsHandler(settings) {
+async function deleteSavedSearchHandler({ id }) {
   try {
-    for (const [key, value] of Object.entries(settings)) {
-      await db.setSetting(key, value);
-    }
+    await db.deleteSavedSearch(id);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function getCategoriesHandler() {
+async function getCollectionsHandler() {
   try {
-    const categories = await db.getCategories();
-    return { success: true, data: categories };
+    const collections = await db.getCollections();
+    return { success: true, data: collections };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function setCategoryHandler({ name, keywords }) {
+async function saveCollectionHandler(collection = {}) {
   try {
-    await db.setCategory(name, keywords);
-    return { success: true };
+    const saved = await db.saveCollection(collection);
+    return { success: true, data: saved };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function deleteCategoryHandler({ name }) {
+async function deleteCollectionHandler({ id }) {
   try {
-    await db.deleteCategory(name);
+    await db.deleteCollection(id);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function filterRetweetsHandler(filters) {
+async function reorderCollectionsHandler({ ids = [] } = {}) {
   try {
-    const results = await db.filterRetweets(filters);
-    return { success: true, data: results };
+    const collections = await db.reorderCollections(ids);
+    return { success: true, data: collections };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function getSavedSearchesHandler() {
+async function getCollectionItemsHandler({ id, page = 1, pageSize = 50 } = {}) {
   try {
-    const searches = await db.getSavedSearches();
-    return { success: true, data: searches };
+    const result = await db.getCollectionItems(id, { page, pageSize });
+    return { success: true, data: result };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function saveSearchHandler(search) {
+async function addToCollectionHandler({ id, ids = [] } = {}) {
   try {
-    const saved = await db.saveSearch(search);
-    return { success: true, data: saved };
+    // Only captures that exist can be added
+    const existing = (await db.getRetweetsByIds(ids)).map(r => r.id);
+    const collection = await db.updateCollectionItems(id, itemIds => addItems(itemIds, existing));
+    return { success: true, data: collection };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function deleteSavedSearchHandler({ id }) {
+async function removeFromCollectionHandler({ id, ids = [] } = {}) {
   try {
-    await db.deleteSavedSearch(id);
-    return { success: true };
+    const collection = await db.updateCollectionItems(id, itemIds => removeItems(itemIds, ids));
+    return { success: true, data: collection };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function reorderCollectionHandler({ id, itemIds = [] } = {}) {
+  try {
+    const collection = await db.updateCollectionItems(id, current => orderItems(current, itemIds));
+    return { success: true, data: collection };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function openDashboardHandler() {
+// view opens the dashboard on that view, e.g. 'inbox'
+async function openDashboardHandler({ view } = {}) {
   try {
-    const dashboardUrl = chrome.runtime.getURL('src/dashboard/dashboard.html');
+    const page = chrome.runtime.getURL('src/dashboard/dashboard.html');
+    const dashboardUrl = view ? `${page}?view=${encodeURIComponent(view)}` : page;
     await chrome.tabs.create({ url: dashboardUrl });
     return { success: true };
   } catch (error) {
@@ -1689,6 +6659,276 @@ async function openDashboardHandler() {
   }
 }
 
+// ==================== LEARNED TAG MODEL ====================
+
+// Cached copy of the model stored under CLASSIFIER_OPTIONS.modelKey
+let tagClassifier = null;
+
+async function isLearnedTaggingEnabled() {
+  return (await db.getSetting(CLASSIFIER_OPTIONS.enabledKey, true)) !== false;
+}
+
+async function retrainTagClassifier() {
+  tagClassifier = buildClassifier(await db.getAllRetweets());
+  await db.setSetting(CLASSIFIER_OPTIONS.modelKey, tagClassifier);
+  return tagClassifier;
+}
+
+async function resetTagClassifier() {
+  tagClassifier = null;
+  await db.setSetting(CLASSIFIER_OPTIONS.modelKey, null);
+}
+
+async function getTagClassifier() {
+  if (!tagClassifier) {
+    tagClassifier = await db.getSetting(CLASSIFIER_OPTIONS.modelKey);
+  }
+  return tagClassifier || retrainTagClassifier();
+}
+
+async function predictLearnedTags(post) {
+  if (!(await isLearnedTaggingEnabled())) return [];
+  return predictTags(await getTagClassifier(), post, { exclude: post.tags || [] });
+}
+
+// Apply manual tag changes to the model: [{ previous, current }], null for added/deleted
+async function learnTags(changes) {
+  if (!(await isLearnedTaggingEnabled())) return;
+
+  if (!tagClassifier) {
+    tagClassifier = await db.getSetting(CLASSIFIER_OPTIONS.modelKey);
+    // A fresh build reads the records as they are now, changes included
+    if (!tagClassifier) {
+      await retrainTagClassifier();
+      return;
+    }
+  }
+
+  for (const { previous, current } of changes) {
+    updateClassifier(tagClassifier, previous, current);
+  }
+  await db.setSetting(CLASSIFIER_OPTIONS.modelKey, tagClassifier);
+}
+
+// ==================== RE-TAG JOB ====================
+
+// Recomputes auto_tags for every record in batches after categories change.
+// Progress is saved after each batch, so a suspended worker resumes where it stopped.
+let retagLoopRunning = false;
+
+function broadcastRetagProgress(job) {
+  chrome.runtime.sendMessage({ type: 'RETAG_PROGRESS', data: job }).catch(() => {});
+}
+
+async function startRetagJob(reason) {
+  const now = new Date().toISOString();
+  const job = {
+    id: generateId(),
+    status: 'running',
+    reason,
+    cursor: null,
+    processed: 0,
+    updated: 0,
+    total: await db.countRetweets(),
+    started_at: now,
+    updated_at: now
+  };
+
+  // Replaces any job in progress; the loop notices and starts over
+  await db.setSetting(RETAG_OPTIONS.stateKey, job);
+  chrome.alarms.create(RETAG_OPTIONS.alarmName, { periodInMinutes: 1 });
+  broadcastRetagProgress(job);
+  runRetagJob().catch(console.error);
+  return job;
+}
+
+async function setRetagStatus(status) {
+  const job = await db.getSetting(RETAG_OPTIONS.stateKey);
+  if (!job) throw new Error('No re-tag job');
+  if (job.status === 'done') return job;
+
+  const updated = { ...job, status, updated_at: new Date().toISOString() };
+  await db.setSetting(RETAG_OPTIONS.stateKey, updated);
+
+  if (status === 'running') {
+    chrome.alarms.create(RETAG_OPTIONS.alarmName, { periodInMinutes: 1 });
+    runRetagJob().catch(console.error);
+  } else {
+    chrome.alarms.clear(RETAG_OPTIONS.alarmName);
+  }
+
+  broadcastRetagProgress(updated);
+  return updated;
+}
+
+async function runRetagJob() {
+  if (retagLoopRunning) return;
+  retagLoopRunning = true;
+
+  try {
+    while (true) {
+      const job = await db.getSetting(RETAG_OPTIONS.stateKey);
+      if (!job || job.status !== 'running') return;
+
+      const batch = await db.getRetweetBatch(job.cursor, RETAG_OPTIONS.batchSize);
+      const categories = await db.getCategories();
+      const rules = await db.getTagRules();
+      let updated = 0;
+
+      for (const retweet of batch) {
+        const autoTags = computeAutoTags(retweet, categories, rules, retweet.learned_tags);
+        const current = retweet.auto_tags || [];
+        const changed = autoTags.length !== current.length || autoTags.some(tag => !current.includes(tag));
+
+        if (changed) {
+          await db.updateRetweet(retweet.id, { auto_tags: autoTags });
+          updated++;
+        }
+      }
+
+      // Cancelled or restarted while this batch ran: keep the newer state
+      const latest = await db.getSetting(RETAG_OPTIONS.stateKey);
+      if (!latest || latest.id !== job.id || latest.status !== 'running') continue;
+
+      const done = batch.length < RETAG_OPTIONS.batchSize;
+      const next = {
+        ...job,
+        status: done ? 'done' : 'running',
+        cursor: batch.length > 0 ? batch[batch.length - 1].id : job.cursor,
+        processed: job.processed + batch.length,
+        updated: job.updated + updated,
+        updated_at: new Date().toISOString()
+      };
+      next.total = Math.max(next.total, next.processed);
+
+      await db.setSetting(RETAG_OPTIONS.stateKey, next);
+      broadcastRetagProgress(next);
+
+      if (done) {
+        chrome.alarms.clear(RETAG_OPTIONS.alarmName);
+        return;
+      }
+    }
+  } finally {
+    retagLoopRunning = false;
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETAG_OPTIONS.alarmName) runRetagJob().catch(console.error);
+});
+
+// Resume an interrupted job whenever the worker starts
+runRetagJob().catch(console.error);
+
+// ==================== SEARCH TERMS BUILD ====================
+
+// Adds the words already in the search index to the search terms store after
+// the upgrade that created it, in batches so a large archive doesn't hold up
+// the upgrade. Progress is saved after each batch, so a suspended worker
+// resumes where it stopped. Until it finishes, older words are only found by prefix.
+let searchTermsBuildRunning = false;
+
+async function runSearchTermsBuild() {
+  if (searchTermsBuildRunning) return;
+  searchTermsBuildRunning = true;
+
+  try {
+    let build = await db.getSetting(SEARCH_TERMS_OPTIONS.stateKey);
+    if (!build || build.status !== 'running') return;
+    chrome.alarms.create(SEARCH_TERMS_OPTIONS.alarmName, { periodInMinutes: 1 });
+
+    while (build.status === 'running') {
+      const { added, last } = await db.addSearchTermsBatch(build.cursor, SEARCH_TERMS_OPTIONS.batchSize);
+      build = {
+        status: last === null ? 'done' : 'running',
+        cursor: last,
+        added: build.added + added
+      };
+      await db.setSetting(SEARCH_TERMS_OPTIONS.stateKey, build);
+    }
+
+    chrome.alarms.clear(SEARCH_TERMS_OPTIONS.alarmName);
+  } finally {
+    searchTermsBuildRunning = false;
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SEARCH_TERMS_OPTIONS.alarmName) runSearchTermsBuild().catch(console.error);
+});
+
+runSearchTermsBuild().catch(console.error);
+
+// ==================== TRASH PURGE ====================
+
+async function purgeExpiredTrash() {
+  const retentionDays = await db.getSetting(TRASH_OPTIONS.retentionKey, TRASH_OPTIONS.retentionDays);
+  if (!(retentionDays > 0)) return 0;
+
+  const before = new Date(Date.now() - retentionDays * 86400000).toISOString();
+  const purged = await db.purgeTrash({ before });
+  if (purged > 0) console.log(`[Retweet Filter] Purged ${purged} items from the trash`);
+  return purged;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_OPTIONS.alarmName) purgeExpiredTrash().catch(console.error);
+});
+
+// ==================== SAVED SEARCH ALERTS ====================
+
+const SAVED_SEARCH_NOTIFICATION_PREFIX = 'saved-search:';
+
+async function notifyWatchedSearches(post) {
+  const watched = (await db.getSavedSearches()).filter(search => search.watch);
+  if (watched.length === 0) return;
+
+  const categories = await db.getCategories();
+  const matchedIds = watched.filter(search => matchesSavedSearch(post, search, categories)).map(search => search.id);
+  if (matchedIds.length === 0) return;
+
+  const updated = await db.recordSavedSearchMatches(matchedIds);
+
+  // Let an open dashboard refresh its unread counters
+  chrome.runtime.sendMessage({ type: 'SAVED_SEARCHES_UPDATED' }).catch(() => {});
+
+  if (!chrome.notifications || !(await chrome.permissions.contains({ permissions: ['notifications'] }))) {
+    return;
+  }
+
+  // One notification per search, replaced as further matches arrive
+  for (const search of updated) {
+    chrome.notifications.create(`${SAVED_SEARCH_NOTIFICATION_PREFIX}${search.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: search.unread > 1
+        ? `${search.unread} new matches for "${search.name}"`
+        : `New match for "${search.name}"`,
+      message: `@${post.user_handle || 'unknown'}: ${(post.text || '').substring(0, 120)}`,
+      priority: 0
+    });
+  }
+}
+
+async function handleNotificationClick(notificationId) {
+  if (!notificationId.startsWith(SAVED_SEARCH_NOTIFICATION_PREFIX)) return;
+
+  const searchId = notificationId.substring(SAVED_SEARCH_NOTIFICATION_PREFIX.length);
+  const dashboardUrl = chrome.runtime.getURL('src/dashboard/dashboard.html');
+  await chrome.tabs.create({ url: `${dashboardUrl}?savedSearch=${encodeURIComponent(searchId)}` });
+  chrome.notifications.clear(notificationId);
+}
+
+// chrome.notifications only exists once the optional permission is granted
+function listenForNotificationClicks() {
+  if (!chrome.notifications || chrome.notifications.onClicked.hasListener(handleNotificationClick)) return;
+  chrome.notifications.onClicked.addListener(handleNotificationClick);
+}
+
+listenForNotificationClicks();
+chrome.permissions.onAdded.addListener(listenForNotificationClicks);
+
 // ==================== BADGE UPDATE ====================
 
 async function updateBadge() {
@@ -1717,12 +6957,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('[Retweet Filter] Default categories initialized');
   }
 
+  chrome.alarms.create(TRASH_OPTIONS.alarmName, { periodInMinutes: TRASH_OPTIONS.purgeIntervalMinutes });
   updateBadge();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('[Retweet Filter] Extension started');
   updateBadge();
+  purgeExpiredTrash().catch(console.error);
 });
 
 // Periodic badge update
@@ -108,6 +108,10 @@
             // Verified status
             const verifiedBadge = document.querySelector('.ytd-video-owner-renderer ytd-badge-supported-renderer');
 
+            // Duration in seconds (NaN until the player has loaded metadata)
+            const videoEl = document.querySelector('video.html5-main-video') || document.querySelector('video');
+            const duration = videoEl && isFinite(videoEl.duration) ? Math.round(videoEl.duration) : 0;
+
             return {
                 tweet_id: videoId, // Reusing field for ID
                 post_id: videoId,
@@ -124,6 +128,7 @@
                     type: 'video',
                     url: window.location.href,
                     thumb_url: thumbUrl,
+                    duration,
                     source_platform: 'youtube'
                 }],
 
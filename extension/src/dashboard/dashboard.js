@@ -37,6 +37,49 @@ const DEFAULT_TRIGGERS = {
   youtube: { like: true }
 };
 
+// Fields available to auto-tag rule conditions. Any other record field can
+// be used by its (dotted) name, e.g. "card.title" or "user_verified".
+const TAG_RULE_FIELDS = {
+  author: 'Author handle',
+  text: 'Text (incl. quoted)',
+  domain: 'Link domain',
+  url: 'Link URL',
+  hashtag: 'Hashtag',
+  mention: 'Mention',
+  platform: 'Platform',
+  source: 'Source',
+  has: 'Has (media, image, video, link, quote)',
+  duration: 'Video duration (minutes)',
+  likes: 'Likes',
+  views: 'Views',
+  retweets: 'Reposts',
+  replies: 'Replies',
+  tag: 'Tag'
+};
+
+// Comparison operators for auto-tag rule conditions
+const TAG_RULE_OPERATORS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches: 'matches regex',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  exists: 'is present',
+  not_exists: 'is missing'
+};
+
+// Word the user must type before Clear Data runs
+const CLEAR_DATA_CONFIRMATION = 'DELETE';
+
+// How long the "Undo" toast stays up after a delete
+const UNDO_TOAST_MS = 8000;
+
 // ==================== INLINED UTILITY FUNCTIONS ====================
 
 function formatDate(date) {
@@ -70,11 +113,12 @@ function formatTimestamp(date) {
   });
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe in element content and in quoted attribute values
 function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  if (text === null || text === undefined) return '';
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 function debounce(func, wait) {
@@ -107,6 +151,225 @@ function truncateText(text, maxLength = TEXT_TRUNCATE_LENGTH) {
   return { truncated: text.substring(0, maxLength) + '...', isTruncated: true, full: text };
 }
 
+// Mirrors NOTE_OPTIONS in utils/constants.js
+const NOTE_OPTIONS = {
+  maxHighlights: 100              // highlighted passages kept per capture
+};
+
+// Anchors highlights to the text (mirrors normalizeHighlights in lib/notes.js):
+// moved passages are found again, lost ones dropped, overlaps merged
+function normalizeHighlights(text, highlights) {
+  if (!Array.isArray(highlights)) return [];
+
+  const source = text || '';
+  const ranges = [];
+
+  for (const highlight of highlights) {
+    const range = anchorHighlight(source, highlight);
+    if (range) ranges.push(range);
+  }
+
+  ranges.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged.slice(0, NOTE_OPTIONS.maxHighlights).map(({ start, end }) => ({
+    start,
+    end,
+    text: source.substring(start, end)
+  }));
+}
+
+// Where a highlight belongs in the text, or null if it can't be placed
+function anchorHighlight(text, highlight) {
+  if (!highlight || typeof highlight !== 'object') return null;
+
+  const { start, end, text: passage } = highlight;
+  const hasRange = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start && end <= text.length;
+
+  if (typeof passage === 'string' && passage.trim()) {
+    if (hasRange && text.substring(start, end) === passage) return { start, end };
+
+    const found = text.indexOf(passage);
+    return found === -1 ? null : { start: found, end: found + passage.length };
+  }
+
+  return hasRange ? { start, end } : null;
+}
+
+function renderHighlightedText(text, highlights) {
+  const source = text || '';
+  let html = '';
+  let position = 0;
+
+  for (const { start, end } of normalizeHighlights(source, highlights)) {
+    html += escapeHtml(source.substring(position, start));
+    html += `<mark class="note-highlight">${escapeHtml(source.substring(start, end))}</mark>`;
+    position = end;
+  }
+
+  return html + escapeHtml(source.substring(position));
+}
+
+// Small Markdown subset for notes: headings, paragraphs, bold, italics, code,
+// lists, quotes and http(s) links. The note is escaped before markup is added.
+function renderNoteMarkdown(markdown) {
+  const lines = escapeHtml(markdown || '').split(/\r?\n/);
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderNoteInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      html.push(`</${list}>`);
+      list = null;
+    }
+  };
+
+  for (const line of lines) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^&gt;\s?(.*)$/);
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      closeList();
+      code = [];
+    } else if (heading) {
+      flushParagraph();
+      closeList();
+      const level = heading[1].length + 2;
+      html.push(`<h${level}>${renderNoteInline(heading[2])}</h${level}>`);
+    } else if (item) {
+      flushParagraph();
+      const type = item[1] ? 'ul' : 'ol';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderNoteInline(item[2])}</li>`);
+    } else if (quote) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${renderNoteInline(quote[1])}</blockquote>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  if (code) html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  flushParagraph();
+  closeList();
+
+  return html.join('');
+}
+
+function renderNoteInline(text) {
+  return text.split(/(`[^`]+`)/).map(part => {
+    if (/^`[^`]+`$/.test(part)) return `<code>${part.slice(1, -1)}</code>`;
+
+    return part
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)"']+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w/])_([^_\s][^_]*)_(?![\w])/g, '$1<em>$2</em>');
+  }).join('');
+}
+
+// Plain keyword arrays (defaults) mean weight 1, no exclusions, no threshold, no parent
+function normalizeCategory(category) {
+  if (Array.isArray(category)) {
+    return { keywords: category, exclude: [], weights: {}, threshold: 0, parent: null };
+  }
+
+  return {
+    keywords: category?.keywords || [],
+    exclude: category?.exclude || [],
+    weights: category?.weights || {},
+    threshold: Number(category?.threshold) || 0,
+    parent: category?.parent || null
+  };
+}
+
+const TAG_PATH_SEPARATOR = '/';
+
+// Nested tags take the path before the last separator; categories their parent
+function getTagParent(tag, categoryMap = categories) {
+  const separatorIndex = tag.lastIndexOf(TAG_PATH_SEPARATOR);
+  if (separatorIndex > 0) return tag.substring(0, separatorIndex);
+
+  const name = Object.keys(categoryMap).find(c => c.toLowerCase() === tag.toLowerCase());
+  return name ? normalizeCategory(categoryMap[name]).parent : null;
+}
+
+function getTagAncestors(tag, categoryMap = categories) {
+  const ancestors = [];
+  const seen = new Set([tag.toLowerCase()]);
+  let parent = getTagParent(tag, categoryMap);
+
+  while (parent && !seen.has(parent.toLowerCase())) {
+    ancestors.push(parent);
+    seen.add(parent.toLowerCase());
+    parent = getTagParent(parent, categoryMap);
+  }
+
+  return ancestors;
+}
+
+// Category names parents first, each followed by its children
+function getCategoryTree() {
+  const names = Object.keys(categories);
+  const parentOf = name => {
+    const parent = normalizeCategory(categories[name]).parent;
+    return parent && categories[parent] ? parent : null;
+  };
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (name, depth) => {
+    if (visited.has(name)) return;
+    visited.add(name);
+    ordered.push({ name, depth });
+    names.filter(child => parentOf(child) === name).forEach(child => visit(child, depth + 1));
+  };
+
+  names.filter(name => !parentOf(name)).forEach(name => visit(name, 0));
+  // Anything left sits in a parent cycle; list it at the top level
+  names.forEach(name => visit(name, 0));
+
+  return ordered;
+}
+
 // ==================== STATE ====================
 
 let currentView = 'archive';
@@ -116,8 +379,30 @@ let selectedIds = new Set();
 let currentFilters = {};
 let categories = {};
 let allRetweets = [];
+let totalResults = 0;
+let pagedResults = false;
+let pageCursors = {};
+let pageCursorKey = '';
 let editingRetweetId = null;
 let editingCategoryName = null;
+let collapsedTags = new Set();
+let pendingBackup = null;
+let trashItems = [];
+let duplicateGroups = null;
+let undoToastIds = [];
+let undoToastTimer = null;
+let tagList = [];
+let tagColors = {};
+let selectedTags = new Set();
+let detailRetweet = null;
+let similarRetweets = [];
+let savedSearches = [];
+let collections = [];
+let currentCollectionId = null;
+let inboxOpen = false;
+let editingCollectionId = null;
+let tagRules = [];
+let editingRuleId = null;
 let currentTheme = 'dark';
 let currentLayout = 3;
 
@@ -132,19 +417,62 @@ async function init() {
   try {
     loadTheme();
     loadLayout();
+    loadCollapsedTags();
     cacheElements();
     setupEventListeners();
+    loadMigrationStatus();
     await loadCategories();
+    await loadTags();
     await loadStats();
     await loadRetweets();
     renderTagCloud();
     await loadSavedSearches();
+    await loadCollections();
+    openSavedSearchFromUrl();
+    openViewFromUrl();
     console.log('[Dashboard] Initialization complete');
   } catch (error) {
     console.error('[Dashboard] Init error:', error);
   }
 }
 
+// ==================== DATABASE UPGRADE ====================
+
+// Answered straight away, while other requests wait for the upgrade to finish
+async function loadMigrationStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_MIGRATION_STATUS' });
+    if (response && response.success) renderMigrationStatus(response.data);
+  } catch (error) {
+    console.error('[Dashboard] loadMigrationStatus error:', error);
+  }
+}
+
+function renderMigrationStatus(migration) {
+  const statusEl = document.getElementById('migrationStatus');
+  const textEl = document.getElementById('migrationStatusText');
+  const fillEl = document.getElementById('migrationProgressFill');
+  if (!statusEl || !textEl || !fillEl) return;
+
+  if (!migration || migration.status === 'done') {
+    statusEl.hidden = true;
+    return;
+  }
+
+  if (migration.status === 'failed') {
+    textEl.textContent = `Upgrading your archive failed: ${migration.error || 'unknown error'}. Your data was left as it was.`;
+    fillEl.style.width = '0%';
+  } else {
+    const progress = migration.total > 0
+      ? `: ${formatNumber(migration.processed)} / ${formatNumber(migration.total)}`
+      : '';
+    textEl.textContent = `Upgrading your archive to v${migration.to} (${migration.description || 'starting'})${progress}`;
+    fillEl.style.width = `${migration.total > 0 ? Math.round((migration.processed / migration.total) * 100) : 0}%`;
+  }
+
+  statusEl.hidden = false;
+}
+
 // ==================== THEME ====================
 
 function loadTheme() {
@@ -177,6 +505,14 @@ function loadLayout() {
   applyLayout(currentLayout);
 }
 
+function loadCollapsedTags() {
+  try {
+    collapsedTags = new Set(JSON.parse(localStorage.getItem('rf-tag-cloud-collapsed') || '[]'));
+  } catch {
+    collapsedTags = new Set();
+  }
+}
+
 function applyLayout(cols) {
   currentLayout = cols;
   const resultsList = document.getElementById('resultsList');
@@ -209,6 +545,7 @@ function cacheElements() {
   elements.startDate = document.getElementById('startDate');
   elements.endDate = document.getElementById('endDate');
   elements.hasMediaFilter = document.getElementById('hasMediaFilter');
+  elements.statusFilter = document.getElementById('statusFilter');
   elements.resultsList = document.getElementById('resultsList');
   elements.resultsContainer = document.getElementById('resultsContainer');
   elements.loading = document.getElementById('loading');
@@ -223,8 +560,11 @@ function cacheElements() {
   elements.nextPage = document.getElementById('nextPage');
   elements.totalCount = document.getElementById('totalCount');
   elements.todayRetweets = document.getElementById('todayRetweets');
+  elements.inboxCount = document.getElementById('inboxCount');
   elements.tagCloud = document.getElementById('tagCloud');
   elements.savedSearches = document.getElementById('savedSearches');
+  elements.collectionList = document.getElementById('collectionList');
+  elements.collectionHeader = document.getElementById('collectionHeader');
   elements.categoriesList = document.getElementById('categoriesList');
 }
 
@@ -318,6 +658,27 @@ function setupEventListeners() {
     });
   }
 
+  if (elements.statusFilter) {
+    elements.statusFilter.addEventListener('change', () => {
+      const value = elements.statusFilter.value;
+      delete currentFilters.status;
+      delete currentFilters.favorite;
+      if (value === 'favorite') {
+        currentFilters.favorite = true;
+      } else if (value) {
+        currentFilters.status = value;
+      }
+
+      // Any other status leaves the inbox for the archive list
+      if (inboxOpen && value !== 'unread') {
+        inboxOpen = false;
+        switchView('archive');
+      }
+      currentPage = 1;
+      loadRetweets();
+    });
+  }
+
   // Select All button
   const selectAllBtn = document.getElementById('selectAllBtn');
   if (selectAllBtn) {
@@ -348,31 +709,105 @@ function setupEventListeners() {
   const bulkDeleteBtn = document.getElementById('bulkDelete');
   const clearSelectionBtn = document.getElementById('clearSelection');
 
+  const bulkCollectionBtn = document.getElementById('bulkCollection');
+
   if (bulkTagBtn) bulkTagBtn.addEventListener('click', openBulkTagModal);
+  if (bulkCollectionBtn) bulkCollectionBtn.addEventListener('click', openCollectionPicker);
   if (bulkDeleteBtn) bulkDeleteBtn.addEventListener('click', bulkDelete);
   if (clearSelectionBtn) clearSelectionBtn.addEventListener('click', clearSelection);
 
+  // Collections
+  const newCollectionBtn = document.getElementById('newCollection');
+  if (newCollectionBtn) newCollectionBtn.addEventListener('click', () => openCollectionModal());
+  if (elements.collectionList) elements.collectionList.addEventListener('click', handleCollectionListClick);
+  if (elements.collectionHeader) elements.collectionHeader.addEventListener('click', handleCollectionHeaderClick);
+
   // Categories
   const addCategoryBtn = document.getElementById('addCategory');
   if (addCategoryBtn) {
     addCategoryBtn.addEventListener('click', () => openCategoryModal());
   }
 
+  // Tag rules
+  // Tag manager
+  const tagManagerSearch = document.getElementById('tagManagerSearch');
+  const mergeTagsBtn = document.getElementById('mergeTags');
+  const undoTagChangeBtn = document.getElementById('undoTagChange');
+  if (tagManagerSearch) tagManagerSearch.addEventListener('input', renderTagManager);
+  if (mergeTagsBtn) mergeTagsBtn.addEventListener('click', mergeSelectedTags);
+  if (undoTagChangeBtn) undoTagChangeBtn.addEventListener('click', undoTagChange);
+
+  // Duplicates
+  const scanDuplicatesBtn = document.getElementById('scanDuplicates');
+  const mergeAllDuplicatesBtn = document.getElementById('mergeAllDuplicates');
+  if (scanDuplicatesBtn) scanDuplicatesBtn.addEventListener('click', findDuplicates);
+  if (mergeAllDuplicatesBtn) mergeAllDuplicatesBtn.addEventListener('click', () => mergeDuplicates(duplicateGroups || []));
+
+  // Trash
+  const restoreAllTrashBtn = document.getElementById('restoreAllTrash');
+  const emptyTrashBtn = document.getElementById('emptyTrash');
+  const trashRetentionInput = document.getElementById('trashRetentionDays');
+  const undoToastBtn = document.getElementById('undoToastBtn');
+  if (restoreAllTrashBtn) restoreAllTrashBtn.addEventListener('click', () => restoreFromTrash(trashItems.map(r => r.id)));
+  if (emptyTrashBtn) emptyTrashBtn.addEventListener('click', emptyTrash);
+  if (trashRetentionInput) trashRetentionInput.addEventListener('change', saveTrashRetention);
+  if (undoToastBtn) undoToastBtn.addEventListener('click', undoDelete);
+
+  const addTagRuleBtn = document.getElementById('addTagRule');
+  const applyTagRulesBtn = document.getElementById('applyTagRules');
+  if (addTagRuleBtn) addTagRuleBtn.addEventListener('click', () => openRuleModal());
+  if (applyTagRulesBtn) applyTagRulesBtn.addEventListener('click', applyTagRules);
+
   // Import handlers
   const archiveFileInput = document.getElementById('archiveFile');
+  const instagramFileInput = document.getElementById('instagramFile');
+  const tiktokFileInput = document.getElementById('tiktokFile');
+  const youtubeFileInput = document.getElementById('youtubeFile');
+  const readingListFileInput = document.getElementById('readingListFile');
   const csvFileInput = document.getElementById('csvFile');
   const importNitterBtn = document.getElementById('importNitter');
 
   if (archiveFileInput) archiveFileInput.addEventListener('change', handleArchiveImport);
+  if (instagramFileInput) instagramFileInput.addEventListener('change', handleInstagramImport);
+  if (tiktokFileInput) tiktokFileInput.addEventListener('change', handleTikTokImport);
+  if (youtubeFileInput) youtubeFileInput.addEventListener('change', handleYouTubeImport);
+  if (readingListFileInput) readingListFileInput.addEventListener('change', handleReadingListImport);
   if (csvFileInput) csvFileInput.addEventListener('change', handleCsvImport);
   if (importNitterBtn) importNitterBtn.addEventListener('click', handleNitterImport);
 
   // File input trigger buttons (CSP-compliant alternative to inline onclick)
   const archiveFileBtn = document.getElementById('archiveFileBtn');
+  const instagramFileBtn = document.getElementById('instagramFileBtn');
+  const tiktokFileBtn = document.getElementById('tiktokFileBtn');
+  const youtubeFileBtn = document.getElementById('youtubeFileBtn');
+  const readingListFileBtn = document.getElementById('readingListFileBtn');
   const csvFileBtn = document.getElementById('csvFileBtn');
+  const backupFileInput = document.getElementById('backupFile');
+  const backupFileBtn = document.getElementById('backupFileBtn');
+  const cancelRestoreBtn = document.getElementById('cancelRestore');
+  const confirmRestoreBtn = document.getElementById('confirmRestore');
+  if (backupFileInput) backupFileInput.addEventListener('change', handleBackupFile);
+  if (backupFileBtn && backupFileInput) {
+    backupFileBtn.addEventListener('click', () => backupFileInput.click());
+  }
+  if (cancelRestoreBtn) cancelRestoreBtn.addEventListener('click', closeRestorePreview);
+  if (confirmRestoreBtn) confirmRestoreBtn.addEventListener('click', confirmRestore);
+
   if (archiveFileBtn && archiveFileInput) {
     archiveFileBtn.addEventListener('click', () => archiveFileInput.click());
   }
+  if (instagramFileBtn && instagramFileInput) {
+    instagramFileBtn.addEventListener('click', () => instagramFileInput.click());
+  }
+  if (tiktokFileBtn && tiktokFileInput) {
+    tiktokFileBtn.addEventListener('click', () => tiktokFileInput.click());
+  }
+  if (youtubeFileBtn && youtubeFileInput) {
+    youtubeFileBtn.addEventListener('click', () => youtubeFileInput.click());
+  }
+  if (readingListFileBtn && readingListFileInput) {
+    readingListFileBtn.addEventListener('click', () => readingListFileInput.click());
+  }
   if (csvFileBtn && csvFileInput) {
     csvFileBtn.addEventListener('click', () => csvFileInput.click());
   }
@@ -391,6 +826,8 @@ function setupEventListeners() {
   const exportDataBtn = document.getElementById('exportData');
   const clearDataBtn = document.getElementById('clearData');
   const autoTagEnabledCheckbox = document.getElementById('autoTagEnabled');
+  const learnedTagsEnabledCheckbox = document.getElementById('learnedTagsEnabled');
+  const retrainClassifierBtn = document.getElementById('retrainClassifier');
 
   if (syncEnabledCheckbox) {
     syncEnabledCheckbox.addEventListener('change', (e) => {
@@ -400,7 +837,7 @@ function setupEventListeners() {
   }
 
   if (exportDataBtn) exportDataBtn.addEventListener('click', exportData);
-  if (clearDataBtn) clearDataBtn.addEventListener('click', clearAllData);
+  if (clearDataBtn) clearDataBtn.addEventListener('click', openClearDataModal);
 
   if (autoTagEnabledCheckbox) {
     autoTagEnabledCheckbox.addEventListener('change', (e) => {
@@ -411,6 +848,18 @@ function setupEventListeners() {
     });
   }
 
+  if (learnedTagsEnabledCheckbox) {
+    learnedTagsEnabledCheckbox.addEventListener('change', async (e) => {
+      await chrome.runtime.sendMessage({
+        type: MESSAGES.UPDATE_SETTINGS,
+        data: { learnedTagsEnabled: e.target.checked }
+      });
+      loadClassifierStatus();
+    });
+  }
+
+  if (retrainClassifierBtn) retrainClassifierBtn.addEventListener('click', retrainClassifier);
+
   // Modals
   const closeModalBtn = document.getElementById('closeModal');
   const detailModalBackdrop = document.querySelector('#detailModal .modal-backdrop');
@@ -442,9 +891,70 @@ function setupEventListeners() {
   if (categoryModalBackdrop) categoryModalBackdrop.addEventListener('click', closeCategoryModal);
   if (saveCategoryBtn) saveCategoryBtn.addEventListener('click', saveCategory);
 
+  const cancelCollectionBtn = document.getElementById('cancelCollection');
+  const collectionModalBackdrop = document.querySelector('#collectionModal .modal-backdrop');
+  const saveCollectionBtn = document.getElementById('saveCollection');
+
+  if (cancelCollectionBtn) cancelCollectionBtn.addEventListener('click', closeCollectionModal);
+  if (collectionModalBackdrop) collectionModalBackdrop.addEventListener('click', closeCollectionModal);
+  if (saveCollectionBtn) saveCollectionBtn.addEventListener('click', saveCollection);
+
+  const cancelCollectionPickerBtn = document.getElementById('cancelCollectionPicker');
+  const collectionPickerBackdrop = document.querySelector('#collectionPickerModal .modal-backdrop');
+  const confirmCollectionPickerBtn = document.getElementById('confirmCollectionPicker');
+  const collectionPicker = document.getElementById('collectionPicker');
+
+  if (cancelCollectionPickerBtn) cancelCollectionPickerBtn.addEventListener('click', closeCollectionPicker);
+  if (collectionPickerBackdrop) collectionPickerBackdrop.addEventListener('click', closeCollectionPicker);
+  if (confirmCollectionPickerBtn) confirmCollectionPickerBtn.addEventListener('click', addSelectionToCollection);
+  if (collectionPicker) {
+    collectionPicker.addEventListener('change', () => {
+      document.getElementById('collectionPickerNew').hidden = collectionPicker.value !== '';
+    });
+  }
+
+  const cancelRuleBtn = document.getElementById('cancelRule');
+  const ruleModalBackdrop = document.querySelector('#ruleModal .modal-backdrop');
+  const saveRuleBtn = document.getElementById('saveRule');
+  const addRuleConditionBtn = document.getElementById('addRuleCondition');
+
+  if (cancelRuleBtn) cancelRuleBtn.addEventListener('click', closeRuleModal);
+  if (ruleModalBackdrop) ruleModalBackdrop.addEventListener('click', closeRuleModal);
+  if (saveRuleBtn) saveRuleBtn.addEventListener('click', saveRule);
+  if (addRuleConditionBtn) {
+    addRuleConditionBtn.addEventListener('click', () => addRuleConditionRow({ field: 'author', operator: 'equals', value: '' }));
+  }
+
+  const clearDataModal = document.getElementById('clearDataModal');
+  const cancelClearDataBtn = document.getElementById('cancelClearData');
+  const confirmClearDataBtn = document.getElementById('confirmClearData');
+  const clearDataConfirmInput = document.getElementById('clearDataConfirm');
+
+  if (clearDataModal) {
+    clearDataModal.querySelector('.modal-backdrop').addEventListener('click', closeClearDataModal);
+    clearDataModal.querySelectorAll('.modal-body input[type="checkbox"], .modal-body select, .modal-body input[type="date"]').forEach(input => {
+      input.addEventListener('change', previewClearData);
+    });
+  }
+  if (cancelClearDataBtn) cancelClearDataBtn.addEventListener('click', closeClearDataModal);
+  if (confirmClearDataBtn) confirmClearDataBtn.addEventListener('click', clearData);
+  if (clearDataConfirmInput) clearDataConfirmInput.addEventListener('input', updateClearDataButton);
+
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyboard);
 
+  // Unread counters change when a capture matches a watched search
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.type === 'SAVED_SEARCHES_UPDATED') loadSavedSearches();
+    if (message && message.type === 'RETAG_PROGRESS') renderRetagStatus(message.data);
+    if (message && message.type === 'MIGRATION_PROGRESS') renderMigrationStatus(message.data);
+  });
+
+  const cancelRetagBtn = document.getElementById('cancelRetag');
+  const resumeRetagBtn = document.getElementById('resumeRetag');
+  if (cancelRetagBtn) cancelRetagBtn.addEventListener('click', () => updateRetagJob('CANCEL_RETAG'));
+  if (resumeRetagBtn) resumeRetagBtn.addEventListener('click', () => updateRetagJob('RESUME_RETAG'));
+
   // Result clicks
   if (elements.resultsList) {
     elements.resultsList.addEventListener('click', handleResultClick);
@@ -455,17 +965,41 @@ function setupEventListeners() {
 
 function switchView(view) {
   currentView = view;
+  // The inbox is the archive list limited to unread captures, oldest first
+  const panel = view === 'inbox' ? 'archive' : view;
 
   document.querySelectorAll('.nav-item').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.view === view);
   });
 
   document.querySelectorAll('.view').forEach(v => {
-    v.classList.toggle('active', v.id === `${view}View`);
+    v.classList.toggle('active', v.id === `${panel}View`);
   });
 
+  if (view === 'inbox' || (view === 'archive' && inboxOpen)) {
+    setInbox(view === 'inbox');
+  }
+
   if (view === 'categories') {
     renderCategories();
+    loadTagRules();
+    loadRetagStatus();
+  }
+
+  if (view === 'tags') {
+    loadTags();
+  }
+
+  if (view === 'duplicates' && duplicateGroups === null) {
+    findDuplicates();
+  }
+
+  if (view === 'trash') {
+    loadTrash();
+  }
+
+  if (view === 'settings') {
+    loadSettings();
   }
 }
 
@@ -479,6 +1013,11 @@ async function loadStats() {
     if (response && response.success) {
       if (elements.totalCount) elements.totalCount.textContent = formatNumber(response.data.total);
       if (elements.todayRetweets) elements.todayRetweets.textContent = formatNumber(response.data.today);
+      if (elements.inboxCount) {
+        const unread = response.data.byStatus?.unread || 0;
+        elements.inboxCount.textContent = formatNumber(unread);
+        elements.inboxCount.hidden = unread === 0;
+      }
     }
   } catch (error) {
     console.error('[Dashboard] loadStats error:', error);
@@ -510,6 +1049,12 @@ async function loadRetweets() {
 
   const query = elements.searchInput ? elements.searchInput.value.trim() : '';
 
+  // Searching or filtering leaves the open collection
+  if (currentCollectionId && (query || Object.keys(currentFilters).length > 0)) {
+    currentCollectionId = null;
+    renderCollectionHeader(null);
+  }
+
   try {
     let response;
 
@@ -521,27 +1066,37 @@ async function loadRetweets() {
 
       if (response && response.success) {
         allRetweets = response.data.map(r => r.item);
+        totalResults = allRetweets.length;
         totalPages = Math.ceil(allRetweets.length / PAGE_SIZE);
+        pagedResults = false;
       }
-    } else if (Object.keys(currentFilters).length > 0) {
+    } else if (currentCollectionId) {
       response = await chrome.runtime.sendMessage({
-        type: 'FILTER_RETWEETS',
-        data: currentFilters
+        type: 'GET_COLLECTION_ITEMS',
+        data: { id: currentCollectionId, page: currentPage, pageSize: PAGE_SIZE }
       });
 
       if (response && response.success) {
-        allRetweets = response.data;
-        totalPages = Math.ceil(allRetweets.length / PAGE_SIZE);
+        allRetweets = response.data.items;
+        totalResults = response.data.total;
+        totalPages = response.data.totalPages;
+        pagedResults = true;
+        renderCollectionHeader(response.data.collection);
       }
     } else {
-      response = await chrome.runtime.sendMessage({
-        type: MESSAGES.GET_RETWEETS,
-        data: { page: currentPage, pageSize: PAGE_SIZE }
-      });
+      const filtered = Object.keys(currentFilters).length > 0;
+      const paging = { page: currentPage, pageSize: PAGE_SIZE, cursor: getPageCursor(), sortOrder: inboxOpen ? 'asc' : 'desc' };
+
+      response = filtered
+        ? await chrome.runtime.sendMessage({ type: 'FILTER_RETWEETS', data: { ...currentFilters, ...paging } })
+        : await chrome.runtime.sendMessage({ type: MESSAGES.GET_RETWEETS, data: paging });
 
       if (response && response.success) {
         allRetweets = response.data.items || [];
+        totalResults = response.data.total || 0;
         totalPages = response.data.totalPages || 1;
+        pagedResults = true;
+        if (response.data.nextCursor) pageCursors[currentPage + 1] = response.data.nextCursor;
       }
     }
 
@@ -551,7 +1106,7 @@ async function loadRetweets() {
       renderResults();
       updatePagination();
       if (elements.resultsCount) {
-        elements.resultsCount.textContent = `${allRetweets.length} retweets`;
+        elements.resultsCount.textContent = `${totalResults} retweets`;
       }
     }
   } catch (error) {
@@ -561,24 +1116,48 @@ async function loadRetweets() {
   if (elements.loading) elements.loading.hidden = true;
 }
 
+// Cursor where the current page starts, kept while the filters stay the same
+function getPageCursor() {
+  const key = JSON.stringify([currentFilters, inboxOpen]);
+  if (key !== pageCursorKey) {
+    pageCursorKey = key;
+    pageCursors = {};
+  }
+  return pageCursors[currentPage] || null;
+}
+
+// Search results are paged here; lists and filters arrive one page at a time
+function getPageItems() {
+  if (pagedResults) return allRetweets;
+  const start = (currentPage - 1) * PAGE_SIZE;
+  return allRetweets.slice(start, start + PAGE_SIZE);
+}
+
 async function loadSavedSearches() {
   try {
     const response = await chrome.runtime.sendMessage({ type: 'GET_SAVED_SEARCHES' });
 
     if (response && response.success && elements.savedSearches) {
-      elements.savedSearches.innerHTML = response.data.map(search => `
-        <button class="saved-search-item" data-query="${escapeHtml(search.query)}" data-filters='${JSON.stringify(search.filters)}'>
-          <svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z"/></svg>
-          ${escapeHtml(search.name)}
-        </button>
+      savedSearches = response.data;
+      elements.savedSearches.innerHTML = savedSearches.map(search => `
+        <div class="saved-search-entry">
+          <button class="saved-search-item" data-id="${search.id}">
+            <svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z"/></svg>
+            <span class="saved-search-name">${escapeHtml(search.name)}</span>
+            ${search.unread > 0 ? `<span class="saved-search-unread" title="New matches">${search.unread}</span>` : ''}
+          </button>
+          <button class="saved-search-watch ${search.watch ? 'active' : ''}" data-id="${search.id}" title="${search.watch ? 'Stop watching' : 'Watch for new captures'}">
+            <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6v-5c0-3.07-1.64-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.63 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z"/></svg>
+          </button>
+        </div>
       `).join('');
 
       elements.savedSearches.querySelectorAll('.saved-search-item').forEach(btn => {
-        btn.addEventListener('click', () => {
-          if (elements.searchInput) elements.searchInput.value = btn.dataset.query;
-          currentFilters = JSON.parse(btn.dataset.filters || '{}');
-          loadRetweets();
-        });
+        btn.addEventListener('click', () => applySavedSearch(btn.dataset.id));
+      });
+
+      elements.savedSearches.querySelectorAll('.saved-search-watch').forEach(btn => {
+        btn.addEventListener('click', () => toggleSavedSearchWatch(btn.dataset.id));
       });
     }
   } catch (error) {
@@ -586,104 +1165,573 @@ async function loadSavedSearches() {
   }
 }
 
-// ==================== RENDERING ====================
-
-function renderFilterChips() {
-  if (!elements.filterChips) return;
-
-  const categoryNames = Object.keys(categories);
+async function applySavedSearch(id) {
+  const search = savedSearches.find(s => s.id === id);
+  if (!search) return;
 
-  elements.filterChips.innerHTML = categoryNames.map(name => `
-    <button class="filter-chip ${currentFilters.tags?.includes(name) ? 'active' : ''}" data-tag="${escapeHtml(name)}">
-      ${escapeHtml(name)}
-    </button>
-  `).join('');
+  if (elements.searchInput) elements.searchInput.value = search.query;
+  currentFilters = { ...(search.filters || {}) };
+  inboxOpen = false;
+  syncStatusFilter();
+  switchView('archive');
+  loadRetweets();
 
-  elements.filterChips.querySelectorAll('.filter-chip').forEach(chip => {
-    chip.addEventListener('click', () => {
-      const tag = chip.dataset.tag;
+  if (search.unread > 0) {
+    await chrome.runtime.sendMessage({
+      type: 'UPDATE_SAVED_SEARCH',
+      data: { id, unread: 0 }
+    });
+    loadSavedSearches();
+  }
+}
 
-      if (!currentFilters.tags) currentFilters.tags = [];
+async function toggleSavedSearchWatch(id) {
+  const search = savedSearches.find(s => s.id === id);
+  if (!search) return;
 
-      if (currentFilters.tags.includes(tag)) {
-        currentFilters.tags = currentFilters.tags.filter(t => t !== tag);
-        chip.classList.remove('active');
-      } else {
-        currentFilters.tags.push(tag);
-        chip.classList.add('active');
-      }
+  const watch = !search.watch;
 
-      if (currentFilters.tags.length === 0) {
-        delete currentFilters.tags;
-      }
+  // Matches are still counted if the user declines notifications
+  if (watch) {
+    try {
+      await chrome.permissions.request({ permissions: ['notifications'] });
+    } catch (error) {
+      console.error('[Dashboard] Notification permission error:', error);
+    }
+  }
 
-      loadRetweets();
-    });
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SAVED_SEARCH',
+    data: { id, watch }
   });
+
+  loadSavedSearches();
 }
 
-/**
- * Format metric number for display (e.g., 1200 -> "1.2K")
- */
-function formatMetric(num) {
-  if (!num || num === 0) return '';
-  if (num >= 1000000) return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
-  if (num >= 1000) return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
-  return num.toString();
+// Notifications open the dashboard with ?savedSearch=<id>
+function openSavedSearchFromUrl() {
+  const id = new URLSearchParams(window.location.search).get('savedSearch');
+  if (!id) return;
+
+  history.replaceState(null, '', window.location.pathname);
+  applySavedSearch(id);
 }
 
-/**
- * Get verification badge HTML
- */
-function getVerificationBadge(item) {
-  if (!item.user_verified) return '';
+// ==================== READING STATUS ====================
 
-  if (item.user_business) {
-    return '<svg class="verified-badge gold" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
-  }
+// The popup's Unread counter opens the dashboard with ?view=inbox
+function openViewFromUrl() {
+  const view = new URLSearchParams(window.location.search).get('view');
+  if (view !== 'inbox') return;
 
-  if (item.user_government) {
-    return '<svg class="verified-badge gray" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
+  history.replaceState(null, '', window.location.pathname);
+  switchView('inbox');
+}
+
+function setInbox(open) {
+  inboxOpen = open;
+  currentPage = 1;
+
+  if (open) {
+    currentCollectionId = null;
+    renderCollectionHeader(null);
+    renderCollections();
+    currentFilters = { status: 'unread' };
+    if (elements.searchInput) elements.searchInput.value = '';
+  } else {
+    delete currentFilters.status;
   }
 
-  // Blue verified
-  return '<svg class="verified-badge blue" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
+  syncStatusFilter();
+  renderFilterChips();
+  loadRetweets();
 }
 
-function renderResults() {
-  if (!elements.resultsList) return;
+function syncStatusFilter() {
+  if (!elements.statusFilter) return;
+  elements.statusFilter.value = currentFilters.favorite ? 'favorite' : (currentFilters.status || '');
+}
 
-  const start = (currentPage - 1) * PAGE_SIZE;
-  const pageItems = allRetweets.slice(start, start + PAGE_SIZE);
+// Shortcuts act on the capture open in the detail modal, or else on the selection
+function getStatusTargets() {
+  const modal = document.getElementById('detailModal');
+  if (modal && !modal.hidden && detailRetweet) return [detailRetweet];
+  return allRetweets.filter(r => selectedIds.has(r.id));
+}
 
-  if (pageItems.length === 0) {
-    if (elements.emptyState) elements.emptyState.hidden = false;
-    elements.resultsList.innerHTML = '';
-    updateBulkActions();
-    return;
-  }
+function toggleRead(targets) {
+  if (targets.length === 0) return;
+  const anyUnread = targets.some(r => (r.status || 'unread') === 'unread');
+  updateStatus(targets.map(r => r.id), { status: anyUnread ? 'read' : 'unread' });
+}
 
-  if (elements.emptyState) elements.emptyState.hidden = true;
-  elements.resultsList.className = `results-list cols-${currentLayout}`;
-  updateBulkActions();
+function toggleFavorite(targets) {
+  if (targets.length === 0) return;
+  updateStatus(targets.map(r => r.id), { favorite: targets.some(r => !r.favorited_at) });
+}
 
-  elements.resultsList.innerHTML = pageItems.map(item => {
-    const allTags = [...(item.tags || []), ...(item.auto_tags || [])];
-    const initials = getInitials(item.user_name || item.user_handle);
-    const isSelected = selectedIds.has(item.id);
-    const hasAvatar = item.user_avatar && item.user_avatar.length > 0;
-    const verificationBadge = getVerificationBadge(item);
+function toggleArchived(targets) {
+  if (targets.length === 0) return;
+  const allArchived = targets.every(r => r.status === 'archived');
+  updateStatus(targets.map(r => r.id), { status: allArchived ? 'read' : 'archived' });
+}
 
-    // Format metrics
-    const likes = formatMetric(item.like_count);
-    const retweets = formatMetric(item.retweet_count);
-    const replies = formatMetric(item.reply_count);
-    const views = formatMetric(item.view_count);
+async function updateStatus(ids, changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_STATUS',
+      data: { ids, ...changes }
+    });
 
-    // Format date - prefer original tweet date
-    const displayDate = item.original_created_at
-      ? formatDate(item.original_created_at)
-      : formatDate(item.captured_at);
+    if (!response || !response.success) {
+      alert('Failed to update status: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const apply = (retweet) => {
+      const updated = { ...retweet };
+      if (changes.status !== undefined) updated.status = changes.status;
+      if (changes.favorite !== undefined) {
+        updated.favorited_at = changes.favorite ? (retweet.favorited_at || now) : null;
+      }
+      return updated;
+    };
+
+    allRetweets = allRetweets.map(r => (ids.includes(r.id) ? apply(r) : r));
+    if (detailRetweet && ids.includes(detailRetweet.id)) {
+      detailRetweet = apply(detailRetweet);
+      renderDetailStatus(detailRetweet);
+    }
+
+    // Captures leave the inbox once they are read or archived
+    if (inboxOpen && changes.status !== undefined) {
+      loadRetweets();
+    } else {
+      renderResults();
+    }
+    loadStats();
+  } catch (error) {
+    console.error('[Dashboard] updateStatus error:', error);
+    alert('Failed to update status: ' + error.message);
+  }
+}
+
+// ==================== COLLECTIONS ====================
+
+async function loadCollections() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_COLLECTIONS' });
+
+    if (response && response.success) {
+      collections = response.data;
+      renderCollections();
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadCollections error:', error);
+  }
+}
+
+function renderCollections() {
+  if (!elements.collectionList) return;
+
+  if (collections.length === 0) {
+    elements.collectionList.innerHTML = '<p class="tag-manager-hint">Group captures into reading lists for a project</p>';
+    return;
+  }
+
+  elements.collectionList.innerHTML = collections.map((collection, index) => `
+    <div class="saved-search-entry">
+      <button class="saved-search-item collection-item ${collection.id === currentCollectionId ? 'active' : ''}" data-action="open-collection" data-id="${collection.id}">
+        <svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/></svg>
+        <span class="saved-search-name">${escapeHtml(collection.name)}</span>
+        <span class="collection-count">${collection.count}</span>
+      </button>
+      <button class="collection-move" data-action="move-collection" data-id="${collection.id}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+        <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z"/></svg>
+      </button>
+      <button class="collection-move" data-action="move-collection" data-id="${collection.id}" data-offset="1" title="Move down" ${index === collections.length - 1 ? 'disabled' : ''}>
+        <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M7.41 8.59L12 13.17l4.59-4.58L18 10l-6 6-6-6z"/></svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+function handleCollectionListClick(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  if (button.dataset.action === 'open-collection') {
+    openCollection(button.dataset.id);
+  } else if (button.dataset.action === 'move-collection') {
+    moveCollection(button.dataset.id, Number(button.dataset.offset));
+  }
+}
+
+function handleCollectionHeaderClick(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button || !currentCollectionId) return;
+
+  switch (button.dataset.action) {
+    case 'edit-collection':
+      openCollectionModal(currentCollectionId);
+      break;
+    case 'delete-collection':
+      deleteCollection(currentCollectionId);
+      break;
+    case 'close-collection':
+      closeCollection();
+      break;
+  }
+}
+
+// Collections list their items in manual order, so search and filters are cleared
+function openCollection(id) {
+  currentCollectionId = id;
+  currentFilters = {};
+  currentPage = 1;
+  inboxOpen = false;
+  if (elements.searchInput) elements.searchInput.value = '';
+  selectedIds.clear();
+  syncStatusFilter();
+  switchView('archive');
+  renderFilterChips();
+  renderCollections();
+  loadRetweets();
+}
+
+function closeCollection() {
+  currentCollectionId = null;
+  currentPage = 1;
+  renderCollectionHeader(null);
+  renderCollections();
+  loadRetweets();
+}
+
+function renderCollectionHeader(collection) {
+  if (!elements.collectionHeader) return;
+
+  if (!collection) {
+    elements.collectionHeader.hidden = true;
+    elements.collectionHeader.innerHTML = '';
+    return;
+  }
+
+  elements.collectionHeader.hidden = false;
+  elements.collectionHeader.innerHTML = `
+    ${collection.cover_image ? `<img class="collection-cover" src="${escapeHtml(collection.cover_image)}" alt="">` : ''}
+    <div class="collection-info">
+      <h2>${escapeHtml(collection.name)}</h2>
+      ${collection.description ? `<p class="setting-desc">${escapeHtml(collection.description)}</p>` : ''}
+      <span class="tag-row-count">${collection.count} capture${collection.count === 1 ? '' : 's'}</span>
+    </div>
+    <div class="rules-header-actions">
+      <button class="secondary-btn" data-action="close-collection">Show All</button>
+      <button class="secondary-btn" data-action="edit-collection">Edit</button>
+      <button class="danger-btn" data-action="delete-collection">Delete</button>
+    </div>
+  `;
+}
+
+// Collections a capture belongs to, from the loaded list
+function getRetweetCollections(id) {
+  return collections.filter(collection => collection.item_ids.includes(id));
+}
+
+function openCollectionModal(id = null) {
+  const collection = id ? collections.find(c => c.id === id) : null;
+  editingCollectionId = collection ? collection.id : null;
+
+  const modal = document.getElementById('collectionModal');
+  const titleEl = document.getElementById('collectionModalTitle');
+  const nameInput = document.getElementById('collectionName');
+  const descriptionInput = document.getElementById('collectionDescription');
+  const coverInput = document.getElementById('collectionCover');
+
+  if (!modal || !nameInput || !descriptionInput || !coverInput) return;
+
+  if (titleEl) titleEl.textContent = collection ? 'Edit Collection' : 'New Collection';
+  nameInput.value = collection?.name || '';
+  descriptionInput.value = collection?.description || '';
+  coverInput.value = collection?.cover_image || '';
+
+  modal.hidden = false;
+  nameInput.focus();
+}
+
+function closeCollectionModal() {
+  const modal = document.getElementById('collectionModal');
+  if (modal) modal.hidden = true;
+  editingCollectionId = null;
+}
+
+async function saveCollection() {
+  const name = document.getElementById('collectionName')?.value.trim() || '';
+  if (!name) {
+    alert('Please enter a collection name');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_COLLECTION',
+      data: {
+        id: editingCollectionId || undefined,
+        name,
+        description: document.getElementById('collectionDescription')?.value || '',
+        cover_image: document.getElementById('collectionCover')?.value || ''
+      }
+    });
+
+    if (!response || !response.success) {
+      alert('Failed to save collection: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    closeCollectionModal();
+    await loadCollections();
+    if (currentCollectionId === response.data.id) loadRetweets();
+  } catch (error) {
+    console.error('[Dashboard] saveCollection error:', error);
+    alert('Failed to save collection: ' + error.message);
+  }
+}
+
+async function deleteCollection(id) {
+  const collection = collections.find(c => c.id === id);
+  if (!collection || !confirm(`Delete the collection "${collection.name}"? Its captures are kept.`)) return;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'DELETE_COLLECTION', data: { id } });
+    if (currentCollectionId === id) closeCollection();
+    await loadCollections();
+  } catch (error) {
+    console.error('[Dashboard] deleteCollection error:', error);
+  }
+}
+
+async function moveCollection(id, offset) {
+  const ids = collections.map(c => c.id);
+  const index = ids.indexOf(id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= ids.length) return;
+
+  [ids[index], ids[target]] = [ids[target], ids[index]];
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'REORDER_COLLECTIONS', data: { ids } });
+    await loadCollections();
+  } catch (error) {
+    console.error('[Dashboard] moveCollection error:', error);
+  }
+}
+
+// Swaps with the neighbouring item that still exists (deleted items keep their slot)
+async function moveCollectionItem(id, offset) {
+  const collection = collections.find(c => c.id === currentCollectionId);
+  if (!collection) return;
+
+  const itemIds = [...collection.item_ids];
+  const index = itemIds.indexOf(id);
+  const visible = getPageItems().map(item => item.id);
+  const neighbour = visible[visible.indexOf(id) + offset];
+  const target = neighbour ? itemIds.indexOf(neighbour) : -1;
+  if (index === -1 || target === -1) return;
+
+  [itemIds[index], itemIds[target]] = [itemIds[target], itemIds[index]];
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'REORDER_COLLECTION',
+      data: { id: collection.id, itemIds }
+    });
+    await loadCollections();
+    loadRetweets();
+  } catch (error) {
+    console.error('[Dashboard] moveCollectionItem error:', error);
+  }
+}
+
+async function removeFromCollection(id) {
+  if (!currentCollectionId) return;
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'REMOVE_FROM_COLLECTION',
+      data: { id: currentCollectionId, ids: [id] }
+    });
+    selectedIds.delete(id);
+    await loadCollections();
+    loadRetweets();
+  } catch (error) {
+    console.error('[Dashboard] removeFromCollection error:', error);
+  }
+}
+
+function openCollectionPicker() {
+  if (selectedIds.size === 0) return;
+
+  const modal = document.getElementById('collectionPickerModal');
+  const titleEl = document.getElementById('collectionPickerTitle');
+  const picker = document.getElementById('collectionPicker');
+  const nameInput = document.getElementById('collectionPickerName');
+  if (!modal || !picker || !nameInput) return;
+
+  if (titleEl) titleEl.textContent = `Add ${selectedIds.size} to Collection`;
+  picker.innerHTML = collections
+    .map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+    .join('') + '<option value="">New collection...</option>';
+  picker.value = currentCollectionId || collections[0]?.id || '';
+  nameInput.value = '';
+  document.getElementById('collectionPickerNew').hidden = picker.value !== '';
+
+  modal.hidden = false;
+}
+
+function closeCollectionPicker() {
+  const modal = document.getElementById('collectionPickerModal');
+  if (modal) modal.hidden = true;
+}
+
+async function addSelectionToCollection() {
+  const picker = document.getElementById('collectionPicker');
+  const nameInput = document.getElementById('collectionPickerName');
+  if (!picker || !nameInput) return;
+
+  try {
+    let id = picker.value;
+
+    if (!id) {
+      const created = await chrome.runtime.sendMessage({
+        type: 'SAVE_COLLECTION',
+        data: { name: nameInput.value }
+      });
+      if (!created || !created.success) {
+        alert('Failed to create collection: ' + (created?.error || 'Unknown error'));
+        return;
+      }
+      id = created.data.id;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_TO_COLLECTION',
+      data: { id, ids: [...selectedIds] }
+    });
+
+    if (!response || !response.success) {
+      alert('Failed to add to collection: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    closeCollectionPicker();
+    clearSelection();
+    await loadCollections();
+    if (currentCollectionId === id) loadRetweets();
+  } catch (error) {
+    console.error('[Dashboard] addSelectionToCollection error:', error);
+    alert('Failed to add to collection: ' + error.message);
+  }
+}
+
+// ==================== RENDERING ====================
+
+function renderFilterChips() {
+  if (!elements.filterChips) return;
+
+  // Top-level categories only; filtering on one includes its children
+  const categoryNames = getCategoryTree().filter(({ depth }) => depth === 0).map(({ name }) => name);
+
+  elements.filterChips.innerHTML = categoryNames.map(name => `
+    <button class="filter-chip ${currentFilters.tags?.includes(name) ? 'active' : ''}" data-tag="${escapeHtml(name)}">
+      ${escapeHtml(name)}
+    </button>
+  `).join('');
+
+  elements.filterChips.querySelectorAll('.filter-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const tag = chip.dataset.tag;
+
+      if (!currentFilters.tags) currentFilters.tags = [];
+
+      if (currentFilters.tags.includes(tag)) {
+        currentFilters.tags = currentFilters.tags.filter(t => t !== tag);
+        chip.classList.remove('active');
+      } else {
+        currentFilters.tags.push(tag);
+        chip.classList.add('active');
+      }
+
+      if (currentFilters.tags.length === 0) {
+        delete currentFilters.tags;
+      }
+
+      loadRetweets();
+    });
+  });
+}
+
+/**
+ * Format metric number for display (e.g., 1200 -> "1.2K")
+ */
+function formatMetric(num) {
+  if (!num || num === 0) return '';
+  if (num >= 1000000) return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+  if (num >= 1000) return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+  return num.toString();
+}
+
+/**
+ * Get verification badge HTML
+ */
+function getVerificationBadge(item) {
+  if (!item.user_verified) return '';
+
+  if (item.user_business) {
+    return '<svg class="verified-badge gold" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
+  }
+
+  if (item.user_government) {
+    return '<svg class="verified-badge gray" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
+  }
+
+  // Blue verified
+  return '<svg class="verified-badge blue" viewBox="0 0 22 22" width="18" height="18"><path fill="currentColor" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/></svg>';
+}
+
+function renderResults() {
+  if (!elements.resultsList) return;
+
+  const pageItems = getPageItems();
+
+  if (pageItems.length === 0) {
+    if (elements.emptyState) elements.emptyState.hidden = false;
+    elements.resultsList.innerHTML = '';
+    updateBulkActions();
+    return;
+  }
+
+  if (elements.emptyState) elements.emptyState.hidden = true;
+  elements.resultsList.className = `results-list cols-${currentLayout}`;
+  updateBulkActions();
+
+  elements.resultsList.innerHTML = pageItems.map(item => {
+    const allTags = [...(item.tags || []), ...(item.auto_tags || [])];
+    const initials = getInitials(item.user_name || item.user_handle);
+    const isSelected = selectedIds.has(item.id);
+    const hasAvatar = item.user_avatar && item.user_avatar.length > 0;
+    const verificationBadge = getVerificationBadge(item);
+    const isUnread = (item.status || 'unread') === 'unread';
+
+    // Format metrics
+    const likes = formatMetric(item.like_count);
+    const retweets = formatMetric(item.retweet_count);
+    const replies = formatMetric(item.reply_count);
+    const views = formatMetric(item.view_count);
+
+    // Format date - prefer original tweet date
+    const displayDate = item.original_created_at
+      ? formatDate(item.original_created_at)
+      : formatDate(item.captured_at);
 
     // Platform detection (default to twitter for backward compatibility)
     const platform = item.platform || 'twitter';
@@ -700,7 +1748,7 @@ function renderResults() {
     const textTruncation = truncateText(item.text);
 
     return `
-      <div class="result-item ${isSelected ? 'selected' : ''}" data-id="${item.id}" data-platform="${platform}">
+      <div class="result-item ${isSelected ? 'selected' : ''}" data-id="${item.id}" data-platform="${escapeHtml(platform)}">
         <input type="checkbox" class="result-checkbox" ${isSelected ? 'checked' : ''}>
         <div class="result-item-header">
           ${hasAvatar
@@ -715,6 +1763,8 @@ function renderResults() {
               <span class="result-handle">@${escapeHtml(item.user_handle || '')}</span>
               <span class="result-dot">·</span>
               <span class="result-time">${displayDate}</span>
+              ${item.status === 'archived' ? '<span class="status-badge">Archived</span>' : ''}
+              ${isUnread ? '<span class="unread-dot" title="Unread"></span>' : ''}
             </div>
           </div>
         </div>
@@ -772,11 +1822,12 @@ function renderResults() {
             ${views ? `<span class="metric" title="Views"><svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M8.75 21V3h2v18h-2zM18 21V8.5h2V21h-2zM4 21l.004-10h2L6 21H4zm9.248 0v-7h2v7h-2z"/></svg>${views}</span>` : ''}
           `}
         </div>
+        ${item.note ? `
+          <div class="result-note" title="Your note">${escapeHtml(truncateText(item.note, 140).truncated)}</div>
+        ` : ''}
         ${allTags.length > 0 ? `
           <div class="result-tags">
-            ${allTags.map(tag => `
-              <span class="result-tag ${item.auto_tags?.includes(tag) ? 'auto' : ''}">${escapeHtml(tag)}</span>
-            `).join('')}
+            ${allTags.map(tag => renderTagChip(item, tag)).join('')}
           </div>
         ` : ''}
         <div class="result-actions">
@@ -788,6 +1839,27 @@ function renderResults() {
             <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M17.63 5.84C17.27 5.33 16.67 5 16 5L5 5.01C3.9 5.01 3 5.9 3 7v10c0 1.1.9 1.99 2 1.99L16 19c.67 0 1.27-.33 1.63-.84L22 12l-4.37-6.16z"/></svg>
             Tags
           </button>
+          <button class="result-action-btn" data-action="toggle-read" data-id="${item.id}" title="${isUnread ? 'Mark read' : 'Mark unread'} (R)">
+            <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="${isUnread ? 'M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z' : 'M12 8c-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4-1.79-4-4-4z'}"/></svg>
+          </button>
+          <button class="result-action-btn ${item.favorited_at ? 'active' : ''}" data-action="toggle-favorite" data-id="${item.id}" title="${item.favorited_at ? 'Remove from favorites' : 'Favorite'} (F)">
+            <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/></svg>
+          </button>
+          <button class="result-action-btn" data-action="toggle-archived" data-id="${item.id}" title="${item.status === 'archived' ? 'Move out of the archive' : 'Archive'} (E)">
+            <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M20.54 5.23l-1.39-1.68C18.88 3.21 18.47 3 18 3H6c-.47 0-.88.21-1.16.55L3.46 5.23C3.17 5.57 3 6.02 3 6.5V19c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V6.5c0-.48-.17-.93-.46-1.27zM12 17.5L6.5 12H10v-2h4v2h3.5L12 17.5zM5.12 5l.81-1h12l.94 1H5.12z"/></svg>
+          </button>
+          ${currentCollectionId ? `
+            <button class="result-action-btn" data-action="move-up" data-id="${item.id}" title="Move up">
+              <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z"/></svg>
+            </button>
+            <button class="result-action-btn" data-action="move-down" data-id="${item.id}" title="Move down">
+              <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M7.41 8.59L12 13.17l4.59-4.58L18 10l-6 6-6-6z"/></svg>
+            </button>
+            <button class="result-action-btn" data-action="remove-from-collection" data-id="${item.id}">
+              <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M19 13H5v-2h14v2z"/></svg>
+              Remove
+            </button>
+          ` : ''}
           <button class="result-action-btn" data-action="delete" data-id="${item.id}">
             <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
             Delete
@@ -805,13 +1877,13 @@ async function renderTagCloud() {
     const response = await chrome.runtime.sendMessage({ type: MESSAGES.GET_STATS });
 
     if (response && response.success && response.data.byTag) {
-      const tags = Object.entries(response.data.byTag)
-        .sort((a, b) => b[1] - a[1])
+      const nodes = buildTagTree(response.data.byTag);
+      const roots = Object.values(nodes)
+        .filter(node => !node.parent)
+        .sort((a, b) => b.total - a.total)
         .slice(0, 15);
 
-      elements.tagCloud.innerHTML = tags.map(([tag, count]) => `
-        <button class="tag-item" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>
-      `).join('');
+      elements.tagCloud.innerHTML = roots.map(renderTagNode).join('');
 
       elements.tagCloud.querySelectorAll('.tag-item').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -830,30 +1902,122 @@ async function renderTagCloud() {
           loadRetweets();
         });
       });
+
+      elements.tagCloud.querySelectorAll('.tag-toggle').forEach(btn => {
+        btn.addEventListener('click', () => toggleTagBranch(btn));
+      });
     }
   } catch (error) {
     console.error('[Dashboard] renderTagCloud error:', error);
   }
 }
 
-function renderCategories() {
-  if (!elements.categoriesList) return;
+// Group tag counts under their parents (categories or "a/b" paths); totals include descendants
+function buildTagTree(byTag) {
+  const nodes = {};
+  const getNode = tag => {
+    const key = tag.toLowerCase();
+    if (!nodes[key]) nodes[key] = { tag, count: 0, total: 0, parent: null, children: [] };
+    return nodes[key];
+  };
 
-  elements.categoriesList.innerHTML = Object.entries(categories).map(([name, keywords]) => `
-    <div class="category-card" data-name="${escapeHtml(name)}">
-      <div class="category-header">
-        <span class="category-name">${escapeHtml(name)}</span>
-      </div>
-      <div class="category-keywords">
-        ${keywords.slice(0, 8).map(kw => `<span class="category-keyword">${escapeHtml(kw)}</span>`).join('')}
-        ${keywords.length > 8 ? `<span class="category-keyword">+${keywords.length - 8} more</span>` : ''}
-      </div>
-      <div class="category-actions">
-        <button class="secondary-btn" data-action="edit" data-name="${escapeHtml(name)}">Edit</button>
-        <button class="danger-btn" data-action="delete" data-name="${escapeHtml(name)}">Delete</button>
-      </div>
+  for (const [tag, count] of Object.entries(byTag)) {
+    getNode(tag).count += count;
+
+    for (const ancestor of getTagAncestors(tag)) {
+      getNode(ancestor);
+    }
+  }
+
+  for (const node of Object.values(nodes)) {
+    const parent = getTagAncestors(node.tag)[0];
+    if (parent) {
+      node.parent = nodes[parent.toLowerCase()];
+      node.parent.children.push(node);
+    }
+  }
+
+  const sumTotals = (node, seen = new Set()) => {
+    if (seen.has(node)) return 0;
+    seen.add(node);
+    node.total = node.count + node.children.reduce((sum, child) => sum + sumTotals(child, seen), 0);
+    return node.total;
+  };
+  Object.values(nodes).filter(node => !node.parent).forEach(node => sumTotals(node));
+
+  return nodes;
+}
+
+function renderTagNode(node) {
+  const label = node.tag.split(TAG_PATH_SEPARATOR).pop();
+  const active = currentFilters.tags?.includes(node.tag) ? 'active' : '';
+  const color = tagColors[node.tag];
+  const style = color ? ` style="--tag-color: ${escapeHtml(color)}"` : '';
+  const button = `<button class="tag-item ${active} ${color ? 'colored' : ''}" data-tag="${escapeHtml(node.tag)}" title="${escapeHtml(node.tag)} (${node.total})"${style}>${escapeHtml(label)}</button>`;
+
+  if (node.children.length === 0) return button;
+
+  const collapsed = collapsedTags.has(node.tag.toLowerCase());
+  const children = node.children
+    .sort((a, b) => b.total - a.total)
+    .map(renderTagNode)
+    .join('');
+
+  return `
+    <div class="tag-branch ${collapsed ? 'collapsed' : ''}">
+      <div class="tag-branch-header">
+        <button class="tag-toggle" data-tag="${escapeHtml(node.tag)}" title="${collapsed ? 'Expand' : 'Collapse'}">▾</button>
+        ${button}
+      </div>
+      <div class="tag-cloud tag-children" ${collapsed ? 'hidden' : ''}>${children}</div>
     </div>
-  `).join('');
+  `;
+}
+
+function toggleTagBranch(toggle) {
+  const branch = toggle.closest('.tag-branch');
+  const key = toggle.dataset.tag.toLowerCase();
+  const collapsed = !collapsedTags.has(key);
+
+  if (collapsed) {
+    collapsedTags.add(key);
+  } else {
+    collapsedTags.delete(key);
+  }
+
+  branch.classList.toggle('collapsed', collapsed);
+  branch.querySelector(':scope > .tag-children').hidden = collapsed;
+  toggle.title = collapsed ? 'Expand' : 'Collapse';
+  localStorage.setItem('rf-tag-cloud-collapsed', JSON.stringify([...collapsedTags]));
+}
+
+function renderCategories() {
+  if (!elements.categoriesList) return;
+
+  elements.categoriesList.innerHTML = getCategoryTree().map(({ name }) => {
+    const { keywords, exclude, weights, threshold } = normalizeCategory(categories[name]);
+    const path = getTagAncestors(name).reverse();
+    return `
+    <div class="category-card" data-name="${escapeHtml(name)}">
+      ${path.length > 0 ? `<div class="category-path">${path.map(escapeHtml).join(' › ')} ›</div>` : ''}
+      <div class="category-header">
+        <span class="category-name">${escapeHtml(name)}</span>
+        ${threshold > 0 ? `<span class="category-threshold" title="Minimum score">≥ ${threshold}</span>` : ''}
+      </div>
+      <div class="category-keywords">
+        ${keywords.length === 0 ? '<span class="category-keyword group">Group</span>' : ''}
+        ${keywords.slice(0, 8).map(kw => `<span class="category-keyword">${escapeHtml(kw)}${weights[kw] !== undefined && weights[kw] !== 1 ? ` <span class="keyword-weight">×${weights[kw]}</span>` : ''}</span>`).join('')}
+        ${keywords.length > 8 ? `<span class="category-keyword">+${keywords.length - 8} more</span>` : ''}
+        ${exclude.slice(0, 4).map(kw => `<span class="category-keyword excluded" title="Excluded">${escapeHtml(kw)}</span>`).join('')}
+        ${exclude.length > 4 ? `<span class="category-keyword excluded">+${exclude.length - 4} more</span>` : ''}
+      </div>
+      <div class="category-actions">
+        <button class="secondary-btn" data-action="edit" data-name="${escapeHtml(name)}">Edit</button>
+        <button class="danger-btn" data-action="delete" data-name="${escapeHtml(name)}">Delete</button>
+      </div>
+    </div>
+  `;
+  }).join('');
 
   elements.categoriesList.querySelectorAll('[data-action="edit"]').forEach(btn => {
     btn.addEventListener('click', () => openCategoryModal(btn.dataset.name));
@@ -902,6 +2066,24 @@ function handleResultClick(e) {
       case 'delete':
         deleteRetweet(actionBtn.dataset.id);
         break;
+      case 'move-up':
+        moveCollectionItem(actionBtn.dataset.id, -1);
+        break;
+      case 'move-down':
+        moveCollectionItem(actionBtn.dataset.id, 1);
+        break;
+      case 'remove-from-collection':
+        removeFromCollection(actionBtn.dataset.id);
+        break;
+      case 'toggle-read':
+        toggleRead(allRetweets.filter(r => r.id === actionBtn.dataset.id));
+        break;
+      case 'toggle-favorite':
+        toggleFavorite(allRetweets.filter(r => r.id === actionBtn.dataset.id));
+        break;
+      case 'toggle-archived':
+        toggleArchived(allRetweets.filter(r => r.id === actionBtn.dataset.id));
+        break;
     }
     return;
   }
@@ -941,6 +2123,19 @@ function handleKeyboard(e) {
     closeDetailModal();
     closeTagModal();
     closeCategoryModal();
+    closeCollectionModal();
+    closeCollectionPicker();
+    closeRuleModal();
+    closeClearDataModal();
+  }
+
+  // R, F and E mark the open capture, or else the selection, read, favorite or archived
+  const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+  if (!typing && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    const key = e.key.toLowerCase();
+    if (key === 'r') toggleRead(getStatusTargets());
+    if (key === 'f') toggleFavorite(getStatusTargets());
+    if (key === 'e') toggleArchived(getStatusTargets());
   }
 
   // Ctrl/Cmd + K to focus search
@@ -972,8 +2167,7 @@ function toggleSelection(id) {
 }
 
 function selectAll() {
-  const start = (currentPage - 1) * PAGE_SIZE;
-  const pageItems = allRetweets.slice(start, start + PAGE_SIZE);
+  const pageItems = getPageItems();
 
   // If all current page items are selected, deselect all
   const allSelected = pageItems.every(item => selectedIds.has(item.id));
@@ -1001,7 +2195,10 @@ function updateBulkActions() {
   const clearSelectionBtn = document.getElementById('clearSelection');
   const selectionInfo = document.getElementById('selectionInfo');
 
+  const bulkCollectionBtn = document.getElementById('bulkCollection');
+
   if (bulkTagBtn) bulkTagBtn.hidden = !hasSelection;
+  if (bulkCollectionBtn) bulkCollectionBtn.hidden = !hasSelection;
   if (bulkDeleteBtn) bulkDeleteBtn.hidden = !hasSelection;
   if (clearSelectionBtn) clearSelectionBtn.hidden = !hasSelection;
   if (selectionInfo) selectionInfo.style.opacity = hasSelection ? '1' : '0.5';
@@ -1009,8 +2206,7 @@ function updateBulkActions() {
   // Update Select All button text
   const selectAllBtn = document.getElementById('selectAllBtn');
   if (selectAllBtn) {
-    const start = (currentPage - 1) * PAGE_SIZE;
-    const pageItems = allRetweets.slice(start, start + PAGE_SIZE);
+    const pageItems = getPageItems();
     const allSelected = pageItems.length > 0 && pageItems.every(item => selectedIds.has(item.id));
     selectAllBtn.innerHTML = allSelected
       ? `<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41z"/></svg> Deselect All`
@@ -1049,17 +2245,36 @@ function openCategoryModal(name = null) {
   const titleEl = document.getElementById('categoryModalTitle');
   const nameInput = document.getElementById('categoryName');
   const keywordsInput = document.getElementById('categoryKeywords');
+  const excludeInput = document.getElementById('categoryExclude');
+  const thresholdInput = document.getElementById('categoryThreshold');
+  const parentSelect = document.getElementById('categoryParent');
 
-  if (!modal || !nameInput || !keywordsInput) return;
+  if (!modal || !nameInput || !keywordsInput || !excludeInput || !thresholdInput || !parentSelect) return;
+
+  // A category cannot be nested under itself or one of its descendants
+  const parentOptions = getCategoryTree()
+    .filter(({ name: option }) => !name || (option !== name && !getTagAncestors(option).includes(name)));
+  parentSelect.innerHTML = '<option value="">None (top level)</option>' + parentOptions
+    .map(({ name: option, depth }) => `<option value="${escapeHtml(option)}">${'\u00a0\u00a0'.repeat(depth)}${escapeHtml(option)}</option>`)
+    .join('');
 
   if (name && categories[name]) {
+    const { keywords, exclude, weights, threshold, parent } = normalizeCategory(categories[name]);
     if (titleEl) titleEl.textContent = 'Edit Category';
+    parentSelect.value = parent && categories[parent] ? parent : '';
     nameInput.value = name;
-    keywordsInput.value = categories[name].join('\n');
+    keywordsInput.value = keywords
+      .map(kw => (weights[kw] !== undefined && weights[kw] !== 1 ? `${kw}: ${weights[kw]}` : kw))
+      .join('\n');
+    excludeInput.value = exclude.join('\n');
+    thresholdInput.value = threshold;
   } else {
     if (titleEl) titleEl.textContent = 'Add Category';
     nameInput.value = '';
     keywordsInput.value = '';
+    excludeInput.value = '';
+    thresholdInput.value = 0;
+    parentSelect.value = '';
   }
 
   modal.hidden = false;
@@ -1074,35 +2289,52 @@ function closeCategoryModal() {
 async function saveCategory() {
   const nameInput = document.getElementById('categoryName');
   const keywordsInput = document.getElementById('categoryKeywords');
+  const excludeInput = document.getElementById('categoryExclude');
+  const thresholdInput = document.getElementById('categoryThreshold');
+  const parentSelect = document.getElementById('categoryParent');
 
-  if (!nameInput || !keywordsInput) return;
+  if (!nameInput || !keywordsInput || !excludeInput || !thresholdInput || !parentSelect) return;
 
   const name = nameInput.value.trim();
-  const keywords = keywordsInput.value
+  const keywords = [];
+  const weights = {};
+
+  // "keyword: 2" sets a weight; anything else is a plain keyword
+  for (const line of keywordsInput.value.split('\n')) {
+    const match = line.trim().match(/^(.+?)\s*:\s*(-?\d+(?:\.\d+)?)$/);
+    const keyword = match ? match[1] : line.trim();
+    if (!keyword) continue;
+
+    keywords.push(keyword);
+    if (match) weights[keyword] = Number(match[2]);
+  }
+
+  const exclude = excludeInput.value
     .split('\n')
     .map(k => k.trim())
     .filter(k => k.length > 0);
+  const threshold = Number(thresholdInput.value) || 0;
+  const parent = parentSelect.value || null;
 
-  if (!name || keywords.length === 0) {
-    alert('Please enter a name and at least one keyword');
+  // Keywords are optional for groups that only hold other categories
+  if (!name) {
+    alert('Please enter a category name');
     return;
   }
 
   try {
-    // Delete old if renaming
-    if (editingCategoryName && editingCategoryName !== name) {
-      await chrome.runtime.sendMessage({
-        type: 'DELETE_CATEGORY',
-        data: { name: editingCategoryName }
-      });
-    }
-
+    // The service worker renames in place and moves child categories along
     const response = await chrome.runtime.sendMessage({
       type: 'SET_CATEGORY',
-      data: { name, keywords }
+      data: { name, keywords, exclude, weights, threshold, parent, previousName: editingCategoryName }
     });
 
     console.log('[Dashboard] Save category response:', response);
+    if (!response || !response.success) {
+      alert('Failed to save category: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+    renderRetagStatus(response.data.job);
 
     await loadCategories();
     renderCategories();
@@ -1114,13 +2346,18 @@ async function saveCategory() {
 }
 
 async function deleteCategory(name) {
-  if (!confirm(`Delete category "${name}"?`)) return;
+  const hasChildren = Object.values(categories).some(category => normalizeCategory(category).parent === name);
+  const message = hasChildren
+    ? `Delete category "${name}"? Its subcategories will move up a level.`
+    : `Delete category "${name}"?`;
+  if (!confirm(message)) return;
 
   try {
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       type: 'DELETE_CATEGORY',
       data: { name }
     });
+    if (response && response.success) renderRetagStatus(response.data.job);
 
     await loadCategories();
     renderCategories();
@@ -1129,304 +2366,1492 @@ async function deleteCategory(name) {
   }
 }
 
-// ==================== TAG MODAL ====================
-
-async function openTagModal(id) {
-  editingRetweetId = id;
-  const retweet = allRetweets.find(r => r.id === id);
-  if (!retweet) return;
+// ==================== RE-TAG JOB ====================
 
-  const modal = document.getElementById('tagModal');
-  const currentTagsEl = document.getElementById('currentTags');
-  const suggestedTagsEl = document.getElementById('suggestedTags');
+async function loadRetagStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_RETAG_STATUS' });
+    if (response && response.success) renderRetagStatus(response.data);
+  } catch (error) {
+    console.error('[Dashboard] loadRetagStatus error:', error);
+  }
+}
 
-  if (!modal || !currentTagsEl || !suggestedTagsEl) return;
+function renderRetagStatus(job) {
+  const statusEl = document.getElementById('retagStatus');
+  const textEl = document.getElementById('retagStatusText');
+  const fillEl = document.getElementById('retagProgressFill');
+  const cancelBtn = document.getElementById('cancelRetag');
+  const resumeBtn = document.getElementById('resumeRetag');
+  if (!statusEl || !textEl || !fillEl) return;
+
+  // A finished job stays visible only in the session that watched it run
+  if (!job || (job.status === 'done' && statusEl.hidden)) {
+    statusEl.hidden = true;
+    return;
+  }
 
-  // Render current tags
-  const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
-  currentTagsEl.innerHTML = allTags.map(tag => `
-    <span class="current-tag ${retweet.auto_tags?.includes(tag) ? 'auto' : ''}">
-      ${escapeHtml(tag)}
-      <button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>
-    </span>
-  `).join('');
+  const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+  const progress = `${formatNumber(job.processed)} / ${formatNumber(job.total)}`;
 
-  currentTagsEl.querySelectorAll('.remove-tag').forEach(btn => {
-    btn.addEventListener('click', () => {
-      btn.parentElement.remove();
-    });
-  });
+  if (job.status === 'running') {
+    textEl.textContent = `Re-tagging captures: ${progress} (${job.reason})`;
+  } else if (job.status === 'cancelled') {
+    textEl.textContent = `Re-tagging paused at ${progress}`;
+  } else {
+    textEl.textContent = `Re-tagging finished: ${formatNumber(job.updated)} captures updated`;
+  }
 
-  // Render suggested tags from categories
-  const categoryNames = Object.keys(categories).filter(c => !allTags.includes(c));
-  suggestedTagsEl.innerHTML = categoryNames.length > 0 ? `
-    <h4>Suggestions</h4>
-    <div class="suggested-tags-list">
-      ${categoryNames.map(c => `<button class="suggested-tag" data-tag="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join('')}
-    </div>
-  ` : '';
+  fillEl.style.width = `${percent}%`;
+  if (cancelBtn) cancelBtn.hidden = job.status !== 'running';
+  if (resumeBtn) resumeBtn.hidden = job.status !== 'cancelled';
+  statusEl.hidden = false;
 
-  suggestedTagsEl.querySelectorAll('.suggested-tag').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const tag = btn.dataset.tag;
-      const tagEl = document.createElement('span');
-      tagEl.className = 'current-tag';
-      tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
-      tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
-      currentTagsEl.appendChild(tagEl);
-      btn.remove();
-    });
-  });
+  if (job.status === 'done' && job.updated > 0) {
+    loadRetweets();
+  }
+}
 
-  modal.hidden = false;
+async function updateRetagJob(type) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+    if (!response || !response.success) throw new Error(response?.error || 'Unknown error');
+    renderRetagStatus(response.data);
+  } catch (error) {
+    console.error('[Dashboard] updateRetagJob error:', error);
+    alert('Failed to update re-tag job: ' + error.message);
+  }
 }
 
-function closeTagModal() {
-  const modal = document.getElementById('tagModal');
-  if (modal) modal.hidden = true;
-  editingRetweetId = null;
+// ==================== TAG MANAGER ====================
+
+async function loadTags() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TAGS' });
+
+    if (response && response.success) {
+      tagList = response.data.tags;
+      tagColors = response.data.colors || {};
+      selectedTags = new Set([...selectedTags].filter(tag => tagList.some(t => t.tag === tag)));
+      renderTagManager();
+      renderTagUndo(response.data.undo);
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadTags error:', error);
+  }
 }
 
-function addNewTag() {
-  const input = document.getElementById('newTagInput');
-  const currentTagsEl = document.getElementById('currentTags');
+function renderTagManager() {
+  const listEl = document.getElementById('tagManagerList');
+  if (!listEl) return;
 
-  if (!input || !currentTagsEl) return;
+  const query = (document.getElementById('tagManagerSearch')?.value || '').trim().toLowerCase();
+  const visible = tagList.filter(({ tag }) => tag.toLowerCase().includes(query));
 
-  const tag = input.value.trim();
-  if (!tag) return;
+  const mergeBtn = document.getElementById('mergeTags');
+  if (mergeBtn) mergeBtn.disabled = selectedTags.size < 2;
 
-  const tagEl = document.createElement('span');
-  tagEl.className = 'current-tag';
-  tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
-  tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
-  currentTagsEl.appendChild(tagEl);
+  if (visible.length === 0) {
+    listEl.innerHTML = `<p class="setting-desc">${tagList.length === 0 ? 'No tags yet.' : 'No tags match.'}</p>`;
+    return;
+  }
 
-  input.value = '';
-}
+  listEl.innerHTML = visible.map(({ tag, count, color, category }) => `
+    <div class="tag-row ${selectedTags.has(tag) ? 'selected' : ''}">
+      <input type="checkbox" class="tag-row-select" data-tag="${escapeHtml(tag)}" ${selectedTags.has(tag) ? 'checked' : ''} ${category ? 'disabled title="Category tags follow their category"' : ''}>
+      <input type="color" class="tag-row-color" data-tag="${escapeHtml(tag)}" value="${escapeHtml(color || '#6b7280')}" title="Tag color">
+      <span class="tag-row-name ${color ? 'colored' : ''}"${color ? ` style="--tag-color: ${escapeHtml(color)}"` : ''}>${escapeHtml(tag)}</span>
+      ${category ? '<span class="category-threshold">Category</span>' : ''}
+      <span class="tag-row-count">${formatNumber(count)}</span>
+      <div class="category-actions">
+        ${color ? `<button class="secondary-btn" data-action="clear-color" data-tag="${escapeHtml(tag)}">Clear color</button>` : ''}
+        <button class="secondary-btn" data-action="rename-tag" data-tag="${escapeHtml(tag)}" ${category ? 'disabled' : ''}>Rename</button>
+        <button class="danger-btn" data-action="delete-tag" data-tag="${escapeHtml(tag)}" ${category ? 'disabled' : ''}>Delete</button>
+      </div>
+    </div>
+  `).join('');
 
-async function saveTags() {
-  if (!editingRetweetId) return;
+  listEl.querySelectorAll('.tag-row-select').forEach(input => {
+    input.addEventListener('change', () => {
+      if (input.checked) {
+        selectedTags.add(input.dataset.tag);
+      } else {
+        selectedTags.delete(input.dataset.tag);
+      }
+      input.closest('.tag-row').classList.toggle('selected', input.checked);
+      if (mergeBtn) mergeBtn.disabled = selectedTags.size < 2;
+    });
+  });
 
-  const currentTagsEl = document.getElementById('currentTags');
-  if (!currentTagsEl) return;
+  listEl.querySelectorAll('.tag-row-color').forEach(input => {
+    input.addEventListener('change', () => setTagColor(input.dataset.tag, input.value));
+  });
 
-  const tags = Array.from(currentTagsEl.querySelectorAll('.current-tag'))
-    .map(el => el.textContent.trim().replace('×', '').trim())
-    .filter(t => t.length > 0);
+  listEl.querySelectorAll('[data-action="clear-color"]').forEach(btn => {
+    btn.addEventListener('click', () => setTagColor(btn.dataset.tag, null));
+  });
+
+  listEl.querySelectorAll('[data-action="rename-tag"]').forEach(btn => {
+    btn.addEventListener('click', () => renameTag(btn.dataset.tag));
+  });
+
+  listEl.querySelectorAll('[data-action="delete-tag"]').forEach(btn => {
+    btn.addEventListener('click', () => deleteTag(btn.dataset.tag));
+  });
+}
 
+function renderTagUndo(undo) {
+  const bar = document.getElementById('tagUndo');
+  const text = document.getElementById('tagUndoText');
+  if (!bar || !text) return;
+
+  bar.hidden = !undo;
+  if (undo) text.textContent = `${undo.description}.`;
+}
+
+// Runs a rename, merge or delete, then refreshes everything that shows tags
+async function runTagChange(type, data) {
   try {
-    await chrome.runtime.sendMessage({
-      type: MESSAGES.UPDATE_TAGS,
-      data: { id: editingRetweetId, tags }
-    });
+    const response = await chrome.runtime.sendMessage({ type, data });
 
-    closeTagModal();
-    loadRetweets();
+    if (!response || !response.success) {
+      alert('Failed to update tags: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    selectedTags.clear();
+    await refreshTagViews();
   } catch (error) {
-    console.error('[Dashboard] saveTags error:', error);
+    console.error('[Dashboard] runTagChange error:', error);
+    alert('Failed to update tags: ' + error.message);
   }
 }
 
-function openBulkTagModal() {
-  if (selectedIds.size === 0) return;
-
-  editingRetweetId = 'bulk';
+async function refreshTagViews() {
+  await loadTags();
+  await loadRetweets();
+  renderTagCloud();
+}
 
-  const modal = document.getElementById('tagModal');
-  const currentTagsEl = document.getElementById('currentTags');
-  const suggestedTagsEl = document.getElementById('suggestedTags');
+async function renameTag(tag) {
+  const name = prompt(`Rename "${tag}" to:`, tag);
+  if (name === null || !name.trim() || name.trim() === tag) return;
 
-  if (!modal || !currentTagsEl || !suggestedTagsEl) return;
+  const existing = tagList.find(t => t.tag === name.trim());
+  if (existing && !confirm(`"${name.trim()}" already exists. Merge "${tag}" into it?`)) return;
 
-  currentTagsEl.innerHTML = '';
-  suggestedTagsEl.innerHTML = `
-    <h4>Add tags to ${selectedIds.size} items</h4>
-    <div class="suggested-tags-list">
-      ${Object.keys(categories).map(c => `<button class="suggested-tag" data-tag="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join('')}
-    </div>
-  `;
+  await runTagChange('RENAME_TAG', { from: tag, to: name.trim() });
+}
 
-  suggestedTagsEl.querySelectorAll('.suggested-tag').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const tag = btn.dataset.tag;
-      const tagEl = document.createElement('span');
-      tagEl.className = 'current-tag';
-      tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
-      tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
-      currentTagsEl.appendChild(tagEl);
-    });
-  });
+async function mergeSelectedTags() {
+  const tags = [...selectedTags];
+  if (tags.length < 2) return;
 
-  // Override save for bulk
-  const saveBtn = document.getElementById('saveTags');
-  if (saveBtn) {
-    saveBtn.onclick = async () => {
-      const tags = Array.from(currentTagsEl.querySelectorAll('.current-tag'))
-        .map(el => el.textContent.trim().replace('×', '').trim())
-        .filter(t => t.length > 0);
+  // Default to the most used of the selected tags
+  const suggested = tagList.find(t => selectedTags.has(t.tag))?.tag || tags[0];
+  const into = prompt(`Merge ${tags.length} tags into:`, suggested);
+  if (into === null || !into.trim()) return;
 
-      await chrome.runtime.sendMessage({
-        type: 'BULK_UPDATE_TAGS',
-        data: {
-          ids: Array.from(selectedIds),
-          tagsToAdd: tags,
-          tagsToRemove: []
-        }
-      });
+  await runTagChange('MERGE_TAGS', { tags, into: into.trim() });
+}
 
-      closeTagModal();
-      clearSelection();
-      loadRetweets();
-    };
-  }
+async function deleteTag(tag) {
+  const entry = tagList.find(t => t.tag === tag);
+  const nested = tagList.filter(t => t.tag.startsWith(tag + TAG_PATH_SEPARATOR)).length;
+  const message = nested > 0
+    ? `Remove "${tag}" from ${formatNumber(entry?.count || 0)} captures, along with ${formatNumber(nested)} tag(s) nested under it?`
+    : `Remove "${tag}" from ${formatNumber(entry?.count || 0)} captures?`;
+  if (!confirm(message)) return;
 
-  modal.hidden = false;
+  await runTagChange('DELETE_TAG', { tag });
 }
 
-// ==================== DELETE ====================
+async function setTagColor(tag, color) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SET_TAG_COLOR', data: { tag, color } });
 
-async function deleteRetweet(id) {
-  if (!confirm('Delete this retweet?')) return;
+    if (!response || !response.success) {
+      alert('Failed to set color: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    await refreshTagViews();
+  } catch (error) {
+    console.error('[Dashboard] setTagColor error:', error);
+  }
+}
 
+async function undoTagChange() {
   try {
-    await chrome.runtime.sendMessage({
-      type: MESSAGES.DELETE_RETWEET,
-      data: { id }
-    });
+    const response = await chrome.runtime.sendMessage({ type: 'UNDO_TAG_CHANGE' });
 
-    loadRetweets();
-    loadStats();
+    if (!response || !response.success) {
+      alert('Failed to undo: ' + (response?.error || 'Unknown error'));
+    }
+
+    await refreshTagViews();
   } catch (error) {
-    console.error('[Dashboard] deleteRetweet error:', error);
+    console.error('[Dashboard] undoTagChange error:', error);
   }
 }
 
-async function bulkDelete() {
-  if (selectedIds.size === 0) return;
-  if (!confirm(`Delete ${selectedIds.size} retweets?`)) return;
+// ==================== TAG RULES ====================
 
+async function loadTagRules() {
   try {
-    await chrome.runtime.sendMessage({
-      type: 'BULK_DELETE',
-      data: { ids: Array.from(selectedIds) }
-    });
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TAG_RULES' });
+
+    if (response && response.success) {
+      tagRules = response.data;
+      renderTagRules();
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadTagRules error:', error);
+  }
+}
+
+function describeCondition(condition) {
+  if (condition.conditions) {
+    return `(${condition.conditions.map(describeCondition).join(condition.match === 'any' ? ' OR ' : ' AND ')})`;
+  }
+
+  const field = TAG_RULE_FIELDS[condition.field] || condition.field;
+  const operator = TAG_RULE_OPERATORS[condition.operator] || condition.operator;
+  if (condition.operator === 'exists' || condition.operator === 'not_exists') {
+    return `${field} ${operator}`;
+  }
+  return `${field} ${operator} "${condition.value}"`;
+}
+
+function renderTagRules() {
+  const listEl = document.getElementById('tagRulesList');
+  if (!listEl) return;
+
+  if (tagRules.length === 0) {
+    listEl.innerHTML = '<p class="setting-desc">No rules yet. Example: link domain is arxiv.org → Papers</p>';
+    return;
+  }
+
+  listEl.innerHTML = tagRules.map(rule => `
+    <div class="rule-card ${rule.enabled ? '' : 'disabled'}">
+      <div class="rule-info">
+        <span class="category-name">${escapeHtml(rule.name)}${rule.enabled ? '' : ' (disabled)'}</span>
+        <span class="rule-summary">${escapeHtml(rule.conditions.map(describeCondition).join(rule.match === 'any' ? ' OR ' : ' AND '))}</span>
+        <div class="category-keywords">
+          ${rule.tags.map(tag => `<span class="category-keyword">→ ${escapeHtml(tag)}</span>`).join('')}
+        </div>
+      </div>
+      <div class="category-actions">
+        <button class="secondary-btn" data-action="edit-rule" data-id="${rule.id}">Edit</button>
+        <button class="danger-btn" data-action="delete-rule" data-id="${rule.id}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  listEl.querySelectorAll('[data-action="edit-rule"]').forEach(btn => {
+    btn.addEventListener('click', () => openRuleModal(btn.dataset.id));
+  });
+
+  listEl.querySelectorAll('[data-action="delete-rule"]').forEach(btn => {
+    btn.addEventListener('click', () => deleteTagRule(btn.dataset.id));
+  });
+}
+
+function openRuleModal(id = null) {
+  const rule = tagRules.find(r => r.id === id);
+  editingRuleId = rule ? rule.id : null;
+
+  const modal = document.getElementById('ruleModal');
+  const titleEl = document.getElementById('ruleModalTitle');
+  const conditionsEl = document.getElementById('ruleConditions');
+  if (!modal || !conditionsEl) return;
+
+  if (titleEl) titleEl.textContent = rule ? 'Edit Rule' : 'Add Rule';
+  document.getElementById('ruleName').value = rule ? rule.name : '';
+  document.getElementById('ruleMatch').value = rule ? rule.match : 'all';
+  document.getElementById('ruleTags').value = rule ? rule.tags.join(', ') : '';
+  document.getElementById('ruleEnabled').checked = rule ? rule.enabled : true;
+
+  conditionsEl.innerHTML = `
+    <datalist id="ruleFieldOptions">
+      ${Object.entries(TAG_RULE_FIELDS).map(([field, label]) => `<option value="${field}">${escapeHtml(label)}</option>`).join('')}
+    </datalist>
+  `;
+  const conditions = rule ? rule.conditions : [{ field: 'author', operator: 'equals', value: '' }];
+  conditions.forEach(addRuleConditionRow);
+
+  modal.hidden = false;
+}
+
+function closeRuleModal() {
+  const modal = document.getElementById('ruleModal');
+  if (modal) modal.hidden = true;
+  editingRuleId = null;
+}
+
+// Nested groups (created via the API) are kept as-is and shown read-only
+function addRuleConditionRow(condition) {
+  const conditionsEl = document.getElementById('ruleConditions');
+  if (!conditionsEl) return;
+
+  const row = document.createElement('div');
+  row.className = 'rule-condition';
+
+  if (condition.conditions) {
+    row.dataset.group = JSON.stringify(condition);
+    row.innerHTML = `<span class="rule-summary">${escapeHtml(describeCondition(condition))}</span>`;
+  } else {
+    row.innerHTML = `
+      <input type="text" class="rule-field" list="ruleFieldOptions" placeholder="Field" value="${escapeHtml(condition.field || '')}">
+      <select class="rule-operator">
+        ${Object.entries(TAG_RULE_OPERATORS).map(([op, label]) => `<option value="${op}" ${op === condition.operator ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+      </select>
+      <input type="text" class="rule-value" placeholder="Value" value="${escapeHtml(String(condition.value ?? ''))}">
+    `;
+
+    const operatorSelect = row.querySelector('.rule-operator');
+    const valueInput = row.querySelector('.rule-value');
+    const toggleValue = () => {
+      valueInput.hidden = operatorSelect.value === 'exists' || operatorSelect.value === 'not_exists';
+    };
+    operatorSelect.addEventListener('change', toggleValue);
+    toggleValue();
+  }
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-condition';
+  removeBtn.title = 'Remove condition';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+  row.appendChild(removeBtn);
+
+  conditionsEl.appendChild(row);
+}
+
+async function saveRule() {
+  const conditions = Array.from(document.querySelectorAll('#ruleConditions .rule-condition')).map(row => {
+    if (row.dataset.group) return JSON.parse(row.dataset.group);
+    return {
+      field: row.querySelector('.rule-field').value.trim(),
+      operator: row.querySelector('.rule-operator').value,
+      value: row.querySelector('.rule-value').value.trim()
+    };
+  });
+
+  const existing = tagRules.find(r => r.id === editingRuleId);
+  const rule = {
+    ...(existing || {}),
+    name: document.getElementById('ruleName').value.trim(),
+    match: document.getElementById('ruleMatch').value,
+    conditions,
+    tags: document.getElementById('ruleTags').value.split(',').map(t => t.trim()).filter(t => t.length > 0),
+    enabled: document.getElementById('ruleEnabled').checked
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_TAG_RULE',
+      data: rule
+    });
+
+    if (!response || !response.success) {
+      alert('Could not save rule: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    closeRuleModal();
+    await loadTagRules();
+  } catch (error) {
+    console.error('[Dashboard] saveRule error:', error);
+    alert('Failed to save rule: ' + error.message);
+  }
+}
+
+async function deleteTagRule(id) {
+  const rule = tagRules.find(r => r.id === id);
+  if (!rule || !confirm(`Delete rule "${rule.name}"?`)) return;
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'DELETE_TAG_RULE',
+      data: { id }
+    });
+
+    await loadTagRules();
+  } catch (error) {
+    console.error('[Dashboard] deleteTagRule error:', error);
+  }
+}
+
+async function applyTagRules() {
+  if (!confirm('Recompute auto tags for every capture using the current categories and rules? Manual tags are not changed.')) return;
+
+  try {
+    // Runs in the background; progress shows in the re-tag status bar
+    const response = await chrome.runtime.sendMessage({ type: 'APPLY_TAG_RULES' });
+
+    if (response && response.success) {
+      renderRetagStatus(response.data.job);
+    } else {
+      alert('Re-run failed: ' + (response?.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('[Dashboard] applyTagRules error:', error);
+  }
+}
+
+// ==================== TAG MODAL ====================
+
+async function openTagModal(id) {
+  editingRetweetId = id;
+  const retweet = findRetweet(id);
+  if (!retweet) return;
+
+  const modal = document.getElementById('tagModal');
+  const currentTagsEl = document.getElementById('currentTags');
+  const suggestedTagsEl = document.getElementById('suggestedTags');
+
+  if (!modal || !currentTagsEl || !suggestedTagsEl) return;
+
+  // Render current tags
+  const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+  currentTagsEl.innerHTML = allTags.map(tag => `
+    <span class="current-tag ${retweet.auto_tags?.includes(tag) ? 'auto' : ''}">
+      ${escapeHtml(tag)}
+      <button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>
+    </span>
+  `).join('');
+
+  currentTagsEl.querySelectorAll('.remove-tag').forEach(btn => {
+    btn.addEventListener('click', () => {
+      btn.parentElement.remove();
+    });
+  });
+
+  // Render suggested tags learned from manual tagging, then from categories
+  const learned = await loadLearnedSuggestions(id);
+  if (editingRetweetId !== id) return;
+
+  const learnedTags = learned.filter(s => !allTags.includes(s.tag));
+  const categoryNames = Object.keys(categories).filter(c => !allTags.includes(c) && !learnedTags.some(s => s.tag === c));
+  suggestedTagsEl.innerHTML = `
+    ${learnedTags.length > 0 ? `
+      <h4>Learned from your tags</h4>
+      <div class="suggested-tags-list learned">
+        ${learnedTags.map(s => `
+          <button class="suggested-tag learned" data-tag="${escapeHtml(s.tag)}" title="${Math.round(s.confidence * 100)}% confident">
+            ${escapeHtml(s.tag)} <span class="suggestion-confidence">${Math.round(s.confidence * 100)}%</span>
+          </button>
+        `).join('')}
+      </div>
+    ` : ''}
+    ${categoryNames.length > 0 ? `
+      <h4>Suggestions</h4>
+      <div class="suggested-tags-list">
+        ${categoryNames.map(c => `<button class="suggested-tag" data-tag="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join('')}
+      </div>
+    ` : ''}
+  `;
+
+  suggestedTagsEl.querySelectorAll('.suggested-tag').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tag = btn.dataset.tag;
+      const tagEl = document.createElement('span');
+      tagEl.className = 'current-tag';
+      tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
+      tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
+      currentTagsEl.appendChild(tagEl);
+      btn.remove();
+    });
+  });
+
+  modal.hidden = false;
+}
+
+async function loadLearnedSuggestions(id) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SUGGEST_TAGS', data: { id } });
+    return response && response.success ? response.data : [];
+  } catch (error) {
+    console.error('[Dashboard] loadLearnedSuggestions error:', error);
+    return [];
+  }
+}
+
+function closeTagModal() {
+  const modal = document.getElementById('tagModal');
+  if (modal) modal.hidden = true;
+  editingRetweetId = null;
+}
+
+function addNewTag() {
+  const input = document.getElementById('newTagInput');
+  const currentTagsEl = document.getElementById('currentTags');
+
+  if (!input || !currentTagsEl) return;
+
+  const tag = input.value.trim();
+  if (!tag) return;
+
+  const tagEl = document.createElement('span');
+  tagEl.className = 'current-tag';
+  tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
+  tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
+  currentTagsEl.appendChild(tagEl);
+
+  input.value = '';
+}
+
+async function saveTags() {
+  if (!editingRetweetId) return;
+
+  const currentTagsEl = document.getElementById('currentTags');
+  if (!currentTagsEl) return;
+
+  const tags = Array.from(currentTagsEl.querySelectorAll('.current-tag'))
+    .map(el => el.textContent.trim().replace('×', '').trim())
+    .filter(t => t.length > 0);
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: MESSAGES.UPDATE_TAGS,
+      data: { id: editingRetweetId, tags }
+    });
+
+    closeTagModal();
+    loadRetweets();
+  } catch (error) {
+    console.error('[Dashboard] saveTags error:', error);
+  }
+}
+
+function openBulkTagModal() {
+  if (selectedIds.size === 0) return;
+
+  editingRetweetId = 'bulk';
+
+  const modal = document.getElementById('tagModal');
+  const currentTagsEl = document.getElementById('currentTags');
+  const suggestedTagsEl = document.getElementById('suggestedTags');
+
+  if (!modal || !currentTagsEl || !suggestedTagsEl) return;
+
+  currentTagsEl.innerHTML = '';
+  suggestedTagsEl.innerHTML = `
+    <h4>Add tags to ${selectedIds.size} items</h4>
+    <div class="suggested-tags-list">
+      ${Object.keys(categories).map(c => `<button class="suggested-tag" data-tag="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join('')}
+    </div>
+  `;
+
+  suggestedTagsEl.querySelectorAll('.suggested-tag').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tag = btn.dataset.tag;
+      const tagEl = document.createElement('span');
+      tagEl.className = 'current-tag';
+      tagEl.innerHTML = `${escapeHtml(tag)}<button class="remove-tag" data-tag="${escapeHtml(tag)}">×</button>`;
+      tagEl.querySelector('.remove-tag').addEventListener('click', () => tagEl.remove());
+      currentTagsEl.appendChild(tagEl);
+    });
+  });
+
+  // Override save for bulk
+  const saveBtn = document.getElementById('saveTags');
+  if (saveBtn) {
+    saveBtn.onclick = async () => {
+      const tags = Array.from(currentTagsEl.querySelectorAll('.current-tag'))
+        .map(el => el.textContent.trim().replace('×', '').trim())
+        .filter(t => t.length > 0);
+
+      await chrome.runtime.sendMessage({
+        type: 'BULK_UPDATE_TAGS',
+        data: {
+          ids: Array.from(selectedIds),
+          tagsToAdd: tags,
+          tagsToRemove: []
+        }
+      });
+
+      closeTagModal();
+      clearSelection();
+      loadRetweets();
+    };
+  }
+
+  modal.hidden = false;
+}
+
+// ==================== DELETE ====================
+
+async function deleteRetweet(id) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGES.DELETE_RETWEET,
+      data: { id }
+    });
+
+    loadRetweets();
+    loadStats();
+    if (response && response.success) showUndoToast('Moved to Trash', [id]);
+  } catch (error) {
+    console.error('[Dashboard] deleteRetweet error:', error);
+  }
+}
+
+async function bulkDelete() {
+  if (selectedIds.size === 0) return;
+
+  const ids = Array.from(selectedIds);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BULK_DELETE',
+      data: { ids }
+    });
+
+    clearSelection();
+    loadRetweets();
+    loadStats();
+    if (response && response.success) {
+      const count = response.data.deleted;
+      showUndoToast(`Moved ${count} item${count === 1 ? '' : 's'} to Trash`, ids);
+    }
+  } catch (error) {
+    console.error('[Dashboard] bulkDelete error:', error);
+  }
+}
+
+function showUndoToast(message, ids) {
+  const toast = document.getElementById('undoToast');
+  const textEl = document.getElementById('undoToastText');
+  if (!toast || !textEl) return;
+
+  undoToastIds = ids;
+  textEl.textContent = message;
+  toast.hidden = false;
+
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+
+function hideUndoToast() {
+  const toast = document.getElementById('undoToast');
+  if (toast) toast.hidden = true;
+  clearTimeout(undoToastTimer);
+  undoToastIds = [];
+}
+
+async function undoDelete() {
+  const ids = undoToastIds;
+  hideUndoToast();
+  if (ids.length > 0) await restoreFromTrash(ids);
+}
+
+// ==================== DUPLICATES ====================
+
+const DUPLICATE_REASON_LABELS = {
+  post: 'Same post',
+  url: 'Same link',
+  text: 'Near-identical text'
+};
+
+async function findDuplicates() {
+  const scanBtn = document.getElementById('scanDuplicates');
+  const listEl = document.getElementById('duplicateList');
+  if (scanBtn) scanBtn.disabled = true;
+  if (listEl) listEl.innerHTML = '<p class="setting-desc">Scanning captures...</p>';
+  setDuplicateStatus('');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'FIND_DUPLICATES' });
+
+    if (!response || !response.success) {
+      duplicateGroups = [];
+      setDuplicateStatus(`Scan failed: ${response?.error || 'Unknown error'}`);
+    } else {
+      // Every capture in a group is merged unless it is unticked
+      duplicateGroups = response.data.groups.map(group => ({
+        ...group,
+        selected: new Set(group.items.map(item => item.id))
+      }));
+      setDuplicateStatus(`Scanned ${response.data.scanned} captures: ${duplicateGroups.length} group(s) of duplicates.`);
+    }
+  } catch (error) {
+    console.error('[Dashboard] findDuplicates error:', error);
+    duplicateGroups = [];
+  }
+
+  if (scanBtn) scanBtn.disabled = false;
+  renderDuplicates();
+}
+
+function setDuplicateStatus(text) {
+  const statusEl = document.getElementById('duplicateStatus');
+  if (!statusEl) return;
+  statusEl.textContent = text;
+  statusEl.hidden = !text;
+}
+
+function renderDuplicates() {
+  const listEl = document.getElementById('duplicateList');
+  if (!listEl) return;
+
+  const groups = duplicateGroups || [];
+  const mergeAllBtn = document.getElementById('mergeAllDuplicates');
+  if (mergeAllBtn) mergeAllBtn.disabled = groups.length === 0;
+
+  if (groups.length === 0) {
+    listEl.innerHTML = '<p class="setting-desc">No duplicates found.</p>';
+    return;
+  }
+
+  listEl.innerHTML = groups.map((group, index) => `
+    <div class="duplicate-group">
+      <div class="duplicate-group-header">
+        <span class="duplicate-group-reasons">${escapeHtml(group.reasons.map(r => DUPLICATE_REASON_LABELS[r] || r).join(' · '))}</span>
+        <button class="secondary-btn" data-action="merge-group" data-group="${index}">Merge</button>
+      </div>
+      ${group.items.map(item => `
+        <div class="tag-row trash-row duplicate-row">
+          <input type="checkbox" data-action="include-duplicate" data-group="${index}" data-id="${escapeHtml(item.id)}"
+            title="Include in merge" ${group.selected.has(item.id) ? 'checked' : ''} ${item.id === group.keepId ? 'disabled' : ''}>
+          <div class="trash-row-info">
+            <span class="trash-row-author">@${escapeHtml(item.user_handle || 'unknown')} · ${escapeHtml(item.platform || 'twitter')} · ${escapeHtml(item.source || 'browser')}</span>
+            <span class="trash-row-text">${escapeHtml(truncateText(item.text || '', 140).truncated)}</span>
+          </div>
+          <span class="tag-row-count">${formatDate(item.captured_at)}</span>
+          <label class="duplicate-keep">
+            <input type="radio" name="keep-${index}" data-action="keep-duplicate" data-group="${index}" data-id="${escapeHtml(item.id)}"
+              ${item.id === group.keepId ? 'checked' : ''}>
+            Keep
+          </label>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  listEl.querySelectorAll('[data-action="include-duplicate"]').forEach(input => {
+    input.addEventListener('change', () => {
+      const group = groups[input.dataset.group];
+      if (input.checked) group.selected.add(input.dataset.id);
+      else group.selected.delete(input.dataset.id);
+    });
+  });
+
+  listEl.querySelectorAll('[data-action="keep-duplicate"]').forEach(input => {
+    input.addEventListener('change', () => {
+      const group = groups[input.dataset.group];
+      group.keepId = input.dataset.id;
+      group.selected.add(input.dataset.id);
+      renderDuplicates();
+    });
+  });
+
+  listEl.querySelectorAll('[data-action="merge-group"]').forEach(btn => {
+    btn.addEventListener('click', () => mergeDuplicates([groups[btn.dataset.group]]));
+  });
+}
+
+async function mergeDuplicates(groups) {
+  const merges = groups
+    .map(group => ({ keepId: group.keepId, ids: [...group.selected].filter(id => id !== group.keepId) }))
+    .filter(merge => merge.ids.length > 0);
+
+  if (merges.length === 0) {
+    alert('Tick at least one capture to merge into the one being kept.');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'MERGE_DUPLICATES',
+      data: { groups: merges }
+    });
+
+    if (!response || !response.success) {
+      alert(`Merge failed: ${response?.error || 'Unknown error'}`);
+      return;
+    }
+
+    duplicateGroups = (duplicateGroups || []).filter(group => !groups.includes(group));
+    renderDuplicates();
+    setDuplicateStatus(`Merged ${response.data.merged} group(s); ${response.data.removed} capture(s) moved to the trash.`);
+
+    loadRetweets();
+    loadStats();
+    renderTagCloud();
+  } catch (error) {
+    console.error('[Dashboard] mergeDuplicates error:', error);
+  }
+}
+
+// ==================== TRASH ====================
+
+async function loadTrash() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TRASH' });
+
+    if (response && response.success) {
+      trashItems = response.data.items;
+      const retentionInput = document.getElementById('trashRetentionDays');
+      if (retentionInput) retentionInput.value = response.data.retentionDays;
+      renderTrash();
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadTrash error:', error);
+  }
+}
+
+function renderTrash() {
+  const listEl = document.getElementById('trashList');
+  if (!listEl) return;
+
+  const restoreAllBtn = document.getElementById('restoreAllTrash');
+  const emptyBtn = document.getElementById('emptyTrash');
+  if (restoreAllBtn) restoreAllBtn.disabled = trashItems.length === 0;
+  if (emptyBtn) emptyBtn.disabled = trashItems.length === 0;
+
+  if (trashItems.length === 0) {
+    listEl.innerHTML = '<p class="setting-desc">Trash is empty.</p>';
+    return;
+  }
+
+  listEl.innerHTML = trashItems.map(item => `
+    <div class="tag-row trash-row">
+      <div class="trash-row-info">
+        <span class="trash-row-author">@${escapeHtml(item.user_handle || 'unknown')}</span>
+        <span class="trash-row-text">${escapeHtml(truncateText(item.text || '', 140).truncated)}</span>
+      </div>
+      <span class="tag-row-count" title="${escapeHtml(new Date(item.deleted_at).toLocaleString())}">Deleted ${formatDate(item.deleted_at)}</span>
+      <div class="category-actions">
+        <button class="secondary-btn" data-action="restore-trash" data-id="${escapeHtml(item.id)}">Restore</button>
+        <button class="danger-btn" data-action="purge-trash" data-id="${escapeHtml(item.id)}">Delete Forever</button>
+      </div>
+    </div>
+  `).join('');
+
+  listEl.querySelectorAll('[data-action="restore-trash"]').forEach(btn => {
+    btn.addEventListener('click', () => restoreFromTrash([btn.dataset.id]));
+  });
+
+  listEl.querySelectorAll('[data-action="purge-trash"]').forEach(btn => {
+    btn.addEventListener('click', () => purgeTrashItems([btn.dataset.id]));
+  });
+}
+
+async function restoreFromTrash(ids) {
+  if (ids.length === 0) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESTORE_FROM_TRASH',
+      data: { ids }
+    });
+
+    if (!response || !response.success) {
+      alert(`Restore failed: ${response?.error || 'Unknown error'}`);
+      return;
+    }
+
+    if (response.data.merged > 0) {
+      alert(`${response.data.merged} item(s) had been captured again since they were deleted; their tags, notes and highlights were merged into the current copies.`);
+    }
+
+    loadRetweets();
+    loadStats();
+    renderTagCloud();
+    if (currentView === 'trash') loadTrash();
+  } catch (error) {
+    console.error('[Dashboard] restoreFromTrash error:', error);
+  }
+}
+
+async function purgeTrashItems(ids) {
+  if (!confirm('Delete this item forever? This cannot be undone.')) return;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'PURGE_TRASH', data: { ids } });
+    loadTrash();
+  } catch (error) {
+    console.error('[Dashboard] purgeTrashItems error:', error);
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm(`Delete all ${trashItems.length} items in the trash forever? This cannot be undone.`)) return;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'PURGE_TRASH', data: {} });
+    loadTrash();
+  } catch (error) {
+    console.error('[Dashboard] emptyTrash error:', error);
+  }
+}
+
+async function saveTrashRetention(e) {
+  const days = parseInt(e.target.value, 10);
+  if (!Number.isInteger(days) || days < 0) {
+    loadTrash();
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: MESSAGES.UPDATE_SETTINGS,
+      data: { trashRetentionDays: days }
+    });
+    loadTrash();
+  } catch (error) {
+    console.error('[Dashboard] saveTrashRetention error:', error);
+  }
+}
+
+// ==================== DETAIL MODAL ====================
+
+// The detail modal can show captures outside the current results via "Similar captures"
+function findRetweet(id) {
+  return allRetweets.find(r => r.id === id) ||
+    [detailRetweet, ...similarRetweets].find(r => r && r.id === id);
+}
+
+// Learned tags are auto tags too, but show how confident the model was
+function renderTagChip(retweet, tag) {
+  const learned = (retweet.learned_tags || []).find(t => t.tag === tag);
+  const isAuto = retweet.auto_tags?.includes(tag) && !retweet.tags?.includes(tag);
+  const color = tagColors[tag];
+  const classes = ['result-tag', isAuto ? 'auto' : '', isAuto && learned ? 'learned' : '', color ? 'colored' : ''].filter(Boolean).join(' ');
+  const title = isAuto && learned ? ` title="Learned from your tags (${Math.round(learned.confidence * 100)}% confident)"` : '';
+  const style = color ? ` style="--tag-color: ${escapeHtml(color)}"` : '';
+  return `<span class="${classes}"${title}${style}>${escapeHtml(tag)}</span>`;
+}
+
+function openDetailModal(id) {
+  const retweet = findRetweet(id);
+  if (!retweet) return;
+  detailRetweet = retweet;
+
+  const modal = document.getElementById('detailModal');
+  const body = document.getElementById('modalBody');
+
+  if (!modal || !body) return;
+
+  const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+
+  body.innerHTML = `
+    <div class="detail-header">
+      <div class="result-avatar" style="width:56px;height:56px;font-size:22px">${getInitials(retweet.user_name || retweet.user_handle)}</div>
+      <div>
+        <div class="result-name" style="font-size:18px">${escapeHtml(retweet.user_name || retweet.user_handle)}</div>
+        <div class="result-handle">@${escapeHtml(retweet.user_handle || '')}</div>
+      </div>
+    </div>
+    <div class="detail-text" style="font-size:17px;margin:20px 0;line-height:1.6">${renderHighlightedText(retweet.text, retweet.highlights)}</div>
+    ${retweet.quoted_text ? `
+      <div class="result-quoted" style="margin-bottom:16px">
+        <div class="result-quoted-author">@${escapeHtml(retweet.quoted_author || '')}</div>
+        <div>${escapeHtml(retweet.quoted_text)}</div>
+      </div>
+    ` : ''}
+    ${retweet.media && retweet.media.length > 0 ? `
+      <div class="detail-media" style="margin-bottom:16px">
+        ${retweet.media.map(m => {
+    // Determine best image source: thumb_url usually safer for videos/GIFs
+    const src = (m.type === 'video' || m.type === 'gif') ? (m.thumb_url || m.url) : (m.url || m.thumb_url);
+    const isVideo = m.type === 'video' || m.type === 'gif';
+
+    if (!src) return '';
+
+    return `
+            <div style="position:relative;display:inline-block;max-width:100%;margin-bottom:8px">
+              <img src="${escapeHtml(src)}" alt="${m.type || 'Media'}" style="max-width:100%;border-radius:12px;display:block">
+              ${isVideo ? `
+                <div style="position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);width:48px;height:48px;background:rgba(0,0,0,0.6);border-radius:50%;display:flex;align-items:center;justify-content:center;backdrop-filter:blur(2px)">
+                  <svg viewBox="0 0 24 24" width="24" height="24" style="color:white;fill:currentColor"><path d="M8 5v14l11-7z"/></svg>
+                </div>
+              ` : ''}
+            </div>
+          `;
+  }).join('')}
+      </div>
+    ` : ''}
+    <div class="detail-meta" style="color:var(--text-secondary);font-size:14px;margin-bottom:16px">
+      Captured: ${formatTimestamp(retweet.captured_at)}<br>
+      Source: ${retweet.source || 'browser'}${(retweet.actions || []).length > 0 ? ` (${retweet.actions.map(action => escapeHtml(CAPTURE_ACTION_LABELS[action] || action)).join(', ')})` : ''}
+      ${getRetweetCollections(retweet.id).length > 0 ? `<br>Collections: ${getRetweetCollections(retweet.id).map(c => escapeHtml(c.name)).join(', ')}` : ''}
+    </div>
+    ${allTags.length > 0 ? `
+      <div class="result-tags" style="margin-bottom:16px">
+        ${allTags.map(tag => renderTagChip(retweet, tag)).join('')}
+      </div>
+    ` : ''}
+    <div style="display:flex;gap:12px">
+      <a href="${escapeHtml(retweet.source_url || '#')}" target="_blank" class="primary-btn">Open on ${retweet.platform === 'instagram' ? 'Instagram' : retweet.platform === 'tiktok' ? 'TikTok' : retweet.platform === 'youtube' ? 'YouTube' : 'X'}</a>
+      <button class="secondary-btn" id="editTagsBtn" data-id="${id}">Edit Tags</button>
+      <div class="detail-status" id="detailStatus"></div>
+    </div>
+    <div class="detail-notes" id="detailNotes"></div>
+    <div class="similar-captures">
+      <h3>Similar captures</h3>
+      <div class="similar-list" id="similarList">
+        <div class="similar-empty">Looking for related captures...</div>
+      </div>
+    </div>
+  `;
+
+  modal.hidden = false;
+  body.scrollTop = 0;
+
+  // Add event listener for edit tags button
+  const editTagsBtn = document.getElementById('editTagsBtn');
+  if (editTagsBtn) {
+    editTagsBtn.addEventListener('click', () => {
+      modal.hidden = true;
+      openTagModal(editTagsBtn.dataset.id);
+    });
+  }
+
+  const similarList = document.getElementById('similarList');
+  if (similarList) {
+    similarList.addEventListener('click', (e) => {
+      const item = e.target.closest('.similar-item');
+      if (item) openDetailModal(item.dataset.id);
+    });
+  }
+
+  const statusEl = document.getElementById('detailStatus');
+  if (statusEl) {
+    statusEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || !detailRetweet) return;
+
+      if (button.dataset.action === 'toggle-read') toggleRead([detailRetweet]);
+      if (button.dataset.action === 'toggle-favorite') toggleFavorite([detailRetweet]);
+      if (button.dataset.action === 'toggle-archived') toggleArchived([detailRetweet]);
+    });
+  }
+
+  const notesEl = document.getElementById('detailNotes');
+  if (notesEl) {
+    notesEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || !detailRetweet) return;
+
+      switch (button.dataset.action) {
+        case 'edit-note':
+          renderDetailNotes(detailRetweet, true);
+          document.getElementById('noteInput')?.focus();
+          break;
+        case 'cancel-note':
+          renderDetailNotes(detailRetweet);
+          break;
+        case 'save-note':
+          updateNotes(detailRetweet.id, { note: document.getElementById('noteInput')?.value || '' });
+          break;
+        case 'add-highlight':
+          addHighlightFromSelection();
+          break;
+        case 'remove-highlight': {
+          const index = Number(button.dataset.index);
+          updateNotes(detailRetweet.id, { highlights: (detailRetweet.highlights || []).filter((_, i) => i !== index) });
+          break;
+        }
+      }
+    });
+  }
+
+  renderDetailStatus(retweet);
+  renderDetailNotes(retweet);
+  loadSimilarCaptures(id);
+}
+
+// Read, favorite and archive buttons of the detail modal
+function renderDetailStatus(retweet) {
+  const container = document.getElementById('detailStatus');
+  if (!container) return;
+
+  const unread = (retweet.status || 'unread') === 'unread';
+  const archived = retweet.status === 'archived';
+
+  container.innerHTML = `
+    <button class="secondary-btn" data-action="toggle-read" title="Shortcut: R">${unread ? 'Mark Read' : 'Mark Unread'}</button>
+    <button class="secondary-btn" data-action="toggle-favorite" title="Shortcut: F">${retweet.favorited_at ? '★ Favorite' : '☆ Favorite'}</button>
+    <button class="secondary-btn" data-action="toggle-archived" title="Shortcut: E">${archived ? 'Unarchive' : 'Archive'}</button>
+  `;
+}
+
+// Note and highlights section of the detail modal; editing swaps the note for a textarea
+function renderDetailNotes(retweet, editing = false) {
+  const container = document.getElementById('detailNotes');
+  if (!container) return;
+
+  const highlights = retweet.highlights || [];
+
+  container.innerHTML = `
+    <div class="detail-notes-header">
+      <h3>Note</h3>
+      ${editing ? '' : `<button class="secondary-btn" data-action="edit-note">${retweet.note ? 'Edit Note' : 'Add Note'}</button>`}
+    </div>
+    ${editing ? `
+      <textarea class="note-input" id="noteInput" rows="6" placeholder="Why did you save this? Markdown is supported.">${escapeHtml(retweet.note || '')}</textarea>
+      <div class="note-actions">
+        <button class="secondary-btn" data-action="cancel-note">Cancel</button>
+        <button class="primary-btn" data-action="save-note">Save Note</button>
+      </div>
+    ` : retweet.note ? `
+      <div class="note-body">${renderNoteMarkdown(retweet.note)}</div>
+    ` : '<div class="similar-empty">No note yet</div>'}
+    <div class="detail-notes-header">
+      <h3>Highlights</h3>
+      <button class="secondary-btn" data-action="add-highlight">Highlight Selection</button>
+    </div>
+    ${highlights.length > 0 ? `
+      <div class="highlight-list">
+        ${highlights.map((highlight, index) => `
+          <div class="highlight-item">
+            <blockquote>${escapeHtml(highlight.text)}</blockquote>
+            <button class="remove-tag" data-action="remove-highlight" data-index="${index}" title="Remove highlight">&times;</button>
+          </div>
+        `).join('')}
+      </div>
+    ` : '<div class="similar-empty">Select a passage of the text above, then choose Highlight Selection</div>'}
+  `;
+}
+
+// Offsets are counted in characters of the capture text shown in .detail-text
+function addHighlightFromSelection() {
+  const textEl = document.querySelector('#modalBody .detail-text');
+  const selection = window.getSelection();
+
+  if (!textEl || !detailRetweet || !selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    alert('Select a passage of the text first');
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (!textEl.contains(range.startContainer) || !textEl.contains(range.endContainer)) {
+    alert('Only the capture\'s own text can be highlighted');
+    return;
+  }
+
+  const before = document.createRange();
+  before.selectNodeContents(textEl);
+  before.setEnd(range.startContainer, range.startOffset);
+
+  const start = before.toString().length;
+  const passage = range.toString();
+  selection.removeAllRanges();
+
+  updateNotes(detailRetweet.id, {
+    highlights: [...(detailRetweet.highlights || []), { start, end: start + passage.length, text: passage }]
+  });
+}
+
+async function updateNotes(id, changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_NOTES',
+      data: { id, ...changes }
+    });
+
+    if (!response || !response.success) {
+      alert('Failed to save note: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    const updated = response.data;
+    const index = allRetweets.findIndex(r => r.id === id);
+    if (index !== -1) allRetweets[index] = updated;
+
+    if (detailRetweet?.id === id) {
+      detailRetweet = updated;
+      const textEl = document.querySelector('#modalBody .detail-text');
+      if (textEl) textEl.innerHTML = renderHighlightedText(updated.text, updated.highlights);
+      renderDetailNotes(updated);
+    }
+
+    renderResults();
+  } catch (error) {
+    console.error('[Dashboard] updateNotes error:', error);
+    alert('Failed to save note: ' + error.message);
+  }
+}
+
+async function loadSimilarCaptures(id) {
+  const listEl = document.getElementById('similarList');
+  if (!listEl) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'FIND_SIMILAR',
+      data: { id }
+    });
+
+    // The modal may have moved on to another capture while we waited
+    if (!listEl.isConnected) return;
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to find similar captures');
+    }
+
+    similarRetweets = response.data.map(r => r.item);
+
+    if (response.data.length === 0) {
+      listEl.innerHTML = '<div class="similar-empty">No similar captures yet</div>';
+      return;
+    }
 
-    clearSelection();
-    loadRetweets();
-    loadStats();
+    listEl.innerHTML = response.data.map(({ item, terms }) => `
+      <button class="similar-item" data-id="${item.id}" data-platform="${escapeHtml(item.platform || 'twitter')}">
+        <span class="similar-meta">@${escapeHtml(item.user_handle || '')} · ${formatDate(item.captured_at)}</span>
+        <span class="similar-text">${escapeHtml(truncateText(item.text || item.card?.title || '', 140).truncated)}</span>
+        ${terms.length > 0 ? `<span class="similar-terms">${terms.map(t => escapeHtml(t)).join(', ')}</span>` : ''}
+      </button>
+    `).join('');
   } catch (error) {
-    console.error('[Dashboard] bulkDelete error:', error);
+    console.error('[Dashboard] loadSimilarCaptures error:', error);
+    if (listEl.isConnected) {
+      listEl.innerHTML = '<div class="similar-empty">Could not load similar captures</div>';
+    }
   }
 }
 
-// ==================== DETAIL MODAL ====================
+function closeDetailModal() {
+  const modal = document.getElementById('detailModal');
+  if (modal) modal.hidden = true;
+}
 
-function openDetailModal(id) {
-  const retweet = allRetweets.find(r => r.id === id);
-  if (!retweet) return;
+// ==================== IMPORT ====================
 
-  const modal = document.getElementById('detailModal');
-  const body = document.getElementById('modalBody');
+// Plural labels for record.actions, as shown in import results and the detail modal
+const CAPTURE_ACTION_LABELS = {
+  retweet: 'retweets',
+  quote: 'quotes',
+  like: 'likes',
+  bookmark: 'bookmarks',
+  save: 'saves',
+  favorite: 'favorites'
+};
 
-  if (!modal || !body) return;
+// Files in an archive's data folder that hold posts, likes and bookmarks, with their -partN splits
+const ARCHIVE_FILE_PATTERN = /(^|\/)(tweets?|like|bookmarks?)(-part\d+)?\.js$/i;
 
-  const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+// Instagram data download files with saved and liked posts
+const INSTAGRAM_FILE_PATTERN = /(^|\/)(saved_posts|liked_posts)\.json$/i;
 
-  body.innerHTML = `
-    <div class="detail-header">
-      <div class="result-avatar" style="width:56px;height:56px;font-size:22px">${getInitials(retweet.user_name || retweet.user_handle)}</div>
-      <div>
-        <div class="result-name" style="font-size:18px">${escapeHtml(retweet.user_name || retweet.user_handle)}</div>
-        <div class="result-handle">@${escapeHtml(retweet.user_handle || '')}</div>
-      </div>
-    </div>
-    <div class="detail-text" style="font-size:17px;margin:20px 0;line-height:1.6">${escapeHtml(retweet.text || '')}</div>
-    ${retweet.quoted_text ? `
-      <div class="result-quoted" style="margin-bottom:16px">
-        <div class="result-quoted-author">@${escapeHtml(retweet.quoted_author || '')}</div>
-        <div>${escapeHtml(retweet.quoted_text)}</div>
-      </div>
-    ` : ''}
-    ${retweet.media && retweet.media.length > 0 ? `
-      <div class="detail-media" style="margin-bottom:16px">
-        ${retweet.media.map(m => {
-    // Determine best image source: thumb_url usually safer for videos/GIFs
-    const src = (m.type === 'video' || m.type === 'gif') ? (m.thumb_url || m.url) : (m.url || m.thumb_url);
-    const isVideo = m.type === 'video' || m.type === 'gif';
+// TikTok data download file with the Favorite Videos and Like List sections
+const TIKTOK_FILE_PATTERN = /(^|\/)user_data[\w-]*\.json$/i;
 
-    if (!src) return '';
+// Google Takeout YouTube files: playlists (CSV, or JSON in older Takeouts) and My Activity
+const YOUTUBE_FILE_PATTERN = /(^|\/)(playlists\/[^/]+\.(csv|json)|YouTube\/MyActivity\.json)$/i;
 
-    return `
-            <div style="position:relative;display:inline-block;max-width:100%;margin-bottom:8px">
-              <img src="${escapeHtml(src)}" alt="${m.type || 'Media'}" style="max-width:100%;border-radius:12px;display:block">
-              ${isVideo ? `
-                <div style="position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);width:48px;height:48px;background:rgba(0,0,0,0.6);border-radius:50%;display:flex;align-items:center;justify-content:center;backdrop-filter:blur(2px)">
-                  <svg viewBox="0 0 24 24" width="24" height="24" style="color:white;fill:currentColor"><path d="M8 5v14l11-7z"/></svg>
-                </div>
-              ` : ''}
-            </div>
-          `;
-  }).join('')}
-      </div>
-    ` : ''}
-    <div class="detail-meta" style="color:var(--text-secondary);font-size:14px;margin-bottom:16px">
-      Captured: ${formatTimestamp(retweet.captured_at)}<br>
-      Source: ${retweet.source || 'browser'}
-    </div>
-    ${allTags.length > 0 ? `
-      <div class="result-tags" style="margin-bottom:16px">
-        ${allTags.map(tag => `<span class="result-tag ${retweet.auto_tags?.includes(tag) ? 'auto' : ''}">${escapeHtml(tag)}</span>`).join('')}
-      </div>
-    ` : ''}
-    <div style="display:flex;gap:12px">
-      <a href="${escapeHtml(retweet.source_url || '#')}" target="_blank" class="primary-btn">Open on ${retweet.platform === 'instagram' ? 'Instagram' : retweet.platform === 'tiktok' ? 'TikTok' : retweet.platform === 'youtube' ? 'YouTube' : 'X'}</a>
-      <button class="secondary-btn" id="editTagsBtn" data-id="${id}">Edit Tags</button>
-    </div>
-  `;
+// Characters of file text per IMPORT_DATA message, well under the 64 MB
+// limit on extension messages. A larger file is sent on its own.
+const IMPORT_BATCH_SIZE = 16 * 1024 * 1024;
 
-  modal.hidden = false;
+// Files taken from a .zip for each bookmark or read-later export
+const READING_LIST_FILE_PATTERNS = {
+  bookmarks: /\.html?$/i,
+  pocket: /\.csv$/i,
+  raindrop: /\.csv$/i
+};
 
-  // Add event listener for edit tags button
-  const editTagsBtn = document.getElementById('editTagsBtn');
-  if (editTagsBtn) {
-    editTagsBtn.addEventListener('click', () => {
-      modal.hidden = true;
-      openTagModal(editTagsBtn.dataset.id);
-    });
-  }
+// Accepts single archive files, several parts at once, or the archive's .zip
+function handleArchiveImport(e) {
+  return importDataFiles(e, 'archive', ARCHIVE_FILE_PATTERN, 'No posts, likes or bookmarks found in the archive');
 }
 
-function closeDetailModal() {
-  const modal = document.getElementById('detailModal');
-  if (modal) modal.hidden = true;
+function handleInstagramImport(e) {
+  return importDataFiles(e, 'instagram', INSTAGRAM_FILE_PATTERN, 'No saved_posts.json or liked_posts.json found in the download');
 }
 
-// ==================== IMPORT ====================
+function handleTikTokImport(e) {
+  return importDataFiles(e, 'tiktok', TIKTOK_FILE_PATTERN, 'No user_data.json found in the download');
+}
 
-async function handleArchiveImport(e) {
-  const file = e.target.files[0];
-  if (!file) return;
+// Playlist names come from the file names, so files are sent as { name, text }
+function handleYouTubeImport(e) {
+  const playlists = document.getElementById('youtubePlaylistMode')?.value || 'tags';
+  return importDataFiles(e, 'youtube', YOUTUBE_FILE_PATTERN, 'No playlists or My Activity file found in the Takeout', {
+    named: true,
+    options: { playlists }
+  });
+}
+
+function handleReadingListImport(e) {
+  const type = document.getElementById('readingListFormat')?.value || 'bookmarks';
+  return importDataFiles(e, type, READING_LIST_FILE_PATTERNS[type], 'No bookmarks HTML or CSV file found');
+}
+
+// Send the chosen files to IMPORT_DATA as a list of texts, or of { name, text }
+// when named. A .zip is opened and the files matching the pattern are taken from it.
+// Files are sent in batches of up to IMPORT_BATCH_SIZE and the results added up;
+// a post found in two batches is counted as a duplicate in the second.
+async function importDataFiles(e, type, pattern, emptyMessage, { named = false, options = {} } = {}) {
+  const files = [...e.target.files];
+  if (files.length === 0) return;
 
   showImportProgress();
 
   try {
-    const text = await file.text();
+    const entries = [];
+    for (const file of files) {
+      if (/\.zip$/i.test(file.name)) {
+        entries.push(...await readZipEntries(file, name => pattern.test(name)));
+      } else {
+        entries.push({ name: file.name, text: await file.text() });
+      }
+    }
 
-    const response = await chrome.runtime.sendMessage({
-      type: MESSAGES.IMPORT_DATA,
-      data: { type: 'archive', data: text }
-    });
+    if (entries.length === 0) {
+      throw new Error(emptyMessage);
+    }
 
-    showImportResults(response);
+    const batches = [];
+    let size = Infinity;
+    for (const entry of entries) {
+      if (size + entry.text.length > IMPORT_BATCH_SIZE) {
+        batches.push([]);
+        size = 0;
+      }
+      batches[batches.length - 1].push(entry);
+      size += entry.text.length;
+    }
+
+    // A batch with nothing to import fails on its own; that only matters if every batch did
+    const responses = [];
+    for (const batch of batches) {
+      responses.push(await chrome.runtime.sendMessage({
+        type: MESSAGES.IMPORT_DATA,
+        data: { type, data: named ? batch : batch.map(entry => entry.text), ...options }
+      }));
+    }
+
+    const succeeded = responses.filter(response => response && response.success);
+    for (const response of responses) {
+      if (!response?.success && succeeded.length > 0) console.error(`[Dashboard] ${type} import batch error:`, response?.error);
+    }
+    showImportResults(succeeded.length > 0
+      ? { success: true, data: sumImportResults(succeeded.map(response => response.data)) }
+      : responses[0]);
   } catch (error) {
-    console.error('[Dashboard] Archive import error:', error);
+    console.error(`[Dashboard] ${type} import error:`, error);
     showImportResults({ success: false, error: error.message });
   }
 
   e.target.value = '';
 }
 
+// Add up the counts from each batch's IMPORT_DATA result, including nested
+// counts such as actions
+function sumImportResults(results) {
+  const sum = {};
+  for (const result of results) {
+    for (const [key, value] of Object.entries(result)) {
+      if (typeof value === 'number') {
+        sum[key] = (sum[key] || 0) + value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        sum[key] = sumImportResults([sum[key] || {}, value]);
+      } else {
+        sum[key] = value;
+      }
+    }
+  }
+  return sum;
+}
+
+// Read the text files in a zip whose names pass the filter. Only the parts
+// needed are read from the file, so a large archive with media isn't loaded
+// into memory. Handles stored and deflated entries, and Zip64 (see lib/zip.js).
+async function readZipEntries(file, filter) {
+  const read = async (start, end) => new DataView(await file.slice(start, end).arrayBuffer());
+  const notZip = () => new Error(`${file.name} is not a zip file`);
+
+  // End of central directory record: 22 bytes plus a comment of up to 64 KB
+  const tailStart = Math.max(0, file.size - 22 - 0xffff);
+  const tail = await read(tailStart, file.size);
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw notZip();
+
+  let count = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+
+  // Zip64 end of central directory, found through the locator just before the record
+  if (eocd >= 20 && tail.getUint32(eocd - 20, true) === 0x07064b50) {
+    const record = await read(Number(tail.getBigUint64(eocd - 12, true)), file.size);
+    if (record.getUint32(0, true) === 0x06064b50) {
+      count = Number(record.getBigUint64(32, true));
+      size = Number(record.getBigUint64(40, true));
+      offset = Number(record.getBigUint64(48, true));
+    }
+  }
+
+  const directory = await read(offset, offset + size);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (directory.getUint32(position, true) !== 0x02014b50) throw notZip();
+
+    const method = directory.getUint16(position + 10, true);
+    let compressedSize = directory.getUint32(position + 20, true);
+    let uncompressedSize = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    let localOffset = directory.getUint32(position + 42, true);
+    const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength);
+    const name = decoder.decode(nameBytes);
+
+    // Sizes and offsets too big for 32 bits are in the Zip64 extra field, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.getUint16(extra, true);
+      const length = directory.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (uncompressedSize === 0xffffffff) {
+          uncompressedSize = Number(directory.getBigUint64(field, true));
+          field += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = Number(directory.getBigUint64(field, true));
+          field += 8;
+        }
+        if (localOffset === 0xffffffff) {
+          localOffset = Number(directory.getBigUint64(field, true));
+        }
+      }
+      extra += 4 + length;
+    }
+
+    position = extraEnd + commentLength;
+    if (!filter(name)) continue;
+    if (method !== 0 && method !== 8) {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+
+    const local = await read(localOffset, localOffset + 30);
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    let blob = file.slice(dataStart, dataStart + compressedSize);
+    if (method === 8) {
+      blob = await new Response(blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+
+    entries.push({ name, text: await blob.text() });
+  }
+
+  return entries;
+}
+
 async function handleCsvImport(e) {
   const file = e.target.files[0];
   if (!file) return;
@@ -1470,6 +3895,111 @@ async function handleNitterImport() {
   }
 }
 
+// A backup is previewed first; nothing is written until the restore is confirmed
+async function handleBackupFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const mode = document.getElementById('restoreMode')?.value || 'merge';
+
+  try {
+    const text = await file.text();
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGES.IMPORT_DATA,
+      data: { type: 'backup', data: text, mode, preview: true }
+    });
+
+    if (!response || !response.success) {
+      showImportResults(response);
+      return;
+    }
+
+    pendingBackup = { text, mode };
+    renderRestorePreview(response.data);
+  } catch (error) {
+    console.error('[Dashboard] Backup preview error:', error);
+    showImportResults({ success: false, error: error.message });
+  }
+
+  e.target.value = '';
+}
+
+function renderRestorePreview(plan) {
+  const previewEl = document.getElementById('restorePreview');
+  const infoEl = document.getElementById('restorePreviewInfo');
+  const rowsEl = document.getElementById('restorePreviewRows');
+  const resultsEl = document.getElementById('importResults');
+  if (!previewEl || !infoEl || !rowsEl) return;
+
+  const labels = {
+    retweets: 'Captures',
+    settings: 'Settings',
+    categories: 'Categories',
+    savedSearches: 'Saved searches',
+    tagRules: 'Auto-tag rules',
+    collections: 'Collections'
+  };
+
+  const exportedAt = plan.exported_at ? new Date(plan.exported_at).toLocaleString() : 'an unknown date';
+  infoEl.textContent = `Backup v${plan.version} from ${exportedAt}. ` +
+    (plan.mode === 'replace'
+      ? 'Replace deletes everything not in the backup.'
+      : 'Merge adds what is missing and keeps your current data.') +
+    (plan.invalid > 0 ? ` ${plan.invalid} unreadable captures will be skipped.` : '');
+
+  rowsEl.innerHTML = Object.entries(labels).map(([store, label]) => {
+    const { added, replaced, removed, kept } = plan.summary[store];
+    return `
+      <tr>
+        <th>${label}</th>
+        <td>${formatNumber(added)}</td>
+        <td>${formatNumber(replaced)}</td>
+        <td class="${removed > 0 ? 'restore-removed' : ''}">${formatNumber(removed)}</td>
+        <td>${formatNumber(kept)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  if (resultsEl) resultsEl.hidden = true;
+  previewEl.hidden = false;
+}
+
+function closeRestorePreview() {
+  const previewEl = document.getElementById('restorePreview');
+  if (previewEl) previewEl.hidden = true;
+  pendingBackup = null;
+}
+
+async function confirmRestore() {
+  if (!pendingBackup) return;
+
+  const { text, mode } = pendingBackup;
+  if (mode === 'replace' && !confirm('Replace all current data with this backup? Anything not in the backup is deleted.')) return;
+
+  closeRestorePreview();
+  showImportProgress();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGES.IMPORT_DATA,
+      data: { type: 'backup', data: text, mode }
+    });
+
+    showImportResults(response);
+
+    if (response && response.success) {
+      await loadCategories();
+      await loadTags();
+      await loadSavedSearches();
+      await loadCollections();
+      renderTagCloud();
+    }
+  } catch (error) {
+    console.error('[Dashboard] Restore error:', error);
+    showImportResults({ success: false, error: error.message });
+  }
+}
+
 function showImportProgress() {
   const progressEl = document.getElementById('importProgress');
   const resultsEl = document.getElementById('importResults');
@@ -1496,8 +4026,22 @@ function showImportResults(response) {
     if (importedCountEl) importedCountEl.textContent = response.data.added;
     if (duplicateCountEl) duplicateCountEl.textContent = response.data.duplicates;
 
+    // Archive imports report which actions the records came from; bookmark
+    // imports also count the links that weren't to a supported platform, and
+    // restores the records that clashed with another
+    const actionsEl = document.getElementById('importActions');
+    const parts = Object.entries(response.data.actions || {})
+      .map(([action, count]) => `${count} ${CAPTURE_ACTION_LABELS[action] || action}`);
+    if (response.data.skipped) parts.push(`${response.data.skipped} other links skipped`);
+    if (response.data.conflicts) parts.push(`${response.data.conflicts} conflicting records skipped`);
+    if (actionsEl) {
+      actionsEl.hidden = parts.length === 0;
+      actionsEl.textContent = parts.join(' · ');
+    }
+
     loadStats();
     loadRetweets();
+    if (response.data.collections) loadCollections();
   } else if (resultsEl) {
     resultsEl.innerHTML = `
       <h3 style="color:var(--error)">Import Failed</h3>
@@ -1508,6 +4052,69 @@ function showImportResults(response) {
 
 // ==================== SETTINGS ====================
 
+async function loadSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGES.GET_SETTINGS });
+    if (response && response.success) {
+      const autoTagEnabled = document.getElementById('autoTagEnabled');
+      const learnedTagsEnabled = document.getElementById('learnedTagsEnabled');
+      if (autoTagEnabled) autoTagEnabled.checked = response.data.autoTagEnabled !== false;
+      if (learnedTagsEnabled) learnedTagsEnabled.checked = response.data.learnedTagsEnabled !== false;
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadSettings error:', error);
+  }
+
+  loadClassifierStatus();
+}
+
+async function loadClassifierStatus() {
+  const statusEl = document.getElementById('classifierStatus');
+  const retrainBtn = document.getElementById('retrainClassifier');
+  if (!statusEl) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CLASSIFIER_STATUS' });
+    if (!response || !response.success) throw new Error(response?.error || 'Unknown error');
+
+    const { enabled, trainedOn, readyTags } = response.data;
+    if (retrainBtn) retrainBtn.disabled = !enabled;
+
+    if (!enabled) {
+      statusEl.textContent = 'Off';
+    } else if (readyTags === 0) {
+      statusEl.textContent = `Trained on ${formatNumber(trainedOn)} tagged captures. Use a tag on at least 3 captures to start getting suggestions.`;
+    } else {
+      statusEl.textContent = `Trained on ${formatNumber(trainedOn)} tagged captures, suggesting ${readyTags} tag${readyTags === 1 ? '' : 's'}.`;
+    }
+  } catch (error) {
+    console.error('[Dashboard] loadClassifierStatus error:', error);
+    statusEl.textContent = 'Status unavailable';
+  }
+}
+
+async function retrainClassifier() {
+  const btn = document.getElementById('retrainClassifier');
+  if (btn) {
+    btn.disabled = true;
+    btn.textContent = 'Retraining...';
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RETRAIN_CLASSIFIER' });
+    if (!response || !response.success) throw new Error(response?.error || 'Unknown error');
+  } catch (error) {
+    console.error('[Dashboard] retrainClassifier error:', error);
+    alert('Retrain failed: ' + error.message);
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = 'Retrain';
+    }
+    loadClassifierStatus();
+  }
+}
+
 function setupTriggerSettings() {
   // Load settings
   chrome.storage.sync.get(['captureTriggers'], (result) => {
@@ -1583,44 +4190,175 @@ function saveTriggerSettings() {
 
 // ==================== EXPORT/CLEAR ====================
 
+// Downloads a full JSON export; resolves to its backupToken, or null if the export failed
+async function downloadExport(prefix) {
+  const response = await chrome.runtime.sendMessage({ type: MESSAGES.EXPORT_DATA });
+  if (!response || !response.success) return null;
+
+  const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${prefix}-${new Date().toISOString().split('T')[0]}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  return response.backupToken;
+}
+
 async function exportData() {
   try {
-    const response = await chrome.runtime.sendMessage({ type: MESSAGES.EXPORT_DATA });
+    await downloadExport('retweet-filter-export');
+  } catch (error) {
+    console.error('[Dashboard] Export error:', error);
+  }
+}
+
+// ==================== CLEAR DATA ====================
+
+function openClearDataModal() {
+  const modal = document.getElementById('clearDataModal');
+  if (!modal) return;
+
+  document.getElementById('clearCaptures').checked = true;
+  document.getElementById('clearPlatform').value = '';
+  document.getElementById('clearStartDate').value = '';
+  document.getElementById('clearEndDate').value = '';
+  document.getElementById('clearCategories').checked = false;
+  document.getElementById('clearSavedSearches').checked = false;
+  document.getElementById('clearCollections').checked = false;
+  document.getElementById('clearSettings').checked = false;
+  document.getElementById('clearDataConfirm').value = '';
+
+  modal.hidden = false;
+  previewClearData();
+}
+
+function closeClearDataModal() {
+  const modal = document.getElementById('clearDataModal');
+  if (modal) modal.hidden = true;
+}
+
+function getClearDataScope() {
+  const captures = document.getElementById('clearCaptures').checked;
+  const savedSearches = document.getElementById('clearSavedSearches').checked;
+
+  return {
+    captures,
+    platform: captures ? document.getElementById('clearPlatform').value || null : null,
+    startDate: captures ? document.getElementById('clearStartDate').value || null : null,
+    endDate: captures ? document.getElementById('clearEndDate').value || null : null,
+    categories: document.getElementById('clearCategories').checked,
+    settings: document.getElementById('clearSettings').checked,
+    savedSearches,
+    tagRules: savedSearches,
+    collections: document.getElementById('clearCollections').checked
+  };
+}
+
+function hasClearDataScope(scope) {
+  return scope.captures || scope.categories || scope.settings || scope.savedSearches || scope.tagRules || scope.collections;
+}
+
+function updateClearDataButton() {
+  const btn = document.getElementById('confirmClearData');
+  const input = document.getElementById('clearDataConfirm');
+  if (!btn || !input) return;
+
+  btn.disabled = input.value.trim() !== CLEAR_DATA_CONFIRMATION || !hasClearDataScope(getClearDataScope());
+}
+
+function formatClearDataCounts(counts) {
+  const parts = [];
+  if (counts.captures) parts.push(`${counts.captures} capture${counts.captures === 1 ? '' : 's'}`);
+  if (counts.trash) parts.push(`${counts.trash} item${counts.trash === 1 ? '' : 's'} in the trash`);
+  if (counts.categories) parts.push(`${counts.categories} categor${counts.categories === 1 ? 'y' : 'ies'}`);
+  if (counts.savedSearches) parts.push(`${counts.savedSearches} saved search${counts.savedSearches === 1 ? '' : 'es'}`);
+  if (counts.tagRules) parts.push(`${counts.tagRules} auto-tag rule${counts.tagRules === 1 ? '' : 's'}`);
+  if (counts.collections) parts.push(`${counts.collections} collection${counts.collections === 1 ? '' : 's'}`);
+  if (counts.settings) parts.push(`${counts.settings} setting${counts.settings === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+async function previewClearData() {
+  const summaryEl = document.getElementById('clearDataSummary');
+  const scopeEl = document.getElementById('clearCaptureScope');
+  const scope = getClearDataScope();
+
+  if (scopeEl) scopeEl.hidden = !scope.captures;
+  updateClearDataButton();
+  if (!summaryEl) return;
+
+  if (!hasClearDataScope(scope)) {
+    summaryEl.textContent = 'Choose what to clear.';
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CLEAR_DATA',
+      data: { scope, preview: true }
+    });
 
     if (response && response.success) {
-      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `retweet-filter-export-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const counts = formatClearDataCounts(response.data);
+      summaryEl.textContent = counts ? `This will delete ${counts}.` : 'Nothing matches these options.';
+    } else {
+      summaryEl.textContent = response?.error || 'Could not count the data to clear.';
     }
   } catch (error) {
-    console.error('[Dashboard] Export error:', error);
+    console.error('[Dashboard] Clear data preview error:', error);
   }
 }
 
-async function clearAllData() {
-  if (!confirm('This will delete ALL your captured retweets. Are you sure?')) return;
-  if (!confirm('This cannot be undone. Continue?')) return;
+async function clearData() {
+  const scope = getClearDataScope();
+  const input = document.getElementById('clearDataConfirm');
+  if (!hasClearDataScope(scope) || !input || input.value.trim() !== CLEAR_DATA_CONFIRMATION) return;
+
+  const btn = document.getElementById('confirmClearData');
+  if (btn) btn.disabled = true;
 
   try {
-    // Export first as backup
-    const response = await chrome.runtime.sendMessage({ type: MESSAGES.EXPORT_DATA });
-    if (response && response.success) {
-      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `retweet-filter-backup-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+    // Never delete anything without a backup on disk
+    const backupToken = await downloadExport('retweet-filter-backup');
+    if (!backupToken) {
+      alert('The backup could not be created, so nothing was deleted.');
+      updateClearDataButton();
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'CLEAR_DATA',
+      data: { scope, backupToken }
+    });
+
+    if (!response || !response.success) {
+      alert(`Clear failed: ${response?.error || 'Unknown error'}`);
+      updateClearDataButton();
+      return;
     }
 
-    alert('Data export downloaded. To clear data, uninstall and reinstall the extension.');
+    closeClearDataModal();
+    selectedIds.clear();
+    currentPage = 1;
+
+    await loadCategories();
+    await loadStats();
+    await loadRetweets();
+    await loadTags();
+    await loadSavedSearches();
+    await loadCollections();
+    await loadTagRules();
+    if (scope.settings) await loadSettings();
+    renderTagCloud();
+    updateBulkActions();
+
+    const counts = formatClearDataCounts(response.data);
+    alert(counts ? `Deleted ${counts}. A backup was downloaded first.` : 'Nothing matched, so nothing was deleted.');
   } catch (error) {
     console.error('[Dashboard] Clear data error:', error);
+    alert(`Clear failed: ${error.message}`);
+    updateClearDataButton();
   }
 }
 
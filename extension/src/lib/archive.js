@@ -0,0 +1,240 @@
+/**
+ * X data archive
+ * Reads the files in the data folder of an X/Twitter archive. Each file is a
+ * script assigning a JSON array, e.g. window.YTD.tweets.part0 = [...], and
+ * large datasets are split into tweets-part1.js, like-part1.js and so on.
+ *
+ * Datasets:
+ * - tweets (tweet.js in older archives): own posts, of which retweets and
+ *   quotes are kept
+ * - like: liked posts ({ like: { tweetId, fullText, expandedUrl } })
+ * - bookmark: bookmarked posts ({ bookmark: { tweetId, ... } })
+ *
+ * Every record lists the actions it came from. A post found in more than one
+ * dataset becomes one record carrying all of them.
+ */
+
+import { SOURCES, CAPTURE_ACTIONS } from '../utils/constants.js';
+
+// Dataset named in the window.YTD assignment
+const DATASETS = {
+  tweets: 'tweets',
+  tweet: 'tweets',
+  like: 'like',
+  bookmark: 'bookmark',
+  bookmarks: 'bookmark'
+};
+
+/**
+ * Parse one archive file
+ * A bare JSON array is accepted too; its dataset is worked out from the items.
+ * @param {string} data - File contents
+ * @returns {Object} { dataset: 'tweets' | 'like' | 'bookmark', items }
+ */
+export function parseArchiveFile(data) {
+  const text = String(data || '').replace(/^\uFEFF/, '').trim();
+  const assignment = text.match(/^window\.YTD\.(\w+)\.part\d+\s*=\s*/);
+  let dataset = null;
+  let json = text;
+
+  if (assignment) {
+    dataset = DATASETS[assignment[1]];
+    if (!dataset) {
+      throw new Error(`Unsupported archive file (${assignment[1]}.js)`);
+    }
+    json = text.substring(assignment[0].length);
+  } else if (!text.startsWith('[')) {
+    throw new Error('Unrecognized archive format');
+  }
+
+  let items;
+  try {
+    items = JSON.parse(json.replace(/;\s*$/, ''));
+  } catch (error) {
+    throw new Error('Archive file is not valid JSON');
+  }
+  if (!Array.isArray(items)) {
+    throw new Error('Archive file does not contain a list');
+  }
+
+  if (!dataset) {
+    const first = items[0] || {};
+    dataset = first.like ? 'like' : first.bookmark ? 'bookmark' : 'tweets';
+  }
+
+  return { dataset, items };
+}
+
+/**
+ * Turn archive files into records for db.addRetweets
+ * @param {string|string[]} files - Contents of one or more archive files
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions } where actions counts records per action
+ */
+export function parseArchive(files, autoTag = () => []) {
+  const list = Array.isArray(files) ? files : [files];
+  if (list.length === 0) {
+    throw new Error('No archive files given');
+  }
+
+  const records = new Map();
+
+  for (const file of list) {
+    const { dataset, items } = parseArchiveFile(file);
+
+    for (const item of items) {
+      const record = dataset === 'tweets' ? postRecord(item) : savedRecord(item, dataset);
+      if (!record) continue;
+
+      const existing = records.get(record.tweet_id);
+      if (existing) {
+        mergeArchiveRecord(existing, record);
+      } else {
+        records.set(record.tweet_id, record);
+      }
+    }
+  }
+
+  const retweets = [...records.values()];
+  const actions = {};
+
+  for (const record of retweets) {
+    record.auto_tags = autoTag(`${record.text} ${record.quoted_text}`);
+    for (const action of record.actions) {
+      actions[action] = (actions[action] || 0) + 1;
+    }
+  }
+
+  return { retweets, actions };
+}
+
+/**
+ * Build a record from a post in tweets.js
+ * @param {Object} item - Archive entry ({ tweet } or the post itself)
+ * @returns {Object|null} Record, or null if the post is not a retweet or quote
+ */
+function postRecord(item) {
+  const tweet = item?.tweet || item;
+  if (!tweet || typeof tweet !== 'object') return null;
+
+  const text = tweet.full_text || tweet.text || '';
+  const isRetweet = Boolean(tweet.retweeted_status || text.startsWith('RT @'));
+  const isQuote = Boolean(tweet.is_quote_status || tweet.quoted_status);
+  const tweetId = String(tweet.id_str || tweet.id || '');
+
+  if ((!isRetweet && !isQuote) || !tweetId) return null;
+
+  // Extract original author for retweets
+  let userHandle = '';
+  let userName = '';
+
+  if (tweet.retweeted_status) {
+    userHandle = tweet.retweeted_status.user?.screen_name || '';
+    userName = tweet.retweeted_status.user?.name || '';
+  } else if (text.startsWith('RT @')) {
+    const match = text.match(/^RT @(\w+):/);
+    if (match) userHandle = match[1];
+  }
+
+  // Extract media
+  const media = [];
+  const entities = tweet.extended_entities || tweet.entities;
+
+  for (const m of entities?.media || []) {
+    media.push({
+      type: m.type === 'photo' ? 'image' : m.type,
+      url: m.media_url_https || m.media_url,
+      thumb_url: m.media_url_https || m.media_url
+    });
+  }
+
+  const actions = [];
+  if (isRetweet) actions.push(CAPTURE_ACTIONS.RETWEET);
+  if (isQuote) actions.push(CAPTURE_ACTIONS.QUOTE);
+
+  return {
+    tweet_id: tweetId,
+    user_handle: userHandle,
+    user_name: userName,
+    text: cleanRetweetText(text),
+    quoted_text: tweet.quoted_status?.full_text || tweet.quoted_status?.text || '',
+    quoted_author: tweet.quoted_status?.user?.screen_name || '',
+    media,
+    original_created_at: tweet.created_at ? new Date(tweet.created_at).toISOString() : null,
+    source: SOURCES.ARCHIVE,
+    source_url: userHandle ? `https://x.com/${userHandle}/status/${tweetId}` : '',
+    actions,
+    raw_payload: tweet
+  };
+}
+
+/**
+ * Build a record from an entry in like.js or bookmark.js
+ * These only name the post, with its text where the archive has it; the
+ * author is not included.
+ * @param {Object} item - Archive entry ({ like } or { bookmark })
+ * @param {string} dataset - 'like' or 'bookmark'
+ * @returns {Object|null} Record, or null if the entry has no post ID
+ */
+function savedRecord(item, dataset) {
+  const entry = item?.[dataset] || item;
+  const tweetId = String(entry?.tweetId || entry?.tweet_id || '');
+  if (!/^\d+$/.test(tweetId)) return null;
+
+  const url = typeof entry.expandedUrl === 'string' ? entry.expandedUrl : '';
+  const handle = url.match(/^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/(\w+)\/status\//);
+  const userHandle = handle && handle[1] !== 'i' ? handle[1] : '';
+
+  return {
+    tweet_id: tweetId,
+    user_handle: userHandle,
+    user_name: '',
+    text: entry.fullText || '',
+    quoted_text: '',
+    quoted_author: '',
+    media: [],
+    original_created_at: null,
+    source: SOURCES.ARCHIVE,
+    source_url: `https://x.com/${userHandle || 'i/web'}/status/${tweetId}`,
+    actions: [dataset === 'like' ? CAPTURE_ACTIONS.LIKE : CAPTURE_ACTIONS.BOOKMARK],
+    raw_payload: entry
+  };
+}
+
+/**
+ * Fold a second record for the same post into the first
+ * Posts from tweets.js carry the most detail, so their fields win; the
+ * actions are combined.
+ * @param {Object} target - Record kept (modified in place)
+ * @param {Object} record - Record for the same post
+ */
+function mergeArchiveRecord(target, record) {
+  const richer = record.actions.some(action => action === CAPTURE_ACTIONS.RETWEET || action === CAPTURE_ACTIONS.QUOTE);
+  const actions = [...new Set([...target.actions, ...record.actions])];
+
+  if (richer) {
+    Object.assign(target, record);
+  } else {
+    for (const field of ['user_handle', 'text']) {
+      if (!target[field] && record[field]) target[field] = record[field];
+    }
+  }
+  target.actions = actions;
+}
+
+/**
+ * Clean retweet text (remove RT prefix)
+ * @param {string} text - Raw tweet text
+ * @returns {string} Cleaned text
+ */
+function cleanRetweetText(text) {
+  if (!text) return '';
+
+  // Remove RT @user: prefix
+  return text.replace(/^RT @\w+:\s*/, '').trim();
+}
+
+export default {
+  parseArchiveFile,
+  parseArchive
+};
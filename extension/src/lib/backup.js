@@ -0,0 +1,161 @@
+/**
+ * Backup restore
+ * Reads the JSON file written by EXPORT_DATA (db.exportAll) and works out
+ * what restoring it would change. The plan is written by db.restoreBackup.
+ *
+ * Modes:
+ * - merge: add what is missing, keep everything that already exists
+ * - replace: empty every store, then write the backup
+ */
+
+import { DB_VERSION, BACKUP_OPTIONS } from '../utils/constants.js';
+import { normalizeCategory } from './tagger.js';
+import { backfillRetweet } from './migrations.js';
+
+export const RESTORE_MODES = ['merge', 'replace'];
+
+/**
+ * Parse and validate a backup file
+ * Older exports without tag rules or collections, or with plain
+ * keyword-array categories, are accepted, and their captures get the fields a
+ * schema migration would fill in; exports from a newer database version are
+ * rejected.
+ * @param {string|Object} data - File contents or parsed JSON
+ * @returns {Object} { version, exported_at, retweets, settings, categories, savedSearches, tagRules, collections, invalid }
+ */
+export function parseBackup(data) {
+  let backup = data;
+
+  if (typeof data === 'string') {
+    try {
+      backup = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Backup is not valid JSON');
+    }
+  }
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    throw new Error('Backup must be a JSON object');
+  }
+
+  const version = backup.version;
+  if (!Number.isInteger(version) || !Array.isArray(backup.retweets)) {
+    throw new Error('This file is not a Retweet Filter backup (missing version or retweets)');
+  }
+  if (version > DB_VERSION) {
+    throw new Error(`Backup is from a newer version (v${version}) than this extension supports (v${DB_VERSION}). Update the extension first.`);
+  }
+  if (version < BACKUP_OPTIONS.minVersion) {
+    throw new Error(`Backup version v${version} is not supported`);
+  }
+
+  const isRecord = item => item && typeof item === 'object' && !Array.isArray(item);
+  const retweets = backup.retweets
+    .filter(record => isRecord(record) && record.id && record.tweet_id)
+    .map(record => ({
+      ...(backfillRetweet(record) || record),
+      tags: record.tags || [],
+      auto_tags: record.auto_tags || [],
+      learned_tags: record.learned_tags || []
+    }));
+
+  // Derived or in-flight state is rebuilt rather than restored
+  const settings = Object.entries(isRecord(backup.settings) ? backup.settings : {})
+    .filter(([key]) => !BACKUP_OPTIONS.skippedSettings.includes(key))
+    .map(([key, value]) => ({ key, value }));
+
+  const categories = Object.entries(isRecord(backup.categories) ? backup.categories : {})
+    .map(([name, category]) => ({ name, ...normalizeCategory(category) }));
+
+  const byId = list => (Array.isArray(list) ? list : []).filter(item => isRecord(item) && item.id);
+
+  return {
+    version,
+    exported_at: backup.exported_at || null,
+    retweets,
+    settings,
+    categories,
+    savedSearches: byId(backup.savedSearches),
+    tagRules: byId(backup.tagRules),
+    collections: byId(backup.collections).map(collection => ({
+      ...collection,
+      item_ids: Array.isArray(collection.item_ids) ? collection.item_ids : []
+    })),
+    invalid: backup.retweets.length - retweets.length
+  };
+}
+
+/**
+ * Work out what restoring a backup would change
+ * In merge mode a capture is skipped when its id, or its tweet_id and source,
+ * already exist; other stores are matched on their key.
+ * @param {Object} backup - Result of parseBackup
+ * @param {Object} existing - Keys already stored: { retweets: [{ id, tweet_id, source }],
+ *   settings, categories, savedSearches, tagRules, collections } (arrays of keys)
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} { mode, version, exported_at, invalid, summary, records }
+ *   summary has { added, replaced, removed, kept } per store; records holds what to write
+ */
+export function planRestore(backup, existing, mode = 'merge') {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode "${mode}"`);
+  }
+
+  const replace = mode === 'replace';
+  const summary = {};
+  const records = {};
+
+  const existingRetweets = existing.retweets || [];
+  const retweetIds = new Set(existingRetweets.map(r => r.id));
+  const retweetKeys = new Set(existingRetweets.map(r => `${r.tweet_id}\u0000${r.source}`));
+  const retweetKey = record => `${record.tweet_id}\u0000${record.source || 'browser'}`;
+
+  const stores = {
+    retweets: { items: backup.retweets, existingKeys: retweetIds, key: r => r.id },
+    settings: { items: backup.settings, existingKeys: new Set(existing.settings || []), key: s => s.key },
+    categories: { items: backup.categories, existingKeys: new Set(existing.categories || []), key: c => c.name },
+    savedSearches: { items: backup.savedSearches, existingKeys: new Set(existing.savedSearches || []), key: s => s.id },
+    tagRules: { items: backup.tagRules, existingKeys: new Set(existing.tagRules || []), key: r => r.id },
+    collections: { items: backup.collections || [], existingKeys: new Set(existing.collections || []), key: c => c.id }
+  };
+
+  for (const [name, { items, existingKeys, key }] of Object.entries(stores)) {
+    const backupKeys = new Set(items.map(key));
+    const exists = name === 'retweets'
+      ? item => existingKeys.has(item.id) || retweetKeys.has(retweetKey(item))
+      : item => existingKeys.has(key(item));
+
+    if (replace) {
+      records[name] = items;
+      summary[name] = {
+        added: items.filter(item => !existingKeys.has(key(item))).length,
+        replaced: items.filter(item => existingKeys.has(key(item))).length,
+        removed: [...existingKeys].filter(k => !backupKeys.has(k)).length,
+        kept: 0
+      };
+    } else {
+      records[name] = items.filter(item => !exists(item));
+      summary[name] = {
+        added: records[name].length,
+        replaced: 0,
+        removed: 0,
+        kept: items.length - records[name].length
+      };
+    }
+  }
+
+  return {
+    mode,
+    version: backup.version,
+    exported_at: backup.exported_at,
+    invalid: backup.invalid,
+    summary,
+    records
+  };
+}
+
+export default {
+  RESTORE_MODES,
+  parseBackup,
+  planRestore
+};
@@ -0,0 +1,204 @@
+/**
+ * Learned tag suggestions
+ * A small multinomial Naive Bayes model trained on the tags users add by
+ * hand. Each tag is scored one-vs-rest, so a capture can receive several
+ * tags. The model is a plain object of counts: it is stored in the settings
+ * store, updated as tags change, and never leaves the device.
+ *
+ * Model shape:
+ * {
+ *   version: 1,
+ *   docCount,                         // manually tagged records trained on
+ *   tokenTotal,                       // feature occurrences across those records
+ *   tokenCounts: { [token]: count },
+ *   tags: { [tag]: { docs, total, tokens: { [token]: count } } }
+ * }
+ */
+
+import { CLASSIFIER_OPTIONS, STOP_WORDS } from '../utils/constants.js';
+import { tokenize, getFieldValue } from './search.js';
+
+const MODEL_VERSION = 1;
+const FEATURE_FIELDS = ['text', 'quoted_text', 'card.title'];
+
+/**
+ * Extract classifier features from a record
+ * Content words (stop words and bare numbers removed) plus the author as
+ * "@handle". Each feature counts once per record.
+ * @param {Object} retweet - Retweet record
+ * @returns {string[]} Unique features
+ */
+export function featurize(retweet) {
+  const stopWords = new Set(STOP_WORDS);
+  const features = new Set();
+
+  for (const field of FEATURE_FIELDS) {
+    for (const token of tokenize(getFieldValue(retweet, field))) {
+      if (!stopWords.has(token) && !/^\d+$/.test(token)) features.add(token);
+    }
+  }
+
+  const handle = (retweet.user_handle || '').replace(/^@/, '').toLowerCase();
+  if (handle) features.add(`@${handle}`);
+
+  return Array.from(features);
+}
+
+/**
+ * Create an empty model
+ * @returns {Object} Classifier model
+ */
+export function createClassifier() {
+  return { version: MODEL_VERSION, docCount: 0, tokenTotal: 0, tokenCounts: {}, tags: {} };
+}
+
+function addCount(counts, key, delta) {
+  const value = (counts[key] || 0) + delta;
+  if (value > 0) {
+    counts[key] = value;
+  } else {
+    delete counts[key];
+  }
+}
+
+/**
+ * Add (weight 1) or remove (weight -1) one record's manual tags from the model
+ * Records without manual tags are ignored: an untagged capture says nothing
+ * about which tags it should not have.
+ * @param {Object} model - Classifier model (mutated)
+ * @param {Object} retweet - Retweet record
+ * @param {string[]} tags - Manual tags to learn
+ * @param {number} weight - 1 to train, -1 to untrain
+ * @returns {Object} The model
+ */
+export function trainClassifier(model, retweet, tags = [], weight = 1) {
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.length === 0) return model;
+
+  const features = featurize(retweet);
+
+  model.docCount = Math.max(0, model.docCount + weight);
+  model.tokenTotal = Math.max(0, model.tokenTotal + weight * features.length);
+  for (const feature of features) {
+    addCount(model.tokenCounts, feature, weight);
+  }
+
+  for (const tag of uniqueTags) {
+    const entry = model.tags[tag] || { docs: 0, total: 0, tokens: {} };
+    entry.docs += weight;
+    entry.total += weight * features.length;
+    for (const feature of features) {
+      addCount(entry.tokens, feature, weight);
+    }
+
+    if (entry.docs > 0) {
+      model.tags[tag] = entry;
+    } else {
+      delete model.tags[tag];
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Apply a change of manual tags (or a record edit) incrementally
+ * @param {Object} model - Classifier model (mutated)
+ * @param {Object|null} previous - Record as it was trained (null if new)
+ * @param {Object|null} current - Record as it is now (null if deleted)
+ * @returns {Object} The model
+ */
+export function updateClassifier(model, previous, current) {
+  if (previous) trainClassifier(model, previous, previous.tags || [], -1);
+  if (current) trainClassifier(model, current, current.tags || [], 1);
+  return model;
+}
+
+/**
+ * Train a model from scratch
+ * @param {Object[]} retweets - All records
+ * @returns {Object} Classifier model
+ */
+export function buildClassifier(retweets) {
+  const model = createClassifier();
+  for (const retweet of retweets) {
+    trainClassifier(model, retweet, retweet.tags || []);
+  }
+  return model;
+}
+
+/**
+ * Predict tags for a record
+ * Each known tag is scored as "has tag" vs "does not have tag" with Laplace
+ * smoothing; the confidence is the posterior probability of "has tag".
+ * Tags with fewer than minExamples manual uses, or used on every trained
+ * record, are skipped.
+ * @param {Object} model - Classifier model
+ * @param {Object} retweet - Record to classify
+ * @param {Object} options - { minConfidence, limit, exclude }
+ * @returns {Array<{tag: string, confidence: number}>} Best first
+ */
+export function predictTags(model, retweet, {
+  minConfidence = CLASSIFIER_OPTIONS.minConfidence,
+  limit = CLASSIFIER_OPTIONS.limit,
+  exclude = []
+} = {}) {
+  if (!model || model.docCount === 0) return [];
+
+  const features = featurize(retweet).filter(feature => model.tokenCounts[feature]);
+  if (features.length === 0) return [];
+
+  const vocabulary = Object.keys(model.tokenCounts).length;
+  const excluded = new Set(exclude.map(tag => tag.toLowerCase()));
+  const predictions = [];
+
+  for (const [tag, entry] of Object.entries(model.tags)) {
+    if (excluded.has(tag.toLowerCase())) continue;
+
+    const negativeDocs = model.docCount - entry.docs;
+    if (entry.docs < CLASSIFIER_OPTIONS.minExamples || negativeDocs <= 0) continue;
+
+    const negativeTotal = model.tokenTotal - entry.total;
+    let logOdds = Math.log(entry.docs / negativeDocs);
+
+    for (const feature of features) {
+      const positive = entry.tokens[feature] || 0;
+      const negative = model.tokenCounts[feature] - positive;
+      logOdds += Math.log((positive + 1) / (entry.total + vocabulary));
+      logOdds -= Math.log((negative + 1) / (negativeTotal + vocabulary));
+    }
+
+    const confidence = 1 / (1 + Math.exp(-logOdds));
+    if (confidence >= minConfidence) {
+      predictions.push({ tag, confidence });
+    }
+  }
+
+  return predictions
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Summarize a model for display
+ * @param {Object} model - Classifier model
+ * @returns {Object} { trainedOn, tags, readyTags }
+ */
+export function getClassifierStats(model) {
+  const entries = Object.values(model?.tags || {});
+  return {
+    trainedOn: model?.docCount || 0,
+    tags: entries.length,
+    readyTags: entries.filter(entry => entry.docs >= CLASSIFIER_OPTIONS.minExamples).length
+  };
+}
+
+export default {
+  featurize,
+  createClassifier,
+  trainClassifier,
+  updateClassifier,
+  buildClassifier,
+  predictTags,
+  getClassifierStats
+};
@@ -0,0 +1,107 @@
+/**
+ * Collections
+ * Named reading lists put together by hand. Tags label what a capture is
+ * about; a collection gathers captures for a project and keeps them in the
+ * order they were arranged. A capture can be in any number of collections.
+ *
+ * Membership lives on the collection as an ordered list of capture IDs.
+ * Captures that are deleted drop out of view but keep their place, so
+ * restoring them from the trash or a backup puts them back where they were.
+ */
+
+import { COLLECTION_OPTIONS } from '../utils/constants.js';
+
+/**
+ * Validate a collection's editable fields
+ * @param {Object} collection - { name, description, cover_image }
+ * @returns {Object} { name, description, cover_image } trimmed
+ */
+export function normalizeCollection(collection = {}) {
+  const name = typeof collection.name === 'string' ? collection.name.trim() : '';
+  const description = typeof collection.description === 'string' ? collection.description.trim() : '';
+  const coverImage = typeof collection.cover_image === 'string' ? collection.cover_image.trim() : '';
+
+  if (!name) {
+    throw new Error('Collection name is required');
+  }
+  if (name.length > COLLECTION_OPTIONS.maxNameLength) {
+    throw new Error(`Collection name is too long (max ${COLLECTION_OPTIONS.maxNameLength} characters)`);
+  }
+  if (description.length > COLLECTION_OPTIONS.maxDescriptionLength) {
+    throw new Error(`Description is too long (max ${COLLECTION_OPTIONS.maxDescriptionLength} characters)`);
+  }
+  if (coverImage && !/^(https?:\/\/\S+|data:image\/[\w.+-]+[;,]\S+)$/i.test(coverImage)) {
+    throw new Error('Cover image must be an http(s) link or an image data URL');
+  }
+
+  return { name, description, cover_image: coverImage };
+}
+
+/**
+ * Append captures to a collection, skipping ones already in it
+ * @param {string[]} itemIds - Current items, in order
+ * @param {string[]} ids - Captures to add
+ * @returns {string[]} New item list
+ */
+export function addItems(itemIds, ids) {
+  const items = [...itemIds];
+  const present = new Set(items);
+
+  for (const id of ids) {
+    if (present.has(id)) continue;
+    present.add(id);
+    items.push(id);
+  }
+
+  return items;
+}
+
+/**
+ * Remove captures from a collection
+ * @param {string[]} itemIds - Current items, in order
+ * @param {string[]} ids - Captures to remove
+ * @returns {string[]} New item list
+ */
+export function removeItems(itemIds, ids) {
+  const removed = new Set(ids);
+  return itemIds.filter(id => !removed.has(id));
+}
+
+/**
+ * Put a collection's items in a new order
+ * IDs that aren't in the collection are ignored; items left out of the new
+ * order keep their relative order after the ones that were placed.
+ * @param {string[]} itemIds - Current items, in order
+ * @param {string[]} orderedIds - New order
+ * @returns {string[]} New item list
+ */
+export function orderItems(itemIds, orderedIds) {
+  const present = new Set(itemIds);
+  const ordered = [...new Set(orderedIds)].filter(id => present.has(id));
+  const placed = new Set(ordered);
+
+  return [...ordered, ...itemIds.filter(id => !placed.has(id))];
+}
+
+/**
+ * Point a collection at the record duplicates were merged into
+ * The kept record takes the place of the first one it replaces.
+ * @param {string[]} itemIds - Current items, in order
+ * @param {string[]} fromIds - Merged records
+ * @param {string} toId - Record they were merged into
+ * @returns {string[]} New item list (unchanged if none of fromIds are in it)
+ */
+export function replaceItems(itemIds, fromIds, toId) {
+  const replaced = new Set(fromIds);
+  if (!itemIds.some(id => replaced.has(id))) return itemIds;
+
+  return addItems([], itemIds.map(id => (replaced.has(id) ? toId : id)));
+}
+
+export default {
+  normalizeCollection,
+  addItems,
+  removeItems,
+  orderItems,
+  replaceItems
+};
@@ -3,12 +3,23 @@
  * Provides async CRUD operations for retweets, settings, and saved searches
  */
 
-import { DB_NAME, DB_VERSION, STORES, DEFAULT_CATEGORIES } from '../utils/constants.js';
+import { DB_NAME, DB_VERSION, STORES, READ_STATUSES, DEFAULT_CATEGORIES, TAG_PATH_SEPARATOR, TAG_MANAGER_OPTIONS, SEARCH_OPTIONS, SEARCH_TERMS_OPTIONS, SIMILARITY_OPTIONS } from '../utils/constants.js';
 import { generateId } from '../utils/helpers.js';
+import { tokenizeRetweet, isIndexedTerm, termIndexKeys, matchWordWithTypos, wordIndexKeys } from './search.js';
+import { normalizeCategory, tagMatchesFilter, replaceTagPath, replaceTags, applyTagChange } from './tagger.js';
+import { runMigrations } from './migrations.js';
+import { mergeRecords } from './duplicates.js';
+import { normalizeNote, normalizeHighlights } from './notes.js';
+import { normalizeCollection, replaceItems } from './collections.js';
 
 class RetweetDB {
-  constructor() {
+  /**
+   * @param {Object} options - { onMigrationProgress } called while the schema upgrades
+   */
+  constructor({ onMigrationProgress = () => {} } = {}) {
     this.db = null;
+    this.migration = null;
+    this.onMigrationProgress = onMigrationProgress;
     this.dbReady = this.init();
   }
 
@@ -19,45 +30,40 @@ class RetweetDB {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-      request.onerror = () => reject(request.error);
+      request.onerror = () => {
+        this.finishMigration('failed', request.error?.message);
+        reject(request.error);
+      };
 
       request.onsuccess = () => {
         this.db = request.result;
+        this.finishMigration('done');
         resolve(this.db);
       };
 
+      // Schema changes live in lib/migrations.js
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Retweets store
-        if (!db.objectStoreNames.contains(STORES.RETWEETS)) {
-          const retweetsStore = db.createObjectStore(STORES.RETWEETS, { keyPath: 'id' });
-          retweetsStore.createIndex('tweet_id', 'tweet_id', { unique: false });
-          retweetsStore.createIndex('user_handle', 'user_handle', { unique: false });
-          retweetsStore.createIndex('captured_at', 'captured_at', { unique: false });
-          retweetsStore.createIndex('source', 'source', { unique: false });
-          retweetsStore.createIndex('tweet_id_source', ['tweet_id', 'source'], { unique: true });
-        }
-
-        // Settings store
-        if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-          db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
-        }
-
-        // Saved searches store
-        if (!db.objectStoreNames.contains(STORES.SAVED_SEARCHES)) {
-          const searchesStore = db.createObjectStore(STORES.SAVED_SEARCHES, { keyPath: 'id' });
-          searchesStore.createIndex('created_at', 'created_at', { unique: false });
-        }
-
-        // Categories store
-        if (!db.objectStoreNames.contains(STORES.CATEGORIES)) {
-          db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
-        }
+        this.migration = { from: event.oldVersion, to: event.newVersion, status: 'running' };
+        runMigrations(event.target.transaction, event.oldVersion, (progress) => {
+          this.migration = { ...progress, status: 'running' };
+          this.onMigrationProgress(this.migration);
+        });
       };
     });
   }
 
+  /**
+   * Record the outcome of a schema upgrade, if one ran
+   * @param {string} status - 'done' or 'failed'
+   * @param {string} error - Failure message
+   */
+  finishMigration(status, error = null) {
+    if (!this.migration) return;
+
+    this.migration = { from: this.migration.from, to: this.migration.to, status, error };
+    this.onMigrationProgress(this.migration);
+  }
+
   /**
    * Ensure database is ready before operations
    */
@@ -127,10 +133,24 @@ class RetweetDB {
       // Tags
       tags: retweet.tags || [],
       auto_tags: retweet.auto_tags || [],
+      learned_tags: retweet.learned_tags || [],
+
+      // Personal note (Markdown) and highlighted passages of the text
+      note: retweet.note || '',
+      highlights: retweet.highlights || [],
+
+      // Reading queue: unread, read or archived; favorites have a favorited_at
+      status: retweet.status || READ_STATUSES.UNREAD,
+      favorited_at: retweet.favorited_at || null,
 
       // Source
       source: retweet.source || 'browser',
       source_url: retweet.source_url || '',
+      // What was done to the post, for imports that know (retweet, quote, like, bookmark)
+      actions: retweet.actions || [],
+
+      // Platform (twitter, instagram, tiktok or youtube)
+      platform: retweet.platform || 'twitter',
 
       // Status
       is_available: true,
@@ -139,11 +159,14 @@ class RetweetDB {
     };
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
       const store = transaction.objectStore(STORES.RETWEETS);
       const request = store.add(record);
 
-      request.onsuccess = () => resolve(record);
+      request.onsuccess = () => {
+        writePostings(transaction.objectStore(STORES.SEARCH_INDEX), record.id, [], tokenizeRetweet(record));
+      };
+      transaction.oncomplete = () => resolve(record);
       request.onerror = () => {
         // Check if duplicate
         if (request.error?.name === 'ConstraintError') {
@@ -157,6 +180,8 @@ class RetweetDB {
 
   /**
    * Add multiple retweets (for imports)
+   * Imported records start as read unless the export gave them a status, so
+   * an import doesn't flood the Inbox.
    * @param {Object[]} retweets - Array of retweet data
    * @returns {Object} Results with added and duplicates counts
    */
@@ -169,7 +194,7 @@ class RetweetDB {
 
     for (const retweet of retweets) {
       try {
-        const result = await this.addRetweet(retweet);
+        const result = await this.addRetweet({ ...retweet, status: retweet.status || READ_STATUSES.READ });
         if (result) {
           added++;
           results.push(result);
@@ -223,69 +248,299 @@ class RetweetDB {
   }
 
   /**
-   * Get all retweets with optional pagination
-   * @param {Object} options - Query options
-   * @returns {Object} Results with items and total count
+   * Get a page of retweets, newest first
+   * @param {Object} options - { page, pageSize, cursor, sortOrder } as for filterRetweets
+   * @returns {Object} { items, total, page, pageSize, totalPages, nextCursor }
+   */
+  async getRetweets(options = {}) {
+    return this.filterRetweets({}, options);
+  }
+
+  /**
+   * Get all retweets (for search indexing)
+   * @returns {Object[]} All retweets
    */
-  async getRetweets({ page = 1, pageSize = 50, sortBy = 'captured_at', sortOrder = 'desc' } = {}) {
+  async getAllRetweets() {
     await this.ready();
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
       const store = transaction.objectStore(STORES.RETWEETS);
-      const items = [];
-
-      const request = store.openCursor();
-
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          items.push(cursor.value);
-          cursor.continue();
-        } else {
-          // Sort items
-          items.sort((a, b) => {
-            const aVal = a[sortBy];
-            const bVal = b[sortBy];
-            const comparison = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-            return sortOrder === 'desc' ? -comparison : comparison;
-          });
+      const request = store.getAll();
 
-          // Paginate
-          const start = (page - 1) * pageSize;
-          const paginatedItems = items.slice(start, start + pageSize);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  /**
+   * Count stored retweets
+   * @returns {number} Record count
+   */
+  async countRetweets() {
+    await this.ready();
 
-          resolve({
-            items: paginatedItems,
-            total: items.length,
-            page,
-            pageSize,
-            totalPages: Math.ceil(items.length / pageSize)
-          });
-        }
-      };
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const request = transaction.objectStore(STORES.RETWEETS).count();
 
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
   /**
-   * Get all retweets (for search indexing)
-   * @returns {Object[]} All retweets
+   * Get the next batch of retweets in primary key order (for background jobs)
+   * @param {string|null} afterId - Last ID of the previous batch (null to start)
+   * @param {number} limit - Maximum batch size
+   * @returns {Object[]} Retweets with IDs after afterId
    */
-  async getAllRetweets() {
+  async getRetweetBatch(afterId = null, limit = 100) {
     await this.ready();
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
       const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.getAll();
+      const range = afterId === null ? null : IDBKeyRange.lowerBound(afterId, true);
+      const request = store.getAll(range, limit);
 
       request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
     });
   }
 
+  /**
+   * Get retweets by ID (missing IDs are skipped)
+   * @param {string[]} ids - Retweet IDs
+   * @returns {Object[]} Retweets
+   */
+  async getRetweetsByIds(ids) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const items = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) items.push(request.result);
+        };
+      }
+
+      transaction.oncomplete = () => resolve(items);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Narrow a parsed query to candidate retweet IDs using the search index
+   * Every record a term can match is found from the index (see
+   * termIndexKeys): words inside other words and words with typos are first
+   * looked up in the search terms store, up to SEARCH_OPTIONS.maxExpansions
+   * per term. Groups are intersected and the alternatives inside a group are
+   * unioned. Terms too short to be indexed are ignored, as searchRetweets
+   * ignores them. The lookups also give the BM25 corpus statistics, so scores
+   * stay comparable when only candidates are ranked.
+   * @param {Object[][]} groups - Term groups from parseQuery
+   * @param {string[]} tags - Tag filter (any match)
+   * @returns {Object} { ids, totalDocs, docFreq }: ids is a Set, or null if
+   *   nothing narrowed the search; docFreq is keyed by term value
+   */
+  async getSearchCandidates(groups = [], tags = []) {
+    await this.ready();
+
+    const termKey = (term) => `${term.phrase ? '"' : ''}${term.value}`;
+    const terms = new Map();
+    for (const term of groups.flat()) {
+      if (isIndexedTerm(term)) terms.set(termKey(term), term);
+    }
+
+    // Index words the terms expand to, from the search terms store
+    const termsTransaction = this.db.transaction([STORES.SEARCH_TERMS], 'readonly');
+    const termsStore = termsTransaction.objectStore(STORES.SEARCH_TERMS);
+    const expansions = new Map();
+    for (const [key, term] of terms) {
+      const { words, parts, typoKey } = termIndexKeys(term);
+      expansions.set(key, {
+        words,
+        inside: Promise.all(parts.map((part, i) => (part
+          ? lookupTermWords(termsStore, exactRange(part), word => word.includes(words[i]) && !word.startsWith(words[i]))
+          : []))),
+        typos: typoKey
+          ? lookupTermWords(termsStore, exactRange(typoKey), word => !word.startsWith(term.value) && matchWordWithTypos(word, term) !== null)
+          : []
+      });
+    }
+    for (const expansion of expansions.values()) {
+      expansion.inside = await expansion.inside;
+      expansion.typos = await expansion.typos;
+    }
+
+    // Issue every posting lookup up front so the transaction stays active
+    const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX], 'readonly');
+    const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+    const countRequest = transaction.objectStore(STORES.RETWEETS).count();
+
+    const termLookups = new Map();
+    for (const [key, { words, inside, typos }] of expansions) {
+      termLookups.set(key, {
+        term: terms.get(key),
+        words: words.map((word, i) => [
+          lookupPostings(indexStore, prefixRange(word)),
+          ...inside[i].slice(0, SEARCH_OPTIONS.maxExpansions).map(found => lookupPostings(indexStore, exactRange(found)))
+        ]),
+        typos: typos.slice(0, SEARCH_OPTIONS.maxExpansions).map(found => lookupPostings(indexStore, exactRange(found)))
+      });
+    }
+    const tagLookups = (tags || []).flatMap(tag => {
+      const token = `#${tag.toLowerCase()}`;
+      return [
+        lookupPostings(indexStore, exactRange(token)),
+        lookupPostings(indexStore, prefixRange(token + TAG_PATH_SEPARATOR))
+      ];
+    });
+
+    const totalDocs = await new Promise((resolve, reject) => {
+      countRequest.onsuccess = () => resolve(countRequest.result);
+      countRequest.onerror = () => reject(countRequest.error);
+    });
+
+    const union = (sets) => {
+      const ids = new Set();
+      for (const found of sets) {
+        for (const id of found) ids.add(id);
+      }
+      return ids;
+    };
+
+    // A term matches records with all of its words, or with one of its typo words
+    const termIds = new Map();
+    const docFreq = {};
+    for (const [key, lookup] of termLookups) {
+      const wordIds = [];
+      for (const lookups of lookup.words) wordIds.push(union(await Promise.all(lookups)));
+      const ids = wordIds.reduce((acc, found) => new Set([...acc].filter(id => found.has(id))));
+      for (const id of union(await Promise.all(lookup.typos))) ids.add(id);
+
+      termIds.set(key, ids);
+      docFreq[lookup.term.value] = Math.max(docFreq[lookup.term.value] || 0, ids.size);
+    }
+
+    let candidates = null;
+    const intersect = (ids) => {
+      candidates = candidates === null
+        ? ids
+        : new Set([...candidates].filter(id => ids.has(id)));
+    };
+
+    for (const group of groups) {
+      const keys = group.map(termKey).filter(key => termIds.has(key));
+      if (keys.length === 0) continue;
+      intersect(union(keys.map(key => termIds.get(key))));
+    }
+
+    if (tagLookups.length > 0) {
+      intersect(union(await Promise.all(tagLookups)));
+    }
+
+    return { ids: candidates, totalDocs, docFreq };
+  }
+
+  /**
+   * Pick the retweets most likely to be similar to a given one, using the search index
+   * Candidates share at least one of the terms, ranked by the summed rarity
+   * of the terms they share; terms in more than SIMILARITY_OPTIONS.maxTermDocs
+   * retweets are too common to pick candidates by, but still count toward the
+   * statistics. Counts come from the index, which also holds author words, so
+   * they are a close approximation of the similarity corpus.
+   * @param {string[]} terms - Similarity terms of the retweet (see similarityTerms)
+   * @param {string} excludeId - ID of the retweet itself
+   * @returns {Object} { ids, totalDocs, docFreq }: ids best first, up to
+   *   SIMILARITY_OPTIONS.maxCandidates; docFreq is keyed by term
+   */
+  async getSimilarCandidates(terms, excludeId) {
+    await this.ready();
+
+    // Issue every lookup up front so the transaction stays active
+    const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX], 'readonly');
+    const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+    const countRequest = transaction.objectStore(STORES.RETWEETS).count();
+    const lookups = [...new Set(terms)].map(term => ({
+      term,
+      count: countRange(indexStore, exactRange(term)),
+      ids: lookupPostings(indexStore, exactRange(term), SIMILARITY_OPTIONS.maxTermDocs + 1)
+    }));
+
+    const totalDocs = await new Promise((resolve, reject) => {
+      countRequest.onsuccess = () => resolve(countRequest.result);
+      countRequest.onerror = () => reject(countRequest.error);
+    });
+
+    const docFreq = {};
+    const scores = new Map();
+    for (const lookup of lookups) {
+      const count = await lookup.count;
+      const ids = await lookup.ids;
+      docFreq[lookup.term] = count;
+      if (count === 0 || ids.size > SIMILARITY_OPTIONS.maxTermDocs) continue;
+
+      const weight = Math.log(1 + totalDocs / count);
+      for (const id of ids) {
+        if (id !== excludeId) scores.set(id, (scores.get(id) || 0) + weight);
+      }
+    }
+
+    const ids = [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SIMILARITY_OPTIONS.maxCandidates)
+      .map(([id]) => id);
+
+    return { ids, totalDocs, docFreq };
+  }
+
+  /**
+   * Add the words of the search index to the search terms store
+   * Walks the index's distinct words in order, starting after a given word,
+   * so a large index can be covered in several transactions. Tags are left
+   * out; they are only looked up whole.
+   * @param {string|null} afterWord - Last word of the previous batch, or null to start
+   * @param {number} limit - Most words to add
+   * @returns {Object} { added, last } where last is the batch's last word, or
+   *   null once the end of the index is reached
+   */
+  async addSearchTermsBatch(afterWord = null, limit = SEARCH_TERMS_OPTIONS.batchSize) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const termsStore = transaction.objectStore(STORES.SEARCH_TERMS);
+      const range = afterWord === null ? null : IDBKeyRange.lowerBound([afterWord, []]);
+      const request = transaction.objectStore(STORES.SEARCH_INDEX).openKeyCursor(range);
+      let added = 0;
+      let last = null;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          last = null;
+          return;
+        }
+
+        const [word] = cursor.key;
+        if (!word.startsWith('#')) writeTermKeys(termsStore, word);
+        added++;
+        last = word;
+
+        // Skip the word's other postings
+        if (added < limit) cursor.continue([word, []]);
+      };
+
+      transaction.oncomplete = () => resolve({ added, last });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Update a retweet
    * @param {string} id - Retweet ID
@@ -301,12 +556,20 @@ class RetweetDB {
     const updated = { ...existing, ...updates };
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
       const store = transaction.objectStore(STORES.RETWEETS);
       const request = store.put(updated);
 
-      request.onsuccess = () => resolve(updated);
-      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        writePostings(
+          transaction.objectStore(STORES.SEARCH_INDEX),
+          id,
+          tokenizeRetweet(existing),
+          tokenizeRetweet(updated)
+        );
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
@@ -320,6 +583,60 @@ class RetweetDB {
     return this.updateRetweet(id, { tags });
   }
 
+  /**
+   * Update a retweet's note and highlights
+   * Leave either out to keep its stored value.
+   * @param {string} id - Retweet ID
+   * @param {Object} changes - { note, highlights }
+   * @returns {Object} Updated retweet
+   */
+  async updateNotes(id, { note, highlights } = {}) {
+    const existing = await this.getRetweet(id);
+    if (!existing) throw new Error('Retweet not found');
+
+    const updates = { note_updated_at: new Date().toISOString() };
+    if (note !== undefined) updates.note = normalizeNote(note);
+    if (highlights !== undefined) updates.highlights = normalizeHighlights(existing.text, highlights);
+
+    return this.updateRetweet(id, updates);
+  }
+
+  /**
+   * Set the reading status or favorite flag of retweets
+   * Leave either out to keep its stored value.
+   * @param {string[]} ids - Retweet IDs
+   * @param {Object} changes - { status: 'unread' | 'read' | 'archived', favorite: boolean }
+   * @returns {number} Count of updated items
+   */
+  async updateStatus(ids, { status, favorite } = {}) {
+    await this.ready();
+
+    if (status !== undefined && !Object.values(READ_STATUSES).includes(status)) {
+      throw new Error(`Unknown status "${status}"`);
+    }
+
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    for (const id of ids) {
+      const retweet = await this.getRetweet(id);
+      if (!retweet) continue;
+
+      const updates = {};
+      if (status !== undefined) updates.status = status;
+      if (favorite !== undefined && favorite !== !!retweet.favorited_at) {
+        updates.favorited_at = favorite ? now : null;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await this.updateRetweet(id, updates);
+      }
+      updated++;
+    }
+
+    return updated;
+  }
+
   /**
    * Bulk update tags for multiple retweets
    * @param {string[]} ids - Retweet IDs
@@ -355,139 +672,437 @@ class RetweetDB {
   }
 
   /**
-   * Delete a retweet
+   * Move a retweet to the trash
    * @param {string} id - Retweet ID
    * @returns {boolean} Success
    */
   async deleteRetweet(id) {
+    await this.deleteRetweets([id]);
+    return true;
+  }
+
+  /**
+   * Move retweets to the trash in one transaction
+   * Their search postings are dropped and written back by restoreFromTrash.
+   * @param {string[]} ids - Retweet IDs
+   * @returns {number} Count of deleted items
+   */
+  async deleteRetweets(ids) {
     await this.ready();
 
+    const deletedAt = new Date().toISOString();
+    let deleted = 0;
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.RETWEETS], 'readwrite');
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.TRASH], 'readwrite');
       const store = transaction.objectStore(STORES.RETWEETS);
-      const request = store.delete(id);
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+
+          moveToTrash(transaction, request.result, deletedAt);
+          deleted++;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
   /**
-   * Delete multiple retweets
-   * @param {string[]} ids - Retweet IDs
-   * @returns {number} Count of deleted items
+   * Merge duplicate retweets into one in a single transaction
+   * The kept record takes the others' tags and metadata (see mergeRecords)
+   * and their place in collections; the others move to the trash, so a merge
+   * can be undone from there.
+   * @param {string} keepId - Retweet to keep
+   * @param {string[]} ids - Retweets to merge into it
+   * @returns {Object} { kept, merged, removed }: the kept record before and
+   *   after, and the records moved to the trash (all empty if keepId or
+   *   every other record no longer exists)
    */
-  async deleteRetweets(ids) {
-    let deleted = 0;
-    for (const id of ids) {
-      try {
-        await this.deleteRetweet(id);
-        deleted++;
-      } catch (error) {
-        console.error('Failed to delete retweet:', id, error);
+  async mergeRetweets(keepId, ids) {
+    await this.ready();
+
+    const otherIds = [...new Set(ids)].filter(id => id !== keepId);
+    const deletedAt = new Date().toISOString();
+    let result = { kept: null, merged: null, removed: [] };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH, STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const records = new Map();
+      let pending = otherIds.length + 1;
+
+      for (const id of [keepId, ...otherIds]) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) records.set(id, request.result);
+          pending--;
+          if (pending > 0) return;
+
+          const kept = records.get(keepId);
+          const removed = otherIds.map(otherId => records.get(otherId)).filter(Boolean);
+          if (!kept || removed.length === 0) return;
+
+          const merged = mergeRecords(kept, removed);
+          store.put(merged);
+          writePostings(transaction.objectStore(STORES.SEARCH_INDEX), keepId, tokenizeRetweet(kept), tokenizeRetweet(merged));
+
+          for (const record of removed) {
+            moveToTrash(transaction, record, deletedAt);
+          }
+
+          const removedIds = removed.map(record => record.id);
+          transaction.objectStore(STORES.COLLECTIONS).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const itemIds = replaceItems(cursor.value.item_ids, removedIds, keepId);
+            if (itemIds !== cursor.value.item_ids) cursor.update({ ...cursor.value, item_ids: itemIds });
+            cursor.continue();
+          };
+          result = { kept, merged, removed };
+        };
       }
-    }
-    return deleted;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
   /**
-   * Get retweets by filter criteria
-   * @param {Object} filters - Filter criteria
-   * @returns {Object[]} Matching retweets
+   * Get a page of retweets matching filter criteria
+   * The walk follows the captured_at index (platform_captured_at when a
+   * platform is given) over the date range, both ends inclusive. Tags
+   * (hierarchical, any match), author (part of the handle or name), source,
+   * status and favorite are looked up in their indexes first; the filters no
+   * index covers (see recordFilter) are checked on each record, so the page
+   * fills with matches from anywhere in the range.
+   * Only the page is held in memory.
+   *
+   * Pass the previous page's nextCursor to continue after it; without a
+   * cursor, page is used as an offset.
+   * @param {Object} filters - { platform, source, author, tags, excludeTags, excludeAuthors, status, favorite, startDate, endDate, hasMedia, hasLink, hasNote, hasHighlight }
+   * @param {Object} options - { page, pageSize, cursor, sortOrder } sorted on captured_at
+   * @returns {Object} { items, total, page, pageSize, totalPages, nextCursor }
    */
-  async filterRetweets(filters = {}) {
-    const all = await this.getAllRetweets();
+  async filterRetweets(filters = {}, { page = 1, pageSize = 50, cursor = null, sortOrder = 'desc' } = {}) {
+    const ids = await this.getFilterIds(filters);
+    const descending = sortOrder !== 'asc';
+    const matchesRecord = recordFilter(filters);
+    const checkRecords = matchesRecord !== null;
+    // Without per-record checks the index count is the total, so the walk can stop after the page
+    const walkAll = ids !== null || checkRecords;
+    const empty = { items: [], total: 0, page, pageSize, totalPages: 0, nextCursor: null };
+
+    const bounds = captureBounds(filters);
+    if (!bounds || ids?.size === 0) return empty;
+
+    // A walk that stops after the page can start at the cursor instead of skipping to it
+    let walkBounds = bounds;
+    if (cursor && !walkAll) {
+      walkBounds = descending
+        ? { ...bounds, upper: cursor.captured_at < bounds.upper ? cursor.captured_at : bounds.upper }
+        : { ...bounds, lower: cursor.captured_at > bounds.lower ? cursor.captured_at : bounds.lower };
+      if (walkBounds.lower > walkBounds.upper) return empty;
+    }
 
-    return all.filter(retweet => {
-      // Filter by tags
-      if (filters.tags && filters.tags.length > 0) {
-        const hasTags = filters.tags.some(tag =>
-          retweet.tags.includes(tag) || retweet.auto_tags.includes(tag)
-        );
-        if (!hasTags) return false;
-      }
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const { index, range } = captureRange(store, filters.platform, walkBounds);
+      const isAfterCursor = (capturedAt, id) => {
+        if (!cursor) return true;
+        if (capturedAt !== cursor.captured_at) return descending ? capturedAt < cursor.captured_at : capturedAt > cursor.captured_at;
+        return descending ? id < cursor.id : id > cursor.id;
+      };
 
-      // Filter by date range
-      if (filters.startDate) {
-        const start = new Date(filters.startDate);
-        if (new Date(retweet.captured_at) < start) return false;
-      }
-      if (filters.endDate) {
-        const end = new Date(filters.endDate);
-        if (new Date(retweet.captured_at) > end) return false;
-      }
+      const items = [];
+      let total = 0;
+      let skip = cursor ? 0 : (page - 1) * pageSize;
+      let hasMore = false;
 
-      // Filter by source
-      if (filters.source && retweet.source !== filters.source) {
-        return false;
+      if (!walkAll) {
+        const countRequest = index.count(captureRange(store, filters.platform, bounds).range);
+        countRequest.onsuccess = () => { total = countRequest.result; };
       }
 
-      // Filter by has media
-      if (filters.hasMedia !== undefined) {
-        const hasMedia = retweet.media && retweet.media.length > 0;
-        if (filters.hasMedia !== hasMedia) return false;
-      }
+      // Key cursors skip loading records; pages are read once the walk is done
+      const direction = descending ? 'prev' : 'next';
+      const request = checkRecords ? index.openCursor(range, direction) : index.openKeyCursor(range, direction);
+      const loadPage = () => {
+        if (checkRecords) return;
+        items.forEach((id, i) => {
+          store.get(id).onsuccess = (event) => { items[i] = event.target.result; };
+        });
+      };
+
+      request.onsuccess = (event) => {
+        const entry = event.target.result;
+        if (!entry) {
+          loadPage();
+          return;
+        }
+
+        const id = entry.primaryKey;
+        const capturedAt = filters.platform ? entry.key[1] : entry.key;
+        const matches = (!ids || ids.has(id)) &&
+          (!checkRecords || matchesRecord(entry.value));
+
+        if (matches) {
+          if (walkAll) total++;
+
+          if (!isAfterCursor(capturedAt, id)) {
+            // Already returned on an earlier page
+          } else if (skip > 0) {
+            skip--;
+          } else if (items.length < pageSize) {
+            items.push(checkRecords ? entry.value : id);
+          } else {
+            hasMore = true;
+            if (!walkAll) {
+              loadPage();
+              return;
+            }
+          }
+        }
+
+        entry.continue();
+      };
 
-      return true;
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => {
+        const last = items[items.length - 1];
+        resolve({
+          items,
+          total,
+          page,
+          pageSize,
+          totalPages: Math.ceil(total / pageSize),
+          nextCursor: hasMore ? { captured_at: last.captured_at, id: last.id } : null
+        });
+      };
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
+  /**
+   * Look up the retweet IDs matching the indexed set filters
+   * @param {Object} filters - { tags, author, source, status, favorite } (favorite: true keeps favorites)
+   * @returns {Set<string>|null} IDs matching every given filter, or null if none was given
+   */
+  async getFilterIds({ tags = [], author = '', source = '', status = '', favorite } = {}) {
+    await this.ready();
+
+    const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+    const store = transaction.objectStore(STORES.RETWEETS);
+
+    // Issue every lookup up front so the transaction stays active
+    const lookups = [];
+    if (tags && tags.length > 0) {
+      lookups.push(collectIndexIds(
+        [store.index('tags'), store.index('auto_tags')],
+        key => tags.some(tag => tagMatchesFilter(key, tag))
+      ));
+    }
+    if (author) {
+      const query = author.replace(/^@/, '').toLowerCase();
+      lookups.push(collectRecordIds(store.index('user_handle'), record =>
+        (record.user_handle || '').toLowerCase().includes(query) ||
+        (record.user_name || '').toLowerCase().includes(query)
+      ));
+    }
+    if (source) {
+      lookups.push(collectIndexIds([store.index('source')], key => key === source));
+    }
+    if (status) {
+      lookups.push(collectIndexIds([store.index('status')], key => key === status));
+    }
+    if (favorite) {
+      lookups.push(collectIndexIds([store.index('favorited_at')], () => true));
+    }
+
+    if (lookups.length === 0) return null;
+
+    const sets = await Promise.all(lookups);
+    return sets.reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id))));
+  }
+
   /**
    * Get statistics
+   * Counted from index keys, without loading records.
    * @returns {Object} Stats object
    */
   async getStats() {
-    const all = await this.getAllRetweets();
+    await this.ready();
+
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const todayCount = all.filter(r => new Date(r.captured_at) >= today).length;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const stats = { total: 0, today: 0, bySource: {}, byTag: {}, byStatus: {}, favorites: 0, unsynced: 0 };
+      let synced = 0;
 
-    // Count by source
-    const bySources = {};
-    for (const r of all) {
-      bySources[r.source] = (bySources[r.source] || 0) + 1;
-    }
+      const totalRequest = store.count();
+      totalRequest.onsuccess = () => { stats.total = totalRequest.result; };
 
-    // Count by tags
-    const byTags = {};
-    for (const r of all) {
-      for (const tag of [...r.tags, ...r.auto_tags]) {
-        byTags[tag] = (byTags[tag] || 0) + 1;
-      }
-    }
+      const todayRequest = store.index('captured_at').count(IDBKeyRange.lowerBound(today.toISOString()));
+      todayRequest.onsuccess = () => { stats.today = todayRequest.result; };
 
-    // Get unsynced count
-    const unsyncedCount = all.filter(r => !r.synced_at).length;
+      // Unsynced records have a null synced_at, which is left out of the index
+      const syncedRequest = store.index('synced_at').count();
+      syncedRequest.onsuccess = () => { synced = syncedRequest.result; };
 
-    return {
-      total: all.length,
-      today: todayCount,
-      bySource: bySources,
-      byTag: byTags,
-      unsynced: unsyncedCount
-    };
+      // Only favorites have a favorited_at in the index
+      const favoritesRequest = store.index('favorited_at').count();
+      favoritesRequest.onsuccess = () => { stats.favorites = favoritesRequest.result; };
+
+      countIndexKeys(store.index('source'), stats.bySource);
+      countIndexKeys(store.index('status'), stats.byStatus);
+      countIndexKeys(store.index('tags'), stats.byTag);
+      countIndexKeys(store.index('auto_tags'), stats.byTag);
+
+      transaction.oncomplete = () => resolve({ ...stats, unsynced: stats.total - synced });
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
-  // ==================== SETTINGS ====================
+  // ==================== TRASH ====================
 
   /**
-   * Get a setting value
-   * @param {string} key - Setting key
-   * @param {*} defaultValue - Default if not found
-   * @returns {*} Setting value
+   * Get deleted retweets, most recently deleted first
+   * @returns {Object[]} Trashed retweets with deleted_at
    */
-  async getSetting(key, defaultValue = null) {
+  async getTrash() {
     await this.ready();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
-      const store = transaction.objectStore(STORES.SETTINGS);
-      const request = store.get(key);
+      const transaction = this.db.transaction([STORES.TRASH], 'readonly');
+      const request = transaction.objectStore(STORES.TRASH).index('deleted_at').getAll();
 
-      request.onsuccess = () => {
-        resolve(request.result?.value ?? defaultValue);
-      };
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Move retweets back from the trash
+   * An item captured again since it was deleted keeps its current record,
+   * and the trashed copy's tags, notes and highlights are merged into it
+   * (see mergeRecords) before the copy leaves the trash.
+   * @param {string[]} ids - Trashed retweet IDs
+   * @returns {Object} { restored, merged }: the records put back, and
+   *   { previous, current } for each current record a copy was merged into
+   */
+  async restoreFromTrash(ids) {
+    await this.ready();
+
+    const restored = [];
+    const merged = [];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH], 'readwrite');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const trashStore = transaction.objectStore(STORES.TRASH);
+      // Records written here, so two trashed copies of a post merge too
+      const written = new Map();
+
+      for (const id of ids) {
+        const request = trashStore.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+
+          const { deleted_at, ...record } = request.result;
+          const key = [record.tweet_id, record.source];
+          const existingRequest = store.index('tweet_id_source').get(key);
+          existingRequest.onsuccess = () => {
+            const existing = written.get(key.join('\u0000')) || existingRequest.result;
+            const current = existing ? mergeRecords(existing, [record]) : record;
+
+            store.put(current);
+            writePostings(indexStore, current.id, existing ? tokenizeRetweet(existing) : [], tokenizeRetweet(current));
+            trashStore.delete(id);
+            written.set(key.join('\u0000'), current);
+
+            if (existing) {
+              merged.push({ previous: existing, current });
+            } else {
+              restored.push(record);
+            }
+          };
+        };
+      }
+
+      transaction.oncomplete = () => resolve({ restored, merged });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Permanently delete retweets from the trash
+   * @param {Object} options - { ids } to delete, { before } to delete items
+   *   trashed before an ISO date, or neither to empty the trash
+   * @returns {number} Count of purged items
+   */
+  async purgeTrash({ ids = null, before = null } = {}) {
+    await this.ready();
+
+    let purged = 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TRASH], 'readwrite');
+      const store = transaction.objectStore(STORES.TRASH);
+
+      if (ids) {
+        for (const id of ids) {
+          const request = store.getKey(id);
+          request.onsuccess = () => {
+            if (request.result === undefined) return;
+            store.delete(id);
+            purged++;
+          };
+        }
+      } else {
+        const range = before ? IDBKeyRange.upperBound(before, true) : null;
+        store.index('deleted_at').openCursor(range).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          purged++;
+          cursor.continue();
+        };
+      }
+
+      transaction.oncomplete = () => resolve(purged);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Default if not found
+   * @returns {*} Setting value
+   */
+  async getSetting(key, defaultValue = null) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
+      const store = transaction.objectStore(STORES.SETTINGS);
+      const request = store.get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result?.value ?? defaultValue);
+      };
       request.onerror = () => reject(request.error);
     });
   }
@@ -551,15 +1166,15 @@ class RetweetDB {
         const categories = {};
         const results = request.result || [];
 
-        if (results.length === 0) {
-          // Return defaults if no custom categories
-          resolve(DEFAULT_CATEGORIES);
-        } else {
-          for (const cat of results) {
-            categories[cat.name] = cat.keywords;
-          }
-          resolve(categories);
+        // Fall back to defaults if no custom categories
+        const source = results.length === 0
+          ? Object.entries(DEFAULT_CATEGORIES).map(([name, category]) => ({ name, ...category }))
+          : results;
+
+        for (const cat of source) {
+          categories[cat.name] = normalizeCategory(cat);
         }
+        resolve(categories);
       };
       request.onerror = () => reject(request.error);
     });
@@ -569,14 +1184,15 @@ class RetweetDB {
    * Set a category with keywords
    * @param {string} name - Category name
    * @param {string[]} keywords - Keywords array
+   * @param {Object} options - { exclude, weights, threshold, parent }
    */
-  async setCategory(name, keywords) {
+  async setCategory(name, keywords, { exclude = [], weights = {}, threshold = 0, parent = null } = {}) {
     await this.ready();
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
       const store = transaction.objectStore(STORES.CATEGORIES);
-      const request = store.put({ name, keywords });
+      const request = store.put({ name, keywords, exclude, weights, threshold, parent });
 
       request.onsuccess = () => resolve(true);
       request.onerror = () => reject(request.error);
@@ -600,15 +1216,263 @@ class RetweetDB {
     });
   }
 
+  /**
+   * Point the children of one category at another parent
+   * @param {string} from - Current parent name
+   * @param {string|null} to - New parent name (null makes them top-level)
+   * @returns {number} Number of categories moved
+   */
+  async reparentCategories(from, to) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.CATEGORIES], 'readwrite');
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.openCursor();
+      let moved = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        if (cursor.value.parent === from) {
+          cursor.update({ ...cursor.value, parent: to });
+          moved++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve(moved);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Initialize default categories
    */
   async initDefaultCategories() {
-    for (const [name, keywords] of Object.entries(DEFAULT_CATEGORIES)) {
-      await this.setCategory(name, keywords);
+    for (const [name, category] of Object.entries(DEFAULT_CATEGORIES)) {
+      await this.setCategory(name, category.keywords, category);
     }
   }
 
+  // ==================== TAG RULES ====================
+
+  /**
+   * Get all auto-tag rules, oldest first
+   * @returns {Object[]} Rules
+   */
+  async getTagRules() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readonly');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.index('created_at').getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create or update an auto-tag rule
+   * @param {Object} rule - Rule definition (without id to create)
+   * @returns {Object} Saved rule
+   */
+  async saveTagRule(rule) {
+    await this.ready();
+
+    const now = new Date().toISOString();
+    const record = {
+      id: rule.id || generateId(),
+      name: rule.name.trim(),
+      enabled: rule.enabled !== false,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: rule.conditions,
+      tags: rule.tags.map(t => t.trim()).filter(t => t.length > 0),
+      created_at: rule.created_at || now,
+      updated_at: now
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readwrite');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.put(record);
+
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete an auto-tag rule
+   * @param {string} id - Rule ID
+   */
+  async deleteTagRule(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.TAG_RULES], 'readwrite');
+      const store = transaction.objectStore(STORES.TAG_RULES);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ==================== TAG MANAGER ====================
+
+  /**
+   * Rename, merge or delete tags across the archive in one transaction
+   * Records, auto-tag rules and tag colors change together. A snapshot of
+   * everything touched replaces the previous undo snapshot. Tags nested
+   * under a replaced tag move with it.
+   * @param {string[]} fromTags - Tags to replace (exact match, with their children)
+   * @param {string|null} toTag - Replacement, or null to delete
+   * @param {string} description - Describes the change for the undo button
+   * @returns {Object} { updated, changes } with changes as [{ previous, current }]
+   */
+  async replaceTags(fromTags, toTag, description) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.SETTINGS],
+        'readwrite'
+      );
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const settingsStore = transaction.objectStore(STORES.SETTINGS);
+      const undo = { description, created_at: new Date().toISOString(), records: [], rules: [], colors: {} };
+      const changes = [];
+
+      // The snapshot is written once every store has been walked
+      let pending = 3;
+      const finish = () => {
+        pending--;
+        if (pending === 0) settingsStore.put({ key: TAG_MANAGER_OPTIONS.undoKey, value: undo });
+      };
+
+      const retweetsRequest = transaction.objectStore(STORES.RETWEETS).openCursor();
+      retweetsRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return finish();
+
+        const previous = cursor.value;
+        const change = applyTagChange(previous, fromTags, toTag);
+        if (change) {
+          const current = { ...previous, ...change };
+          cursor.update(current);
+          writePostings(indexStore, current.id, tokenizeRetweet(previous), tokenizeRetweet(current));
+          undo.records.push({
+            id: previous.id,
+            tags: previous.tags || [],
+            auto_tags: previous.auto_tags || [],
+            learned_tags: previous.learned_tags || []
+          });
+          changes.push({ previous, current });
+        }
+        cursor.continue();
+      };
+
+      const rulesRequest = transaction.objectStore(STORES.TAG_RULES).openCursor();
+      rulesRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return finish();
+
+        if (cursor.value.tags.some(tag => replaceTagPath(tag, fromTags, toTag) !== tag)) {
+          undo.rules.push(cursor.value);
+          cursor.update({ ...cursor.value, tags: replaceTags(cursor.value.tags, fromTags, toTag) });
+        }
+        cursor.continue();
+      };
+
+      const colorsRequest = settingsStore.get(TAG_MANAGER_OPTIONS.colorsKey);
+      colorsRequest.onsuccess = () => {
+        const colors = { ...(colorsRequest.result?.value || {}) };
+        undo.colors = { ...colors };
+
+        // The target keeps its own color, otherwise it takes the first source's
+        const inherited = fromTags.map(tag => colors[tag]).find(Boolean);
+        for (const tag of fromTags) delete colors[tag];
+        if (toTag && !colors[toTag] && inherited) colors[toTag] = inherited;
+
+        // Nested tags keep their colors at their new paths
+        for (const tag of Object.keys(colors)) {
+          const replaced = replaceTagPath(tag, fromTags, toTag);
+          if (replaced === tag) continue;
+          if (replaced && !colors[replaced]) colors[replaced] = colors[tag];
+          delete colors[tag];
+        }
+
+        settingsStore.put({ key: TAG_MANAGER_OPTIONS.colorsKey, value: colors });
+        finish();
+      };
+
+      transaction.oncomplete = () => resolve({ updated: changes.length, changes });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Undo the last rename, merge or delete
+   * Restores the tag fields of the records it touched (records deleted since
+   * are skipped), the rules it changed and the tag colors.
+   * @returns {Object} { description, restored, changes } with changes as [{ previous, current }]
+   */
+  async undoTagChange() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.SETTINGS],
+        'readwrite'
+      );
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+      const rulesStore = transaction.objectStore(STORES.TAG_RULES);
+      const settingsStore = transaction.objectStore(STORES.SETTINGS);
+      const changes = [];
+      let undo = null;
+
+      const undoRequest = settingsStore.get(TAG_MANAGER_OPTIONS.undoKey);
+      undoRequest.onsuccess = () => {
+        undo = undoRequest.result?.value;
+        if (!undo) {
+          transaction.abort();
+          return;
+        }
+
+        for (const snapshot of undo.records) {
+          const request = store.get(snapshot.id);
+          request.onsuccess = () => {
+            const previous = request.result;
+            if (!previous) return;
+
+            const current = { ...previous, ...snapshot };
+            store.put(current);
+            writePostings(indexStore, current.id, tokenizeRetweet(previous), tokenizeRetweet(current));
+            changes.push({ previous, current });
+          };
+        }
+
+        for (const rule of undo.rules) {
+          const request = rulesStore.get(rule.id);
+          request.onsuccess = () => {
+            if (request.result) rulesStore.put(rule);
+          };
+        }
+
+        settingsStore.put({ key: TAG_MANAGER_OPTIONS.colorsKey, value: undo.colors });
+        settingsStore.delete(TAG_MANAGER_OPTIONS.undoKey);
+      };
+
+      transaction.oncomplete = () => resolve({ description: undo.description, restored: changes.length, changes });
+      transaction.onabort = () => reject(transaction.error || new Error('Nothing to undo'));
+    });
+  }
+
   // ==================== SAVED SEARCHES ====================
 
   /**
@@ -624,6 +1488,9 @@ class RetweetDB {
       name: search.name,
       query: search.query || '',
       filters: search.filters || {},
+      watch: !!search.watch,
+      unread: 0,
+      last_match_at: null,
       created_at: new Date().toISOString()
     };
 
@@ -654,6 +1521,70 @@ class RetweetDB {
     });
   }
 
+  /**
+   * Update a saved search (e.g. toggle watch, reset the unread counter)
+   * @param {string} id - Search ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object} Updated search
+   */
+  async updateSavedSearch(id, updates) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) {
+          reject(new Error('Saved search not found'));
+          return;
+        }
+        updated = { ...request.result, ...updates, id };
+        store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Count a new matching capture against watched saved searches
+   * Read and increment happen in one transaction so concurrent captures
+   * never lose a count.
+   * @param {string[]} ids - Search IDs that matched
+   * @returns {Object[]} Updated searches
+   */
+  async recordSavedSearchMatches(ids) {
+    await this.ready();
+
+    const matchedAt = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.SAVED_SEARCHES], 'readwrite');
+      const store = transaction.objectStore(STORES.SAVED_SEARCHES);
+      const updated = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          const search = {
+            ...request.result,
+            unread: (request.result.unread || 0) + 1,
+            last_match_at: matchedAt
+          };
+          store.put(search);
+          updated.push(search);
+        };
+      }
+
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Delete a saved search
    * @param {string} id - Search ID
@@ -671,6 +1602,213 @@ class RetweetDB {
     });
   }
 
+  // ==================== COLLECTIONS ====================
+
+  /**
+   * Get all collections in their manual order
+   * Each comes with `count`, the number of its items that still exist.
+   * @returns {Object[]} Collections
+   */
+  async getCollections() {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS, STORES.RETWEETS], 'readonly');
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      const request = transaction.objectStore(STORES.COLLECTIONS).index('position').getAll();
+      let collections = [];
+
+      request.onsuccess = () => {
+        collections = request.result.map(collection => ({ ...collection, count: 0 }));
+        for (const collection of collections) {
+          for (const id of collection.item_ids) {
+            retweetsStore.getKey(id).onsuccess = (event) => {
+              if (event.target.result !== undefined) collection.count++;
+            };
+          }
+        }
+      };
+      transaction.oncomplete = () => resolve(collections);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get a collection
+   * @param {string} id - Collection ID
+   * @returns {Object|null} Collection
+   */
+  async getCollection(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readonly');
+      const request = transaction.objectStore(STORES.COLLECTIONS).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create or update a collection's name, description and cover image
+   * New collections go to the end of the list. Names are unique, ignoring case.
+   * @param {Object} collection - { id?, name, description, cover_image }
+   * @returns {Object} Saved collection
+   */
+  async saveCollection(collection) {
+    await this.ready();
+
+    const fields = normalizeCollection(collection);
+    const now = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.getAll();
+      let saved = null;
+
+      request.onsuccess = () => {
+        const existing = collection.id ? request.result.find(c => c.id === collection.id) : null;
+        if (collection.id && !existing) {
+          reject(new Error('Collection not found'));
+          return;
+        }
+
+        const nameTaken = request.result.some(c => c.id !== collection.id && c.name.toLowerCase() === fields.name.toLowerCase());
+        if (nameTaken) {
+          reject(new Error(`A collection named "${fields.name}" already exists`));
+          return;
+        }
+
+        saved = existing
+          ? { ...existing, ...fields, updated_at: now }
+          : {
+            id: generateId(),
+            ...fields,
+            item_ids: [],
+            position: Math.max(-1, ...request.result.map(c => c.position)) + 1,
+            created_at: now,
+            updated_at: now
+          };
+        store.put(saved);
+      };
+      transaction.oncomplete = () => resolve(saved);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Change which captures are in a collection, or their order
+   * @param {string} id - Collection ID
+   * @param {Function} change - Called with the current item IDs, returns the new list
+   * @returns {Object} Updated collection
+   */
+  async updateCollectionItems(id, change) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) {
+          reject(new Error('Collection not found'));
+          return;
+        }
+        updated = { ...request.result, item_ids: change(request.result.item_ids), updated_at: new Date().toISOString() };
+        store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Put the collections in a new order
+   * Collections left out keep their relative order after the listed ones.
+   * @param {string[]} ids - Collection IDs in their new order
+   * @returns {Object[]} Collections in order
+   */
+  async reorderCollections(ids) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const store = transaction.objectStore(STORES.COLLECTIONS);
+      const request = store.index('position').getAll();
+      let ordered = [];
+
+      request.onsuccess = () => {
+        const rank = id => (ids.includes(id) ? ids.indexOf(id) : ids.length);
+        ordered = [...request.result]
+          .sort((a, b) => rank(a.id) - rank(b.id))
+          .map((collection, position) => ({ ...collection, position }));
+        for (const collection of ordered) store.put(collection);
+      };
+      transaction.oncomplete = () => resolve(ordered);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete a collection (its captures are kept)
+   * @param {string} id - Collection ID
+   */
+  async deleteCollection(id) {
+    await this.ready();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+      const request = transaction.objectStore(STORES.COLLECTIONS).delete(id);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a page of a collection's captures in its manual order
+   * Items that no longer exist (deleted or in the trash) are skipped.
+   * @param {string} id - Collection ID
+   * @param {Object} options - { page, pageSize }
+   * @returns {Object} { collection, items, total, page, pageSize, totalPages }
+   */
+  async getCollectionItems(id, { page = 1, pageSize = 50 } = {}) {
+    await this.ready();
+
+    const collection = await this.getCollection(id);
+    if (!collection) throw new Error('Collection not found');
+
+    const presentIds = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.RETWEETS], 'readonly');
+      const store = transaction.objectStore(STORES.RETWEETS);
+      const present = [];
+
+      for (const itemId of collection.item_ids) {
+        store.getKey(itemId).onsuccess = (event) => {
+          if (event.target.result !== undefined) present.push(itemId);
+        };
+      }
+      transaction.oncomplete = () => resolve(present);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const start = (page - 1) * pageSize;
+    const items = await this.getRetweetsByIds(presentIds.slice(start, start + pageSize));
+
+    return {
+      collection: { ...collection, count: presentIds.length },
+      items,
+      total: presentIds.length,
+      page,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(presentIds.length / pageSize))
+    };
+  }
+
   // ==================== EXPORT/IMPORT ====================
 
   /**
@@ -682,6 +1820,8 @@ class RetweetDB {
     const settings = await this.getAllSettings();
     const categories = await this.getCategories();
     const savedSearches = await this.getSavedSearches();
+    const tagRules = await this.getTagRules();
+    const collections = (await this.getCollections()).map(({ count, ...collection }) => collection);
 
     return {
       version: DB_VERSION,
@@ -689,17 +1829,204 @@ class RetweetDB {
       retweets,
       settings,
       categories,
-      savedSearches
+      savedSearches,
+      tagRules,
+      collections
     };
   }
 
+  /**
+   * Get the keys already stored, for planning a backup restore
+   * @returns {Object} { retweets: [{ id, tweet_id, source }], settings, categories, savedSearches, tagRules, collections }
+   */
+  async getBackupKeys() {
+    await this.ready();
+
+    const transaction = this.db.transaction(
+      [STORES.RETWEETS, STORES.SETTINGS, STORES.CATEGORIES, STORES.SAVED_SEARCHES, STORES.TAG_RULES, STORES.COLLECTIONS],
+      'readonly'
+    );
+    const getKeys = (storeName) => new Promise((resolve, reject) => {
+      const request = transaction.objectStore(storeName).getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // The tweet_id_source index keys are what the unique constraint checks
+    const retweets = new Promise((resolve, reject) => {
+      const keys = [];
+      const request = transaction.objectStore(STORES.RETWEETS).index('tweet_id_source').openKeyCursor();
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return resolve(keys);
+
+        const [tweet_id, source] = cursor.key;
+        keys.push({ id: cursor.primaryKey, tweet_id, source });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    const [retweetKeys, settings, categories, savedSearches, tagRules, collections] = await Promise.all([
+      retweets,
+      getKeys(STORES.SETTINGS),
+      getKeys(STORES.CATEGORIES),
+      getKeys(STORES.SAVED_SEARCHES),
+      getKeys(STORES.TAG_RULES),
+      getKeys(STORES.COLLECTIONS)
+    ]);
+
+    return { retweets: retweetKeys, settings, categories, savedSearches, tagRules, collections };
+  }
+
+  /**
+   * Write a restore plan in one transaction
+   * Replace mode empties every store (search index included) first, so a
+   * failed restore leaves the existing data untouched. A record that clashes
+   * with another on a unique index (two captures of one post under different
+   * ids) is skipped and counted in its store's conflicts.
+   * @param {Object} plan - Result of planRestore
+   * @returns {Object} The plan's summary, with conflicts per store
+   */
+  async restoreBackup(plan) {
+    await this.ready();
+
+    const storeNames = {
+      retweets: STORES.RETWEETS,
+      settings: STORES.SETTINGS,
+      categories: STORES.CATEGORIES,
+      savedSearches: STORES.SAVED_SEARCHES,
+      tagRules: STORES.TAG_RULES,
+      collections: STORES.COLLECTIONS
+    };
+
+    const summary = {};
+    for (const [name, counts] of Object.entries(plan.summary)) {
+      summary[name] = { ...counts, conflicts: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([...Object.values(storeNames), STORES.SEARCH_INDEX, STORES.SEARCH_TERMS], 'readwrite');
+      const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+
+      if (plan.mode === 'replace') {
+        for (const storeName of [...Object.values(storeNames), STORES.SEARCH_INDEX, STORES.SEARCH_TERMS]) {
+          transaction.objectStore(storeName).clear();
+        }
+      }
+
+      for (const [name, storeName] of Object.entries(storeNames)) {
+        const store = transaction.objectStore(storeName);
+        for (const record of plan.records[name] || []) {
+          const request = store.put(record);
+          if (name === 'retweets') {
+            request.onsuccess = () => writePostings(indexStore, record.id, [], tokenizeRetweet(record));
+          }
+          // A record clashing on a unique index is skipped instead of aborting the restore
+          request.onerror = (event) => {
+            if (request.error?.name !== 'ConstraintError') return;
+            event.preventDefault();
+            event.stopPropagation();
+            summary[name].conflicts++;
+          };
+        }
+      }
+
+      transaction.oncomplete = () => resolve(summary);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete data by scope in one transaction
+   * Captures can be limited to a platform and a captured_at date range (both
+   * ends inclusive) and include matching items in the trash; without limits
+   * the store, search index and trash are emptied.
+   * Cleared categories fall back to the defaults.
+   * @param {Object} scope - { captures, platform, startDate, endDate, settings, categories, savedSearches, tagRules, collections }
+   * @param {Object} options - { preview } counts without deleting
+   * @returns {Object} Number of items deleted (or that would be) per store
+   */
+  async clearData(scope = {}, { preview = false } = {}) {
+    await this.ready();
+
+    const storeNames = [STORES.RETWEETS, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TRASH, STORES.SETTINGS, STORES.CATEGORIES, STORES.SAVED_SEARCHES, STORES.TAG_RULES, STORES.COLLECTIONS];
+    const counts = { captures: 0, trash: 0, settings: 0, categories: 0, savedSearches: 0, tagRules: 0, collections: 0 };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, preview ? 'readonly' : 'readwrite');
+
+      const clearStore = (storeName, countKey) => {
+        const store = transaction.objectStore(storeName);
+        const request = store.count();
+        request.onsuccess = () => {
+          counts[countKey] = request.result;
+          if (!preview) store.clear();
+        };
+      };
+
+      if (scope.captures) {
+        const store = transaction.objectStore(STORES.RETWEETS);
+        const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+
+        if (!scope.platform && !scope.startDate && !scope.endDate) {
+          clearStore(STORES.RETWEETS, 'captures');
+          clearStore(STORES.TRASH, 'trash');
+          if (!preview) {
+            indexStore.clear();
+            transaction.objectStore(STORES.SEARCH_TERMS).clear();
+          }
+        } else {
+          const trashRequest = transaction.objectStore(STORES.TRASH).openCursor();
+          trashRequest.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            if (isInClearScope(cursor.value, scope)) {
+              counts.trash++;
+              if (!preview) cursor.delete();
+            }
+            cursor.continue();
+          };
+
+          const request = store.openCursor();
+          request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            if (isInClearScope(cursor.value, scope)) {
+              counts.captures++;
+              if (!preview) {
+                cursor.delete();
+                const keysRequest = indexStore.index('id').getAllKeys(cursor.value.id);
+                keysRequest.onsuccess = () => {
+                  for (const key of keysRequest.result) indexStore.delete(key);
+                };
+              }
+            }
+            cursor.continue();
+          };
+        }
+      }
+
+      if (scope.settings) clearStore(STORES.SETTINGS, 'settings');
+      if (scope.categories) clearStore(STORES.CATEGORIES, 'categories');
+      if (scope.savedSearches) clearStore(STORES.SAVED_SEARCHES, 'savedSearches');
+      if (scope.tagRules) clearStore(STORES.TAG_RULES, 'tagRules');
+      if (scope.collections) clearStore(STORES.COLLECTIONS, 'collections');
+
+      transaction.oncomplete = () => resolve(counts);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Clear all data
    */
   async clearAll() {
     await this.ready();
 
-    const stores = [STORES.RETWEETS, STORES.SETTINGS, STORES.SAVED_SEARCHES, STORES.CATEGORIES];
+    const stores = [STORES.RETWEETS, STORES.SETTINGS, STORES.SAVED_SEARCHES, STORES.CATEGORIES, STORES.SEARCH_INDEX, STORES.SEARCH_TERMS, STORES.TAG_RULES, STORES.TRASH, STORES.COLLECTIONS];
 
     for (const storeName of stores) {
       await new Promise((resolve, reject) => {
@@ -714,6 +2041,313 @@ class RetweetDB {
   }
 }
 
+/**
+ * Check whether a retweet falls inside a clearData capture scope
+ * @param {Object} retweet - Retweet record
+ * @param {Object} scope - { platform, startDate, endDate }
+ * @returns {boolean} True if it should be deleted
+ */
+function isInClearScope(retweet, { platform, startDate, endDate }) {
+  if (platform && (retweet.platform || 'twitter') !== platform) return false;
+
+  const capturedAt = new Date(retweet.captured_at);
+  if (startDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    if (capturedAt < start) return false;
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    if (capturedAt > end) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Turn a filter's date range into captured_at bounds
+ * @param {Object} filters - { startDate, endDate }
+ * @returns {Object|null} { lower, upper } ISO strings, or null if the range is empty
+ */
+function captureBounds({ startDate, endDate }) {
+  const toTime = (value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date "${value}"`);
+    return date.toISOString();
+  };
+
+  const lower = startDate ? toTime(startDate) : '';
+  const upper = endDate ? toTime(endDate) : '\uffff';
+  return lower <= upper ? { lower, upper } : null;
+}
+
+/**
+ * Build the check for the filters no index covers
+ * @param {Object} filters - { hasMedia, hasLink, hasNote, hasHighlight, favorite, excludeTags, excludeAuthors }
+ * @returns {Function|null} Called with a record; true if it matches. Null if there is nothing to check
+ */
+function recordFilter({ hasMedia, hasLink, hasNote, hasHighlight, favorite, excludeTags = [], excludeAuthors = [] }) {
+  const checks = [];
+
+  if (hasMedia !== undefined) {
+    checks.push(record => (record.media?.length > 0) === hasMedia);
+  }
+  if (hasLink !== undefined) {
+    checks.push(record => (record.urls?.length > 0 || !!record.card) === hasLink);
+  }
+  if (hasNote !== undefined) {
+    checks.push(record => !!record.note?.trim() === hasNote);
+  }
+  if (hasHighlight !== undefined) {
+    checks.push(record => (record.highlights?.length > 0) === hasHighlight);
+  }
+  // Favorites are looked up in the favorited_at index; the rest are not in it
+  if (favorite === false) {
+    checks.push(record => !record.favorited_at);
+  }
+  if (excludeTags && excludeTags.length > 0) {
+    checks.push(record => ![...(record.tags || []), ...(record.auto_tags || [])]
+      .some(key => excludeTags.some(tag => tagMatchesFilter(key, tag))));
+  }
+  if (excludeAuthors && excludeAuthors.length > 0) {
+    const queries = excludeAuthors.map(author => author.replace(/^@/, '').toLowerCase());
+    checks.push(record => !queries.some(query =>
+      (record.user_handle || '').toLowerCase().includes(query) ||
+      (record.user_name || '').toLowerCase().includes(query)
+    ));
+  }
+
+  return checks.length > 0 ? record => checks.every(check => check(record)) : null;
+}
+
+/**
+ * Pick the index and key range covering captured_at bounds
+ * @param {IDBObjectStore} store - Retweets store
+ * @param {string} platform - Platform to limit to, if any
+ * @param {Object} bounds - { lower, upper } from captureBounds
+ * @returns {Object} { index, range }
+ */
+function captureRange(store, platform, { lower, upper }) {
+  if (platform) {
+    return {
+      index: store.index('platform_captured_at'),
+      range: IDBKeyRange.bound([platform, lower], [platform, upper])
+    };
+  }
+
+  return { index: store.index('captured_at'), range: IDBKeyRange.bound(lower, upper) };
+}
+
+/**
+ * Collect the primary keys filed under every index key that matches
+ * Distinct keys are walked without loading records.
+ * @param {IDBIndex[]} indexes - Indexes from one transaction
+ * @param {Function} matchKey - Called with each distinct string key
+ * @returns {Promise<Set<string>>} Retweet IDs
+ */
+function collectIndexIds(indexes, matchKey) {
+  return new Promise((resolve, reject) => {
+    const ids = new Set();
+    let pending = indexes.length;
+    const done = () => {
+      pending--;
+      if (pending === 0) resolve(ids);
+    };
+
+    for (const index of indexes) {
+      const request = index.openKeyCursor(null, 'nextunique');
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          done();
+          return;
+        }
+
+        if (typeof cursor.key === 'string' && matchKey(cursor.key)) {
+          pending++;
+          const keysRequest = index.getAllKeys(IDBKeyRange.only(cursor.key));
+          keysRequest.onsuccess = () => {
+            keysRequest.result.forEach(id => ids.add(id));
+            done();
+          };
+          keysRequest.onerror = () => reject(keysRequest.error);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+/**
+ * Collect the primary keys of the records an index walk matches
+ * Records are checked one at a time as the cursor passes them, so fields
+ * outside the index key can be matched without holding the store in memory.
+ * @param {IDBIndex} index - Index from an active transaction
+ * @param {Function} matchRecord - Called with each record
+ * @returns {Promise<Set<string>>} Retweet IDs
+ */
+function collectRecordIds(index, matchRecord) {
+  return new Promise((resolve, reject) => {
+    const ids = new Set();
+    const request = index.openCursor();
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(ids);
+        return;
+      }
+
+      if (matchRecord(cursor.value)) ids.add(cursor.primaryKey);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Count the entries under each key of an index
+ * @param {IDBIndex} index - Index in an open transaction
+ * @param {Object} counts - Counts keyed by index key, added to in place
+ */
+function countIndexKeys(index, counts) {
+  index.openKeyCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+    cursor.continue();
+  };
+}
+
+/**
+ * Move a retweet to the trash and drop its search index postings
+ * @param {IDBTransaction} transaction - Readwrite transaction over the retweets, search index and trash stores
+ * @param {Object} record - Stored retweet
+ * @param {string} deletedAt - ISO timestamp
+ */
+function moveToTrash(transaction, record, deletedAt) {
+  const indexStore = transaction.objectStore(STORES.SEARCH_INDEX);
+  transaction.objectStore(STORES.TRASH).put({ ...record, deleted_at: deletedAt });
+  transaction.objectStore(STORES.RETWEETS).delete(record.id);
+
+  // Remove every posting for this retweet, whatever tokens it had
+  const keysRequest = indexStore.index('id').getAllKeys(record.id);
+  keysRequest.onsuccess = () => {
+    for (const key of keysRequest.result) {
+      indexStore.delete(key);
+    }
+  };
+}
+
+/**
+ * Add and remove search index postings for one retweet
+ * A word new to the index is also added to the search terms store.
+ * @param {IDBObjectStore} indexStore - Search index store in a readwrite
+ *   transaction that also covers the search terms store
+ * @param {string} id - Retweet ID
+ * @param {string[]} oldTokens - Tokens currently indexed
+ * @param {string[]} newTokens - Tokens that should be indexed
+ */
+function writePostings(indexStore, id, oldTokens, newTokens) {
+  const termsStore = indexStore.transaction.objectStore(STORES.SEARCH_TERMS);
+  const next = new Set(newTokens);
+  const previous = new Set(oldTokens);
+
+  for (const token of previous) {
+    if (!next.has(token)) indexStore.delete([token, id]);
+  }
+
+  for (const token of next) {
+    if (previous.has(token)) continue;
+
+    // Counted before the put below, so 0 means no record had the word yet
+    if (!token.startsWith('#')) {
+      const countRequest = indexStore.count(exactRange(token));
+      countRequest.onsuccess = () => {
+        if (countRequest.result === 0) writeTermKeys(termsStore, token);
+      };
+    }
+    indexStore.put({ token, id });
+  }
+}
+
+/**
+ * Add a word to the search terms store under each of its keys
+ * @param {IDBObjectStore} termsStore - Search terms store in a readwrite transaction
+ * @param {string} word - Index word
+ */
+function writeTermKeys(termsStore, word) {
+  for (const gram of wordIndexKeys(word)) {
+    termsStore.put({ gram, token: word });
+  }
+}
+
+/**
+ * Collect retweet IDs from index postings in a key range
+ * @param {IDBObjectStore} indexStore - Search index store
+ * @param {IDBKeyRange} range - Range over [token, id] keys
+ * @param {number} [limit] - Most postings to read
+ * @returns {Promise<Set<string>>} Retweet IDs
+ */
+function lookupPostings(indexStore, range, limit) {
+  return new Promise((resolve, reject) => {
+    const request = indexStore.getAllKeys(range, limit);
+    request.onsuccess = () => resolve(new Set(request.result.map(([, id]) => id)));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Count the index postings in a key range
+ * @param {IDBObjectStore} indexStore - Search index store
+ * @param {IDBKeyRange} range - Range over [token, id] keys
+ * @returns {Promise<number>} Number of postings
+ */
+function countRange(indexStore, range) {
+  return new Promise((resolve, reject) => {
+    const request = indexStore.count(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Collect index words from the search terms store
+ * Words that have left the index stay in the store until it is rebuilt;
+ * their postings lookups just come back empty.
+ * @param {IDBObjectStore} termsStore - Search terms store
+ * @param {IDBKeyRange} range - Range over [gram, token] keys
+ * @param {Function} accept - Called with each word; true to keep it
+ * @returns {Promise<string[]>} Words, in order
+ */
+function lookupTermWords(termsStore, range, accept) {
+  return new Promise((resolve, reject) => {
+    const request = termsStore.getAllKeys(range);
+    request.onsuccess = () => resolve(request.result.map(([, word]) => word).filter(accept));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Key range covering every posting of one token
+ * @param {string} token - Token
+ * @returns {IDBKeyRange} Range over [token, id] keys
+ */
+function exactRange(token) {
+  return IDBKeyRange.bound([token], [token, []]);
+}
+
+/**
+ * Key range covering every posting whose token starts with a prefix
+ * @param {string} token - Token prefix
+ * @returns {IDBKeyRange} Range over [token, id] keys
+ */
+function prefixRange(token) {
+  return IDBKeyRange.bound([token], [`${token}\uffff`]);
+}
+
 // Export singleton instance
 export const db = new RetweetDB();
 export default db;
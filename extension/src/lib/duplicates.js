@@ -0,0 +1,349 @@
+/**
+ * Duplicate detection and merging
+ * The same post can be stored more than once: captured in the browser and
+ * again by an archive import or sync (the unique index is tweet_id plus
+ * source), or captured on one platform and shared on another.
+ *
+ * Records are grouped when they share a post ID, a canonical URL or
+ * near-identical text. Merging keeps the richest record and folds the
+ * others' tags and metadata into it.
+ */
+
+import { DUPLICATE_OPTIONS, READ_STATUSES } from '../utils/constants.js';
+import { normalizeHighlights } from './notes.js';
+
+export const DUPLICATE_REASONS = ['post', 'url', 'text'];
+
+const METRIC_FIELDS = ['reply_count', 'retweet_count', 'like_count', 'view_count', 'bookmark_count'];
+const RICH_FIELDS = ['text', 'user_name', 'user_avatar', 'card', 'quoted_tweet', 'original_created_at', 'raw_payload', 'source_url'];
+const FILLED_FIELDS = ['user_name', 'user_avatar', 'quoted_tweet', 'quoted_text', 'quoted_author', 'card', 'reply_to', 'original_created_at', 'raw_payload', 'source_url'];
+const FLAG_FIELDS = ['user_verified', 'user_blue_verified', 'user_business', 'user_government', 'is_reply'];
+const POST_KEY = /^(twitter|instagram|tiktok|youtube):/;
+
+// [platform, host, path pattern capturing the post ID]
+const POST_URLS = [
+  ['twitter', /^(twitter\.com|x\.com|nitter\.[a-z.]+)$/, /^\/(?:i\/web|[^/]+)\/status(?:es)?\/(\d+)/],
+  ['youtube', /^youtube\.com$/, /^\/(?:shorts|embed|live)\/([\w-]+)/],
+  ['youtube', /^youtu\.be$/, /^\/([\w-]+)/],
+  ['tiktok', /^tiktok\.com$/, /^\/@[^/]+\/video\/(\d+)/],
+  ['instagram', /^instagram\.com$/, /^\/(?:[^/]+\/)?(?:p|reels?|tv)\/([\w-]+)/]
+];
+
+/**
+ * Reduce a URL to a form shared by every link to the same thing
+ * Links to a post on a supported platform become `platform:id`; other links
+ * drop the scheme, www, fragment and tracking parameters.
+ * @param {string} url - Any URL
+ * @returns {string|null} Canonical key, or null if it isn't an http(s) URL
+ */
+export function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  if (host === 'youtube.com' && path === '/watch' && parsed.searchParams.get('v')) {
+    return `youtube:${parsed.searchParams.get('v')}`;
+  }
+
+  for (const [platform, hostPattern, pathPattern] of POST_URLS) {
+    const match = hostPattern.test(host) && path.match(pathPattern);
+    if (match) return `${platform}:${match[1]}`;
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !DUPLICATE_OPTIONS.trackingParams.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return `${host}${path}${query}`;
+}
+
+/**
+ * Split text into the words compared for near-identical text
+ * Links and a leading "RT @handle:" are ignored.
+ * @param {string} text - Capture text
+ * @returns {string[]} Lowercase words in order
+ */
+export function textTokens(text = '') {
+  return (text || '')
+    .toLowerCase()
+    .replace(/^rt @\w+:\s*/, '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Work out what a record can be matched on
+ * Links to a post on another platform (a YouTube video shared on X) only
+ * match a capture of that post, not other records sharing the same link.
+ * @param {Object} record - Stored retweet
+ * @returns {Object} { id, keys, links, tokens }
+ */
+export function getDuplicateKeys(record) {
+  const platform = record.platform || 'twitter';
+  const keys = new Set();
+  if (record.tweet_id) keys.add(`${platform}:${record.tweet_id}`);
+
+  const ownUrl = canonicalUrl(record.source_url);
+  if (ownUrl) keys.add(ownUrl);
+
+  const linked = (record.urls || []).map(u => (typeof u === 'string' ? u : u.expanded_url || u.url));
+  if (record.card?.url) linked.push(record.card.url);
+
+  const links = new Set();
+  for (const url of linked) {
+    const key = canonicalUrl(url);
+    if (key && POST_KEY.test(key) && !key.startsWith(`${platform}:`)) links.add(key);
+  }
+
+  return { id: record.id, keys: [...keys], links: [...links], tokens: textTokens(record.text) };
+}
+
+/**
+ * Group records that look like the same post
+ * @param {Object[]} entries - Results of getDuplicateKeys
+ * @returns {Object[]} { ids, reasons } for every group of two or more, largest first;
+ *   reasons are taken from DUPLICATE_REASONS
+ */
+export function findDuplicateGroups(entries) {
+  const parent = new Map();
+  const reasons = new Map();
+
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent.set(rootB, rootA);
+      for (const r of reasons.get(rootB)) reasons.get(rootA).add(r);
+    }
+    reasons.get(rootA).add(reason);
+  };
+
+  for (const entry of entries) {
+    parent.set(entry.id, entry.id);
+    reasons.set(entry.id, new Set());
+  }
+
+  // Post IDs and URLs
+  const owners = new Map();
+  for (const entry of entries) {
+    for (const key of entry.keys) {
+      if (owners.has(key)) union(owners.get(key), entry.id, POST_KEY.test(key) ? 'post' : 'url');
+      else owners.set(key, entry.id);
+    }
+  }
+  for (const entry of entries) {
+    for (const key of entry.links) {
+      if (owners.has(key)) union(owners.get(key), entry.id, 'url');
+    }
+  }
+
+  // Near-identical text: identical word lists first, then word overlap within blocks
+  const texts = new Map();
+  const blocks = new Map();
+  const size = DUPLICATE_OPTIONS.blockTokens;
+
+  for (const entry of entries) {
+    if (entry.tokens.length < DUPLICATE_OPTIONS.minTextTokens) continue;
+
+    const text = entry.tokens.join(' ');
+    if (texts.has(text)) {
+      union(texts.get(text), entry.id, 'text');
+      continue;
+    }
+    texts.set(text, entry.id);
+
+    const words = new Set(entry.tokens);
+    const blockKeys = [`^${entry.tokens.slice(0, size).join(' ')}`, `$${entry.tokens.slice(-size).join(' ')}`];
+    const compared = new Set();
+
+    for (const blockKey of blockKeys) {
+      const block = blocks.get(blockKey) || [];
+      for (const other of block) {
+        if (compared.has(other.id)) continue;
+        compared.add(other.id);
+        if (jaccard(words, other.words) >= DUPLICATE_OPTIONS.textSimilarity) union(other.id, entry.id, 'text');
+      }
+      block.push({ id: entry.id, words });
+      blocks.set(blockKey, block);
+    }
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = find(entry.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry.id);
+  }
+
+  return [...groups.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, reasons: DUPLICATE_REASONS.filter(r => reasons.get(root).has(r)) }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
+
+/**
+ * Score how much a record knows about its post
+ * @param {Object} record - Stored retweet
+ * @returns {number} Higher is richer
+ */
+export function metadataScore(record) {
+  let score = RICH_FIELDS.filter(field => !isEmpty(record[field])).length;
+  score += METRIC_FIELDS.filter(field => record[field] > 0).length;
+  score += (record.media || []).length;
+  return score;
+}
+
+/**
+ * Pick the record a group should be merged into
+ * The richest wins; ties go to the earliest capture.
+ * @param {Object[]} records - Records in one group
+ * @returns {Object} Record to keep
+ */
+export function pickRichest(records) {
+  return records.reduce((best, record) => {
+    const diff = metadataScore(record) - metadataScore(best);
+    if (diff !== 0) return diff > 0 ? record : best;
+    return (record.captured_at || '') < (best.captured_at || '') ? record : best;
+  });
+}
+
+/**
+ * Fold duplicates into the record being kept
+ * Tags, entities and notes are combined, empty fields are filled in, metrics and
+ * text take the largest value and captured_at the earliest. The post stays
+ * read or archived, and a favorite, if any copy was. The merged records are
+ * listed in merged_from.
+ * @param {Object} keep - Record to keep (its id, tweet_id and source stay)
+ * @param {Object[]} others - Records merged into it
+ * @returns {Object} Merged record
+ */
+export function mergeRecords(keep, others) {
+  const all = [keep, ...others];
+  const merged = { ...keep };
+
+  for (const field of FILLED_FIELDS) {
+    if (!isEmpty(merged[field])) continue;
+    const donor = others.find(record => !isEmpty(record[field]));
+    if (donor) merged[field] = donor[field];
+  }
+
+  for (const field of FLAG_FIELDS) {
+    merged[field] = all.some(record => record[field]);
+  }
+
+  for (const field of METRIC_FIELDS) {
+    merged[field] = Math.max(...all.map(record => Number(record[field]) || 0));
+  }
+
+  merged.text = all.reduce((text, record) => ((record.text || '').length > text.length ? record.text : text), keep.text || '');
+  merged.media = all.reduce((media, record) => ((record.media || []).length > media.length ? record.media : media), keep.media || []);
+
+  for (const field of ['tags', 'auto_tags', 'hashtags', 'mentions', 'actions']) {
+    merged[field] = uniqueIgnoringCase(all.flatMap(record => record[field] || []));
+  }
+
+  // Learned tags are { tag, confidence }; one entry per tag, the most confident
+  const learned = new Map();
+  for (const entry of all.flatMap(record => record.learned_tags || [])) {
+    const key = String(entry.tag).toLowerCase();
+    const existing = learned.get(key);
+    if (!existing || (entry.confidence || 0) > (existing.confidence || 0)) learned.set(key, entry);
+  }
+  merged.learned_tags = [...learned.values()];
+
+  const urlKey = u => (typeof u === 'string' ? u : u.expanded_url || u.url);
+  const urls = new Map();
+  for (const url of all.flatMap(record => record.urls || [])) {
+    if (!urls.has(urlKey(url))) urls.set(urlKey(url), url);
+  }
+  merged.urls = [...urls.values()];
+
+  // Every note is kept; highlights are moved onto the kept text
+  merged.note = [...new Set(all.map(record => (record.note || '').trim()).filter(Boolean))].join('\n\n');
+  merged.highlights = normalizeHighlights(merged.text, all.flatMap(record => record.highlights || []));
+
+  merged.captured_at = all.map(record => record.captured_at).filter(Boolean).sort()[0] || keep.captured_at;
+  merged.status = all.map(record => record.status).find(status => status && status !== READ_STATUSES.UNREAD) ||
+    keep.status || READ_STATUSES.UNREAD;
+  merged.favorited_at = all.map(record => record.favorited_at).filter(Boolean).sort()[0] || null;
+  merged.merged_from = [
+    ...(keep.merged_from || []),
+    ...others.flatMap(record => [
+      ...(record.merged_from || []),
+      {
+        id: record.id,
+        tweet_id: record.tweet_id,
+        source: record.source,
+        platform: record.platform || 'twitter',
+        source_url: record.source_url || '',
+        captured_at: record.captured_at
+      }
+    ])
+  ];
+  merged.synced_at = null;
+
+  return merged;
+}
+
+/**
+ * Check whether a field holds nothing worth keeping
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, undefined, '' and empty arrays
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Drop repeated values, comparing without case; the first spelling wins
+ * @param {Array} values - Tags, hashtags or mentions
+ * @returns {Array} Unique values in order
+ */
+function uniqueIgnoringCase(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = String(value).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Share of words two texts have in common
+ * @param {Set<string>} a - Words of one text
+ * @param {Set<string>} b - Words of the other
+ * @returns {number} 0 to 1
+ */
+function jaccard(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+export default {
+  DUPLICATE_REASONS,
+  canonicalUrl,
+  textTokens,
+  getDuplicateKeys,
+  findDuplicateGroups,
+  metadataScore,
+  pickRichest,
+  mergeRecords
+};
@@ -1,110 +1,217 @@
 /**
  * Import module for historical data
- * Supports X archive, CSV, and Nitter RSS
+ * Supports X archive (posts, likes and bookmarks), Instagram and TikTok data
+ * downloads, YouTube Takeout, browser bookmarks, Pocket and Raindrop exports,
+ * CSV, Nitter RSS and the extension's own JSON backup
  */
 
 import { db } from './db.js';
 import { suggestTags } from './tagger.js';
-import { SOURCES } from '../utils/constants.js';
+import { parseBackup, planRestore } from './backup.js';
+import { parseArchive } from './archive.js';
+import { parseInstagramExport, parseTikTokExport, parseYouTubeTakeout } from './platform-exports.js';
+import { parseBookmarksHtml, parsePocketExport, parseRaindropExport } from './reading-lists.js';
+import { addItems } from './collections.js';
+import { SOURCES, COLLECTION_OPTIONS } from '../utils/constants.js';
 
 /**
- * Import from X/Twitter data archive (tweets.js)
- * @param {string} data - Contents of tweets.js file
- * @returns {Object} Import results
+ * Import from X/Twitter data archive
+ * Accepts the posts (tweets.js), likes (like.js) and bookmarks (bookmark.js)
+ * files, including their -partN splits. Each record lists the actions it
+ * came from.
+ * @param {string|string[]} data - Contents of one or more archive files
+ * @returns {Object} Import results, with actions counting records per action
  */
 export async function importArchive(data) {
   try {
-    // Parse the tweets.js file
-    // Format: window.YTD.tweets.part0 = [...]
-    let tweets;
-
-    // Try different archive formats
-    if (data.startsWith('window.YTD.tweets.part')) {
-      // Extract JSON from the assignment
-      const jsonStart = data.indexOf('[');
-      const jsonData = data.substring(jsonStart);
-      tweets = JSON.parse(jsonData);
-    } else if (data.startsWith('[')) {
-      // Direct JSON array
-      tweets = JSON.parse(data);
-    } else {
-      throw new Error('Unrecognized archive format');
+    // Get categories for auto-tagging
+    const categories = await db.getCategories();
+    const { retweets, actions } = parseArchive(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No retweets, quotes, likes or bookmarks found in archive');
     }
 
+    // Batch add to database
+    const result = await db.addRetweets(retweets);
+
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('Archive import error:', error);
+    throw new Error(`Failed to parse archive: ${error.message}`);
+  }
+}
+
+/**
+ * Import saved and liked posts from an Instagram data download
+ * @param {string|string[]} data - Contents of saved_posts.json and/or liked_posts.json
+ * @returns {Object} Import results, with actions counting records per action
+ */
+export async function importInstagram(data) {
+  try {
     // Get categories for auto-tagging
     const categories = await db.getCategories();
+    const { retweets, actions } = parseInstagramExport(data, text => suggestTags(text, categories));
 
-    // Convert to our format
-    const retweets = [];
+    if (retweets.length === 0) {
+      throw new Error('No saved or liked posts found');
+    }
 
-    for (const item of tweets) {
-      const tweet = item.tweet || item;
+    // Batch add to database
+    const result = await db.addRetweets(retweets);
 
-      // Check if this is a retweet
-      const isRetweet = tweet.full_text?.startsWith('RT @') ||
-                        tweet.retweeted_status ||
-                        tweet.text?.startsWith('RT @');
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('Instagram import error:', error);
+    throw new Error(`Failed to import Instagram data: ${error.message}`);
+  }
+}
 
-      // Also include quote tweets
-      const isQuote = tweet.is_quote_status || tweet.quoted_status;
+/**
+ * Import favorite and liked videos from a TikTok data download
+ * @param {string|string[]} data - Contents of user_data.json
+ * @returns {Object} Import results, with actions counting records per action
+ */
+export async function importTikTok(data) {
+  try {
+    // Get categories for auto-tagging
+    const categories = await db.getCategories();
+    const { retweets, actions } = parseTikTokExport(data, text => suggestTags(text, categories));
 
-      if (!isRetweet && !isQuote) continue;
+    if (retweets.length === 0) {
+      throw new Error('No favorite or liked videos found');
+    }
 
-      const text = tweet.full_text || tweet.text || '';
+    // Batch add to database
+    const result = await db.addRetweets(retweets);
 
-      // Extract original author for retweets
-      let userHandle = '';
-      let userName = '';
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: retweets.length,
+      actions
+    };
+  } catch (error) {
+    console.error('TikTok import error:', error);
+    throw new Error(`Failed to import TikTok data: ${error.message}`);
+  }
+}
 
-      if (tweet.retweeted_status) {
-        userHandle = tweet.retweeted_status.user?.screen_name || '';
-        userName = tweet.retweeted_status.user?.name || '';
-      } else if (text.startsWith('RT @')) {
-        const match = text.match(/^RT @(\w+):/);
-        if (match) userHandle = match[1];
-      }
+/**
+ * Import liked videos and playlists from a Google Takeout YouTube export
+ * @param {Array<string|Object>} data - { name, text } per file (see parseYouTubeTakeout)
+ * @param {Object} options - { playlists: 'tags' | 'collections' }
+ * @returns {Object} Import results, with actions counting records per action and
+ *   collections the number of playlists put in collections
+ */
+export async function importYouTube(data, { playlists = 'tags' } = {}) {
+  try {
+    // Get categories for auto-tagging
+    const categories = await db.getCategories();
+    const parsed = parseYouTubeTakeout(data, text => suggestTags(text, categories), { playlists });
 
-      // Extract quoted tweet info
-      let quotedText = '';
-      let quotedAuthor = '';
+    if (parsed.retweets.length === 0) {
+      throw new Error('No liked videos or playlists found');
+    }
 
-      if (tweet.quoted_status) {
-        quotedText = tweet.quoted_status.full_text || tweet.quoted_status.text || '';
-        quotedAuthor = tweet.quoted_status.user?.screen_name || '';
-      }
+    // Batch add to database
+    const result = await db.addRetweets(parsed.retweets);
+    const collections = playlists === 'collections' ? await addPlaylistCollections(parsed.playlists) : 0;
 
-      // Extract media
-      const media = [];
-      const entities = tweet.extended_entities || tweet.entities;
-
-      if (entities?.media) {
-        for (const m of entities.media) {
-          media.push({
-            type: m.type === 'photo' ? 'image' : m.type,
-            url: m.media_url_https || m.media_url,
-            thumb_url: m.media_url_https || m.media_url
-          });
-        }
-      }
+    return {
+      added: result.added,
+      duplicates: result.duplicates,
+      total: parsed.retweets.length,
+      actions: parsed.actions,
+      collections
+    };
+  } catch (error) {
+    console.error('YouTube import error:', error);
+    throw new Error(`Failed to import YouTube data: ${error.message}`);
+  }
+}
 
-      // Auto-tag
-      const textToAnalyze = text + ' ' + quotedText;
-      const autoTags = suggestTags(textToAnalyze, categories);
+/**
+ * Put imported playlists in collections of the same name
+ * An existing collection with the name is added to rather than duplicated,
+ * so importing again doesn't create a second copy.
+ * @param {Object[]} playlists - { name, video_ids } from parseYouTubeTakeout
+ * @returns {number} Number of collections filled
+ */
+async function addPlaylistCollections(playlists) {
+  const existing = await db.getCollections();
+
+  for (const playlist of playlists) {
+    const name = playlist.name.substring(0, COLLECTION_OPTIONS.maxNameLength);
+    let collection = existing.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!collection) {
+      collection = await db.saveCollection({ name, description: 'Imported from YouTube' });
+      existing.push(collection);
+    }
 
-      retweets.push({
-        tweet_id: tweet.id_str || tweet.id,
-        user_handle: userHandle,
-        user_name: userName,
-        text: cleanRetweetText(text),
-        quoted_text: quotedText,
-        quoted_author: quotedAuthor,
-        media,
-        original_created_at: tweet.created_at ? new Date(tweet.created_at).toISOString() : null,
-        source: SOURCES.ARCHIVE,
-        source_url: userHandle ? `https://x.com/${userHandle}/status/${tweet.id_str || tweet.id}` : '',
-        auto_tags: autoTags,
-        raw_payload: tweet
-      });
+    const ids = [];
+    for (const videoId of playlist.video_ids) {
+      const record = await db.getRetweetByTweetId(videoId, SOURCES.YOUTUBE_TAKEOUT);
+      if (record) ids.push(record.id);
+    }
+    await db.updateCollectionItems(collection.id, items => addItems(items, ids));
+  }
+
+  return playlists.length;
+}
+
+/**
+ * Import links to posts from a browser bookmarks HTML export
+ * @param {string|string[]} data - Contents of one or more bookmarks.html files
+ * @returns {Object} Import results, with skipped counting links to other sites
+ */
+export async function importBookmarks(data) {
+  return importReadingList(data, parseBookmarksHtml, 'bookmarks');
+}
+
+/**
+ * Import links to posts from a Pocket CSV export
+ * @param {string|string[]} data - Contents of one or more Pocket CSV files
+ * @returns {Object} Import results, with skipped counting links to other sites
+ */
+export async function importPocket(data) {
+  return importReadingList(data, parsePocketExport, 'Pocket export');
+}
+
+/**
+ * Import links to posts from a Raindrop.io CSV export
+ * @param {string|string[]} data - Contents of one or more Raindrop CSV files
+ * @returns {Object} Import results, with skipped counting links to other sites
+ */
+export async function importRaindrop(data) {
+  return importReadingList(data, parseRaindropExport, 'Raindrop export');
+}
+
+/**
+ * Import a bookmark or read-later export with one of the reading-lists parsers
+ * @param {string|string[]} data - File contents
+ * @param {Function} parse - (files, autoTag) => { retweets, actions, skipped }
+ * @param {string} label - What is imported, for error messages
+ * @returns {Object} Import results
+ */
+async function importReadingList(data, parse, label) {
+  try {
+    // Get categories for auto-tagging
+    const categories = await db.getCategories();
+    const { retweets, actions, skipped } = parse(data, text => suggestTags(text, categories));
+
+    if (retweets.length === 0) {
+      throw new Error('No links to X, Instagram, TikTok or YouTube posts found');
     }
 
     // Batch add to database
@@ -113,11 +220,13 @@ export async function importArchive(data) {
     return {
       added: result.added,
       duplicates: result.duplicates,
-      total: retweets.length
+      total: retweets.length,
+      actions,
+      skipped
     };
   } catch (error) {
-    console.error('Archive import error:', error);
-    throw new Error(`Failed to parse archive: ${error.message}`);
+    console.error(`Import error (${label}):`, error);
+    throw new Error(`Failed to import ${label}: ${error.message}`);
   }
 }
 
@@ -317,6 +426,31 @@ export async function importNitter(url) {
   }
 }
 
+/**
+ * Restore the JSON file written by EXPORT_DATA
+ * With preview set nothing is written; the result describes what would change.
+ * @param {string} data - Contents of the backup file
+ * @param {Object} options - { mode: 'merge' | 'replace', preview }
+ * @returns {Object} Restore plan summary, plus added (captures written), duplicates
+ *   and conflicts (records skipped for clashing on a unique index)
+ */
+export async function importBackup(data, { mode = 'merge', preview = false } = {}) {
+  const backup = parseBackup(data);
+  const { records, ...plan } = planRestore(backup, await db.getBackupKeys(), mode);
+
+  const summary = preview ? plan.summary : await db.restoreBackup({ ...plan, records });
+  const conflicts = Object.values(summary).reduce((total, counts) => total + (counts.conflicts || 0), 0);
+
+  return {
+    ...plan,
+    summary,
+    preview,
+    added: records.retweets.length - (summary.retweets.conflicts || 0),
+    duplicates: plan.summary.retweets.kept,
+    conflicts
+  };
+}
+
 /**
  * Parse a CSV line handling quoted values
  * @param {string} line - CSV line
@@ -349,18 +483,6 @@ function parseCSVLine(line) {
   return values;
 }
 
-/**
- * Clean retweet text (remove RT prefix)
- * @param {string} text - Raw tweet text
- * @returns {string} Cleaned text
- */
-function cleanRetweetText(text) {
-  if (!text) return '';
-
-  // Remove RT @user: prefix
-  return text.replace(/^RT @\w+:\s*/, '').trim();
-}
-
 /**
  * Generate sample CSV template
  * @returns {string} CSV template
@@ -373,7 +495,7 @@ export function generateCSVTemplate() {
 
 /**
  * Validate import data before processing
- * @param {string} data - Data to validate
+ * @param {string|Array<string|Object>} data - Data to validate (archive and platform imports may pass several files, as text or { name, text })
  * @param {string} type - Import type
  * @returns {Object} Validation result
  */
@@ -381,6 +503,17 @@ export function validateImportData(data, type) {
   const errors = [];
   const warnings = [];
 
+  // Archive and platform imports may be several files
+  if (Array.isArray(data)) {
+    if (data.length === 0) errors.push('Data is empty');
+    for (const file of data) {
+      const result = validateImportData(typeof file === 'string' ? file : file?.text, type);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
   if (!data || data.trim().length === 0) {
     errors.push('Data is empty');
     return { valid: false, errors, warnings };
@@ -388,8 +521,39 @@ export function validateImportData(data, type) {
 
   switch (type) {
     case 'archive':
-      if (!data.includes('YTD.tweets') && !data.startsWith('[')) {
-        errors.push('Data does not appear to be a valid X archive file');
+      if (!/^\s*window\.YTD\.(tweets?|like|bookmark)\.part\d+/.test(data) && !data.trim().startsWith('[')) {
+        errors.push('Data does not appear to be an X archive posts, likes or bookmarks file');
+      }
+      break;
+
+    case 'instagram':
+      if (!data.includes('saved_saved_media') && !data.includes('likes_media_likes')) {
+        errors.push('Data does not appear to be an Instagram saved_posts.json or liked_posts.json file');
+      }
+      break;
+
+    case 'tiktok':
+      if (!data.includes('Favorite Videos') && !data.includes('Like List')) {
+        errors.push('Data does not appear to be a TikTok user_data.json file');
+      }
+      break;
+
+    case 'youtube':
+      if (!/(video|playlist) id/i.test(data) && !data.includes('"titleUrl"') && !data.includes('"videoId"')) {
+        errors.push('Data does not appear to be a YouTube playlist or My Activity file');
+      }
+      break;
+
+    case 'bookmarks':
+      if (!/<a\s[^>]*href\s*=/i.test(data)) {
+        errors.push('Data does not appear to be a bookmarks HTML file');
+      }
+      break;
+
+    case 'pocket':
+    case 'raindrop':
+      if (!/(^|,)"?url"?(,|\r?$)/i.test(data.split('\n')[0])) {
+        errors.push('CSV must have a url column');
       }
       break;
 
@@ -412,6 +576,12 @@ export function validateImportData(data, type) {
         warnings.push('URL does not appear to be a Nitter RSS feed');
       }
       break;
+
+    case 'backup':
+      if (!data.trim().startsWith('{')) {
+        errors.push('Data does not appear to be a Retweet Filter backup file');
+      }
+      break;
   }
 
   return {
@@ -423,8 +593,15 @@ export function validateImportData(data, type) {
 
 export default {
   importArchive,
+  importInstagram,
+  importTikTok,
+  importYouTube,
+  importBookmarks,
+  importPocket,
+  importRaindrop,
   importCSV,
   importNitter,
+  importBackup,
   generateCSVTemplate,
   validateImportData
 };
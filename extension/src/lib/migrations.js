@@ -0,0 +1,344 @@
+/**
+ * IndexedDB schema migrations
+ * One step per database version, run in order from onupgradeneeded. Every
+ * step shares the versionchange transaction, so if any step fails the whole
+ * upgrade is rolled back and the database stays at its old version.
+ *
+ * To change the schema, append a step and bump DB_VERSION to its version.
+ */
+
+import { STORES, READ_STATUSES, MIGRATION_OPTIONS, DEFAULT_CATEGORIES, SEARCH_TERMS_OPTIONS } from '../utils/constants.js';
+import { tokenizeRetweet } from './search.js';
+
+const METRIC_FIELDS = ['reply_count', 'retweet_count', 'like_count', 'view_count', 'bookmark_count'];
+
+const PLATFORM_HOSTS = [
+  ['instagram', /(^|\.)instagram\.com$/],
+  ['tiktok', /(^|\.)tiktok\.com$/],
+  ['youtube', /(^|\.)(youtube\.com|youtu\.be)$/]
+];
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the captures, settings, saved searches and categories stores',
+    migrate(transaction) {
+      const db = transaction.db;
+
+      const retweetsStore = db.createObjectStore(STORES.RETWEETS, { keyPath: 'id' });
+      retweetsStore.createIndex('tweet_id', 'tweet_id', { unique: false });
+      retweetsStore.createIndex('user_handle', 'user_handle', { unique: false });
+      retweetsStore.createIndex('captured_at', 'captured_at', { unique: false });
+      retweetsStore.createIndex('source', 'source', { unique: false });
+      retweetsStore.createIndex('tweet_id_source', ['tweet_id', 'source'], { unique: true });
+
+      db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+
+      const searchesStore = db.createObjectStore(STORES.SAVED_SEARCHES, { keyPath: 'id' });
+      searchesStore.createIndex('created_at', 'created_at', { unique: false });
+
+      db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Build the search index',
+    migrate(transaction, report) {
+      // One { token, id } posting per token per retweet
+      const indexStore = transaction.db.createObjectStore(STORES.SEARCH_INDEX, { keyPath: ['token', 'id'] });
+      indexStore.createIndex('id', 'id', { unique: false });
+
+      forEachRecord(transaction.objectStore(STORES.RETWEETS), report, (record) => {
+        for (const token of tokenizeRetweet(record)) {
+          indexStore.put({ token, id: record.id });
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Create the auto-tag rules store',
+    migrate(transaction) {
+      const rulesStore = transaction.db.createObjectStore(STORES.TAG_RULES, { keyPath: 'id' });
+      rulesStore.createIndex('created_at', 'created_at', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Create the trash store',
+    migrate(transaction) {
+      const trashStore = transaction.db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+      trashStore.createIndex('deleted_at', 'deleted_at', { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: 'Fill in platform, metrics and entities on older captures',
+    migrate(transaction, report) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('platform', 'platform', { unique: false });
+      retweetsStore.createIndex('platform_captured_at', ['platform', 'captured_at'], { unique: false });
+
+      const backfill = (record, cursor) => {
+        const updated = backfillRetweet(record);
+        if (updated) cursor.update(updated);
+      };
+
+      forEachRecord(retweetsStore, report, backfill);
+      forEachRecord(transaction.objectStore(STORES.TRASH), () => {}, backfill);
+    }
+  },
+  {
+    version: 6,
+    description: 'Index tags, auto-tags and sync state for filtering',
+    migrate(transaction) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      retweetsStore.createIndex('auto_tags', 'auto_tags', { unique: false, multiEntry: true });
+      retweetsStore.createIndex('synced_at', 'synced_at', { unique: false });
+    }
+  },
+  {
+    version: 7,
+    description: 'Create the collections store',
+    migrate(transaction) {
+      const collectionsStore = transaction.db.createObjectStore(STORES.COLLECTIONS, { keyPath: 'id' });
+      collectionsStore.createIndex('position', 'position', { unique: false });
+      collectionsStore.createIndex('item_ids', 'item_ids', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 8,
+    description: 'Add reading status and favorites to captures',
+    migrate(transaction, report) {
+      const retweetsStore = transaction.objectStore(STORES.RETWEETS);
+      retweetsStore.createIndex('status', 'status', { unique: false });
+      // Only favorites have a favorited_at; the null on the rest keeps them out of the index
+      retweetsStore.createIndex('favorited_at', 'favorited_at', { unique: false });
+
+      const backfill = (record, cursor) => {
+        const updated = backfillRetweet(record);
+        if (updated) cursor.update(updated);
+      };
+
+      forEachRecord(retweetsStore, report, backfill);
+      forEachRecord(transaction.objectStore(STORES.TRASH), () => {}, backfill);
+    }
+  },
+  {
+    version: 9,
+    description: 'Create the search terms store',
+    migrate(transaction) {
+      // Index words by their parts and first letters, for inside-word and typo
+      // lookups. The words already indexed are added in batches after the
+      // upgrade (see SEARCH_TERMS_OPTIONS), so a large archive doesn't hold it up.
+      transaction.db.createObjectStore(STORES.SEARCH_TERMS, { keyPath: ['gram', 'token'] });
+      transaction.objectStore(STORES.SETTINGS).put({
+        key: SEARCH_TERMS_OPTIONS.stateKey,
+        value: { status: 'running', cursor: null, added: 0 }
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Group unmodified default categories under their parents',
+    migrate(transaction) {
+      const store = transaction.objectStore(STORES.CATEGORIES);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        for (const record of regroupDefaultCategories(request.result)) {
+          store.put(record);
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Run every step newer than the database's version
+ * Call from onupgradeneeded. Steps that walk existing records report
+ * progress as they go; the upgrade is finished when the open request succeeds.
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {Function} onProgress - Called with { from, to, version, description, processed, total }
+ *   as each step starts and while it walks existing records
+ * @returns {Object[]} The steps that were run
+ */
+export function runMigrations(transaction, oldVersion, onProgress = () => {}) {
+  const steps = MIGRATIONS.filter(step => step.version > oldVersion);
+  const to = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  for (const step of steps) {
+    const report = (processed, total) => onProgress({
+      from: oldVersion,
+      to,
+      version: step.version,
+      description: step.description,
+      processed,
+      total
+    });
+
+    report(0, 0);
+    step.migrate(transaction, report);
+  }
+
+  return steps;
+}
+
+/**
+ * Fill in fields that older captures were stored without
+ * @param {Object} record - Stored retweet
+ * @returns {Object|null} Updated record, or null if nothing was missing
+ */
+export function backfillRetweet(record) {
+  const updates = {};
+
+  if (!record.platform) {
+    updates.platform = detectPlatform(record.source_url);
+  }
+
+  for (const field of METRIC_FIELDS) {
+    if (typeof record[field] !== 'number') {
+      updates[field] = Number(record[field]) || 0;
+    }
+  }
+
+  const entities = extractEntities(record.text);
+  for (const field of ['urls', 'hashtags', 'mentions']) {
+    if (!Array.isArray(record[field])) {
+      updates[field] = entities[field];
+    }
+  }
+
+  if (!Array.isArray(record.media)) {
+    updates.media = [];
+  }
+
+  // Captures from before the reading queue are already read; only new
+  // captures start out unread
+  if (!Object.values(READ_STATUSES).includes(record.status)) {
+    updates.status = READ_STATUSES.READ;
+  }
+  if (record.favorited_at === undefined) {
+    updates.favorited_at = null;
+  }
+
+  return Object.keys(updates).length > 0 ? { ...record, ...updates } : null;
+}
+
+/**
+ * Give stored default categories the parents they gained in the defaults
+ * Only categories still exactly as shipped (same keywords, no exclusions,
+ * weights, threshold or parent) are moved; edited ones are left alone. A
+ * missing parent is added if it is a keywordless group, and a keyword
+ * category the user deleted is not brought back.
+ * @param {Object[]} records - Stored categories ({ name, keywords, ... })
+ * @returns {Object[]} Records to write: regrouped categories and added groups
+ */
+export function regroupDefaultCategories(records = []) {
+  const stored = new Map(records.map(record => [record.name, record]));
+  const updates = [];
+
+  for (const record of records) {
+    const defaults = DEFAULT_CATEGORIES[record.name];
+    if (!defaults?.parent || !isUnmodifiedDefault(record, defaults)) continue;
+
+    if (!stored.has(defaults.parent)) {
+      const group = DEFAULT_CATEGORIES[defaults.parent];
+      if (group.keywords.length > 0) continue;
+
+      const added = { name: defaults.parent, keywords: [], exclude: [], weights: {}, threshold: 0, parent: group.parent || null };
+      stored.set(added.name, added);
+      updates.push(added);
+    }
+
+    updates.push({ ...record, parent: defaults.parent });
+  }
+
+  return updates;
+}
+
+function isUnmodifiedDefault(record, defaults) {
+  const keywords = record.keywords || [];
+  return !record.parent &&
+    !(record.exclude || []).length &&
+    Object.keys(record.weights || {}).length === 0 &&
+    !Number(record.threshold) &&
+    keywords.length === defaults.keywords.length &&
+    defaults.keywords.every(keyword => keywords.includes(keyword));
+}
+
+/**
+ * Work out a capture's platform from its link
+ * @param {string} url - Source URL
+ * @returns {string} twitter, instagram, tiktok or youtube
+ */
+export function detectPlatform(url) {
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return 'twitter';
+  }
+
+  const match = PLATFORM_HOSTS.find(([, pattern]) => pattern.test(host));
+  return match ? match[0] : 'twitter';
+}
+
+/**
+ * Pull links, hashtags and mentions out of plain text
+ * Shapes match what the content scripts capture from the page.
+ * @param {string} text - Capture text
+ * @returns {Object} { urls, hashtags, mentions }
+ */
+export function extractEntities(text = '') {
+  const source = text || '';
+  const urls = (source.match(/https?:\/\/[^\s]+/g) || []).map(url => ({
+    url,
+    display_url: url.replace(/^https?:\/\//, ''),
+    expanded_url: url
+  }));
+
+  return {
+    urls,
+    hashtags: (source.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.substring(1)),
+    mentions: (source.match(/@\w+/g) || []).map(mention => mention.substring(1))
+  };
+}
+
+/**
+ * Visit every record in a store with a cursor, reporting progress
+ * @param {IDBObjectStore} store - Store to walk
+ * @param {Function} report - Called with (processed, total)
+ * @param {Function} visit - Called with (record, cursor)
+ */
+function forEachRecord(store, report, visit) {
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    const total = countRequest.result;
+    let processed = 0;
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        report(total, total);
+        return;
+      }
+
+      visit(cursor.value, cursor);
+      processed++;
+      if (processed % MIGRATION_OPTIONS.progressInterval === 0) report(processed, total);
+      cursor.continue();
+    };
+  };
+}
+
+export default {
+  MIGRATIONS,
+  runMigrations,
+  backfillRetweet,
+  regroupDefaultCategories,
+  detectPlatform,
+  extractEntities
+};
@@ -0,0 +1,232 @@
+/**
+ * Notes and highlights on captures
+ * A capture can carry a free-text Markdown note (why it was saved) and
+ * highlighted passages of its text. Notes are indexed and searched with the
+ * rest of the record.
+ *
+ * A highlight is a { start, end, text } range of the capture's text. The
+ * passage is stored with the range so the highlight can be found again when
+ * the text changes (a duplicate merge keeps the longest text).
+ */
+
+import { NOTE_OPTIONS } from '../utils/constants.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Validate a note before it is stored
+ * @param {string} note - Markdown text
+ * @returns {string} Note without trailing whitespace
+ */
+export function normalizeNote(note) {
+  if (note === null || note === undefined) return '';
+  if (typeof note !== 'string') {
+    throw new Error('Note must be text');
+  }
+
+  const trimmed = note.trimEnd();
+  if (trimmed.length > NOTE_OPTIONS.maxLength) {
+    throw new Error(`Note is too long (max ${NOTE_OPTIONS.maxLength} characters)`);
+  }
+  return trimmed;
+}
+
+/**
+ * Anchor highlights to a capture's text
+ * Ranges whose passage no longer matches are moved to where the passage now
+ * occurs, or dropped if it is gone. Overlapping and touching ranges are
+ * merged, and the result is sorted by position.
+ * @param {string} text - Capture text
+ * @param {Object[]} highlights - { start, end, text? } ranges
+ * @returns {Object[]} { start, end, text } ranges
+ */
+export function normalizeHighlights(text, highlights) {
+  if (highlights === null || highlights === undefined) return [];
+  if (!Array.isArray(highlights)) {
+    throw new Error('Highlights must be an array');
+  }
+
+  const source = text || '';
+  const ranges = [];
+
+  for (const highlight of highlights) {
+    const range = anchorHighlight(source, highlight);
+    if (range) ranges.push(range);
+  }
+
+  ranges.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged.slice(0, NOTE_OPTIONS.maxHighlights).map(({ start, end }) => ({
+    start,
+    end,
+    text: source.substring(start, end)
+  }));
+}
+
+/**
+ * Find where a highlight belongs in the text
+ * @param {string} text - Capture text
+ * @param {Object} highlight - { start, end, text? }
+ * @returns {Object|null} { start, end }, or null if it can't be placed
+ */
+function anchorHighlight(text, highlight) {
+  if (!highlight || typeof highlight !== 'object') return null;
+
+  const { start, end, text: passage } = highlight;
+  const hasRange = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start && end <= text.length;
+
+  if (typeof passage === 'string' && passage.trim()) {
+    if (hasRange && text.substring(start, end) === passage) return { start, end };
+
+    const found = text.indexOf(passage);
+    return found === -1 ? null : { start: found, end: found + passage.length };
+  }
+
+  return hasRange ? { start, end } : null;
+}
+
+/**
+ * Render capture text with its highlights marked
+ * @param {string} text - Capture text
+ * @param {Object[]} highlights - { start, end, text } ranges
+ * @returns {string} Escaped HTML with <mark> around each highlight
+ */
+export function renderHighlightedText(text, highlights) {
+  const source = text || '';
+  let html = '';
+  let position = 0;
+
+  for (const { start, end } of normalizeHighlights(source, highlights)) {
+    html += escapeHtml(source.substring(position, start));
+    html += `<mark class="note-highlight">${escapeHtml(source.substring(start, end))}</mark>`;
+    position = end;
+  }
+
+  return html + escapeHtml(source.substring(position));
+}
+
+/**
+ * Render a note's Markdown as HTML
+ * Supports headings, paragraphs, bold, italics, inline and fenced code,
+ * lists, block quotes and http(s) links. The input is escaped before any
+ * markup is added, so raw HTML in a note is shown as text.
+ * @param {string} markdown - Note text
+ * @returns {string} HTML
+ */
+export function renderNoteMarkdown(markdown) {
+  const lines = escapeHtml(markdown || '').split(/\r?\n/);
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      html.push(`</${list}>`);
+      list = null;
+    }
+  };
+
+  for (const line of lines) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^&gt;\s?(.*)$/);
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      closeList();
+      code = [];
+    } else if (heading) {
+      flushParagraph();
+      closeList();
+      // Notes sit under the modal's own headings
+      const level = heading[1].length + 2;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (item) {
+      flushParagraph();
+      const type = item[1] ? 'ul' : 'ol';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderInline(item[2])}</li>`);
+    } else if (quote) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${renderInline(quote[1])}</blockquote>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  if (code) html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  flushParagraph();
+  closeList();
+
+  return html.join('');
+}
+
+/**
+ * Render inline Markdown in an already escaped line
+ * @param {string} text - Escaped text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  // Code spans are split out first so their contents are left alone
+  return text.split(/(`[^`]+`)/).map(part => {
+    if (/^`[^`]+`$/.test(part)) return `<code>${part.slice(1, -1)}</code>`;
+
+    return part
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w/])_([^_\s][^_]*)_(?![\w])/g, '$1<em>$2</em>');
+  }).join('');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+export default {
+  normalizeNote,
+  normalizeHighlights,
+  renderHighlightedText,
+  renderNoteMarkdown
+};
@@ -0,0 +1,474 @@
+/**
+ * Platform data downloads
+ * Reads the files a platform hands out when you ask for a copy of your data,
+ * turning saved and liked posts into records shaped like the live captures
+ * for that platform.
+ *
+ * - Instagram "Download your information" (JSON): saved_posts.json and
+ *   liked_posts.json
+ * - TikTok "Download your data" (JSON): the Favorite Videos and Like List
+ *   sections of user_data.json
+ * - Google Takeout, YouTube: playlist CSV or JSON files (liked videos are the
+ *   "Liked videos" playlist) and liked videos in My Activity JSON
+ *
+ * Each record lists the actions it came from, and captured_at is when the
+ * post was saved or liked. A post found in more than one file becomes one
+ * record carrying all of them.
+ */
+
+import { SOURCES, CAPTURE_ACTIONS } from '../utils/constants.js';
+import { parseCSV } from '../utils/helpers.js';
+
+// Instagram post links: /p/, /reel/, /reels/ and /tv/, optionally after the owner's name
+const INSTAGRAM_POST_URL = /^https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(p|reels?|tv)\/([\w-]+)/i;
+
+// TikTok video links: tiktok.com/@user/video/ID, or the tiktokv.com share links in the download
+const TIKTOK_VIDEO_URL = /^https?:\/\/(?:[\w-]+\.)?tiktokv?\.com\/(?:@([\w.-]+)\/video|share\/video|v)\/(\d+)/i;
+
+// Sections of user_data.json with the video lists, by the action they record
+const TIKTOK_SECTIONS = {
+  'Favorite Videos': CAPTURE_ACTIONS.FAVORITE,
+  'Like List': CAPTURE_ACTIONS.LIKE
+};
+
+// What YouTube playlists become: tags on their videos, or collections
+export const YOUTUBE_PLAYLIST_MODES = ['tags', 'collections'];
+
+// Names Takeout gives the liked videos playlist
+const YOUTUBE_LIKED_PLAYLIST = /^(liked videos|likes)$/i;
+const YOUTUBE_VIDEO_ID = /^[\w-]{11}$/;
+
+/**
+ * Turn Instagram data download files into records for db.addRetweets
+ * @param {string|string[]} files - Contents of saved_posts.json and/or liked_posts.json
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions } where actions counts records per action
+ */
+export function parseInstagramExport(files, autoTag = () => []) {
+  const records = new Map();
+
+  for (const file of toFileList(files)) {
+    const data = parseJsonFile(file, 'Instagram');
+    let entries;
+    let action;
+
+    if (Array.isArray(data.saved_saved_media)) {
+      entries = data.saved_saved_media;
+      action = CAPTURE_ACTIONS.SAVE;
+    } else if (Array.isArray(data.likes_media_likes)) {
+      entries = data.likes_media_likes;
+      action = CAPTURE_ACTIONS.LIKE;
+    } else {
+      throw new Error('Unrecognized Instagram file (expected saved_posts.json or liked_posts.json)');
+    }
+
+    for (const entry of entries) {
+      addRecord(records, instagramRecord(entry, action));
+    }
+  }
+
+  return finishRecords(records, autoTag);
+}
+
+/**
+ * Build a record from a saved or liked post entry
+ * Entries name the post's owner in `title` and keep the link and time in
+ * string_map_data (saves) or string_list_data (likes).
+ * @param {Object} entry - Entry from saved_saved_media or likes_media_likes
+ * @param {string} action - CAPTURE_ACTIONS value
+ * @returns {Object|null} Record, or null if the entry has no post link
+ */
+function instagramRecord(entry, action) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const values = [
+    ...Object.values(entry.string_map_data || {}),
+    ...(Array.isArray(entry.string_list_data) ? entry.string_list_data : [])
+  ].filter(value => value && typeof value === 'object');
+
+  const link = values.find(value => INSTAGRAM_POST_URL.test(value.href || ''));
+  if (!link) return null;
+
+  const [, match, postId] = link.href.match(INSTAGRAM_POST_URL);
+  const kind = match.toLowerCase().startsWith('reel') ? 'reel' : match.toLowerCase();
+  const postType = kind === 'reel' ? 'reel' : kind === 'tv' ? 'igtv' : 'post';
+  const handle = typeof entry.title === 'string' ? entry.title.trim().replace(/^@/, '') : '';
+  const timestamp = link.timestamp || values.find(value => value.timestamp)?.timestamp;
+
+  return {
+    tweet_id: postId,
+    post_id: postId,
+    post_type: postType,
+    platform: 'instagram',
+    user_handle: handle,
+    user_name: handle,
+    text: '',
+    media: [],
+    original_created_at: null,
+    captured_at: toIsoDate(timestamp),
+    source: SOURCES.INSTAGRAM_EXPORT,
+    source_url: `https://www.instagram.com/${kind}/${postId}/`,
+    actions: [action],
+    raw_payload: entry
+  };
+}
+
+/**
+ * Turn a TikTok data download into records for db.addRetweets
+ * The sections are looked for wherever they sit in the file, as their
+ * parent ("Activity", "Your Activity", "Likes and Favorites") has changed
+ * between versions of the download.
+ * @param {string|string[]} files - Contents of user_data.json
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions } where actions counts records per action
+ */
+export function parseTikTokExport(files, autoTag = () => []) {
+  const records = new Map();
+
+  for (const file of toFileList(files)) {
+    const sections = findSections(parseJsonFile(file, 'TikTok'), Object.keys(TIKTOK_SECTIONS));
+    if (sections.length === 0) {
+      throw new Error('No Favorite Videos or Like List found in the TikTok file');
+    }
+
+    for (const { name, value } of sections) {
+      // Each section holds one list (FavoriteVideoList, ItemFavoriteList)
+      const list = Array.isArray(value) ? value : Object.values(value || {}).find(Array.isArray) || [];
+      for (const entry of list) {
+        addRecord(records, tiktokRecord(entry, TIKTOK_SECTIONS[name]));
+      }
+    }
+  }
+
+  return finishRecords(records, autoTag);
+}
+
+/**
+ * Build a record from a Favorite Videos or Like List entry
+ * @param {Object} entry - { Date, Link } (older downloads use lower case keys)
+ * @param {string} action - CAPTURE_ACTIONS value
+ * @returns {Object|null} Record, or null if the entry has no video link
+ */
+function tiktokRecord(entry, action) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const link = String(entry.Link || entry.link || entry.VideoLink || '').trim();
+  const match = link.match(TIKTOK_VIDEO_URL);
+  if (!match) return null;
+
+  const [, handle = '', videoId] = match;
+
+  return {
+    tweet_id: videoId,
+    post_id: videoId,
+    post_type: 'video',
+    platform: 'tiktok',
+    user_handle: handle,
+    user_name: handle,
+    text: '',
+    media: [],
+    original_created_at: null,
+    captured_at: parseUtcDate(entry.Date || entry.date),
+    source: SOURCES.TIKTOK_EXPORT,
+    source_url: `https://www.tiktok.com/@${handle}/video/${videoId}`,
+    actions: [action],
+    raw_payload: entry
+  };
+}
+
+/**
+ * Turn Google Takeout YouTube files into records for db.addRetweets
+ * Videos in the liked videos playlist, or liked in My Activity, are likes;
+ * videos in other playlists are saves. Watch history is skipped.
+ * @param {Array<string|Object>} files - { name, text } per file, or bare contents. Playlist
+ *   CSVs from current Takeouts ("Road trip-videos.csv") only carry the playlist in their name.
+ * @param {Function} autoTag - (text) => suggested tags
+ * @param {Object} options - { playlists: 'tags' | 'collections' }; with 'tags' each video
+ *   is tagged with the playlists it is in
+ * @returns {Object} { retweets, actions, playlists } where playlists lists
+ *   { name, video_ids } in file order, liked videos excepted
+ */
+export function parseYouTubeTakeout(files, autoTag = () => [], { playlists: playlistMode = 'tags' } = {}) {
+  if (!YOUTUBE_PLAYLIST_MODES.includes(playlistMode)) {
+    throw new Error(`Unknown playlist mode "${playlistMode}"`);
+  }
+
+  const records = new Map();
+  const playlists = new Map();
+
+  for (const file of toFileList(files)) {
+    const { name = '', text = '' } = typeof file === 'string' ? { text: file } : file || {};
+
+    for (const video of readTakeoutFile(name, text)) {
+      const liked = video.liked || YOUTUBE_LIKED_PLAYLIST.test(video.playlist);
+      const record = youtubeRecord(video, liked ? CAPTURE_ACTIONS.LIKE : CAPTURE_ACTIONS.SAVE);
+      if (!record) continue;
+
+      if (video.playlist && !liked) {
+        if (!playlists.has(video.playlist)) playlists.set(video.playlist, []);
+        playlists.get(video.playlist).push(record.tweet_id);
+        if (playlistMode === 'tags') record.tags = [video.playlist];
+      }
+
+      const existing = records.get(record.tweet_id);
+      addRecord(records, record);
+      if (existing) existing.tags = [...new Set([...existing.tags, ...record.tags])];
+    }
+  }
+
+  return {
+    ...finishRecords(records, autoTag),
+    playlists: [...playlists].map(([name, ids]) => ({ name, video_ids: [...new Set(ids)] }))
+  };
+}
+
+/**
+ * Read the videos in one Takeout file
+ * @param {string} name - File name, or '' if unknown
+ * @param {string} text - File contents
+ * @returns {Object[]} { videoId, addedAt, title, channel, playlist, liked, raw }
+ */
+function readTakeoutFile(name, text) {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  const baseName = name.split('/').pop().replace(/\.(csv|json)$/i, '');
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const data = parseJsonFile(content, 'YouTube');
+    const items = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(items)) {
+      throw new Error('Unrecognized YouTube file (expected a playlist or My Activity file)');
+    }
+
+    return items.filter(item => item && typeof item === 'object').map(item => {
+      // My Activity: { title: "Liked <video>", titleUrl, subtitles: [{ name: channel }], time }
+      if ('titleUrl' in item || 'header' in item) {
+        const liked = /^Liked /.test(item.title || '');
+        const videoId = liked ? (String(item.titleUrl || '').match(/[?&]v=([\w-]{11})/) || [])[1] : null;
+        return {
+          videoId,
+          addedAt: item.time,
+          title: liked ? item.title.replace(/^Liked /, '') : '',
+          channel: item.subtitles?.[0]?.name || '',
+          playlist: '',
+          liked,
+          raw: item
+        };
+      }
+
+      // Older playlist exports: YouTube API playlistItem resources
+      return {
+        videoId: item.contentDetails?.videoId || item.snippet?.resourceId?.videoId,
+        addedAt: item.snippet?.publishedAt,
+        title: item.snippet?.title || '',
+        channel: item.snippet?.videoOwnerChannelTitle || '',
+        playlist: baseName,
+        liked: false,
+        raw: item
+      };
+    });
+  }
+
+  if (content.startsWith('<')) {
+    throw new Error('This YouTube file is in HTML format; choose JSON for My Activity in Takeout');
+  }
+
+  // Playlist CSV: "Video ID,Playlist Video Creation Timestamp" rows, after a
+  // playlist header block in older Takeouts
+  const rows = parseCSV(content);
+  const header = rows.findIndex(row => /^video id$/i.test((row[0] || '').trim()));
+  if (header === -1) {
+    // playlists.csv only describes the playlists
+    if (/^playlist id$/i.test((rows[0]?.[0] || '').trim())) return [];
+    throw new Error('Unrecognized YouTube file (expected a playlist CSV)');
+  }
+
+  let playlist = baseName.replace(/-videos$/i, '');
+  const info = rows.findIndex(row => /^playlist id$/i.test((row[0] || '').trim()));
+  if (info !== -1 && info < header) {
+    const titleColumn = rows[info].findIndex(cell => /^title$/i.test(cell.trim()));
+    if (titleColumn !== -1 && rows[info + 1]?.[titleColumn]) playlist = rows[info + 1][titleColumn].trim();
+  }
+
+  return rows.slice(header + 1).map(row => ({
+    videoId: (row[0] || '').trim(),
+    addedAt: (row[1] || '').trim(),
+    title: '',
+    channel: '',
+    playlist,
+    liked: false,
+    raw: { video_id: (row[0] || '').trim(), added_at: (row[1] || '').trim(), playlist }
+  }));
+}
+
+/**
+ * Build a record for a YouTube video
+ * @param {Object} video - Entry from readTakeoutFile
+ * @param {string} action - CAPTURE_ACTIONS value
+ * @returns {Object|null} Record, or null without a valid video ID
+ */
+function youtubeRecord(video, action) {
+  if (!YOUTUBE_VIDEO_ID.test(video.videoId || '')) return null;
+
+  const url = `https://www.youtube.com/watch?v=${video.videoId}`;
+
+  return {
+    tweet_id: video.videoId,
+    post_id: video.videoId,
+    platform: 'youtube',
+    user_handle: '',
+    user_name: video.channel,
+    text: video.title,
+    media: [{
+      type: 'video',
+      url,
+      thumb_url: `https://i.ytimg.com/vi/${video.videoId}/hqdefault.jpg`,
+      duration: 0,
+      source_platform: 'youtube'
+    }],
+    original_created_at: null,
+    captured_at: parseUtcDate(video.addedAt),
+    source: SOURCES.YOUTUBE_TAKEOUT,
+    source_url: url,
+    tags: [],
+    actions: [action],
+    raw_payload: video.raw
+  };
+}
+
+/**
+ * Find named sections anywhere in a parsed JSON file
+ * @param {Object} data - Parsed JSON
+ * @param {string[]} names - Keys to look for
+ * @returns {Object[]} { name, value } for each key found, outermost first
+ */
+function findSections(data, names) {
+  const found = [];
+  const queue = [data];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object' || Array.isArray(node)) continue;
+
+    for (const [key, value] of Object.entries(node)) {
+      if (names.includes(key)) {
+        found.push({ name: key, value });
+      } else {
+        queue.push(value);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Accept one file or a list of them
+ * @param {string|string[]} files - File contents
+ * @returns {string[]} Non-empty list
+ */
+function toFileList(files) {
+  const list = Array.isArray(files) ? files : [files];
+  if (list.length === 0) {
+    throw new Error('No files given');
+  }
+  return list;
+}
+
+/**
+ * Parse a JSON data download file
+ * @param {string} file - File contents
+ * @param {string} platform - Platform name for error messages
+ * @returns {Object} Parsed JSON object
+ */
+function parseJsonFile(file, platform) {
+  const text = String(file || '').replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('<')) {
+    throw new Error(`This ${platform} download is in HTML format; request it again in JSON format`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${platform} file is not valid JSON`);
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${platform} file is not valid JSON`);
+  }
+  return data;
+}
+
+/**
+ * Add a record, folding it into an earlier one for the same post
+ * The earlier record keeps its fields and gains the actions; the earliest
+ * capture time wins.
+ * @param {Map} records - Records by post ID (modified in place)
+ * @param {Object|null} record - Record to add
+ */
+function addRecord(records, record) {
+  if (!record) return;
+
+  const existing = records.get(record.tweet_id);
+  if (!existing) {
+    records.set(record.tweet_id, record);
+    return;
+  }
+
+  existing.actions = [...new Set([...existing.actions, ...record.actions])];
+  if (record.captured_at && (!existing.captured_at || record.captured_at < existing.captured_at)) {
+    existing.captured_at = record.captured_at;
+  }
+  for (const field of ['user_handle', 'user_name', 'text']) {
+    if (!existing[field] && record[field]) existing[field] = record[field];
+  }
+}
+
+/**
+ * Auto-tag the records and count them per action
+ * @param {Map} records - Records by post ID
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions }
+ */
+function finishRecords(records, autoTag) {
+  const retweets = [...records.values()];
+  const actions = {};
+
+  for (const record of retweets) {
+    record.auto_tags = autoTag(record.text);
+    for (const action of record.actions) {
+      actions[action] = (actions[action] || 0) + 1;
+    }
+  }
+
+  return { retweets, actions };
+}
+
+/**
+ * Convert a Unix timestamp in seconds to an ISO date
+ * @param {number} seconds - Timestamp
+ * @returns {string|undefined} ISO date, or undefined if missing
+ */
+function toIsoDate(seconds) {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000).toISOString() : undefined;
+}
+
+/**
+ * Convert a date written without a time zone, taken to be UTC, to an ISO date
+ * @param {string} date - e.g. "2024-01-15 10:00:00"; a zone, offset or "UTC" is kept
+ * @returns {string|undefined} ISO date, or undefined if missing or invalid
+ */
+function parseUtcDate(date) {
+  const value = String(date || '').trim().replace(/\s*UTC$/i, 'Z').replace(' ', 'T');
+  if (!value) return undefined;
+
+  const parsed = new Date(/(Z|[+-]\d\d:?\d\d)$/i.test(value) ? value : `${value}Z`);
+  return isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+}
+
+export default {
+  YOUTUBE_PLAYLIST_MODES,
+  parseInstagramExport,
+  parseTikTokExport,
+  parseYouTubeTakeout
+};
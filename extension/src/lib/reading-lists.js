@@ -0,0 +1,371 @@
+/**
+ * Bookmark and read-later exports
+ * Reads lists of saved links and keeps the ones that point at a post on a
+ * supported platform (X, Instagram, TikTok or YouTube); other links are
+ * counted as skipped.
+ *
+ * - Browser bookmarks: the Netscape bookmark HTML file every browser exports
+ *   (Pocket's older ril_export.html has the same shape)
+ * - Pocket: the CSV export (title, url, time_added, tags, status)
+ * - Raindrop.io: the CSV export (url, folder, tags, created, favorite, ...)
+ *
+ * Folders become one nested tag ("Reading/Tech") and the export's own tags
+ * are kept. captured_at is when the link was saved. A post saved more than
+ * once becomes one record with the tags of every copy.
+ */
+
+import { SOURCES, CAPTURE_ACTIONS, READ_STATUSES, TAG_PATH_SEPARATOR } from '../utils/constants.js';
+import { parseCSV } from '../utils/helpers.js';
+import { canonicalUrl } from './duplicates.js';
+
+// Top-level folders browsers put every bookmark in; they don't become tags
+const BROWSER_ROOT_FOLDERS = /^(bookmarks bar|bookmarks toolbar|bookmarks menu|other bookmarks|mobile bookmarks|favorites bar|other favorites)$/i;
+
+// Raindrop's folder for links not filed anywhere
+const RAINDROP_UNSORTED = /^unsorted$/i;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Turn browser bookmark HTML files into records for db.addRetweets
+ * @param {string|string[]} files - Contents of one or more bookmarks.html files
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions, skipped } where skipped counts links
+ *   not on a supported platform
+ */
+export function parseBookmarksHtml(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toFileList(files)) {
+    const html = String(file || '');
+    if (!/<a\s[^>]*href\s*=/i.test(html)) {
+      throw new Error('Unrecognized bookmarks file (expected an HTML bookmarks export)');
+    }
+
+    // Each <H3> names the folder whose <DL> follows it
+    const folders = [];
+    let pendingFolder = null;
+    const tokens = /<(h3|a)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<(\/?)dl\b[^>]*>/gi;
+
+    for (const [, tag, attributes, content, closing] of html.matchAll(tokens)) {
+      if (!tag) {
+        if (closing) {
+          folders.pop();
+        } else {
+          folders.push(pendingFolder);
+          pendingFolder = null;
+        }
+      } else if (tag.toLowerCase() === 'h3') {
+        pendingFolder = decodeEntities(stripTags(content));
+      } else {
+        const attrs = readAttributes(attributes);
+        const path = folders.filter(Boolean);
+        if (path.length > 0 && BROWSER_ROOT_FOLDERS.test(path[0])) path.shift();
+
+        links.push({
+          url: attrs.href || '',
+          title: decodeEntities(stripTags(content)),
+          addedAt: toIsoDate(attrs.add_date || attrs.time_added),
+          folders: path,
+          tags: splitTags(attrs.tags, ','),
+          raw: { url: attrs.href || '', folders: path, add_date: attrs.add_date || attrs.time_added || '', tags: attrs.tags || '' }
+        });
+      }
+    }
+  }
+
+  return collectLinks(links, SOURCES.BOOKMARKS_HTML, autoTag);
+}
+
+/**
+ * Turn Pocket CSV exports into records for db.addRetweets
+ * Tags are separated by "|"; archived items keep the archived status.
+ * @param {string|string[]} files - Contents of one or more Pocket CSV files
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions, skipped }
+ */
+export function parsePocketExport(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toFileList(files)) {
+    const rows = readCsvRows(file, ['url', 'time_added'], 'Unrecognized Pocket file (expected a CSV with url and time_added columns)');
+
+    for (const row of rows) {
+      links.push({
+        url: row.url || '',
+        title: row.title || '',
+        addedAt: toIsoDate(row.time_added),
+        folders: [],
+        tags: splitTags(row.tags, '|'),
+        status: row.status === 'archive' ? READ_STATUSES.ARCHIVED : undefined,
+        raw: row
+      });
+    }
+  }
+
+  return collectLinks(links, SOURCES.POCKET, autoTag);
+}
+
+/**
+ * Turn Raindrop.io CSV exports into records for db.addRetweets
+ * The folder column holds the collection, with nested ones as "Parent/Child";
+ * favorites stay favorites.
+ * @param {string|string[]} files - Contents of one or more Raindrop CSV files
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions, skipped }
+ */
+export function parseRaindropExport(files, autoTag = () => []) {
+  const links = [];
+
+  for (const file of toFileList(files)) {
+    const rows = readCsvRows(file, ['url', 'folder'], 'Unrecognized Raindrop file (expected a CSV with url and folder columns)');
+
+    for (const row of rows) {
+      const folder = (row.folder || '').trim();
+      const created = new Date(row.created || '');
+
+      links.push({
+        url: row.url || '',
+        title: row.title || '',
+        note: row.note || '',
+        addedAt: isNaN(created.getTime()) ? undefined : created.toISOString(),
+        folders: RAINDROP_UNSORTED.test(folder) ? [] : folder.split(TAG_PATH_SEPARATOR),
+        tags: splitTags(row.tags, ','),
+        favorite: row.favorite === 'true',
+        raw: row
+      });
+    }
+  }
+
+  return collectLinks(links, SOURCES.RAINDROP, autoTag);
+}
+
+/**
+ * Build records from saved links, one per post
+ * @param {Object[]} links - { url, title, note, addedAt, folders, tags, status, favorite, raw }
+ * @param {string} source - SOURCES value
+ * @param {Function} autoTag - (text) => suggested tags
+ * @returns {Object} { retweets, actions, skipped }
+ */
+function collectLinks(links, source, autoTag) {
+  const records = new Map();
+  let skipped = 0;
+
+  for (const link of links) {
+    const record = linkRecord(link, source);
+    if (!record) {
+      skipped++;
+      continue;
+    }
+
+    const key = `${record.platform}:${record.tweet_id}`;
+    const existing = records.get(key);
+    if (!existing) {
+      records.set(key, record);
+      continue;
+    }
+
+    existing.tags = uniqueTags([...existing.tags, ...record.tags]);
+    if (record.captured_at && (!existing.captured_at || record.captured_at < existing.captured_at)) {
+      existing.captured_at = record.captured_at;
+    }
+    if (!existing.text && record.text) existing.text = record.text;
+    if (!existing.favorited_at && record.favorited_at) existing.favorited_at = record.favorited_at;
+  }
+
+  const retweets = [...records.values()];
+  for (const record of retweets) {
+    record.auto_tags = autoTag(record.text);
+  }
+
+  return {
+    retweets,
+    actions: retweets.length > 0 ? { [CAPTURE_ACTIONS.BOOKMARK]: retweets.length } : {},
+    skipped
+  };
+}
+
+/**
+ * Build a record for a saved link to a post
+ * The platform and post ID come from canonicalUrl; the author, where the
+ * link names one, from its path.
+ * @param {Object} link - Saved link (see collectLinks)
+ * @param {string} source - SOURCES value
+ * @returns {Object|null} Record, or null if the link isn't a post on a supported platform
+ */
+function linkRecord(link, source) {
+  const match = (canonicalUrl(link.url.trim()) || '').match(/^(twitter|instagram|tiktok|youtube):(.+)$/);
+  if (!match) return null;
+
+  const [, platform, postId] = match;
+  const path = new URL(link.url.trim()).pathname.split('/').filter(Boolean);
+  const title = link.title === link.url ? '' : link.title.trim();
+  const record = {
+    tweet_id: postId,
+    post_id: postId,
+    platform,
+    user_handle: '',
+    user_name: '',
+    text: title,
+    media: [],
+    original_created_at: null,
+    captured_at: link.addedAt,
+    source,
+    tags: uniqueTags([folderTag(link.folders), ...link.tags]),
+    note: link.note || '',
+    actions: [CAPTURE_ACTIONS.BOOKMARK],
+    raw_payload: link.raw
+  };
+
+  if (link.status) record.status = link.status;
+  if (link.favorite) record.favorited_at = link.addedAt || new Date().toISOString();
+
+  if (platform === 'twitter') {
+    record.user_handle = path[0] && path[0] !== 'i' ? path[0] : '';
+    record.source_url = `https://x.com/${record.user_handle || 'i/web'}/status/${postId}`;
+  } else if (platform === 'instagram') {
+    const kindIndex = path.findIndex(part => /^(p|reels?|tv)$/i.test(part));
+    const kind = path[kindIndex].toLowerCase().startsWith('reel') ? 'reel' : path[kindIndex].toLowerCase();
+    record.post_type = kind === 'reel' ? 'reel' : kind === 'tv' ? 'igtv' : 'post';
+    record.user_handle = kindIndex > 0 ? path[0] : '';
+    record.source_url = `https://www.instagram.com/${kind}/${postId}/`;
+  } else if (platform === 'tiktok') {
+    record.post_type = 'video';
+    record.user_handle = path[0].replace(/^@/, '');
+    record.source_url = `https://www.tiktok.com/@${record.user_handle}/video/${postId}`;
+  } else {
+    record.source_url = `https://www.youtube.com/watch?v=${postId}`;
+    record.media = [{
+      type: 'video',
+      url: record.source_url,
+      thumb_url: `https://i.ytimg.com/vi/${postId}/hqdefault.jpg`,
+      duration: 0,
+      source_platform: 'youtube'
+    }];
+  }
+  record.user_name = record.user_handle;
+
+  return record;
+}
+
+/**
+ * Read a CSV export into rows keyed by lower-case column name
+ * @param {string} file - File contents
+ * @param {string[]} required - Columns the export must have
+ * @param {string} message - Error when they are missing
+ * @returns {Object[]} Rows, blank lines left out
+ */
+function readCsvRows(file, required, message) {
+  const [header = [], ...rows] = parseCSV(String(file || ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!required.every(name => columns.includes(name))) {
+    throw new Error(message);
+  }
+
+  return rows
+    .filter(row => row.some(value => value.trim()))
+    .map(row => Object.fromEntries(columns.map((name, i) => [name, (row[i] || '').trim()])));
+}
+
+/**
+ * Read the attributes of an HTML tag
+ * @param {string} text - Everything between the tag name and ">"
+ * @returns {Object} Decoded values by lower-case attribute name
+ */
+function readAttributes(text) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of text.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return attrs;
+}
+
+/**
+ * Turn a folder path into one nested tag
+ * @param {string[]} folders - Folder names, outermost first
+ * @returns {string} e.g. "Reading/Tech", or '' outside any folder
+ */
+function folderTag(folders) {
+  return folders
+    .map(name => name.split(TAG_PATH_SEPARATOR).join('-').trim())
+    .filter(Boolean)
+    .join(TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Split an export's tag list
+ * @param {string} value - e.g. "news|ai" or "news, ai"
+ * @param {string} separator - Separator used by the export
+ * @returns {string[]} Tags
+ */
+function splitTags(value, separator) {
+  return String(value || '').split(separator).map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Drop empty and repeated tags, comparing without case
+ * @param {string[]} tags - Tags
+ * @returns {string[]} Tags in first-seen order
+ */
+function uniqueTags(tags) {
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Accept one file or a list of them
+ * @param {string|string[]} files - File contents
+ * @returns {string[]} Non-empty list
+ */
+function toFileList(files) {
+  const list = Array.isArray(files) ? files : [files];
+  if (list.length === 0) {
+    throw new Error('No files given');
+  }
+  return list;
+}
+
+/**
+ * Remove tags from an HTML fragment
+ * @param {string} html - Fragment
+ * @returns {string} Text, trimmed
+ */
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Decode the HTML entities bookmark exports use
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert a Unix timestamp in seconds to an ISO date
+ * @param {number|string} seconds - Timestamp
+ * @returns {string|undefined} ISO date, or undefined if missing
+ */
+function toIsoDate(seconds) {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000).toISOString() : undefined;
+}
+
+export default {
+  parseBookmarksHtml,
+  parsePocketExport,
+  parseRaindropExport
+};
@@ -0,0 +1,296 @@
+/**
+ * Auto-tag rules engine
+ * Evaluates user-defined rules ("author is @karpathy -> AI") against records.
+ *
+ * A rule looks like:
+ * {
+ *   id, name, enabled,
+ *   match: 'all' | 'any',
+ *   conditions: [{ field, operator, value } | { match, conditions }],
+ *   tags: ['AI']
+ * }
+ * Conditions may nest groups with their own match mode.
+ */
+
+import { TAG_RULE_OPERATORS } from '../utils/constants.js';
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const NEGATED_OPERATORS = {
+  not_equals: 'equals',
+  not_contains: 'contains',
+  not_exists: 'exists'
+};
+
+/**
+ * Resolve a rule field to the list of values it has on a record
+ * Derived fields (author, domain, has, duration, ...) are computed; anything
+ * else is read as a dotted path.
+ * @param {Object} retweet - Retweet record
+ * @param {string} field - Field name
+ * @returns {Array<string|number|boolean>} Values (empty if missing)
+ */
+export function getRuleFieldValues(retweet, field) {
+  const media = retweet.media || [];
+  const urls = (retweet.urls || []).map(u => (typeof u === 'string' ? u : u.expanded_url || u.url)).filter(Boolean);
+  if (retweet.card?.url) urls.push(retweet.card.url);
+
+  switch (field) {
+    case 'author':
+      return retweet.user_handle ? [retweet.user_handle.replace(/^@/, '')] : [];
+
+    case 'text':
+      return [retweet.text, retweet.quoted_text].filter(Boolean);
+
+    case 'url':
+      return urls;
+
+    case 'domain':
+      return [...new Set(urls.map(getDomain).filter(Boolean))];
+
+    case 'hashtag': {
+      const fromText = (retweet.text || '').match(/#\w+/g) || [];
+      return [...new Set([...(retweet.hashtags || []), ...fromText.map(h => h.substring(1))])];
+    }
+
+    case 'mention':
+      return retweet.mentions || [];
+
+    case 'platform':
+      return [retweet.platform || 'twitter'];
+
+    case 'has': {
+      const has = [];
+      if (media.length > 0) has.push('media');
+      if (media.some(m => m.type === 'image' || m.type === 'photo')) has.push('image');
+      if (media.some(m => m.type === 'video' || m.type === 'gif')) has.push('video');
+      if (urls.length > 0) has.push('link');
+      if (retweet.quoted_text || retweet.quoted_tweet) has.push('quote');
+      return has;
+    }
+
+    case 'duration': {
+      const durations = media.map(m => m.duration).filter(d => typeof d === 'number' && d > 0);
+      return durations.length > 0 ? [Math.max(...durations) / 60] : [];
+    }
+
+    case 'likes':
+      return [retweet.like_count || 0];
+
+    case 'views':
+      return [retweet.view_count || 0];
+
+    case 'retweets':
+      return [retweet.retweet_count || 0];
+
+    case 'replies':
+      return [retweet.reply_count || 0];
+
+    case 'tag':
+      return [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+
+    default: {
+      // Arrays are flattened at every step, so "media.type" lists each item's type
+      let values = [retweet];
+      for (const part of field.split('.')) {
+        values = values.flatMap(value => {
+          if (value === null || typeof value !== 'object') return [];
+          return Array.isArray(value[part]) ? value[part] : [value[part]];
+        });
+      }
+      return values.filter(value => value !== undefined && value !== null && value !== '');
+    }
+  }
+}
+
+/**
+ * Get the hostname of a URL without a leading "www."
+ * @param {string} url - URL
+ * @returns {string} Domain, or '' if the URL is invalid
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Compare a single value with a positive (non-negated) operator
+ * @param {*} actual - Value from the record
+ * @param {string} operator - Operator name
+ * @param {*} expected - Value from the condition
+ * @param {string} field - Field name (domains also match subdomains)
+ * @returns {boolean} True if the value satisfies the operator
+ */
+function compareValue(actual, operator, expected, field) {
+  if (operator === 'exists') return true;
+
+  if (NUMERIC_OPERATORS.includes(operator)) {
+    const a = Number(actual);
+    const b = Number(expected);
+    if (isNaN(a) || isNaN(b)) return false;
+    if (operator === 'gt') return a > b;
+    if (operator === 'gte') return a >= b;
+    if (operator === 'lt') return a < b;
+    return a <= b;
+  }
+
+  const a = String(actual).toLowerCase();
+  let b = String(expected ?? '').toLowerCase();
+  if (field === 'author') b = b.replace(/^@/, '');
+
+  switch (operator) {
+    case 'equals':
+      return a === b || (field === 'domain' && a.endsWith(`.${b}`));
+    case 'contains':
+      return a.includes(b);
+    case 'starts_with':
+      return a.startsWith(b);
+    case 'ends_with':
+      return a.endsWith(b);
+    case 'matches':
+      try {
+        return new RegExp(expected, 'i').test(String(actual));
+      } catch {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition or nested condition group against a record
+ * Array-valued fields match if any value does; negated operators match if
+ * no value does.
+ * @param {Object} retweet - Retweet record
+ * @param {Object} condition - { field, operator, value } or { match, conditions }
+ * @returns {boolean} True if the condition holds
+ */
+export function evaluateCondition(retweet, condition) {
+  if (Array.isArray(condition.conditions)) {
+    return evaluateGroup(retweet, condition.match, condition.conditions);
+  }
+
+  const values = getRuleFieldValues(retweet, condition.field);
+  const positive = NEGATED_OPERATORS[condition.operator];
+
+  if (positive) {
+    return !values.some(value => compareValue(value, positive, condition.value, condition.field));
+  }
+
+  return values.some(value => compareValue(value, condition.operator, condition.value, condition.field));
+}
+
+/**
+ * Evaluate a list of conditions with AND ("all") or OR ("any") semantics
+ * @param {Object} retweet - Retweet record
+ * @param {string} match - 'all' or 'any'
+ * @param {Object[]} conditions - Conditions to evaluate
+ * @returns {boolean} True if the group holds (an empty group never does)
+ */
+function evaluateGroup(retweet, match, conditions) {
+  if (!conditions || conditions.length === 0) return false;
+
+  return match === 'any'
+    ? conditions.some(condition => evaluateCondition(retweet, condition))
+    : conditions.every(condition => evaluateCondition(retweet, condition));
+}
+
+/**
+ * Check whether a rule matches a record
+ * @param {Object} rule - Rule definition
+ * @param {Object} retweet - Retweet record
+ * @returns {boolean} True if the rule is enabled and its conditions hold
+ */
+export function evaluateRule(rule, retweet) {
+  if (rule.enabled === false) return false;
+  return evaluateGroup(retweet, rule.match, rule.conditions);
+}
+
+/**
+ * Get the tags all matching rules assign to a record
+ * @param {Object} retweet - Retweet record
+ * @param {Object[]} rules - Rule definitions
+ * @returns {string[]} Unique tags
+ */
+export function applyTagRules(retweet, rules = []) {
+  const tags = new Set();
+
+  for (const rule of rules) {
+    if (evaluateRule(rule, retweet)) {
+      for (const tag of rule.tags || []) tags.add(tag);
+    }
+  }
+
+  return Array.from(tags);
+}
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule definition
+ * @returns {Object} { valid, errors }
+ */
+export function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || !rule.name || rule.name.trim() === '') {
+    errors.push('Rule needs a name');
+  }
+
+  if (!rule || !Array.isArray(rule.tags) || rule.tags.filter(t => t && t.trim()).length === 0) {
+    errors.push('Rule needs at least one tag');
+  }
+
+  const checkConditions = (conditions) => {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      errors.push('Rule needs at least one condition');
+      return;
+    }
+
+    for (const condition of conditions) {
+      if (Array.isArray(condition.conditions)) {
+        checkConditions(condition.conditions);
+        continue;
+      }
+
+      if (!condition.field) {
+        errors.push('Condition is missing a field');
+      }
+
+      if (!TAG_RULE_OPERATORS[condition.operator]) {
+        errors.push(`Unknown operator "${condition.operator}"`);
+        continue;
+      }
+
+      const value = condition.value === undefined || condition.value === null ? '' : String(condition.value).trim();
+      if (NUMERIC_OPERATORS.includes(condition.operator) && (value === '' || isNaN(Number(value)))) {
+        errors.push(`"${condition.field}" ${TAG_RULE_OPERATORS[condition.operator]} needs a number`);
+      }
+
+      if (condition.operator === 'matches') {
+        try {
+          new RegExp(condition.value);
+        } catch {
+          errors.push(`Invalid regex "${condition.value}"`);
+        }
+      }
+    }
+  };
+
+  checkConditions(rule?.conditions);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+export default {
+  getRuleFieldValues,
+  evaluateCondition,
+  evaluateRule,
+  applyTagRules,
+  validateRule
+};
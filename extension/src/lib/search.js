@@ -3,13 +3,14 @@
  * Provides full-text search across retweets with filtering
  */
 
-import { SEARCH_OPTIONS } from '../utils/constants.js';
+import { SEARCH_OPTIONS, SEARCH_INDEX_MIN_TOKEN_LENGTH, SIMILARITY_OPTIONS, STOP_WORDS, READ_STATUSES } from '../utils/constants.js';
+import { tagMatchesFilter, expandTagFilter } from './tagger.js';
 
 /**
  * Simple fuzzy search implementation
  * @param {string} text - Text to search in
  * @param {string} pattern - Pattern to search for
- * @returns {Object|null} Match info or null
+ * @returns {Object|null} Match info ({ score, gaps, indices }) or null
  */
 function fuzzyMatch(text, pattern) {
   if (!text || !pattern) return null;
@@ -22,6 +23,7 @@ function fuzzyMatch(text, pattern) {
   if (exactIndex !== -1) {
     return {
       score: 0,
+      gaps: 0,
       indices: [[exactIndex, exactIndex + pattern.length - 1]]
     };
   }
@@ -30,40 +32,403 @@ function fuzzyMatch(text, pattern) {
   let patternIdx = 0;
   let textIdx = 0;
   const indices = [];
-  let score = 0;
+  let gaps = 0;
 
   while (textIdx < text.length && patternIdx < pattern.length) {
     if (textLower[textIdx] === patternLower[patternIdx]) {
       indices.push([textIdx, textIdx]);
       patternIdx++;
     } else {
-      score += 0.1; // Penalty for gaps
+      gaps++; // Penalty for gaps
     }
     textIdx++;
   }
 
   if (patternIdx === pattern.length) {
-    return { score, indices };
+    return { score: gaps * 0.1, gaps, indices };
+  }
+
+  return null;
+}
+
+/**
+ * Operators understood by parseQuery
+ */
+const QUERY_OPERATORS = ['from', 'tag', 'platform', 'has', 'is', 'before', 'after'];
+
+/**
+ * Platform aliases accepted by the platform: operator
+ */
+const PLATFORM_ALIASES = {
+  x: 'twitter',
+  twitter: 'twitter',
+  ig: 'instagram',
+  instagram: 'instagram',
+  tt: 'tiktok',
+  tiktok: 'tiktok',
+  yt: 'youtube',
+  youtube: 'youtube'
+};
+
+/**
+ * Parse a structured search query
+ *
+ * Supports `from:handle`, `tag:AI`, `-from:handle`, `-tag:AI`, `platform:tiktok`, `has:media`,
+ * `has:link`, `has:note`, `has:highlight`, `is:unread`, `is:read`, `is:archived`,
+ * `is:favorite`, `before:YYYY-MM-DD`, `after:YYYY-MM-DD`, "quoted phrases",
+ * `-exclusions` and `OR` between terms. Operator values may be quoted
+ * (`tag:"Language Models"`). Unknown operators are kept as plain text.
+ *
+ * @param {string} query - Raw query string
+ * @returns {Object} { groups, exclude, filters } where groups is a list of
+ *   AND-ed clauses, each a list of OR-ed { value, phrase } terms
+ */
+export function parseQuery(query) {
+  const parsed = { groups: [], exclude: [], filters: {} };
+  if (!query || query.trim() === '') return parsed;
+
+  const tokenRegex = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let joinNext = false;
+  let match;
+
+  while ((match = tokenRegex.exec(query)) !== null) {
+    const [raw, negation, operator, quoted, bare] = match;
+    const isPhrase = quoted !== undefined;
+    const value = isPhrase ? quoted : bare;
+
+    if (!operator && !negation && !isPhrase && value === 'OR') {
+      joinNext = parsed.groups.length > 0;
+      continue;
+    }
+
+    if (operator && QUERY_OPERATORS.includes(operator.toLowerCase()) &&
+        applyQueryOperator(parsed.filters, operator.toLowerCase(), value, !!negation)) {
+      joinNext = false;
+      continue;
+    }
+
+    // Plain term, phrase or unknown operator (e.g. a pasted URL)
+    const text = operator ? raw.substring(negation.length) : value;
+    if (!text || text.trim() === '') continue;
+
+    const term = { value: text.toLowerCase(), phrase: isPhrase };
+
+    if (negation) {
+      parsed.exclude.push(term);
+    } else if (joinNext) {
+      parsed.groups[parsed.groups.length - 1].push(term);
+    } else {
+      parsed.groups.push([term]);
+    }
+    joinNext = false;
+  }
+
+  return parsed;
+}
+
+/**
+ * Apply a single query operator to a filters object
+ * @param {Object} filters - Filters being built
+ * @param {string} operator - Operator name (lowercase)
+ * @param {string} value - Operator value
+ * @param {boolean} negated - Whether the operator was prefixed with "-"
+ * @returns {boolean} True if the operator was understood
+ */
+function applyQueryOperator(filters, operator, value, negated) {
+  if (!value) return false;
+
+  switch (operator) {
+    case 'from':
+      if (negated) {
+        filters.excludeAuthors = [...(filters.excludeAuthors || []), value.replace(/^@/, '')];
+      } else {
+        filters.author = value.replace(/^@/, '');
+      }
+      return true;
+
+    case 'tag':
+      if (negated) {
+        filters.excludeTags = [...(filters.excludeTags || []), value];
+      } else {
+        filters.tags = [...(filters.tags || []), value];
+      }
+      return true;
+
+    case 'platform': {
+      const platform = PLATFORM_ALIASES[value.toLowerCase()];
+      if (!platform || negated) return false;
+      filters.platform = platform;
+      return true;
+    }
+
+    case 'has':
+      if (value.toLowerCase() === 'media') {
+        filters.hasMedia = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'link') {
+        filters.hasLink = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'note') {
+        filters.hasNote = !negated;
+        return true;
+      }
+      if (value.toLowerCase() === 'highlight') {
+        filters.hasHighlight = !negated;
+        return true;
+      }
+      return false;
+
+    case 'is': {
+      const state = value.toLowerCase();
+      if (state === 'favorite' || state === 'fav') {
+        filters.favorite = !negated;
+        return true;
+      }
+      if (negated || !Object.values(READ_STATUSES).includes(state)) return false;
+      filters.status = state;
+      return true;
+    }
+
+    case 'before':
+    case 'after':
+      if (negated || isNaN(new Date(value).getTime())) return false;
+      filters[operator === 'after' ? 'startDate' : 'endDate'] = value;
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Merge filters parsed from a query into the caller's filters
+ * @param {Object} filters - Filters from the UI
+ * @param {Object} queryFilters - Filters from parseQuery
+ * @returns {Object} Combined filters (query operators take precedence)
+ */
+function mergeFilters(filters = {}, queryFilters = {}) {
+  const merged = { ...filters, ...queryFilters };
+
+  for (const key of ['tags', 'excludeTags', 'excludeAuthors']) {
+    if (filters[key] && queryFilters[key]) {
+      merged[key] = [...new Set([...filters[key], ...queryFilters[key]])];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Expand the tag filters of a search so parent categories include their children
+ * Tags from tag: and -tag: operators in the query are folded in so they expand
+ * too, and excluding a parent excludes its children.
+ * @param {string} query - Search query
+ * @param {Object} filters - Filter criteria
+ * @param {Object} categories - Category map
+ * @returns {Object} Filters with the expanded tag list
+ */
+export function expandSearchTags(query, filters = {}, categories) {
+  const merged = mergeFilters(filters, parseQuery(query || '').filters);
+  const expanded = { ...filters };
+
+  for (const key of ['tags', 'excludeTags']) {
+    if (merged[key] && merged[key].length > 0) expanded[key] = expandTagFilter(merged[key], categories);
+  }
+  return expanded;
+}
+
+/**
+ * Match a parsed query term against a value
+ * The term matches where it occurs in the value. A term that starts with a
+ * word shorter than SEARCH_OPTIONS.infixMinLength must occur at the start of
+ * a word ("ai" finds "AI" but not "chain"). Otherwise, a single word may
+ * match a word of the value with typos (see matchWordWithTypos).
+ * @param {string} value - Field value
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @returns {Object|null} Match info or null
+ */
+function matchTerm(value, term) {
+  const valueLower = value.toLowerCase();
+  const firstWord = term.value.match(/^[\p{L}\p{N}_]+/u)?.[0] || '';
+  const atWordStart = firstWord.length >= SEARCH_INDEX_MIN_TOKEN_LENGTH && firstWord.length < SEARCH_OPTIONS.infixMinLength;
+
+  let index = valueLower.indexOf(term.value);
+  while (atWordStart && index > 0 && /[\p{L}\p{N}_]/u.test(valueLower[index - 1])) {
+    index = valueLower.indexOf(term.value, index + 1);
+  }
+  if (index !== -1) {
+    return { score: 0, gaps: 0, indices: [[index, index + term.value.length - 1]] };
+  }
+
+  for (const word of valueLower.matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const match = matchWordWithTypos(word[0], term);
+    if (match) {
+      return { ...match, indices: match.indices.map(([start, end]) => [start + word.index, end + word.index]) };
+    }
   }
 
   return null;
 }
 
+/**
+ * Check whether a word matches a query term with typos
+ * The term must be a single word of SEARCH_OPTIONS.fuzzy.minLength or more
+ * characters. The word must start with the term's first prefixLength
+ * characters and contain the rest in order, with at most maxGaps extra
+ * characters before the term is complete ("opnai" matches "openai").
+ * @param {string} word - Lowercase word
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @returns {Object|null} Match info ({ score, gaps, indices }) or null
+ */
+export function matchWordWithTypos(word, term) {
+  if (!canMatchWithTypos(term) || !word.startsWith(term.value.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength))) {
+    return null;
+  }
+
+  const match = fuzzyMatch(word, term.value);
+  return match && match.gaps <= SEARCH_OPTIONS.fuzzy.maxGaps ? match : null;
+}
+
+/**
+ * Check whether a query term is a single word long enough to match with typos
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @returns {boolean} True if typo matches are allowed
+ */
+function canMatchWithTypos(term) {
+  return !term.phrase && term.value.length >= SEARCH_OPTIONS.fuzzy.minLength && /^[\p{L}\p{N}_]+$/u.test(term.value);
+}
+
+/**
+ * Check whether a query term can be searched for
+ * Terms without a word of SEARCH_INDEX_MIN_TOKEN_LENGTH characters ("a",
+ * "+") can't be looked up in the search index, so they are ignored.
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @returns {boolean} True if the term takes part in matching
+ */
+export function isIndexedTerm(term) {
+  return tokenize(term.value).length > 0;
+}
+
+/**
+ * Get the lookups that find every record a term can match
+ * Each word of the term is looked up as a prefix of the index's words, and
+ * words of SEARCH_OPTIONS.infixMinLength or more also through their first
+ * part in the search terms store, which lists the index words containing it.
+ * A term that can match with typos is looked up through the store's key for
+ * its first characters (see wordIndexKeys).
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @returns {Object} { words, parts, typoKey }: parts[i] is the store key for
+ *   words[i], or null; typoKey is null if the term can't match with typos
+ */
+export function termIndexKeys(term) {
+  const words = tokenize(term.value);
+  const parts = words.map(word => (word.length >= SEARCH_OPTIONS.infixMinLength
+    ? word.substring(0, SEARCH_OPTIONS.infixMinLength)
+    : null));
+  const typoKey = canMatchWithTypos(term) ? `^${term.value.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength)}` : null;
+
+  return { words, parts, typoKey };
+}
+
+/**
+ * Get the search terms store keys for a word of the search index
+ * The store maps each part of SEARCH_OPTIONS.infixMinLength characters to
+ * the words containing it, and "^" plus the first fuzzy.prefixLength
+ * characters to the words starting with them. It holds every distinct
+ * word once, however many records use it.
+ * @param {string} word - Index word
+ * @returns {string[]} Unique keys
+ */
+export function wordIndexKeys(word) {
+  const keys = new Set([`^${word.substring(0, SEARCH_OPTIONS.fuzzy.prefixLength)}`]);
+  for (let start = 0; start <= word.length - SEARCH_OPTIONS.infixMinLength; start++) {
+    keys.add(word.substring(start, start + SEARCH_OPTIONS.infixMinLength));
+  }
+  return Array.from(keys);
+}
+
+/**
+ * Read a searchable field, following dotted paths such as "card.title"
+ * @param {Object} retweet - Retweet record
+ * @param {string} name - Field name from SEARCH_OPTIONS.keys
+ * @returns {string} Field value, or '' if missing
+ */
+export function getFieldValue(retweet, name) {
+  const value = name.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), retweet);
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Count how often a term occurs in a field
+ * Fuzzy (non-substring) matches count as a partial occurrence.
+ * @param {string} value - Field value
+ * @param {Object} term - { value, phrase } term from parseQuery
+ * @param {Object} match - Result of matchTerm
+ * @returns {number} Term frequency
+ */
+function termFrequency(value, term, match) {
+  const valueLower = value.toLowerCase();
+  let count = 0;
+  let index = valueLower.indexOf(term.value);
+
+  while (index !== -1) {
+    count++;
+    index = valueLower.indexOf(term.value, index + term.value.length);
+  }
+
+  return count > 0 ? count : 1 - match.score;
+}
+
+/**
+ * BM25 inverse document frequency
+ * @param {number} totalDocs - Number of documents in the corpus
+ * @param {number} docFreq - Number of documents containing the term
+ * @returns {number} IDF weight (always positive)
+ */
+function inverseDocumentFrequency(totalDocs, docFreq) {
+  const df = Math.min(Math.max(docFreq, 0), totalDocs);
+  return Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+}
+
 /**
  * Search retweets with query and filters
+ *
+ * Results are ranked with BM25F: each term's frequency is length-normalised
+ * per field, scaled by the field weight in SEARCH_OPTIONS.keys and combined
+ * before saturation, so a handle hit outranks a passing mention in a long
+ * thread. Higher scores are better; ties fall back to recency.
+ *
  * @param {Object[]} retweets - Array of retweets
- * @param {string} query - Search query
+ * @param {string} query - Search query (see parseQuery for syntax)
  * @param {Object} filters - Filter criteria
+ * @param {Object} [stats] - Corpus statistics when retweets is only a
+ *   candidate subset: { totalDocs, docFreq: { [termValue]: count } }.
+ *   Anything missing is computed from the filtered retweets.
  * @returns {Object[]} Search results with scores
  */
-export function searchRetweets(retweets, query, filters = {}) {
+export function searchRetweets(retweets, query, filters = {}, stats = {}) {
+  const parsed = parseQuery(query);
   let results = [...retweets];
 
-  // Apply filters first
-  results = applyFilters(results, filters);
+  // Apply filters first, including any operators from the query
+  results = applyFilters(results, mergeFilters(filters, parsed.filters));
+
+  // Drop anything containing an excluded term or phrase
+  if (parsed.exclude.length > 0) {
+    results = results.filter(retweet => !parsed.exclude.some(term =>
+      SEARCH_OPTIONS.keys.some(key => getFieldValue(retweet, key.name).toLowerCase().includes(term.value))
+    ));
+  }
+
+  // Terms too short to look up are left out, as the search index does
+  const groups = parsed.groups
+    .map(group => group.filter(isIndexedTerm))
+    .filter(group => group.length > 0);
 
-  // If no query, return filtered results
-  if (!query || query.trim() === '') {
+  // If no text terms, return filtered results
+  if (groups.length === 0) {
     return results.map(item => ({
       item,
       score: 0,
@@ -71,56 +436,112 @@ export function searchRetweets(retweets, query, filters = {}) {
     })).sort((a, b) => new Date(b.item.captured_at) - new Date(a.item.captured_at));
   }
 
-  const searchTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
+  const { k1, b } = SEARCH_OPTIONS.bm25;
+
+  // Average token length of each field, over records that have it
+  const avgFieldLength = {};
+  for (const key of SEARCH_OPTIONS.keys) {
+    let total = 0;
+    let count = 0;
+    for (const retweet of results) {
+      const length = tokenize(getFieldValue(retweet, key.name)).length;
+      if (length > 0) {
+        total += length;
+        count++;
+      }
+    }
+    avgFieldLength[key.name] = count > 0 ? total / count : 1;
+  }
 
-  // Search each retweet
-  const searchResults = [];
+  // First pass: weighted, length-normalised term frequencies per record
+  const docFreq = {};
+  const candidates = [];
 
   for (const retweet of results) {
-    let totalScore = 0;
-    let matchCount = 0;
+    const termWeights = new Map();
     const matches = [];
 
-    for (const term of searchTerms) {
-      // Search in each searchable field
-      for (const key of SEARCH_OPTIONS.keys) {
-        const value = retweet[key];
-        if (!value) continue;
-
-        const match = fuzzyMatch(value, term);
-        if (match && match.score <= SEARCH_OPTIONS.threshold) {
-          totalScore += match.score;
-          matchCount++;
-          matches.push({
-            key,
-            indices: match.indices,
-            value
-          });
+    // Every group must match; within a group any alternative will do.
+    // All groups are checked so document frequencies stay complete.
+    const groupMatches = groups.map(group => {
+      let groupMatched = false;
+
+      for (const term of group) {
+        let weightedTf = 0;
+
+        // Search in each searchable field
+        for (const key of SEARCH_OPTIONS.keys) {
+          const value = getFieldValue(retweet, key.name);
+          if (!value) continue;
+
+          const match = matchTerm(value, term);
+          if (match) {
+            const length = tokenize(value).length || 1;
+            const norm = 1 - b + b * (length / avgFieldLength[key.name]);
+            weightedTf += key.weight * termFrequency(value, term, match) / norm;
+            matches.push({
+              key: key.name,
+              indices: match.indices,
+              value
+            });
+          }
+        }
+
+        if (weightedTf > 0) {
+          groupMatched = true;
+          termWeights.set(term.value, Math.max(termWeights.get(term.value) || 0, weightedTf));
         }
       }
+
+      return groupMatched;
+    });
+    const matchedAllGroups = groupMatches.every(Boolean);
+
+    for (const termValue of termWeights.keys()) {
+      docFreq[termValue] = (docFreq[termValue] || 0) + 1;
     }
 
-    // Only include if we matched at least one term
-    if (matchCount > 0) {
-      searchResults.push({
-        item: retweet,
-        score: totalScore / matchCount,
-        matches
-      });
+    if (matchedAllGroups) {
+      candidates.push({ retweet, termWeights, matches });
     }
   }
 
-  // Sort by score (lower is better), then by date
+  // Second pass: BM25 score from IDF and saturated term frequency
+  const totalDocs = stats.totalDocs ?? results.length;
+  const searchResults = candidates.map(({ retweet, termWeights, matches }) => {
+    let score = 0;
+
+    for (const [termValue, weightedTf] of termWeights) {
+      const df = stats.docFreq?.[termValue] ?? docFreq[termValue];
+      score += inverseDocumentFrequency(totalDocs, df) * (weightedTf * (k1 + 1)) / (weightedTf + k1);
+    }
+
+    return { item: retweet, score, matches };
+  });
+
+  // Sort by score (higher is better), then by date
   searchResults.sort((a, b) => {
-    if (Math.abs(a.score - b.score) < 0.1) {
+    if (Math.abs(a.score - b.score) < 1e-9) {
       return new Date(b.item.captured_at) - new Date(a.item.captured_at);
     }
-    return a.score - b.score;
+    return b.score - a.score;
   });
 
   return searchResults;
 }
 
+/**
+ * Check whether a single retweet matches a saved search
+ * @param {Object} retweet - Retweet record
+ * @param {Object} search - Saved search ({ query, filters })
+ * @param {Object} categories - Category map, used to expand parent tags
+ * @returns {boolean} True if the retweet would appear in the search results
+ */
+export function matchesSavedSearch(retweet, search, categories) {
+  const filters = expandSearchTags(search.query, search.filters || {}, categories);
+  return searchRetweets([retweet], search.query || '', filters).length > 0;
+}
+
 /**
  * Apply filters to retweets
  * @param {Object[]} retweets - Array of retweets
@@ -133,11 +554,20 @@ function applyFilters(retweets, filters) {
     if (filters.tags && filters.tags.length > 0) {
       const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
       const hasMatchingTag = filters.tags.some(tag =>
-        allTags.some(t => t.toLowerCase() === tag.toLowerCase())
+        allTags.some(t => tagMatchesFilter(t, tag))
       );
       if (!hasMatchingTag) return false;
     }
 
+    // Filter out excluded tags (-tag:)
+    if (filters.excludeTags && filters.excludeTags.length > 0) {
+      const allTags = [...(retweet.tags || []), ...(retweet.auto_tags || [])];
+      const hasExcludedTag = filters.excludeTags.some(tag =>
+        allTags.some(t => tagMatchesFilter(t, tag))
+      );
+      if (hasExcludedTag) return false;
+    }
+
     // Filter by date range
     if (filters.startDate) {
       const capturedDate = new Date(retweet.captured_at);
@@ -164,6 +594,34 @@ function applyFilters(retweets, filters) {
       if (filters.hasMedia !== hasMedia) return false;
     }
 
+    // Filter by has link (expanded URLs or a link card)
+    if (filters.hasLink !== undefined) {
+      const hasLink = (retweet.urls && retweet.urls.length > 0) || !!retweet.card;
+      if (filters.hasLink !== hasLink) return false;
+    }
+
+    // Filter by has a personal note
+    if (filters.hasNote !== undefined) {
+      const hasNote = !!(retweet.note && retweet.note.trim());
+      if (filters.hasNote !== hasNote) return false;
+    }
+
+    // Filter by has highlighted passages
+    if (filters.hasHighlight !== undefined) {
+      const hasHighlight = !!(retweet.highlights && retweet.highlights.length > 0);
+      if (filters.hasHighlight !== hasHighlight) return false;
+    }
+
+    // Filter by reading status (records without one predate the reading queue)
+    if (filters.status && (retweet.status || READ_STATUSES.UNREAD) !== filters.status) {
+      return false;
+    }
+
+    // Filter by favorite
+    if (filters.favorite !== undefined && !!retweet.favorited_at !== filters.favorite) {
+      return false;
+    }
+
     // Filter by author
     if (filters.author) {
       const authorLower = filters.author.toLowerCase();
@@ -173,6 +631,21 @@ function applyFilters(retweets, filters) {
       }
     }
 
+    // Filter out excluded authors (-from:)
+    if (filters.excludeAuthors && filters.excludeAuthors.some(author => {
+      const authorLower = author.toLowerCase();
+      return retweet.user_handle.toLowerCase().includes(authorLower) ||
+        retweet.user_name.toLowerCase().includes(authorLower);
+    })) {
+      return false;
+    }
+
+    // Filter by platform (records without one predate multi-platform capture)
+    if (filters.platform) {
+      const retweetPlatform = retweet.platform || 'twitter';
+      if (retweetPlatform !== filters.platform) return false;
+    }
+
     return true;
   });
 }
@@ -248,6 +721,155 @@ export function getSearchSuggestions(retweets) {
   };
 }
 
+/**
+ * Split text into lowercase index tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens (may contain duplicates)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => token.length >= SEARCH_INDEX_MIN_TOKEN_LENGTH);
+}
+
+/**
+ * Get the persistent index tokens for a retweet
+ * Words of the searchable keys are stored whole; tags are stored as "#tag"
+ * ("#" never occurs in a word, so the two never collide).
+ * @param {Object} retweet - Retweet record
+ * @returns {string[]} Unique tokens
+ */
+export function tokenizeRetweet(retweet) {
+  const tokens = new Set();
+
+  for (const key of SEARCH_OPTIONS.keys) {
+    for (const token of tokenize(getFieldValue(retweet, key.name))) {
+      tokens.add(token);
+    }
+  }
+
+  for (const tag of [...(retweet.tags || []), ...(retweet.auto_tags || [])]) {
+    tokens.add(`#${tag.toLowerCase()}`);
+  }
+
+  return Array.from(tokens);
+}
+
+/**
+ * Get the content terms used to compare retweets for similarity
+ * Authors are left out so matches are topical rather than "same account";
+ * tags count as terms of their own.
+ * @param {Object} retweet - Retweet record
+ * @returns {string[]} Terms (may contain duplicates)
+ */
+export function similarityTerms(retweet) {
+  const stopWords = new Set(STOP_WORDS);
+  const terms = [];
+
+  for (const key of SIMILARITY_OPTIONS.keys) {
+    for (const token of tokenize(getFieldValue(retweet, key))) {
+      if (!stopWords.has(token) && !/^\d+$/.test(token)) terms.push(token);
+    }
+  }
+
+  for (const tag of [...(retweet.tags || []), ...(retweet.auto_tags || [])]) {
+    terms.push(`#${tag.toLowerCase()}`);
+  }
+
+  return terms;
+}
+
+/**
+ * Build unit-length TF-IDF vectors for a set of retweets
+ * @param {Object[]} retweets - Array of retweets (the corpus)
+ * @param {Object} [stats] - Corpus statistics when retweets is only a
+ *   candidate subset: { totalDocs, docFreq: { [term]: count } }. Anything
+ *   missing is computed from the retweets.
+ * @returns {Map<string, Map<string, number>>} Vector per retweet ID
+ */
+export function buildTfIdfVectors(retweets, stats = {}) {
+  const termCounts = new Map();
+  const docFreq = new Map();
+
+  for (const retweet of retweets) {
+    const counts = new Map();
+    for (const term of similarityTerms(retweet)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const term of counts.keys()) {
+      docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+    termCounts.set(retweet.id, counts);
+  }
+
+  const totalDocs = Math.max(stats.totalDocs ?? 0, retweets.length);
+  const vectors = new Map();
+
+  for (const [id, counts] of termCounts) {
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [term, count] of counts) {
+      const df = Math.max(stats.docFreq?.[term] ?? 0, docFreq.get(term));
+      const weight = (1 + Math.log(count)) * Math.log(1 + totalDocs / df);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    vectors.set(id, vector);
+  }
+
+  return vectors;
+}
+
+/**
+ * Find retweets with content similar to a given one (cosine over TF-IDF)
+ * @param {string} id - ID of the retweet to compare against
+ * @param {Object[]} retweets - Array of retweets, including the target
+ * @param {number} limit - Maximum number of results
+ * @param {Object} [stats] - Corpus statistics, as for buildTfIdfVectors
+ * @returns {Object[]} [{ item, score, terms }] best first; terms are the
+ *   shared terms that contributed most
+ */
+export function findSimilarRetweets(id, retweets, limit = SIMILARITY_OPTIONS.limit, stats = {}) {
+  const vectors = buildTfIdfVectors(retweets, stats);
+  const target = vectors.get(id);
+  if (!target || target.size === 0) return [];
+
+  const results = [];
+
+  for (const retweet of retweets) {
+    if (retweet.id === id) continue;
+
+    const vector = vectors.get(retweet.id);
+    const shared = [];
+    let score = 0;
+
+    for (const [term, weight] of target) {
+      const other = vector.get(term);
+      if (other) {
+        score += weight * other;
+        shared.push([term, weight * other]);
+      }
+    }
+
+    if (score >= SIMILARITY_OPTIONS.minScore) {
+      results.push({
+        item: retweet,
+        score,
+        terms: shared.sort((a, b) => b[1] - a[1]).slice(0, 3).map(([term]) => term)
+      });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
 /**
  * Build search index for faster lookups
  * @param {Object[]} retweets - Array of retweets
@@ -294,8 +916,21 @@ export function buildSearchIndex(retweets) {
 }
 
 export default {
+  parseQuery,
   searchRetweets,
+  matchesSavedSearch,
+  expandSearchTags,
+  getFieldValue,
   highlightMatches,
   getSearchSuggestions,
+  tokenize,
+  tokenizeRetweet,
+  isIndexedTerm,
+  termIndexKeys,
+  matchWordWithTypos,
+  wordIndexKeys,
+  similarityTerms,
+  buildTfIdfVectors,
+  findSimilarRetweets,
   buildSearchIndex
 };
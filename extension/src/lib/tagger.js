@@ -3,34 +3,115 @@
  * Suggests tags based on content matching against category keywords
  */
 
-import { DEFAULT_CATEGORIES } from '../utils/constants.js';
+import { DEFAULT_CATEGORIES, TAG_PATH_SEPARATOR } from '../utils/constants.js';
 
 /**
- * Suggest tags for content based on keyword matching
- * @param {string} text - Text content to analyze
+ * Normalize a category definition
+ * Categories are stored as { keywords, exclude, weights, threshold, parent };
+ * a plain keyword array (older data) is treated as weight 1 for every
+ * keyword, no exclusions, no threshold and no parent.
+ * @param {Object|string[]} category - Category definition
+ * @returns {Object} { keywords, exclude, weights, threshold, parent }
+ */
+export function normalizeCategory(category) {
+  if (Array.isArray(category)) {
+    return { keywords: category, exclude: [], weights: {}, threshold: 0, parent: null };
+  }
+
+  return {
+    keywords: category?.keywords || [],
+    exclude: category?.exclude || [],
+    weights: category?.weights || {},
+    threshold: Number(category?.threshold) || 0,
+    parent: category?.parent || null
+  };
+}
+
+/**
+ * Get the parent of a tag
+ * Nested tags ("Projects/Retweet Filter") take the path before the last
+ * separator; category names take their category's parent.
+ * @param {string} tag - Tag or category name
  * @param {Object} categories - Categories with keywords
- * @returns {string[]} Suggested tags
+ * @returns {string|null} Parent tag
  */
-export function suggestTags(text, categories = DEFAULT_CATEGORIES) {
-  if (!text) return [];
+export function getTagParent(tag, categories = DEFAULT_CATEGORIES) {
+  const separatorIndex = tag.lastIndexOf(TAG_PATH_SEPARATOR);
+  if (separatorIndex > 0) return tag.substring(0, separatorIndex);
 
-  const textLower = text.toLowerCase();
-  const suggestions = [];
+  const name = Object.keys(categories).find(c => c.toLowerCase() === tag.toLowerCase());
+  return name ? normalizeCategory(categories[name]).parent : null;
+}
 
-  for (const [category, keywords] of Object.entries(categories)) {
-    for (const keyword of keywords) {
-      // Check for word boundary match to avoid false positives
-      const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i');
-      if (regex.test(textLower)) {
-        if (!suggestions.includes(category)) {
-          suggestions.push(category);
-        }
-        break; // One match is enough for this category
-      }
+/**
+ * Get the ancestors of a tag, nearest first
+ * @param {string} tag - Tag or category name
+ * @param {Object} categories - Categories with keywords
+ * @returns {string[]} Ancestor tags
+ */
+export function getTagAncestors(tag, categories = DEFAULT_CATEGORIES) {
+  const ancestors = [];
+  const seen = new Set([tag.toLowerCase()]);
+  let parent = getTagParent(tag, categories);
+
+  // Stop on cycles left by hand-edited data
+  while (parent && !seen.has(parent.toLowerCase())) {
+    ancestors.push(parent);
+    seen.add(parent.toLowerCase());
+    parent = getTagParent(parent, categories);
+  }
+
+  return ancestors;
+}
+
+/**
+ * Expand filter tags with every category nested below them
+ * Nested tag paths don't need expanding: tagMatchesFilter matches them by prefix.
+ * @param {string[]} tags - Filter tags
+ * @param {Object} categories - Categories with keywords
+ * @returns {string[]} Filter tags plus descendant category names
+ */
+export function expandTagFilter(tags = [], categories = DEFAULT_CATEGORIES) {
+  const wanted = new Set(tags.map(tag => tag.toLowerCase()));
+  const expanded = [...tags];
+
+  for (const name of Object.keys(categories)) {
+    if (wanted.has(name.toLowerCase())) continue;
+
+    const ancestors = getTagAncestors(name, categories);
+    if (ancestors.some(ancestor => wanted.has(ancestor.toLowerCase()))) {
+      expanded.push(name);
     }
   }
 
-  return suggestions;
+  return expanded;
+}
+
+/**
+ * Check whether a record's tag satisfies a filter tag
+ * Matches the tag itself or any nested tag below it, ignoring case.
+ * @param {string} tag - Tag on the record
+ * @param {string} filterTag - Tag being filtered on
+ * @returns {boolean} True if it matches
+ */
+export function tagMatchesFilter(tag, filterTag) {
+  const tagLower = tag.toLowerCase();
+  const filterLower = filterTag.toLowerCase();
+  return tagLower === filterLower || tagLower.startsWith(filterLower + TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Suggest tags for content based on keyword matching
+ * A category is suggested when its score reaches its threshold and no
+ * exclusion keyword appears.
+ * @param {string} text - Text content to analyze
+ * @param {Object} categories - Categories with keywords
+ * @returns {string[]} Suggested tags
+ */
+export function suggestTags(text, categories = DEFAULT_CATEGORIES) {
+  return analyzeContent(text, categories)
+    .filter(result => result.score > 0 && result.score >= result.threshold)
+    .map(result => result.category);
 }
 
 /**
@@ -42,6 +123,16 @@ function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Build a word-boundary regex for a keyword
+ * @param {string} keyword - Keyword
+ * @param {string} flags - Regex flags
+ * @returns {RegExp} Regex
+ */
+function keywordRegex(keyword, flags = 'i') {
+  return new RegExp(`\\b${escapeRegex(keyword)}\\b`, flags);
+}
+
 /**
  * Get matching keywords for a category in text
  * @param {string} text - Text to analyze
@@ -55,9 +146,8 @@ export function getMatchingKeywords(text, category, categories = DEFAULT_CATEGOR
   const textLower = text.toLowerCase();
   const matches = [];
 
-  for (const keyword of categories[category]) {
-    const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i');
-    if (regex.test(textLower)) {
+  for (const keyword of normalizeCategory(categories[category]).keywords) {
+    if (keywordRegex(keyword).test(textLower)) {
       matches.push(keyword);
     }
   }
@@ -67,9 +157,11 @@ export function getMatchingKeywords(text, category, categories = DEFAULT_CATEGOR
 
 /**
  * Analyze text and return detailed tag suggestions
+ * Each matched keyword scores 0.3 plus 0.2 per occurrence, multiplied by its
+ * weight (default 1). Categories with a matching exclusion keyword are left out.
  * @param {string} text - Text to analyze
  * @param {Object} categories - Categories with keywords
- * @returns {Object[]} Detailed suggestions with confidence
+ * @returns {Object[]} Detailed suggestions with score, threshold and confidence
  */
 export function analyzeContent(text, categories = DEFAULT_CATEGORIES) {
   if (!text) return [];
@@ -77,36 +169,40 @@ export function analyzeContent(text, categories = DEFAULT_CATEGORIES) {
   const textLower = text.toLowerCase();
   const results = [];
 
-  for (const [category, keywords] of Object.entries(categories)) {
+  for (const [category, definition] of Object.entries(categories)) {
+    const { keywords, exclude, weights, threshold } = normalizeCategory(definition);
+
+    if (exclude.some(keyword => keywordRegex(keyword).test(textLower))) continue;
+
     let matchCount = 0;
+    let score = 0;
     const matchedKeywords = [];
 
     for (const keyword of keywords) {
-      const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'gi');
-      const matches = textLower.match(regex);
+      const matches = textLower.match(keywordRegex(keyword, 'gi'));
       if (matches) {
         matchCount += matches.length;
         if (!matchedKeywords.includes(keyword.toLowerCase())) {
           matchedKeywords.push(keyword.toLowerCase());
+          score += (weights[keyword] ?? 1) * (0.3 + matches.length * 0.2);
         }
       }
     }
 
     if (matchCount > 0) {
-      // Calculate confidence based on match count and keyword diversity
-      const confidence = Math.min(1, (matchCount * 0.2) + (matchedKeywords.length * 0.3));
-
       results.push({
         category,
         matchCount,
         matchedKeywords,
-        confidence
+        score,
+        threshold,
+        confidence: Math.max(0, Math.min(1, score))
       });
     }
   }
 
-  // Sort by confidence
-  results.sort((a, b) => b.confidence - a.confidence);
+  // Sort by score
+  results.sort((a, b) => b.score - a.score);
 
   return results;
 }
@@ -169,6 +265,73 @@ export function mergeTags(manualTags = [], autoTags = []) {
   return result;
 }
 
+/**
+ * Rename, merge or delete one tag path
+ * A tag in fromTags becomes toTag, and a tag nested under one of them moves
+ * with it ("AI/Agents" becomes "ML/Agents" when "AI" is renamed to "ML").
+ * Deleting a tag deletes the tags nested under it.
+ * @param {string} tag - Tag to check
+ * @param {string[]} fromTags - Tags to replace (exact match, with their children)
+ * @param {string|null} toTag - Replacement, or null to delete
+ * @returns {string|null} New tag, null if deleted, or tag itself if unaffected
+ */
+export function replaceTagPath(tag, fromTags = [], toTag = null) {
+  if (fromTags.includes(tag)) return toTag;
+
+  const parent = fromTags.find(from => tag.startsWith(from + TAG_PATH_SEPARATOR));
+  if (!parent) return tag;
+  return toTag ? toTag + tag.substring(parent.length) : null;
+}
+
+/**
+ * Rename, merge or delete tags in a tag list
+ * Every tag in fromTags, and every tag nested under one, is replaced (see
+ * replaceTagPath); the result keeps the original order without duplicates.
+ * @param {string[]} tags - Tag list
+ * @param {string[]} fromTags - Tags to replace (exact match, with their children)
+ * @param {string|null} toTag - Replacement, or null to delete
+ * @returns {string[]} New tag list
+ */
+export function replaceTags(tags = [], fromTags = [], toTag = null) {
+  const result = [];
+
+  for (const tag of tags) {
+    const replaced = replaceTagPath(tag, fromTags, toTag);
+    if (replaced && !result.includes(replaced)) result.push(replaced);
+  }
+
+  return result;
+}
+
+/**
+ * Apply a tag rename, merge or delete to one record
+ * Covers manual tags, auto tags and learned tag entries.
+ * @param {Object} retweet - Retweet record
+ * @param {string[]} fromTags - Tags to replace (exact match, with their children)
+ * @param {string|null} toTag - Replacement, or null to delete
+ * @returns {Object|null} Changed tag fields, or null if the record has none of fromTags
+ */
+export function applyTagChange(retweet, fromTags, toTag = null) {
+  const learned = retweet.learned_tags || [];
+  const affected = [...(retweet.tags || []), ...(retweet.auto_tags || []), ...learned.map(entry => entry.tag)]
+    .some(tag => replaceTagPath(tag, fromTags, toTag) !== tag);
+  if (!affected) return null;
+
+  const learnedTags = [];
+  for (const entry of learned) {
+    const tag = replaceTagPath(entry.tag, fromTags, toTag);
+    if (tag && !learnedTags.some(existing => existing.tag === tag)) {
+      learnedTags.push({ ...entry, tag });
+    }
+  }
+
+  return {
+    tags: replaceTags(retweet.tags, fromTags, toTag),
+    auto_tags: replaceTags(retweet.auto_tags, fromTags, toTag),
+    learned_tags: learnedTags
+  };
+}
+
 /**
  * Validate category keywords
  * @param {string[]} keywords - Keywords to validate
@@ -255,11 +418,19 @@ export function extractKeywordSuggestions(text) {
 }
 
 export default {
+  normalizeCategory,
+  getTagParent,
+  getTagAncestors,
+  expandTagFilter,
+  tagMatchesFilter,
   suggestTags,
   getMatchingKeywords,
   analyzeContent,
   batchSuggestTags,
   mergeTags,
+  replaceTagPath,
+  replaceTags,
+  applyTagChange,
   validateKeywords,
   extractKeywordSuggestions
 };
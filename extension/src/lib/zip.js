@@ -0,0 +1,118 @@
+/**
+ * Zip reading for data downloads
+ * Platforms hand out their exports as .zip files that can run to gigabytes
+ * with media. Only the central directory and the entries asked for are read
+ * from the file, so the rest of the archive never has to be loaded.
+ *
+ * Stored and deflated entries are supported, as are Zip64 archives.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP64_EXTRA_ID = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read the text files in a zip whose names pass the filter
+ * @param {Blob|File} file - The zip file
+ * @param {Function} filter - Called with each entry's path; true to read it
+ * @returns {Promise<Object[]>} { name, text } for each entry read, in archive order
+ */
+export async function readZipEntries(file, filter) {
+  const read = async (start, end) => new DataView(await file.slice(start, end).arrayBuffer());
+  const notZip = () => new Error(`${file.name || 'File'} is not a zip file`);
+
+  // End of central directory record: 22 bytes plus a comment of up to 64 KB
+  const tailStart = Math.max(0, file.size - 22 - 0xffff);
+  const tail = await read(tailStart, file.size);
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw notZip();
+
+  let count = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+
+  // Zip64 end of central directory, found through the locator just before the record
+  if (eocd >= 20 && tail.getUint32(eocd - 20, true) === ZIP64_LOCATOR_SIGNATURE) {
+    const record = await read(Number(tail.getBigUint64(eocd - 12, true)), file.size);
+    if (record.getUint32(0, true) === ZIP64_EOCD_SIGNATURE) {
+      count = Number(record.getBigUint64(32, true));
+      size = Number(record.getBigUint64(40, true));
+      offset = Number(record.getBigUint64(48, true));
+    }
+  }
+
+  const directory = await read(offset, offset + size);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_ENTRY_SIGNATURE) throw notZip();
+
+    const method = directory.getUint16(position + 10, true);
+    let compressedSize = directory.getUint32(position + 20, true);
+    let uncompressedSize = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    let localOffset = directory.getUint32(position + 42, true);
+    const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength);
+    const name = decoder.decode(nameBytes);
+
+    // Sizes and offsets too big for 32 bits are in the Zip64 extra field, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.getUint16(extra, true);
+      const length = directory.getUint16(extra + 2, true);
+      if (id === ZIP64_EXTRA_ID) {
+        let field = extra + 4;
+        if (uncompressedSize === 0xffffffff) {
+          uncompressedSize = Number(directory.getBigUint64(field, true));
+          field += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = Number(directory.getBigUint64(field, true));
+          field += 8;
+        }
+        if (localOffset === 0xffffffff) {
+          localOffset = Number(directory.getBigUint64(field, true));
+        }
+      }
+      extra += 4 + length;
+    }
+
+    position = extraEnd + commentLength;
+    if (!filter(name)) continue;
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+
+    // The local header's name and extra field can differ from the directory's
+    const local = await read(localOffset, localOffset + 30);
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    let blob = file.slice(dataStart, dataStart + compressedSize);
+    if (method === METHOD_DEFLATED) {
+      blob = await new Response(blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+
+    entries.push({ name, text: await blob.text() });
+  }
+
+  return entries;
+}
+
+export default {
+  readZipEntries
+};
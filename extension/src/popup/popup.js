@@ -38,11 +38,12 @@ function truncateText(text, maxLength = 100) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe in element content and in quoted attribute values
 function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  if (text === null || text === undefined) return '';
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 function debounce(func, wait) {
@@ -70,8 +71,8 @@ function getInitials(name) {
 
 // DOM Elements
 let searchInput, clearSearchBtn, quickFiltersEl, resultsContainer, resultsList;
-let loadingEl, emptyStateEl, totalCountEl, todayCountEl, unsyncedCountEl;
-let openDashboardBtn, captureManualBtn;
+let loadingEl, emptyStateEl, totalCountEl, todayCountEl, unreadCountEl, favoriteCountEl, unsyncedCountEl;
+let openDashboardBtn, captureManualBtn, unreadStatBtn;
 
 // State
 let currentFilter = null;
@@ -93,7 +94,10 @@ async function init() {
   emptyStateEl = document.getElementById('emptyState');
   totalCountEl = document.getElementById('totalCount');
   todayCountEl = document.getElementById('todayCount');
+  unreadCountEl = document.getElementById('unreadCount');
+  favoriteCountEl = document.getElementById('favoriteCount');
   unsyncedCountEl = document.getElementById('unsyncedCount');
+  unreadStatBtn = document.getElementById('unreadStat');
   openDashboardBtn = document.getElementById('openDashboard');
   captureManualBtn = document.getElementById('captureManual');
 
@@ -144,11 +148,15 @@ async function loadStats() {
       const stats = response.data;
       if (totalCountEl) totalCountEl.textContent = formatNumber(stats.total || 0);
       if (todayCountEl) todayCountEl.textContent = formatNumber(stats.today || 0);
+      if (unreadCountEl) unreadCountEl.textContent = formatNumber(stats.byStatus?.unread || 0);
+      if (favoriteCountEl) favoriteCountEl.textContent = formatNumber(stats.favorites || 0);
       if (unsyncedCountEl) unsyncedCountEl.textContent = formatNumber(stats.unsynced || 0);
     } else {
       // Default values if no response
       if (totalCountEl) totalCountEl.textContent = '0';
       if (todayCountEl) todayCountEl.textContent = '0';
+      if (unreadCountEl) unreadCountEl.textContent = '0';
+      if (favoriteCountEl) favoriteCountEl.textContent = '0';
       if (unsyncedCountEl) unsyncedCountEl.textContent = '0';
     }
   } catch (error) {
@@ -156,6 +164,8 @@ async function loadStats() {
     // Set defaults on error
     if (totalCountEl) totalCountEl.textContent = '0';
     if (todayCountEl) todayCountEl.textContent = '0';
+    if (unreadCountEl) unreadCountEl.textContent = '0';
+    if (favoriteCountEl) favoriteCountEl.textContent = '0';
     if (unsyncedCountEl) unsyncedCountEl.textContent = '0';
   }
 }
@@ -224,10 +234,10 @@ async function loadRetweets(query = '', filter = null) {
     } else if (filter) {
       response = await chrome.runtime.sendMessage({
         type: 'FILTER_RETWEETS',
-        data: { tags: [filter] }
+        data: { tags: [filter], page: 1, pageSize: 20 }
       });
       if (response && response.success) {
-        response.data = response.data.map(item => ({ item, score: 0, matches: [] }));
+        response.data = (response.data.items || []).map(item => ({ item, score: 0, matches: [] }));
       }
     } else {
       response = await chrome.runtime.sendMessage({
@@ -422,6 +432,14 @@ function setupEventListeners() {
     });
   }
 
+  // Unread counter opens the dashboard's inbox
+  if (unreadStatBtn) {
+    unreadStatBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: MESSAGES.OPEN_DASHBOARD, data: { view: 'inbox' } });
+      window.close();
+    });
+  }
+
   // Manual capture
   if (captureManualBtn) {
     captureManualBtn.addEventListener('click', async () => {
@@ -1,13 +1,18 @@
 // Database constants
 export const DB_NAME = 'RetweetFilterDB';
-export const DB_VERSION = 1;
+export const DB_VERSION = 10;            // version of the last step in lib/migrations.js
 
 // Store names
 export const STORES = {
   RETWEETS: 'retweets',
   SETTINGS: 'settings',
   SAVED_SEARCHES: 'savedSearches',
-  CATEGORIES: 'categories'
+  CATEGORIES: 'categories',
+  SEARCH_INDEX: 'searchIndex',
+  SEARCH_TERMS: 'searchTerms',
+  TAG_RULES: 'tagRules',
+  TRASH: 'trash',
+  COLLECTIONS: 'collections'
 };
 
 // Source types
@@ -16,115 +21,199 @@ export const SOURCES = {
   ARCHIVE: 'archive',
   NITTER: 'nitter',
   CSV: 'csv',
-  MANUAL: 'manual'
+  MANUAL: 'manual',
+  INSTAGRAM_EXPORT: 'instagram_export',
+  TIKTOK_EXPORT: 'tiktok_export',
+  YOUTUBE_TAKEOUT: 'youtube_takeout',
+  BOOKMARKS_HTML: 'bookmarks_html',
+  POCKET: 'pocket',
+  RAINDROP: 'raindrop'
 };
 
-// Default categories with keywords for auto-tagging (18 categories)
+// What the user did to a post that put it in an import (record.actions)
+export const CAPTURE_ACTIONS = {
+  RETWEET: 'retweet',
+  QUOTE: 'quote',
+  LIKE: 'like',
+  BOOKMARK: 'bookmark',
+  SAVE: 'save',
+  FAVORITE: 'favorite'
+};
+
+// Reading-queue state of a capture; favorites are marked separately (favorited_at)
+export const READ_STATUSES = {
+  UNREAD: 'unread',
+  READ: 'read',
+  ARCHIVED: 'archived'
+};
+
+// Separator for nested tags: "Projects/Retweet Filter" is a child of "Projects"
+export const TAG_PATH_SEPARATOR = '/';
+
+// Default categories for auto-tagging: 18 keyword categories under 5 groups.
+// Groups have no keywords of their own; filtering on one includes its children.
 export const DEFAULT_CATEGORIES = {
-  // Technology
-  'AI': [
-    'artificial intelligence', 'machine learning', 'neural', 'GPT', 'LLM',
-    'deep learning', 'AI', 'openai', 'anthropic', 'model', 'training',
-    'inference', 'embeddings', 'vector', 'RAG'
-  ],
-  'Language Models': [
-    'GPT', 'Claude', 'LLM', 'transformer', 'chatgpt', 'llama', 'mistral',
-    'gemini', 'palm', 'bert', 'token', 'prompt', 'fine-tune', 'RLHF',
-    'context window', 'completion'
-  ],
-  'Programming': [
-    'code', 'programming', 'javascript', 'python', 'rust', 'developer',
-    'API', 'typescript', 'react', 'node', 'database', 'backend', 'frontend',
-    'git', 'deploy', 'docker', 'kubernetes', 'serverless'
-  ],
-  'Design': [
-    'design', 'UI', 'UX', 'figma', 'typography', 'visual', 'aesthetic',
-    'interface', 'prototype', 'wireframe', 'mockup', 'layout', 'color',
-    'brand', 'logo', 'graphic'
-  ],
+  'Technology': { keywords: [] },
+  'AI': {
+    parent: 'Technology',
+    keywords: [
+      'artificial intelligence', 'machine learning', 'neural', 'GPT', 'LLM',
+      'deep learning', 'AI', 'openai', 'anthropic', 'model', 'training',
+      'inference', 'embeddings', 'vector', 'RAG'
+    ]
+  },
+  'Language Models': {
+    parent: 'AI',
+    keywords: [
+      'GPT', 'Claude', 'LLM', 'transformer', 'chatgpt', 'llama', 'mistral',
+      'gemini', 'palm', 'bert', 'token', 'prompt', 'fine-tune', 'RLHF',
+      'context window', 'completion'
+    ]
+  },
+  'Programming': {
+    parent: 'Technology',
+    keywords: [
+      'code', 'programming', 'javascript', 'python', 'rust', 'developer',
+      'API', 'typescript', 'react', 'node', 'database', 'backend', 'frontend',
+      'git', 'deploy', 'docker', 'kubernetes', 'serverless'
+    ]
+  },
+  'Design': {
+    parent: 'Technology',
+    keywords: [
+      'design', 'UI', 'UX', 'figma', 'typography', 'visual', 'aesthetic',
+      'interface', 'prototype', 'wireframe', 'mockup', 'layout', 'color',
+      'brand', 'logo', 'graphic'
+    ]
+  },
 
-  // Business & Finance
-  'Finance': [
-    'finance', 'investing', 'stocks', 'bonds', 'portfolio', 'dividend',
-    'earnings', 'market', 'bull', 'bear', 'trading', 'hedge fund', 'ETF',
-    'index fund', 'compound', 'interest rate', 'fed', 'inflation', 'recession'
-  ],
-  'Crypto': [
-    'crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'NFT', 'web3',
-    'wallet', 'token', 'mining', 'staking', 'dao', 'smart contract', 'solana',
-    'altcoin', 'exchange', 'hodl', 'bull run', 'bear market'
-  ],
-  'Business': [
-    'business', 'strategy', 'management', 'leadership', 'CEO', 'executive',
-    'revenue', 'profit', 'margins', 'operations', 'consulting', 'enterprise',
-    'B2B', 'B2C', 'supply chain', 'logistics', 'quarterly', 'market share'
-  ],
-  'Startups': [
-    'startup', 'founder', 'YC', 'venture', 'fundraise', 'seed', 'series',
-    'investor', 'pitch', 'MVP', 'product-market fit', 'growth', 'scale',
-    'acquisition', 'IPO', 'valuation'
-  ],
-  'Marketing': [
-    'marketing', 'SEO', 'content', 'viral', 'engagement', 'conversion',
-    'funnel', 'ads', 'campaign', 'audience', 'brand awareness', 'influencer',
-    'social media', 'analytics', 'growth hacking', 'copywriting', 'CTR'
-  ],
+  'Business & Finance': { keywords: [] },
+  'Finance': {
+    parent: 'Business & Finance',
+    keywords: [
+      'finance', 'investing', 'stocks', 'bonds', 'portfolio', 'dividend',
+      'earnings', 'market', 'bull', 'bear', 'trading', 'hedge fund', 'ETF',
+      'index fund', 'compound', 'interest rate', 'fed', 'inflation', 'recession'
+    ]
+  },
+  'Crypto': {
+    parent: 'Business & Finance',
+    keywords: [
+      'crypto', 'bitcoin', 'ethereum', 'blockchain', 'defi', 'NFT', 'web3',
+      'wallet', 'token', 'mining', 'staking', 'dao', 'smart contract', 'solana',
+      'altcoin', 'exchange', 'hodl', 'bull run', 'bear market'
+    ]
+  },
+  'Business': {
+    parent: 'Business & Finance',
+    keywords: [
+      'business', 'strategy', 'management', 'leadership', 'CEO', 'executive',
+      'revenue', 'profit', 'margins', 'operations', 'consulting', 'enterprise',
+      'B2B', 'B2C', 'supply chain', 'logistics', 'quarterly', 'market share'
+    ]
+  },
+  'Startups': {
+    parent: 'Business & Finance',
+    keywords: [
+      'startup', 'founder', 'YC', 'venture', 'fundraise', 'seed', 'series',
+      'investor', 'pitch', 'MVP', 'product-market fit', 'growth', 'scale',
+      'acquisition', 'IPO', 'valuation'
+    ]
+  },
+  'Marketing': {
+    parent: 'Business & Finance',
+    keywords: [
+      'marketing', 'SEO', 'content', 'viral', 'engagement', 'conversion',
+      'funnel', 'ads', 'campaign', 'audience', 'brand awareness', 'influencer',
+      'social media', 'analytics', 'growth hacking', 'copywriting', 'CTR'
+    ]
+  },
 
-  // Knowledge & Learning
-  'Science': [
-    'research', 'paper', 'study', 'scientists', 'discovery', 'experiment',
-    'hypothesis', 'data', 'analysis', 'peer-review', 'journal', 'citation',
-    'breakthrough', 'innovation'
-  ],
-  'Philosophy': [
-    'philosophy', 'stoic', 'ethics', 'moral', 'existential', 'metaphysics',
-    'epistemology', 'consciousness', 'free will', 'determinism', 'nihilism',
-    'rationalism', 'empiricism', 'virtue', 'wisdom', 'meaning', 'truth'
-  ],
-  'Books': [
-    'book', 'reading', 'author', 'novel', 'non-fiction', 'biography',
-    'memoir', 'bestseller', 'kindle', 'audiobook', 'library', 'literature',
-    'chapter', 'must-read', 'book club', 'recommendation'
-  ],
-  'Education': [
-    'education', 'learning', 'course', 'tutorial', 'teaching', 'student',
-    'university', 'degree', 'online course', 'certification', 'bootcamp',
-    'curriculum', 'lecture', 'professor', 'academic', 'scholarship'
-  ],
+  'Knowledge & Learning': { keywords: [] },
+  'Science': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'research', 'paper', 'study', 'scientists', 'discovery', 'experiment',
+      'hypothesis', 'data', 'analysis', 'peer-review', 'journal', 'citation',
+      'breakthrough', 'innovation'
+    ]
+  },
+  'Philosophy': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'philosophy', 'stoic', 'ethics', 'moral', 'existential', 'metaphysics',
+      'epistemology', 'consciousness', 'free will', 'determinism', 'nihilism',
+      'rationalism', 'empiricism', 'virtue', 'wisdom', 'meaning', 'truth'
+    ]
+  },
+  'Books': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'book', 'reading', 'author', 'novel', 'non-fiction', 'biography',
+      'memoir', 'bestseller', 'kindle', 'audiobook', 'library', 'literature',
+      'chapter', 'must-read', 'book club', 'recommendation'
+    ]
+  },
+  'Education': {
+    parent: 'Knowledge & Learning',
+    keywords: [
+      'education', 'learning', 'course', 'tutorial', 'teaching', 'student',
+      'university', 'degree', 'online course', 'certification', 'bootcamp',
+      'curriculum', 'lecture', 'professor', 'academic', 'scholarship'
+    ]
+  },
 
-  // Lifestyle & Culture
-  'Health': [
-    'health', 'fitness', 'workout', 'exercise', 'nutrition', 'diet', 'sleep',
-    'mental health', 'meditation', 'wellness', 'gym', 'running', 'yoga',
-    'weight loss', 'muscle', 'cardio', 'longevity', 'biohacking'
-  ],
-  'Productivity': [
-    'productivity', 'habits', 'routine', 'focus', 'time management', 'goals',
-    'discipline', 'motivation', 'efficiency', 'workflow', 'automation',
-    'calendar', 'todo', 'deep work', 'pomodoro', 'morning routine'
-  ],
-  'Entertainment': [
-    'movie', 'film', 'tv show', 'series', 'netflix', 'streaming', 'music',
-    'album', 'concert', 'gaming', 'video game', 'anime', 'comedy', 'drama',
-    'documentary', 'podcast', 'youtube', 'viral video'
-  ],
-  'Sports': [
-    'sports', 'football', 'basketball', 'soccer', 'baseball', 'tennis',
-    'golf', 'nfl', 'nba', 'mlb', 'championship', 'playoffs', 'athlete',
-    'coach', 'team', 'score', 'winning', 'draft', 'trade'
-  ],
+  'Lifestyle & Culture': { keywords: [] },
+  'Health': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'health', 'fitness', 'workout', 'exercise', 'nutrition', 'diet', 'sleep',
+      'mental health', 'meditation', 'wellness', 'gym', 'running', 'yoga',
+      'weight loss', 'muscle', 'cardio', 'longevity', 'biohacking'
+    ]
+  },
+  'Productivity': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'productivity', 'habits', 'routine', 'focus', 'time management', 'goals',
+      'discipline', 'motivation', 'efficiency', 'workflow', 'automation',
+      'calendar', 'todo', 'deep work', 'pomodoro', 'morning routine'
+    ]
+  },
+  'Entertainment': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'movie', 'film', 'tv show', 'series', 'netflix', 'streaming', 'music',
+      'album', 'concert', 'gaming', 'video game', 'anime', 'comedy', 'drama',
+      'documentary', 'podcast', 'youtube', 'viral video'
+    ]
+  },
+  'Sports': {
+    parent: 'Lifestyle & Culture',
+    keywords: [
+      'sports', 'football', 'basketball', 'soccer', 'baseball', 'tennis',
+      'golf', 'nfl', 'nba', 'mlb', 'championship', 'playoffs', 'athlete',
+      'coach', 'team', 'score', 'winning', 'draft', 'trade'
+    ]
+  },
 
-  // News & Current Events
-  'Politics': [
-    'politics', 'election', 'vote', 'democrat', 'republican', 'congress',
-    'senate', 'policy', 'legislation', 'government', 'president', 'campaign',
-    'political', 'reform', 'bipartisan', 'poll', 'debate'
-  ],
-  'News': [
-    'breaking', 'news', 'headline', 'report', 'update', 'developing',
-    'exclusive', 'investigation', 'sources say', 'according to', 'announced',
-    'confirmed', 'latest', 'just in', 'coverage'
-  ]
+  'News & Current Events': { keywords: [] },
+  'Politics': {
+    parent: 'News & Current Events',
+    keywords: [
+      'politics', 'election', 'vote', 'democrat', 'republican', 'congress',
+      'senate', 'policy', 'legislation', 'government', 'president', 'campaign',
+      'political', 'reform', 'bipartisan', 'poll', 'debate'
+    ]
+  },
+  'News': {
+    parent: 'News & Current Events',
+    keywords: [
+      'breaking', 'news', 'headline', 'report', 'update', 'developing',
+      'exclusive', 'investigation', 'sources say', 'according to', 'announced',
+      'confirmed', 'latest', 'just in', 'coverage'
+    ]
+  }
 };
 
 // Theme colors (X Dark Theme)
@@ -146,14 +235,132 @@ export const THEME = {
 export const PAGE_SIZE = 50;
 
 // Search settings
+// Searchable fields; weight scales a field's contribution to the BM25 score
 export const SEARCH_OPTIONS = {
-  keys: ['text', 'quoted_text', 'user_handle', 'user_name', 'quoted_author'],
-  threshold: 0.3,
+  keys: [
+    { name: 'user_handle', weight: 3 },
+    { name: 'user_name', weight: 2.5 },
+    { name: 'text', weight: 2 },
+    { name: 'note', weight: 2 },
+    { name: 'quoted_author', weight: 1.5 },
+    { name: 'quoted_text', weight: 1.5 },
+    { name: 'card.title', weight: 1 }
+  ],
+  // Typo matches: a term of minLength or more matches a word that starts with
+  // the same prefixLength characters and has up to maxGaps extra characters
+  // before the term is complete ("chtgpt" finds "ChatGPT")
+  fuzzy: { minLength: 3, maxGaps: 2, prefixLength: 2 },
+  // Shortest word part found inside a word ("gpt" finds "ChatGPT"); shorter
+  // words only match the start of a word
+  infixMinLength: 3,
+  // Most index words a term can expand to through inside-word and typo matches
+  maxExpansions: 200,
+  bm25: { k1: 1.2, b: 0.75 },
+  // Most results for a query of operators alone, newest first
+  browseLimit: 1000,
   ignoreLocation: true,
   includeScore: true,
   includeMatches: true
 };
 
+// Shortest token stored in (and looked up from) the persistent search index
+export const SEARCH_INDEX_MIN_TOKEN_LENGTH = 2;
+
+// Common words ignored when comparing or classifying content
+export const STOP_WORDS = [
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who',
+  'did', 'get', 'got', 'him', 'let', 'she', 'too', 'use', 'this', 'that', 'with', 'from',
+  'they', 'will', 'what', 'when', 'your', 'just', 'like', 'than', 'then', 'them', 'been',
+  'were', 'into', 'more', 'some', 'only', 'also', 'about', 'there', 'their', 'which',
+  'would', 'could', 'should', 'these', 'those', 'being', 'here', 'over', 'very', 'is',
+  'it', 'in', 'on', 'of', 'to', 'an', 'at', 'as', 'be', 'by', 'or', 'if', 'so', 'do',
+  'my', 'me', 'we', 'up', 'no', 'https', 'http', 'www', 'com'
+];
+
+// "Similar captures" (TF-IDF) settings
+export const SIMILARITY_OPTIONS = {
+  keys: ['text', 'quoted_text', 'card.title'],
+  limit: 5,
+  minScore: 0.05,
+  maxCandidates: 200,             // captures compared, picked from the search index
+  maxTermDocs: 1000               // terms in more captures don't pick candidates
+};
+
+// Learned tag suggestions (local Naive Bayes trained on manual tags)
+export const CLASSIFIER_OPTIONS = {
+  modelKey: 'tagClassifier',      // settings key holding the model
+  enabledKey: 'learnedTagsEnabled',
+  minExamples: 3,                 // manual uses needed before a tag is predicted
+  minConfidence: 0.8,             // added to auto_tags at capture
+  suggestionConfidence: 0.5,      // offered in the tag editor
+  limit: 3
+};
+
+// Background re-tag job, run after categories change
+export const RETAG_OPTIONS = {
+  stateKey: 'retagJob',           // settings key holding the job's progress
+  alarmName: 'retag-job',         // wakes a suspended service worker to resume
+  batchSize: 100
+};
+
+// Background build of the search terms store, run once after the upgrade that adds it
+export const SEARCH_TERMS_OPTIONS = {
+  stateKey: 'searchTermsBuild',   // settings key holding the build's progress
+  alarmName: 'search-terms-build', // wakes a suspended service worker to resume
+  batchSize: 500                  // index words per transaction
+};
+
+// Tag manager (rename, merge, delete and color tags across the archive)
+export const TAG_MANAGER_OPTIONS = {
+  colorsKey: 'tagColors',         // settings key holding { tag: '#rrggbb' }
+  undoKey: 'tagUndo'              // settings key holding the last change's snapshot
+};
+
+// Restoring the JSON export (EXPORT_DATA)
+export const BACKUP_OPTIONS = {
+  minVersion: 1,                  // oldest export version that can be restored
+  // Derived or in-flight state that is rebuilt rather than restored
+  skippedSettings: [CLASSIFIER_OPTIONS.modelKey, RETAG_OPTIONS.stateKey, SEARCH_TERMS_OPTIONS.stateKey, TAG_MANAGER_OPTIONS.undoKey],
+  clearTokenMaxAge: 10 * 60 * 1000, // ms an export's backupToken allows one CLEAR_DATA
+  clearTokenKey: 'clearDataBackup' // chrome.storage.session key holding the latest token
+};
+
+// Schema migrations (lib/migrations.js)
+export const MIGRATION_OPTIONS = {
+  progressInterval: 500           // records between progress reports while backfilling
+};
+
+// Deleted captures wait in the trash before they are purged
+export const TRASH_OPTIONS = {
+  retentionKey: 'trashRetentionDays', // settings key; 0 keeps items until the trash is emptied
+  retentionDays: 30,
+  alarmName: 'purge-trash',
+  purgeIntervalMinutes: 360
+};
+
+// Duplicate finder (lib/duplicates.js)
+export const DUPLICATE_OPTIONS = {
+  minTextTokens: 6,               // shorter texts only match by post ID or URL
+  textSimilarity: 0.9,            // word overlap (Jaccard) for near-identical text
+  blockTokens: 4,                 // texts are compared when their first or last words agree
+  batchSize: 500,                 // records read per batch while scanning
+  // Query parameters that don't change what a URL points to
+  trackingParams: [/^utm_/, /^fbclid$/, /^gclid$/, /^igshid$/, /^igsh$/, /^si$/, /^feature$/, /^ref_src$/, /^ref_url$/]
+};
+
+// Personal notes and highlights on captures (lib/notes.js)
+export const NOTE_OPTIONS = {
+  maxLength: 20000,               // characters in a note's Markdown
+  maxHighlights: 100              // highlighted passages kept per capture
+};
+
+// Collections: hand-ordered reading lists (lib/collections.js)
+export const COLLECTION_OPTIONS = {
+  maxNameLength: 100,
+  maxDescriptionLength: 2000
+};
+
 // Capture settings
 export const CAPTURE_DEBOUNCE_MS = 300;
 export const CAPTURE_BATCH_SIZE = 10;
@@ -180,6 +387,43 @@ export const MESSAGES = {
   OPEN_DASHBOARD: 'OPEN_DASHBOARD'
 };
 
+// Fields available to auto-tag rule conditions. Any other record field can
+// be used by its (dotted) name, e.g. "card.title" or "user_verified".
+export const TAG_RULE_FIELDS = {
+  author: 'Author handle',
+  text: 'Text (incl. quoted)',
+  domain: 'Link domain',
+  url: 'Link URL',
+  hashtag: 'Hashtag',
+  mention: 'Mention',
+  platform: 'Platform',
+  source: 'Source',
+  has: 'Has (media, image, video, link, quote)',
+  duration: 'Video duration (minutes)',
+  likes: 'Likes',
+  views: 'Views',
+  retweets: 'Reposts',
+  replies: 'Replies',
+  tag: 'Tag'
+};
+
+// Comparison operators for auto-tag rule conditions
+export const TAG_RULE_OPERATORS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches: 'matches regex',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  exists: 'is present',
+  not_exists: 'is missing'
+};
+
 // Local storage keys
 export const STORAGE_KEYS = {
   LAST_SYNC: 'lastSync',
@@ -287,3 +287,54 @@ export function safeJsonParse(str, fallback = null) {
     return fallback;
   }
 }
+
+/**
+ * Parse CSV text into rows
+ * Handles quoted values with commas, escaped quotes ("") and line breaks.
+ * Blank lines are kept as empty rows ([''], not []), since some exports
+ * use them to separate sections.
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of values
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let current = '';
+  let inQuotes = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(current);
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(current);
+      rows.push(row);
+      row = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current || row.length > 0) {
+    row.push(current);
+    rows.push(row);
+  }
+
+  return rows;
+}
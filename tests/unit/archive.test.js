@@ -0,0 +1,132 @@
+/**
+ * Unit tests for X data archive module
+ */
+
+import { parseArchiveFile, parseArchive } from '../../extension/src/lib/archive.js';
+
+const posts = 'window.YTD.tweets.part0 = ' + JSON.stringify([
+  { tweet: { id_str: '1', full_text: 'RT @bob: New GPT release', created_at: 'Mon Jan 15 10:00:00 +0000 2024', retweeted_status: { user: { screen_name: 'bob', name: 'Bob' } } } },
+  { tweet: { id_str: '2', full_text: 'My own post' } },
+  { tweet: { id_str: '3', full_text: 'Worth reading', is_quote_status: true, quoted_status: { full_text: 'Quoted', user: { screen_name: 'eve' } } } }
+]);
+const likes = 'window.YTD.like.part0 = ' + JSON.stringify([
+  { like: { tweetId: '10', fullText: 'Liked post', expandedUrl: 'https://twitter.com/i/web/status/10' } },
+  { like: { tweetId: '11', fullText: 'Another', expandedUrl: 'https://twitter.com/carol/status/11' } }
+]);
+const bookmarks = 'window.YTD.bookmark.part0 = ' + JSON.stringify([
+  { bookmark: { tweetId: '10' } },
+  { bookmark: { tweetId: '12' } }
+]);
+
+describe('parseArchiveFile', () => {
+  test('should read the dataset from the assignment', () => {
+    expect(parseArchiveFile(posts).dataset).toBe('tweets');
+    expect(parseArchiveFile('window.YTD.tweet.part0 = []').dataset).toBe('tweets');
+    expect(parseArchiveFile(likes.replace('part0', 'part3')).dataset).toBe('like');
+    expect(parseArchiveFile(bookmarks).items.length).toBe(2);
+  });
+
+  test('should work out the dataset of a bare JSON array', () => {
+    expect(parseArchiveFile('[{"like":{"tweetId":"1"}}]').dataset).toBe('like');
+    expect(parseArchiveFile('[{"tweet":{"id_str":"1"}}]').dataset).toBe('tweets');
+  });
+
+  test('should reject other archive files and malformed data', () => {
+    expect(() => parseArchiveFile('window.YTD.direct_messages.part0 = []')).toThrow('Unsupported archive file');
+    expect(() => parseArchiveFile('hello')).toThrow('Unrecognized archive format');
+    expect(() => parseArchiveFile('window.YTD.like.part0 = [{')).toThrow('not valid JSON');
+  });
+});
+
+describe('parseArchive', () => {
+  test('should keep retweets and quotes from posts, tagged with their action', () => {
+    const { retweets } = parseArchive(posts);
+    expect(retweets.length).toBe(2);
+    expect(retweets[0].actions.join()).toBe('retweet');
+    expect(retweets[0].text).toBe('New GPT release');
+    expect(retweets[0].source_url).toBe('https://x.com/bob/status/1');
+    expect(retweets[1].actions.join()).toBe('quote');
+    expect(retweets[1].quoted_author).toBe('eve');
+  });
+
+  test('should import likes and bookmarks with a link to the post', () => {
+    const { retweets } = parseArchive([likes]);
+    expect(retweets[0].source).toBe('archive');
+    expect(retweets[0].source_url).toBe('https://x.com/i/web/status/10');
+    expect(retweets[1].user_handle).toBe('carol');
+    expect(retweets[1].source_url).toBe('https://x.com/carol/status/11');
+  });
+
+  test('should combine the actions of a post found in several files', () => {
+    const { retweets, actions } = parseArchive([posts, likes, bookmarks]);
+    const liked = retweets.find(record => record.tweet_id === '10');
+    expect(retweets.length).toBe(5);
+    expect(liked.actions.join()).toBe('like,bookmark');
+    expect(liked.text).toBe('Liked post');
+    expect(actions.like).toBe(2);
+    expect(actions.bookmark).toBe(2);
+    expect(actions.retweet).toBe(1);
+  });
+
+  test('should auto-tag each record', () => {
+    const { retweets } = parseArchive(posts, text => (text.includes('GPT') ? ['AI'] : []));
+    expect(retweets[0].auto_tags.join()).toBe('AI');
+    expect(retweets[1].auto_tags.length).toBe(0);
+  });
+
+  test('should require at least one file', () => {
+    expect(() => parseArchive([])).toThrow('No archive files');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
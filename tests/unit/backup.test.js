@@ -0,0 +1,167 @@
+/**
+ * Unit tests for backup restore module
+ */
+
+import { parseBackup, planRestore } from '../../extension/src/lib/backup.js';
+
+const exported = {
+  version: 3,
+  exported_at: '2024-02-01T10:00:00Z',
+  retweets: [
+    { id: 'a', tweet_id: '1', source: 'browser', text: 'First', tags: ['AI'] },
+    { id: 'b', tweet_id: '2', source: 'archive', text: 'Second' }
+  ],
+  settings: { autoTagEnabled: false, tagClassifier: { docCount: 4 }, retagJob: { status: 'running' } },
+  categories: { AI: { keywords: ['GPT'], parent: 'Technology' }, Old: ['legacy'] },
+  savedSearches: [{ id: 's1', name: 'GPT', query: 'gpt' }],
+  tagRules: [{ id: 'r1', name: 'Papers', tags: ['Papers'] }]
+};
+
+const empty = { retweets: [], settings: [], categories: [], savedSearches: [], tagRules: [] };
+
+describe('parseBackup', () => {
+  test('should read an export and skip derived settings', () => {
+    const backup = parseBackup(JSON.stringify(exported));
+    expect(backup.version).toBe(3);
+    expect(backup.retweets.length).toBe(2);
+    expect(backup.retweets[1].auto_tags.length).toBe(0);
+    expect(backup.settings.length).toBe(1);
+    expect(backup.settings[0].key).toBe('autoTagEnabled');
+  });
+
+  test('should normalize keyword-array categories', () => {
+    const backup = parseBackup(exported);
+    const old = backup.categories.find(c => c.name === 'Old');
+    expect(old.keywords[0]).toBe('legacy');
+    expect(old.parent).toBe(null);
+  });
+
+  test('should accept older exports without tag rules', () => {
+    const { tagRules, ...v1 } = exported;
+    const backup = parseBackup({ ...v1, version: 1 });
+    expect(backup.tagRules.length).toBe(0);
+  });
+
+  test('should fill in platform and entities on older captures', () => {
+    const backup = parseBackup({
+      ...exported,
+      retweets: [{ id: 'c', tweet_id: '3', text: 'Reel #cats', source_url: 'https://www.instagram.com/p/x' }]
+    });
+    expect(backup.retweets[0].platform).toBe('instagram');
+    expect(backup.retweets[0].hashtags).toContain('cats');
+  });
+
+  test('should reject newer versions and other files', () => {
+    expect(() => parseBackup({ ...exported, version: 99 })).toThrow('newer version');
+    expect(() => parseBackup('not json')).toThrow('not valid JSON');
+    expect(() => parseBackup({ tweets: [] })).toThrow('not a Retweet Filter backup');
+  });
+
+  test('should read collections and default their items', () => {
+    const backup = parseBackup({
+      ...exported,
+      version: 7,
+      collections: [{ id: 'c1', name: 'Thesis', item_ids: ['a'] }, { id: 'c2', name: 'Empty' }]
+    });
+    expect(backup.collections.length).toBe(2);
+    expect(backup.collections[1].item_ids.length).toBe(0);
+    expect(parseBackup(exported).collections.length).toBe(0);
+  });
+
+  test('should drop records without ids', () => {
+    const backup = parseBackup({ ...exported, retweets: [...exported.retweets, { text: 'orphan' }] });
+    expect(backup.retweets.length).toBe(2);
+    expect(backup.invalid).toBe(1);
+  });
+});
+
+describe('planRestore', () => {
+  const backup = parseBackup(exported);
+  const existing = {
+    retweets: [{ id: 'a', tweet_id: '1', source: 'browser' }, { id: 'z', tweet_id: '2', source: 'archive' }, { id: 'y', tweet_id: '9', source: 'browser' }],
+    settings: ['autoTagEnabled', 'theme'],
+    categories: ['AI'],
+    savedSearches: [],
+    tagRules: ['r1']
+  };
+
+  test('should only add what is missing when merging', () => {
+    const plan = planRestore(backup, existing, 'merge');
+    expect(plan.summary.retweets.added).toBe(0);
+    expect(plan.summary.retweets.kept).toBe(2);
+    expect(plan.summary.categories.added).toBe(1);
+    expect(plan.records.categories[0].name).toBe('Old');
+    expect(plan.records.savedSearches.length).toBe(1);
+  });
+
+  test('should count replaced and removed records when replacing', () => {
+    const plan = planRestore(backup, existing, 'replace');
+    expect(plan.summary.retweets.replaced).toBe(1);
+    expect(plan.summary.retweets.added).toBe(1);
+    expect(plan.summary.retweets.removed).toBe(2);
+    expect(plan.summary.settings.removed).toBe(1);
+    expect(plan.records.retweets.length).toBe(2);
+  });
+
+  test('should add everything into an empty archive', () => {
+    const plan = planRestore(backup, empty, 'merge');
+    expect(plan.summary.retweets.added).toBe(2);
+    expect(plan.summary.tagRules.added).toBe(1);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => planRestore(backup, empty, 'wipe')).toThrow('Unknown restore mode');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for learned tag classifier module
+ */
+
+import {
+  featurize,
+  createClassifier,
+  updateClassifier,
+  buildClassifier,
+  predictTags,
+  getClassifierStats
+} from '../../extension/src/lib/classifier.js';
+
+const training = [
+  { id: '1', user_handle: 'chef', text: 'Slow roasted tomato pasta recipe', tags: ['Cooking'] },
+  { id: '2', user_handle: 'chef', text: 'Easy weeknight pasta with garlic', tags: ['Cooking'] },
+  { id: '3', user_handle: 'baker', text: 'Sourdough recipe for beginners', tags: ['Cooking'] },
+  { id: '4', user_handle: 'devtips', text: 'Rust borrow checker explained', tags: ['Programming'] },
+  { id: '5', user_handle: 'devtips', text: 'Async rust patterns for servers', tags: ['Programming'] },
+  { id: '6', user_handle: 'jsdev', text: 'Javascript closures and async code', tags: ['Programming'] },
+  { id: '7', user_handle: 'random', text: 'Untagged capture about pasta', tags: [] }
+];
+
+describe('featurize', () => {
+  test('should drop stop words and numbers and add the author', () => {
+    const features = featurize({ user_handle: '@Chef', text: 'The 10 best pasta recipes' });
+    expect(features).toContain('pasta');
+    expect(features).toContain('@chef');
+    expect(features.includes('the')).toBe(false);
+    expect(features.includes('10')).toBe(false);
+  });
+});
+
+describe('predictTags', () => {
+  test('should propose the tag learned from similar captures', () => {
+    const model = buildClassifier(training);
+    const predictions = predictTags(model, { user_handle: 'someone', text: 'Garlic pasta recipe' });
+    expect(predictions.length).toBe(1);
+    expect(predictions[0].tag).toBe('Cooking');
+    expect(predictions[0].confidence).toBeGreaterThan(0.8);
+  });
+
+  test('should use the author as a signal', () => {
+    const model = buildClassifier(training);
+    const predictions = predictTags(model, { user_handle: 'devtips', text: 'Thread' }, { minConfidence: 0.5 });
+    expect(predictions[0].tag).toBe('Programming');
+  });
+
+  test('should not propose excluded tags', () => {
+    const model = buildClassifier(training);
+    const predictions = predictTags(model, { text: 'Garlic pasta recipe' }, { exclude: ['cooking'] });
+    expect(predictions.length).toBe(0);
+  });
+
+  test('should wait for enough manual examples', () => {
+    const model = buildClassifier(training.slice(0, 2).concat(training.slice(3, 6)));
+    const predictions = predictTags(model, { text: 'Garlic pasta recipe' }, { minConfidence: 0 });
+    expect(predictions.some(p => p.tag === 'Cooking')).toBe(false);
+  });
+
+  test('should return nothing from an empty model', () => {
+    expect(predictTags(createClassifier(), { text: 'pasta' }).length).toBe(0);
+  });
+});
+
+describe('updateClassifier', () => {
+  test('should match a full rebuild after incremental changes', () => {
+    const model = buildClassifier(training);
+    const before = training[3];
+    const after = { ...before, tags: ['Programming', 'Rust'] };
+    updateClassifier(model, before, after);
+    updateClassifier(model, training[0], null);
+
+    const rebuilt = buildClassifier([after, ...training.filter(r => r.id !== '4' && r.id !== '1')]);
+    expect(model.docCount).toBe(rebuilt.docCount);
+    expect(model.tokenTotal).toBe(rebuilt.tokenTotal);
+    expect(Object.keys(model.tokenCounts).length).toBe(Object.keys(rebuilt.tokenCounts).length);
+    expect(model.tokenCounts.pasta).toBe(rebuilt.tokenCounts.pasta);
+    expect(model.tags.Rust.docs).toBe(1);
+    expect(model.tags.Cooking.docs).toBe(2);
+  });
+
+  test('should forget a tag once its last example is removed', () => {
+    const model = buildClassifier(training);
+    updateClassifier(model, { ...training[3], tags: ['Rust'] }, null);
+    updateClassifier(model, null, { ...training[3], tags: ['Rust'] });
+    updateClassifier(model, { ...training[3], tags: ['Rust'] }, training[3]);
+    expect(model.tags.Rust).toBe(undefined);
+  });
+});
+
+describe('getClassifierStats', () => {
+  test('should count trained records and ready tags', () => {
+    const stats = getClassifierStats(buildClassifier(training));
+    expect(stats.trainedOn).toBe(6);
+    expect(stats.readyTags).toBe(2);
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for collections module
+ */
+
+import {
+  normalizeCollection,
+  addItems,
+  removeItems,
+  orderItems,
+  replaceItems
+} from '../../extension/src/lib/collections.js';
+
+describe('normalizeCollection', () => {
+  test('should trim fields and default the optional ones', () => {
+    const collection = normalizeCollection({ name: '  Thesis reading  ', description: ' Sources ' });
+    expect(collection.name).toBe('Thesis reading');
+    expect(collection.description).toBe('Sources');
+    expect(collection.cover_image).toBe('');
+  });
+
+  test('should require a name within the length limit', () => {
+    expect(() => normalizeCollection({ name: '   ' })).toThrow('name is required');
+    expect(() => normalizeCollection({ name: 'x'.repeat(101) })).toThrow('too long');
+  });
+
+  test('should accept http(s) and image data URLs as covers', () => {
+    expect(normalizeCollection({ name: 'A', cover_image: 'https://example.com/a.png' }).cover_image).toBe('https://example.com/a.png');
+    expect(normalizeCollection({ name: 'A', cover_image: 'data:image/png;base64,AAAA' }).cover_image).toBe('data:image/png;base64,AAAA');
+    expect(() => normalizeCollection({ name: 'A', cover_image: 'javascript:alert(1)' })).toThrow('Cover image');
+  });
+});
+
+describe('collection items', () => {
+  test('should append new items and skip ones already present', () => {
+    expect(addItems(['a', 'b'], ['b', 'c', 'c']).join(',')).toBe('a,b,c');
+  });
+
+  test('should remove items', () => {
+    expect(removeItems(['a', 'b', 'c'], ['b', 'x']).join(',')).toBe('a,c');
+  });
+
+  test('should reorder items and keep unlisted ones after', () => {
+    expect(orderItems(['a', 'b', 'c', 'd'], ['c', 'x', 'a', 'c']).join(',')).toBe('c,a,b,d');
+  });
+
+  test('should point merged records at the kept one', () => {
+    expect(replaceItems(['a', 'b', 'c', 'd'], ['b', 'd'], 'k').join(',')).toBe('a,k,c');
+    expect(replaceItems(['a', 'k', 'b'], ['b'], 'k').join(',')).toBe('a,k');
+  });
+
+  test('should return the same list when nothing was merged', () => {
+    const items = ['a', 'b'];
+    expect(replaceItems(items, ['x'], 'k')).toBe(items);
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
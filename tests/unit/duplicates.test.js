@@ -0,0 +1,181 @@
+/**
+ * Unit tests for duplicate detection module
+ */
+
+import {
+  canonicalUrl,
+  textTokens,
+  getDuplicateKeys,
+  findDuplicateGroups,
+  pickRichest,
+  mergeRecords
+} from '../../extension/src/lib/duplicates.js';
+
+const groupsOf = records => findDuplicateGroups(records.map(getDuplicateKeys))
+  .map(group => ({ ids: [...group.ids].sort().join(','), reasons: group.reasons }));
+
+describe('canonicalUrl', () => {
+  test('should reduce post links to platform and ID', () => {
+    expect(canonicalUrl('https://twitter.com/ann/status/100?s=20')).toBe('twitter:100');
+    expect(canonicalUrl('https://x.com/ann/status/100')).toBe('twitter:100');
+    expect(canonicalUrl('https://x.com/i/web/status/100')).toBe('twitter:100');
+    expect(canonicalUrl('https://www.youtube.com/watch?v=abc123&t=10')).toBe('youtube:abc123');
+    expect(canonicalUrl('https://youtu.be/abc123?si=xyz')).toBe('youtube:abc123');
+    expect(canonicalUrl('https://www.youtube.com/shorts/abc123')).toBe('youtube:abc123');
+    expect(canonicalUrl('https://www.tiktok.com/@user/video/42')).toBe('tiktok:42');
+    expect(canonicalUrl('https://www.instagram.com/reel/Cx1/')).toBe('instagram:Cx1');
+  });
+
+  test('should drop scheme, www and tracking parameters from other links', () => {
+    expect(canonicalUrl('http://www.example.com/post/?utm_source=x&b=2&a=1#top')).toBe('example.com/post?a=1&b=2');
+    expect(canonicalUrl('not a url')).toBe(null);
+  });
+});
+
+describe('textTokens', () => {
+  test('should ignore links, case and a retweet prefix', () => {
+    expect(textTokens('RT @bob: Hello, World! https://t.co/x').join(' ')).toBe('hello world');
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  test('should group the same post from different sources', () => {
+    const groups = groupsOf([
+      { id: 'a', tweet_id: '1', source: 'browser', text: 'one' },
+      { id: 'b', tweet_id: '1', source: 'archive', text: 'one' },
+      { id: 'c', tweet_id: '2', source: 'browser', text: 'two' }
+    ]);
+    expect(groups.length).toBe(1);
+    expect(groups[0].ids).toBe('a,b');
+    expect(groups[0].reasons.join()).toBe('post');
+  });
+
+  test('should match a shared link only to a capture of that post', () => {
+    const groups = groupsOf([
+      { id: 'yt', tweet_id: 'abc', platform: 'youtube', source_url: 'https://www.youtube.com/watch?v=abc' },
+      { id: 'x1', tweet_id: '10', urls: [{ expanded_url: 'https://youtu.be/abc' }] },
+      { id: 'x2', tweet_id: '11', urls: [{ expanded_url: 'https://youtu.be/other' }] },
+      { id: 'x3', tweet_id: '12', urls: [{ expanded_url: 'https://youtu.be/other' }] }
+    ]);
+    expect(groups.length).toBe(1);
+    expect(groups[0].ids).toBe('x1,yt');
+    expect(groups[0].reasons.join()).toBe('url');
+  });
+
+  test('should group near-identical text but not short text', () => {
+    const groups = groupsOf([
+      { id: 'a', tweet_id: '1', text: 'Sunset over the mountains tonight was absolutely unreal, what a view!' },
+      { id: 'b', tweet_id: '2', platform: 'instagram', text: 'sunset over the mountains tonight was absolutely unreal what a view https://t.co/x' },
+      { id: 'c', tweet_id: '3', text: 'Good morning' },
+      { id: 'd', tweet_id: '4', text: 'Good morning' }
+    ]);
+    expect(groups.length).toBe(1);
+    expect(groups[0].ids).toBe('a,b');
+    expect(groups[0].reasons.join()).toBe('text');
+  });
+});
+
+describe('mergeRecords', () => {
+  const browser = {
+    id: 'a', tweet_id: '1', source: 'browser', text: 'Full text', user_name: 'Ann',
+    media: [{ type: 'photo' }], like_count: 5, tags: ['AI'], auto_tags: [], captured_at: '2024-02-01T00:00:00.000Z'
+  };
+  const archive = {
+    id: 'b', tweet_id: '1', source: 'archive', text: 'Full', user_name: '', user_avatar: 'https://img/a.png',
+    media: [], like_count: 9, tags: ['ai', 'Reading'], auto_tags: ['Tech'], captured_at: '2024-01-01T00:00:00.000Z'
+  };
+
+  test('should keep the richest record', () => {
+    expect(pickRichest([archive, browser]).id).toBe('a');
+  });
+
+  test('should combine tags and keep the best of each field', () => {
+    const merged = mergeRecords(browser, [archive]);
+    expect(merged.id).toBe('a');
+    expect(merged.tags.join()).toBe('AI,Reading');
+    expect(merged.auto_tags.join()).toBe('Tech');
+    expect(merged.user_avatar).toBe('https://img/a.png');
+    expect(merged.like_count).toBe(9);
+    expect(merged.media.length).toBe(1);
+    expect(merged.captured_at).toBe('2024-01-01T00:00:00.000Z');
+    expect(merged.merged_from[0].source).toBe('archive');
+  });
+
+  test('should keep each learned tag once with its highest confidence', () => {
+    const merged = mergeRecords(
+      { ...browser, learned_tags: [{ tag: 'AI', confidence: 0.6 }, { tag: 'Design', confidence: 0.7 }] },
+      [{ ...archive, learned_tags: [{ tag: 'ai', confidence: 0.9 }, { tag: 'Startups', confidence: 0.5 }] }]
+    );
+    expect(merged.learned_tags.map(entry => `${entry.tag}:${entry.confidence}`).join()).toBe('ai:0.9,Design:0.7,Startups:0.5');
+  });
+
+  test('should keep every note and move highlights onto the kept text', () => {
+    const merged = mergeRecords({ ...browser, note: 'Why I saved it' }, [
+      { ...archive, note: 'From the archive', highlights: [{ start: 0, end: 4, text: 'Full' }] }
+    ]);
+    expect(merged.note).toBe('Why I saved it\n\nFrom the archive');
+    expect(merged.highlights.length).toBe(1);
+    expect(merged.highlights[0].text).toBe('Full');
+  });
+
+  test('should stay read and favorite if any copy was', () => {
+    const merged = mergeRecords({ ...browser, status: 'unread', favorited_at: null }, [
+      { ...archive, status: 'read', favorited_at: '2024-03-01T00:00:00.000Z' }
+    ]);
+    expect(merged.status).toBe('read');
+    expect(merged.favorited_at).toBe('2024-03-01T00:00:00.000Z');
+    expect(mergeRecords(browser, [archive]).status).toBe('unread');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
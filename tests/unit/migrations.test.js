@@ -0,0 +1,167 @@
+/**
+ * Unit tests for schema migrations module
+ */
+
+import {
+  MIGRATIONS,
+  backfillRetweet,
+  regroupDefaultCategories,
+  detectPlatform,
+  extractEntities
+} from '../../extension/src/lib/migrations.js';
+import { DB_VERSION, DEFAULT_CATEGORIES } from '../../extension/src/utils/constants.js';
+
+describe('MIGRATIONS', () => {
+  test('should have one step per version ending at DB_VERSION', () => {
+    MIGRATIONS.forEach((step, i) => expect(step.version).toBe(i + 1));
+    expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(DB_VERSION);
+  });
+});
+
+describe('detectPlatform', () => {
+  test('should recognize platforms from the source link', () => {
+    expect(detectPlatform('https://www.instagram.com/p/abc/')).toBe('instagram');
+    expect(detectPlatform('https://www.tiktok.com/@user/video/1')).toBe('tiktok');
+    expect(detectPlatform('https://youtu.be/abc')).toBe('youtube');
+    expect(detectPlatform('https://m.youtube.com/watch?v=abc')).toBe('youtube');
+  });
+
+  test('should fall back to twitter', () => {
+    expect(detectPlatform('https://x.com/user/status/1')).toBe('twitter');
+    expect(detectPlatform('')).toBe('twitter');
+    expect(detectPlatform(undefined)).toBe('twitter');
+  });
+});
+
+describe('extractEntities', () => {
+  test('should find links, hashtags and mentions', () => {
+    const entities = extractEntities('Read https://example.com/post by @Ada #Rust #café');
+    expect(entities.urls.length).toBe(1);
+    expect(entities.urls[0].display_url).toBe('example.com/post');
+    expect(entities.mentions[0]).toBe('Ada');
+    expect(entities.hashtags.length).toBe(2);
+    expect(entities.hashtags).toContain('café');
+  });
+});
+
+describe('backfillRetweet', () => {
+  test('should fill in missing platform, metrics and entities', () => {
+    const record = backfillRetweet({
+      id: 'a',
+      text: 'Hello #world',
+      source_url: 'https://www.tiktok.com/@user/video/1',
+      like_count: '12'
+    });
+    expect(record.platform).toBe('tiktok');
+    expect(record.like_count).toBe(12);
+    expect(record.reply_count).toBe(0);
+    expect(record.hashtags[0]).toBe('world');
+    expect(record.media.length).toBe(0);
+  });
+
+  test('should keep values that are already there', () => {
+    const record = backfillRetweet({ id: 'a', text: '#other', platform: 'instagram', hashtags: ['kept'], like_count: 3 });
+    expect(record.platform).toBe('instagram');
+    expect(record.hashtags[0]).toBe('kept');
+    expect(record.like_count).toBe(3);
+  });
+
+  test('should return null for a complete record', () => {
+    expect(backfillRetweet({
+      platform: 'twitter',
+      reply_count: 0,
+      retweet_count: 0,
+      like_count: 0,
+      view_count: 0,
+      bookmark_count: 0,
+      urls: [],
+      hashtags: [],
+      mentions: [],
+      media: [],
+      status: 'read',
+      favorited_at: null
+    })).toBe(null);
+  });
+
+  test('should mark older captures as read and keep existing status', () => {
+    expect(backfillRetweet({ id: 'a', text: '' }).status).toBe('read');
+    expect(backfillRetweet({ id: 'a', text: '', status: 'unread' }).status).toBe('unread');
+    expect(backfillRetweet({ id: 'a', text: '' }).favorited_at).toBe(null);
+    const favorite = backfillRetweet({ id: 'a', text: '', status: 'archived', favorited_at: '2024-01-01T00:00:00Z' });
+    expect(favorite.status).toBe('archived');
+    expect(favorite.favorited_at).toBe('2024-01-01T00:00:00Z');
+  });
+});
+
+describe('regroupDefaultCategories', () => {
+  const stored = (name, extra = {}) => ({ name, keywords: [...DEFAULT_CATEGORIES[name].keywords], ...extra });
+
+  test('should nest unmodified defaults and add their groups', () => {
+    const updates = regroupDefaultCategories([stored('AI'), stored('Language Models'), stored('Crypto')]);
+    const byName = Object.fromEntries(updates.map(record => [record.name, record]));
+    expect(byName['AI'].parent).toBe('Technology');
+    expect(byName['Language Models'].parent).toBe('AI');
+    expect(byName['Crypto'].parent).toBe('Business & Finance');
+    expect(byName['Technology'].keywords.length).toBe(0);
+    expect(updates.filter(record => record.name === 'Technology').length).toBe(1);
+  });
+
+  test('should leave edited categories alone', () => {
+    const edited = stored('AI');
+    edited.keywords.push('agents');
+    expect(regroupDefaultCategories([
+      edited,
+      stored('Finance', { threshold: 2 }),
+      stored('Design', { parent: 'Art' }),
+      { name: 'Recipes', keywords: ['recipe'] }
+    ]).length).toBe(0);
+  });
+
+  test('should not bring back a deleted parent category', () => {
+    const updates = regroupDefaultCategories([stored('Language Models')]);
+    expect(updates.length).toBe(0);
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for notes and highlights module
+ */
+
+import {
+  normalizeNote,
+  normalizeHighlights,
+  renderHighlightedText,
+  renderNoteMarkdown
+} from '../../extension/src/lib/notes.js';
+
+const ranges = highlights => highlights.map(h => `${h.start}-${h.end}`).join(',');
+
+describe('normalizeNote', () => {
+  test('should trim trailing whitespace and accept empty notes', () => {
+    expect(normalizeNote('Saved for the review  \n\n')).toBe('Saved for the review');
+    expect(normalizeNote(null)).toBe('');
+  });
+
+  test('should reject notes that are not text or too long', () => {
+    expect(() => normalizeNote(42)).toThrow('Note must be text');
+    expect(() => normalizeNote('x'.repeat(20001))).toThrow('too long');
+  });
+});
+
+describe('normalizeHighlights', () => {
+  const text = 'Transformers changed language modelling almost overnight';
+
+  test('should sort ranges and store their passage', () => {
+    const highlights = normalizeHighlights(text, [{ start: 13, end: 20 }, { start: 0, end: 12 }]);
+    expect(ranges(highlights)).toBe('0-12,13-20');
+    expect(highlights[0].text).toBe('Transformers');
+  });
+
+  test('should merge overlapping and touching ranges', () => {
+    const highlights = normalizeHighlights(text, [{ start: 0, end: 12 }, { start: 5, end: 20 }, { start: 20, end: 29 }]);
+    expect(ranges(highlights)).toBe('0-29');
+  });
+
+  test('should move a highlight to where its passage now occurs', () => {
+    const highlights = normalizeHighlights(`Thread: ${text}`, [{ start: 13, end: 20, text: 'changed' }]);
+    expect(ranges(highlights)).toBe('21-28');
+  });
+
+  test('should drop invalid ranges and passages that are gone', () => {
+    const highlights = normalizeHighlights(text, [
+      { start: 5, end: 2 },
+      { start: 0, end: 500 },
+      { start: 0, end: 4, text: 'missing' },
+      'not a highlight'
+    ]);
+    expect(highlights.length).toBe(0);
+    expect(() => normalizeHighlights(text, 'nope')).toThrow('must be an array');
+  });
+});
+
+describe('renderHighlightedText', () => {
+  test('should mark highlights and escape the text', () => {
+    const html = renderHighlightedText('a <b> c', [{ start: 2, end: 5 }]);
+    expect(html).toBe('a <mark class="note-highlight">&lt;b&gt;</mark> c');
+  });
+});
+
+describe('renderNoteMarkdown', () => {
+  test('should render inline formatting and links', () => {
+    const html = renderNoteMarkdown('**Key** source, see _methods_ and `n=40` at [paper](https://example.com/p)');
+    expect(html).toContain('<strong>Key</strong>');
+    expect(html).toContain('<em>methods</em>');
+    expect(html).toContain('<code>n=40</code>');
+    expect(html).toContain('<a href="https://example.com/p" target="_blank" rel="noopener noreferrer">paper</a>');
+  });
+
+  test('should render headings, lists, quotes and code blocks', () => {
+    const html = renderNoteMarkdown('# Why\n- one\n- two\n\n1. first\n> quoted\n```\n**raw**\n```');
+    expect(html).toBe('<h3>Why</h3><ul><li>one</li><li>two</li></ul><ol><li>first</li></ol>' +
+      '<blockquote>quoted</blockquote><pre><code>**raw**</code></pre>');
+  });
+
+  test('should escape HTML and ignore non-http links', () => {
+    const html = renderNoteMarkdown('<img src=x onerror=alert(1)> [x](javascript:alert(1))');
+    expect(html.includes('<img')).toBe(false);
+    expect(html.includes('href')).toBe(false);
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for platform data download module
+ */
+
+import { parseInstagramExport, parseTikTokExport, parseYouTubeTakeout } from '../../extension/src/lib/platform-exports.js';
+
+const savedPosts = JSON.stringify({
+  saved_saved_media: [
+    { title: 'natgeo', string_map_data: { 'Saved on': { href: 'https://www.instagram.com/p/ABC123/', timestamp: 1700000000 } } },
+    { title: 'chef', string_map_data: { 'Saved on': { href: 'https://www.instagram.com/reels/XYZ_9/?igsh=1', timestamp: 1690000000 } } }
+  ]
+});
+const likedPosts = JSON.stringify({
+  likes_media_likes: [
+    { title: 'natgeo', string_list_data: [{ href: 'https://www.instagram.com/p/ABC123/', value: '👍', timestamp: 1600000000 }] },
+    { title: 'someone', string_list_data: [{ href: 'https://www.instagram.com/someone/', timestamp: 1600000000 }] }
+  ]
+});
+
+describe('parseInstagramExport', () => {
+  test('should map saved posts to Instagram records', () => {
+    const { retweets } = parseInstagramExport(savedPosts);
+    expect(retweets.length).toBe(2);
+    expect(retweets[0].tweet_id).toBe('ABC123');
+    expect(retweets[0].platform).toBe('instagram');
+    expect(retweets[0].source).toBe('instagram_export');
+    expect(retweets[0].user_handle).toBe('natgeo');
+    expect(retweets[0].captured_at).toBe('2023-11-14T22:13:20.000Z');
+    expect(retweets[0].actions.join()).toBe('save');
+  });
+
+  test('should link reels by their canonical URL', () => {
+    const { retweets } = parseInstagramExport([savedPosts]);
+    expect(retweets[1].post_type).toBe('reel');
+    expect(retweets[1].source_url).toBe('https://www.instagram.com/reel/XYZ_9/');
+  });
+
+  test('should combine a post that was saved and liked', () => {
+    const { retweets, actions } = parseInstagramExport([savedPosts, likedPosts]);
+    expect(retweets.length).toBe(2);
+    expect(retweets[0].actions.join()).toBe('save,like');
+    expect(retweets[0].captured_at).toBe('2020-09-13T12:26:40.000Z');
+    expect(actions.save).toBe(2);
+    expect(actions.like).toBe(1);
+  });
+
+  test('should reject HTML downloads and other files', () => {
+    expect(() => parseInstagramExport('<html></html>')).toThrow('HTML format');
+    expect(() => parseInstagramExport('{"following": []}')).toThrow('Unrecognized Instagram file');
+    expect(() => parseInstagramExport('{')).toThrow('not valid JSON');
+    expect(() => parseInstagramExport([])).toThrow('No files');
+  });
+});
+
+const tiktokData = JSON.stringify({
+  'Your Activity': {
+    'Favorite Videos': {
+      FavoriteVideoList: [{ Date: '2023-01-15 10:00:00', Link: 'https://www.tiktokv.com/share/video/7190000000000000001/' }]
+    }
+  },
+  'Likes and Favorites': {
+    'Like List': {
+      ItemFavoriteList: [
+        { date: '2022-05-01 08:30:00', link: 'https://www.tiktokv.com/share/video/7190000000000000001/' },
+        { Date: '2022-05-02 08:30:00', Link: 'https://www.tiktok.com/@chef.jo/video/7100000000000000002' },
+        { Date: '2022-05-03 08:30:00', Link: 'https://www.tiktok.com/@chef.jo' }
+      ]
+    }
+  }
+});
+
+describe('parseTikTokExport', () => {
+  test('should map favorite and liked videos to TikTok records', () => {
+    const { retweets } = parseTikTokExport(tiktokData);
+    expect(retweets.length).toBe(2);
+    expect(retweets[0].tweet_id).toBe('7190000000000000001');
+    expect(retweets[0].platform).toBe('tiktok');
+    expect(retweets[0].source).toBe('tiktok_export');
+    expect(retweets[0].post_type).toBe('video');
+    expect(retweets[1].user_handle).toBe('chef.jo');
+    expect(retweets[1].source_url).toBe('https://www.tiktok.com/@chef.jo/video/7100000000000000002');
+  });
+
+  test('should read dates as UTC and keep the earliest', () => {
+    const { retweets } = parseTikTokExport(tiktokData);
+    expect(retweets[0].captured_at).toBe('2022-05-01T08:30:00.000Z');
+  });
+
+  test('should combine a video that was a favorite and liked', () => {
+    const { retweets, actions } = parseTikTokExport([tiktokData]);
+    expect(retweets[0].actions.join()).toBe('favorite,like');
+    expect(actions.favorite).toBe(1);
+    expect(actions.like).toBe(2);
+  });
+
+  test('should reject files without the video lists', () => {
+    expect(() => parseTikTokExport('{"Profile": {}}')).toThrow('No Favorite Videos or Like List');
+    expect(() => parseTikTokExport('<html></html>')).toThrow('HTML format');
+  });
+});
+
+const likedVideos = {
+  name: 'Takeout/YouTube and YouTube Music/playlists/Liked videos-videos.csv',
+  text: 'Video ID,Playlist Video Creation Timestamp\naaaaaaaaaaa,2023-01-02T03:04:05+00:00\nbbbbbbbbbbb,2023-01-03T03:04:05+00:00\n'
+};
+const cookingPlaylist = {
+  name: 'Takeout/YouTube and YouTube Music/playlists/Cooking-videos.csv',
+  text: 'Video ID,Playlist Video Creation Timestamp\nbbbbbbbbbbb,2023-02-02T03:04:05+00:00\nccccccccccc,2023-02-03T03:04:05+00:00\n'
+};
+const myActivity = {
+  name: 'Takeout/My Activity/YouTube/MyActivity.json',
+  text: JSON.stringify([
+    { title: 'Liked A video', titleUrl: 'https://www.youtube.com/watch?v=ddddddddddd', time: '2023-03-01T00:00:00Z', subtitles: [{ name: 'Chan' }] },
+    { title: 'Watched Another video', titleUrl: 'https://www.youtube.com/watch?v=eeeeeeeeeee', time: '2023-03-02T00:00:00Z' }
+  ])
+};
+
+describe('parseYouTubeTakeout', () => {
+  test('should map liked videos and playlist entries to YouTube records', () => {
+    const { retweets, actions } = parseYouTubeTakeout([likedVideos, cookingPlaylist]);
+    expect(retweets.length).toBe(3);
+    expect(retweets[0].platform).toBe('youtube');
+    expect(retweets[0].source).toBe('youtube_takeout');
+    expect(retweets[0].source_url).toBe('https://www.youtube.com/watch?v=aaaaaaaaaaa');
+    expect(retweets[1].actions.join()).toBe('like,save');
+    expect(actions.like).toBe(2);
+    expect(actions.save).toBe(2);
+  });
+
+  test('should tag videos with their playlist by default', () => {
+    const { retweets, playlists } = parseYouTubeTakeout([likedVideos, cookingPlaylist]);
+    expect(retweets[2].tags.join()).toBe('Cooking');
+    expect(retweets[0].tags.length).toBe(0);
+    expect(playlists[0].name).toBe('Cooking');
+    expect(playlists[0].video_ids.join()).toBe('bbbbbbbbbbb,ccccccccccc');
+  });
+
+  test('should leave tags empty when playlists become collections', () => {
+    const { retweets, playlists } = parseYouTubeTakeout([cookingPlaylist], undefined, { playlists: 'collections' });
+    expect(retweets[0].tags.length).toBe(0);
+    expect(playlists.length).toBe(1);
+    expect(() => parseYouTubeTakeout([cookingPlaylist], undefined, { playlists: 'folders' })).toThrow('Unknown playlist mode');
+  });
+
+  test('should only take likes from My Activity', () => {
+    const { retweets } = parseYouTubeTakeout(myActivity);
+    expect(retweets.length).toBe(1);
+    expect(retweets[0].tweet_id).toBe('ddddddddddd');
+    expect(retweets[0].actions.join()).toBe('like');
+  });
+
+  test('should reject HTML and unknown files', () => {
+    expect(() => parseYouTubeTakeout({ name: 'MyActivity.html', text: '<html></html>' })).toThrow('HTML format');
+    expect(() => parseYouTubeTakeout({ name: 'notes.csv', text: 'a,b\n1,2' })).toThrow('Unrecognized YouTube file');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
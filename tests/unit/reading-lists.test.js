@@ -0,0 +1,158 @@
+/**
+ * Unit tests for bookmark and read-later export module
+ */
+
+import { parseBookmarksHtml, parsePocketExport, parseRaindropExport } from '../../extension/src/lib/reading-lists.js';
+
+const bookmarksHtml = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<TITLE>Bookmarks</TITLE>
+<DL><p>
+    <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><H3>Reading &amp; Notes</H3>
+        <DL><p>
+            <DT><H3>Tech</H3>
+            <DL><p>
+                <DT><A HREF="https://x.com/jack/status/20?s=20" ADD_DATE="1700000000" TAGS="history">jack on X: &quot;just setting up&quot;</A>
+                <DT><A HREF="https://example.com/article" ADD_DATE="1700000000">Article</A>
+            </DL><p>
+            <DT><A HREF="https://www.youtube.com/watch?v=dQw4w9WgXcQ&amp;t=1" ADD_DATE="1600000000">Video</A>
+        </DL><p>
+        <DT><A HREF="https://www.instagram.com/natgeo/reel/ABC123/">Reel</A>
+    </DL><p>
+    <DT><H3>Other</H3>
+    <DL><p>
+        <DT><A HREF="https://twitter.com/jack/status/20" ADD_DATE="1650000000">jack</A>
+    </DL><p>
+</DL><p>`;
+
+describe('parseBookmarksHtml', () => {
+  test('should keep links to posts and skip other links', () => {
+    const { retweets, actions, skipped } = parseBookmarksHtml(bookmarksHtml);
+    expect(retweets.length).toBe(3);
+    expect(skipped).toBe(1);
+    expect(actions.bookmark).toBe(3);
+    expect(retweets[0].platform).toBe('twitter');
+    expect(retweets[0].user_handle).toBe('jack');
+    expect(retweets[0].text).toBe('jack on X: "just setting up"');
+    expect(retweets[1].platform).toBe('youtube');
+    expect(retweets[1].tweet_id).toBe('dQw4w9WgXcQ');
+    expect(retweets[2].post_type).toBe('reel');
+    expect(retweets[2].source_url).toBe('https://www.instagram.com/reel/ABC123/');
+  });
+
+  test('should turn folders into nested tags without the browser root folder', () => {
+    const { retweets } = parseBookmarksHtml(bookmarksHtml);
+    expect(retweets[1].tags.join()).toBe('Reading & Notes');
+    expect(retweets[2].tags.length).toBe(0);
+    expect(retweets[0].source).toBe('bookmarks_html');
+  });
+
+  test('should combine a post bookmarked in two folders', () => {
+    const { retweets } = parseBookmarksHtml(bookmarksHtml);
+    expect(retweets[0].tags.join()).toBe('Reading & Notes/Tech,history,Other');
+    expect(retweets[0].captured_at).toBe('2022-04-15T05:20:00.000Z');
+  });
+
+  test('should reject files without links', () => {
+    expect(() => parseBookmarksHtml('title,url')).toThrow('Unrecognized bookmarks file');
+  });
+});
+
+describe('parsePocketExport', () => {
+  const pocketCsv = 'title,url,time_added,tags,status\n' +
+    '"Cooking, fast",https://www.tiktok.com/@chef.jo/video/7100000000000000002,1700000000,food|video,archive\n' +
+    'Thread,https://x.com/i/web/status/123,1700000000,,unread\n' +
+    'Blog,https://example.com/post,1700000000,,unread\n';
+
+  test('should read links, tags and archived status', () => {
+    const { retweets, skipped } = parsePocketExport(pocketCsv);
+    expect(retweets.length).toBe(2);
+    expect(skipped).toBe(1);
+    expect(retweets[0].text).toBe('Cooking, fast');
+    expect(retweets[0].user_handle).toBe('chef.jo');
+    expect(retweets[0].tags.join()).toBe('food,video');
+    expect(retweets[0].status).toBe('archived');
+    expect(retweets[0].captured_at).toBe('2023-11-14T22:13:20.000Z');
+    expect(retweets[1].source_url).toBe('https://x.com/i/web/status/123');
+    expect(retweets[1].source).toBe('pocket');
+  });
+
+  test('should reject CSV files without Pocket columns', () => {
+    expect(() => parsePocketExport('tweet_id,text\n1,a')).toThrow('Unrecognized Pocket file');
+  });
+});
+
+describe('parseRaindropExport', () => {
+  const raindropCsv = 'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite\n' +
+    '1,Short,my note,,https://youtube.com/shorts/abcdefghijk,Reading/Video,"fun, music",2023-01-02T03:04:05.000Z,,,true\n' +
+    '2,Post,,,https://www.instagram.com/p/XYZ_9/,Unsorted,,2022-01-02T03:04:05.000Z,,,false\n';
+
+  test('should read folders as nested tags, notes and favorites', () => {
+    const { retweets } = parseRaindropExport(raindropCsv);
+    expect(retweets.length).toBe(2);
+    expect(retweets[0].tags.join()).toBe('Reading/Video,fun,music');
+    expect(retweets[0].note).toBe('my note');
+    expect(retweets[0].favorited_at).toBe('2023-01-02T03:04:05.000Z');
+    expect(retweets[0].source).toBe('raindrop');
+  });
+
+  test('should leave unsorted links untagged', () => {
+    const { retweets } = parseRaindropExport(raindropCsv);
+    expect(retweets[1].tags.length).toBe(0);
+    expect(retweets[1].favorited_at).toBe(undefined);
+    expect(retweets[1].post_type).toBe('post');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
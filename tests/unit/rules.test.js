@@ -0,0 +1,174 @@
+/**
+ * Unit tests for auto-tag rules module
+ */
+
+import { getRuleFieldValues, evaluateRule, applyTagRules, validateRule } from '../../extension/src/lib/rules.js';
+
+const tweet = {
+  id: '1',
+  user_handle: 'karpathy',
+  text: 'New paper on tokenizers #NLP',
+  urls: [{ url: 'https://t.co/abc', expanded_url: 'https://www.arxiv.org/abs/2401.00001' }],
+  hashtags: [],
+  media: [],
+  like_count: 1500,
+  platform: 'twitter'
+};
+
+const video = {
+  id: '2',
+  user_handle: 'lexfridman',
+  text: 'Podcast episode',
+  media: [{ type: 'video', duration: 9000 }],
+  card: null,
+  platform: 'youtube'
+};
+
+describe('getRuleFieldValues', () => {
+  test('should derive link domains without www', () => {
+    expect(getRuleFieldValues(tweet, 'domain')).toContain('arxiv.org');
+  });
+
+  test('should include hashtags found in text', () => {
+    expect(getRuleFieldValues(tweet, 'hashtag')).toContain('NLP');
+  });
+
+  test('should report video duration in minutes', () => {
+    expect(getRuleFieldValues(video, 'duration')[0]).toBe(150);
+  });
+
+  test('should read arbitrary dotted fields', () => {
+    expect(getRuleFieldValues(video, 'media.type')[0]).toBe('video');
+  });
+});
+
+describe('evaluateRule', () => {
+  test('should match author ignoring @ and case', () => {
+    const rule = { match: 'all', conditions: [{ field: 'author', operator: 'equals', value: '@Karpathy' }], tags: ['AI'] };
+    expect(evaluateRule(rule, tweet)).toBe(true);
+  });
+
+  test('should match subdomains for domain equals', () => {
+    const rule = { match: 'all', conditions: [{ field: 'domain', operator: 'equals', value: 'arxiv.org' }], tags: ['Papers'] };
+    expect(evaluateRule(rule, tweet)).toBe(true);
+  });
+
+  test('should require all conditions with match all', () => {
+    const rule = {
+      match: 'all',
+      conditions: [
+        { field: 'platform', operator: 'equals', value: 'youtube' },
+        { field: 'duration', operator: 'gt', value: '20' }
+      ],
+      tags: ['Watch Later']
+    };
+    expect(evaluateRule(rule, video)).toBe(true);
+    expect(evaluateRule(rule, tweet)).toBe(false);
+  });
+
+  test('should accept any condition with match any', () => {
+    const rule = {
+      match: 'any',
+      conditions: [
+        { field: 'has', operator: 'equals', value: 'media' },
+        { field: 'likes', operator: 'gte', value: '1000' }
+      ],
+      tags: ['Popular']
+    };
+    expect(evaluateRule(rule, tweet)).toBe(true);
+  });
+
+  test('should support nested groups and negation', () => {
+    const rule = {
+      match: 'all',
+      conditions: [
+        { field: 'has', operator: 'not_equals', value: 'media' },
+        { match: 'any', conditions: [
+          { field: 'text', operator: 'contains', value: 'paper' },
+          { field: 'text', operator: 'contains', value: 'preprint' }
+        ] }
+      ],
+      tags: ['Reading']
+    };
+    expect(evaluateRule(rule, tweet)).toBe(true);
+    expect(evaluateRule(rule, video)).toBe(false);
+  });
+
+  test('should skip disabled rules', () => {
+    const rule = { enabled: false, match: 'all', conditions: [{ field: 'author', operator: 'exists' }], tags: ['X'] };
+    expect(evaluateRule(rule, tweet)).toBe(false);
+  });
+});
+
+describe('applyTagRules', () => {
+  test('should collect unique tags from matching rules', () => {
+    const rules = [
+      { match: 'all', conditions: [{ field: 'author', operator: 'equals', value: 'karpathy' }], tags: ['AI'] },
+      { match: 'all', conditions: [{ field: 'domain', operator: 'equals', value: 'arxiv.org' }], tags: ['Papers', 'AI'] },
+      { match: 'all', conditions: [{ field: 'platform', operator: 'equals', value: 'tiktok' }], tags: ['Short'] }
+    ];
+    const tags = applyTagRules(tweet, rules);
+    expect(tags.length).toBe(2);
+    expect(tags).toContain('Papers');
+  });
+});
+
+describe('validateRule', () => {
+  test('should accept a complete rule', () => {
+    const result = validateRule({ name: 'Papers', conditions: [{ field: 'domain', operator: 'equals', value: 'arxiv.org' }], tags: ['Papers'] });
+    expect(result.valid).toBe(true);
+  });
+
+  test('should reject missing tags, bad numbers and bad regexes', () => {
+    const result = validateRule({
+      name: 'Broken',
+      conditions: [
+        { field: 'likes', operator: 'gt', value: 'lots' },
+        { field: 'text', operator: 'matches', value: '(' }
+      ],
+      tags: []
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors.length).toBe(3);
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}
@@ -2,7 +2,7 @@
  * Unit tests for search module
  */
 
-import { searchRetweets, highlightMatches, getSearchSuggestions } from '../../extension/src/lib/search.js';
+import { searchRetweets, parseQuery, highlightMatches, getSearchSuggestions, tokenize, tokenizeRetweet, termIndexKeys, wordIndexKeys, findSimilarRetweets, matchesSavedSearch } from '../../extension/src/lib/search.js';
 
 // Mock data
 const mockRetweets = [
@@ -102,6 +102,205 @@ describe('searchRetweets', () => {
     const results = searchRetweets(mockRetweets, 'GPT', { tags: ['AI'] });
     expect(results.length).toBe(2);
   });
+
+  test('should find a term inside a word', () => {
+    const results = searchRetweets(mockRetweets, 'pilot');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('3');
+  });
+
+  test('should find words with typos', () => {
+    const results = searchRetweets(mockRetweets, 'opnai');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('1');
+  });
+
+  test('should only match short words at the start of a word', () => {
+    const chains = [{ ...mockRetweets[1], text: 'Design chains' }];
+    expect(searchRetweets(chains, 'ai').length).toBe(0);
+    expect(searchRetweets(chains, 'ains').length).toBe(1);
+    expect(searchRetweets(chains, 'ch').length).toBe(1);
+  });
+
+  test('should ignore terms too short to index', () => {
+    const results = searchRetweets(mockRetweets, 'figma a');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('2');
+  });
+});
+
+describe('parseQuery', () => {
+  test('should parse operators into filters', () => {
+    const parsed = parseQuery('from:@openai tag:AI platform:x has:media');
+    expect(parsed.filters.author).toBe('openai');
+    expect(parsed.filters.tags).toContain('AI');
+    expect(parsed.filters.platform).toBe('twitter');
+    expect(parsed.filters.hasMedia).toBe(true);
+    expect(parsed.groups.length).toBe(0);
+  });
+
+  test('should parse date operators', () => {
+    const parsed = parseQuery('after:2024-01-01 before:2024-02-01');
+    expect(parsed.filters.startDate).toBe('2024-01-01');
+    expect(parsed.filters.endDate).toBe('2024-02-01');
+  });
+
+  test('should parse phrases, exclusions and OR', () => {
+    const parsed = parseQuery('"design systems" gpt OR claude -crypto');
+    expect(parsed.groups.length).toBe(2);
+    expect(parsed.groups[0][0].phrase).toBe(true);
+    expect(parsed.groups[1].length).toBe(2);
+    expect(parsed.exclude[0].value).toBe('crypto');
+  });
+
+  test('should parse reading status operators', () => {
+    const parsed = parseQuery('is:archived -is:fav is:later');
+    expect(parsed.filters.status).toBe('archived');
+    expect(parsed.filters.favorite).toBe(false);
+    expect(parsed.groups[0][0].value).toBe('is:later');
+  });
+
+  test('should keep unknown operators as text', () => {
+    const parsed = parseQuery('https://x.com/openai');
+    expect(parsed.groups[0][0].value).toBe('https://x.com/openai');
+  });
+
+  test('should parse negated from: and tag: as exclusions', () => {
+    const parsed = parseQuery('-from:@openai -tag:AI -tag:Design gpt');
+    expect(parsed.filters.excludeAuthors.join(',')).toBe('openai');
+    expect(parsed.filters.excludeTags.join(',')).toBe('AI,Design');
+    expect(parsed.filters.author).toBe(undefined);
+    expect(parsed.exclude.length).toBe(0);
+    expect(parsed.groups.length).toBe(1);
+  });
+});
+
+describe('searchRetweets query syntax', () => {
+  test('should filter by from: operator', () => {
+    const results = searchRetweets(mockRetweets, 'from:figma');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('2');
+  });
+
+  test('should exclude authors and tags with -from: and -tag:', () => {
+    expect(searchRetweets(mockRetweets, 'gpt -from:openai').map(r => r.item.id).join(',')).toBe('3');
+    expect(searchRetweets(mockRetweets, '-tag:ai').map(r => r.item.id).join(',')).toBe('2');
+    expect(searchRetweets(mockRetweets, '-tag:Design', { excludeTags: ['Programming'] }).map(r => r.item.id).join(',')).toBe('1');
+  });
+
+  test('should require all terms to match', () => {
+    const results = searchRetweets(mockRetweets, 'GPT code');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('3');
+  });
+
+  test('should match any alternative joined by OR', () => {
+    const results = searchRetweets(mockRetweets, 'figma OR copilot');
+    expect(results.length).toBe(2);
+  });
+
+  test('should exclude terms prefixed with -', () => {
+    const results = searchRetweets(mockRetweets, 'GPT -copilot');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('1');
+  });
+
+  test('should match quoted phrases exactly', () => {
+    const results = searchRetweets(mockRetweets, '"systems at scale"');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('2');
+  });
+
+  test('should filter by reading status and favorites', () => {
+    // The third record predates the reading queue and counts as unread
+    const queued = mockRetweets.map((r, i) => ({
+      ...r,
+      status: ['read', 'archived'][i],
+      favorited_at: i === 0 ? '2024-01-16T10:00:00Z' : null
+    }));
+    expect(searchRetweets(queued, 'is:unread')[0].item.id).toBe('3');
+    expect(searchRetweets(queued, 'is:read').length).toBe(1);
+    expect(searchRetweets(queued, 'is:favorite')[0].item.id).toBe('1');
+    expect(searchRetweets(queued, '-is:favorite').length).toBe(2);
+  });
+
+  test('should combine operators with UI filters', () => {
+    const results = searchRetweets(mockRetweets, 'has:media', { source: 'archive' });
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('3');
+  });
+});
+
+describe('searchRetweets ranking', () => {
+  const rankingRetweets = [
+    {
+      id: 'thread',
+      text: 'A long thread about product launches, pricing, onboarding, growth loops, retention and how the team at openai approached each of them over the years',
+      user_handle: 'growthwriter',
+      user_name: 'Growth Writer',
+      captured_at: '2024-01-20T10:00:00Z'
+    },
+    {
+      id: 'handle',
+      text: 'Shipping today',
+      user_handle: 'openai',
+      user_name: 'OpenAI',
+      captured_at: '2024-01-10T10:00:00Z'
+    },
+    {
+      id: 'card',
+      text: 'Worth a read',
+      user_handle: 'reader',
+      user_name: 'Reader',
+      card: { title: 'Interview with the openai research team' },
+      captured_at: '2024-01-25T10:00:00Z'
+    },
+    {
+      id: 'noted',
+      text: 'Quarterly numbers are out',
+      user_handle: 'analyst',
+      user_name: 'Analyst',
+      note: 'Cited in the **benchmark** literature review',
+      highlights: [{ start: 0, end: 9, text: 'Quarterly' }],
+      captured_at: '2024-01-05T10:00:00Z'
+    }
+  ];
+
+  test('should rank a handle match above a passing mention in text', () => {
+    const results = searchRetweets(rankingRetweets, 'openai');
+    expect(results[0].item.id).toBe('handle');
+  });
+
+  test('should search link card titles', () => {
+    const results = searchRetweets(rankingRetweets, 'interview');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('card');
+    expect(results[0].matches[0].key).toBe('card.title');
+  });
+
+  test('should search personal notes', () => {
+    const results = searchRetweets(rankingRetweets, 'benchmark');
+    expect(results.length).toBe(1);
+    expect(results[0].item.id).toBe('noted');
+    expect(results[0].matches[0].key).toBe('note');
+  });
+
+  test('should filter by has:note and has:highlight', () => {
+    expect(searchRetweets(rankingRetweets, 'has:note').length).toBe(1);
+    expect(searchRetweets(rankingRetweets, 'has:highlight')[0].item.id).toBe('noted');
+    expect(searchRetweets(rankingRetweets, '-has:note').length).toBe(3);
+  });
+
+  test('should return higher scores first', () => {
+    const results = searchRetweets(mockRetweets, 'GPT');
+    expect(results[0].score).toBeGreaterThan(0);
+    expect(results[0].score >= results[1].score).toBe(true);
+  });
+
+  test('should weight rare terms above common ones', () => {
+    const results = searchRetweets(mockRetweets, 'GPT OR figma');
+    expect(results[0].item.id).toBe('2');
+  });
 });
 
 describe('highlightMatches', () => {
@@ -142,6 +341,127 @@ describe('getSearchSuggestions', () => {
   });
 });
 
+describe('tokenize', () => {
+  test('should lowercase and split on punctuation', () => {
+    const tokens = tokenize('GPT-4 is here!');
+    expect(tokens).toContain('gpt');
+    expect(tokens).toContain('is');
+    expect(tokens).toContain('here');
+  });
+
+  test('should drop single-character tokens', () => {
+    const tokens = tokenize('a b cd');
+    expect(tokens.length).toBe(1);
+  });
+});
+
+describe('tokenizeRetweet', () => {
+  test('should index searchable fields and tags', () => {
+    const tokens = tokenizeRetweet(mockRetweets[2]);
+    expect(tokens).toContain('copilot');
+    expect(tokens).toContain('powered');
+    expect(tokens).toContain('github');
+    expect(tokens).toContain('#programming');
+  });
+
+  test('should not duplicate tokens', () => {
+    const tokens = tokenizeRetweet({ text: 'gpt gpt GPT', tags: [], auto_tags: [] });
+    expect(tokens.length).toBe(new Set(tokens).size);
+    expect(tokens.filter(token => token === 'gpt').length).toBe(1);
+  });
+
+  test('should index whole words only', () => {
+    const tokens = tokenizeRetweet({ text: 'ChatGPT', tags: [], auto_tags: [] });
+    expect(tokens.join(',')).toBe('chatgpt');
+  });
+});
+
+describe('termIndexKeys', () => {
+  test('should look up each word by prefix and longer words by their first part', () => {
+    const keys = termIndexKeys({ value: 'chat-gpt', phrase: false });
+    expect(keys.words.join(',')).toBe('chat,gpt');
+    expect(keys.parts.join(',')).toBe('cha,gpt');
+    expect(keys.typoKey).toBe(null);
+  });
+
+  test('should look up typos by the first letters of single words', () => {
+    expect(termIndexKeys({ value: 'opnai', phrase: false }).typoKey).toBe('^op');
+    expect(termIndexKeys({ value: 'open ai', phrase: true }).typoKey).toBe(null);
+    expect(termIndexKeys({ value: 'ai', phrase: false }).typoKey).toBe(null);
+    expect(termIndexKeys({ value: 'ai', phrase: false }).parts[0]).toBe(null);
+  });
+});
+
+describe('wordIndexKeys', () => {
+  test('should key a word by its first letters and every three-letter part', () => {
+    expect(wordIndexKeys('chatgpt').join(',')).toBe('^ch,cha,hat,atg,tgp,gpt');
+    expect(wordIndexKeys('ai').join(',')).toBe('^ai');
+  });
+});
+
+describe('matchesSavedSearch', () => {
+  test('should match a capture against query and filters', () => {
+    const search = { query: 'GPT', filters: { tags: ['AI'] } };
+    expect(matchesSavedSearch(mockRetweets[0], search)).toBe(true);
+    expect(matchesSavedSearch(mockRetweets[1], search)).toBe(false);
+  });
+
+  test('should honour query operators', () => {
+    expect(matchesSavedSearch(mockRetweets[2], { query: 'has:media' })).toBe(true);
+    expect(matchesSavedSearch(mockRetweets[0], { query: 'has:media' })).toBe(false);
+  });
+
+  test('should include child categories when filtering on a parent', () => {
+    const categories = { 'Creative': { keywords: [] }, 'Design': { parent: 'Creative', keywords: [] } };
+    expect(matchesSavedSearch(mockRetweets[1], { query: '', filters: { tags: ['Creative'] } }, categories)).toBe(true);
+    expect(matchesSavedSearch(mockRetweets[1], { query: 'tag:creative' }, categories)).toBe(true);
+    expect(matchesSavedSearch(mockRetweets[0], { query: 'tag:creative' }, categories)).toBe(false);
+  });
+});
+
+describe('findSimilarRetweets', () => {
+  const corpus = [
+    ...mockRetweets,
+    {
+      id: '4',
+      user_handle: 'anthropic',
+      user_name: 'Anthropic',
+      text: 'Our new model beats GPT-4 on code completion benchmarks',
+      tags: [],
+      auto_tags: ['AI', 'Programming'],
+      platform: 'youtube',
+      captured_at: '2023-06-01T10:00:00Z'
+    }
+  ];
+
+  test('should rank posts sharing rare terms first', () => {
+    const results = findSimilarRetweets('3', corpus);
+    expect(results[0].item.id).toBe('4');
+    expect(results[0].terms).toContain('completion');
+  });
+
+  test('should work across platforms', () => {
+    const results = findSimilarRetweets('4', corpus);
+    expect(results.map(r => r.item.id)).toContain('3');
+  });
+
+  test('should not return the post itself or unrelated posts', () => {
+    const results = findSimilarRetweets('3', corpus);
+    expect(results.map(r => r.item.id)).not.toContain('3');
+    expect(results.map(r => r.item.id)).not.toContain('2');
+  });
+
+  test('should return nothing for an unknown id', () => {
+    expect(findSimilarRetweets('missing', corpus).length).toBe(0);
+  });
+
+  test('should weigh terms by the given corpus statistics', () => {
+    const results = findSimilarRetweets('3', corpus, 5, { totalDocs: 1000, docFreq: { completion: 1000 } });
+    expect(results[0].item.id).toBe('4');
+    expect(results[0].terms).not.toContain('completion');
+  });
+});
+
 // Simple test runner for browser environment
 if (typeof window !== 'undefined') {
   const tests = [];
@@ -163,6 +483,9 @@ if (typeof window !== 'undefined') {
     toContain: (expected) => {
       if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
     },
+    toBeGreaterThan: (expected) => {
+      if (actual <= expected) throw new Error(`Expected ${actual} > ${expected}`);
+    },
     not: {
       toContain: (expected) => {
         if (actual.includes(expected)) throw new Error(`Expected not to contain ${expected}`);
@@ -2,7 +2,20 @@
  * Unit tests for tagger module
  */
 
-import { suggestTags, getMatchingKeywords, analyzeContent, validateKeywords } from '../../extension/src/lib/tagger.js';
+import {
+  suggestTags,
+  getMatchingKeywords,
+  analyzeContent,
+  validateKeywords,
+  normalizeCategory,
+  getTagParent,
+  getTagAncestors,
+  expandTagFilter,
+  tagMatchesFilter,
+  replaceTagPath,
+  replaceTags,
+  applyTagChange
+} from '../../extension/src/lib/tagger.js';
 
 const testCategories = {
   'AI': ['artificial intelligence', 'machine learning', 'GPT', 'neural network'],
@@ -49,6 +62,44 @@ describe('suggestTags', () => {
   });
 });
 
+describe('weighted categories', () => {
+  const weightedCategories = {
+    'AI': {
+      keywords: ['model', 'GPT', 'training'],
+      exclude: ['fashion', 'runway'],
+      weights: { model: 0.5, GPT: 2 },
+      threshold: 0.6
+    },
+    'Sports': {
+      keywords: ['trade', 'playoffs'],
+      exclude: ['tariff'],
+      weights: {},
+      threshold: 0
+    }
+  };
+
+  test('should skip categories with a matching exclusion keyword', () => {
+    expect(suggestTags('The model walked the runway at fashion week', weightedCategories).length).toBe(0);
+    expect(suggestTags('New tariff talks stall the trade deal', weightedCategories).length).toBe(0);
+  });
+
+  test('should require the threshold to be reached', () => {
+    expect(suggestTags('A new model appears', weightedCategories).length).toBe(0);
+    expect(suggestTags('Training a new model', weightedCategories)).toContain('AI');
+  });
+
+  test('should apply keyword weights to the score', () => {
+    const [result] = analyzeContent('GPT is here', weightedCategories);
+    expect(result.score).toBe(1);
+    expect(result.threshold).toBe(0.6);
+  });
+
+  test('should still accept plain keyword arrays', () => {
+    expect(normalizeCategory(['a', 'b']).threshold).toBe(0);
+    expect(suggestTags('Big trade before the playoffs', { Sports: ['trade'] })).toContain('Sports');
+  });
+});
+
 describe('getMatchingKeywords', () => {
   test('should return matching keywords', () => {
     const keywords = getMatchingKeywords('Using GPT and neural networks', 'AI', testCategories);
@@ -102,6 +153,100 @@ describe('validateKeywords', () => {
   });
 });
 
+const nestedCategories = {
+  'Technology': { keywords: [] },
+  'AI': { parent: 'Technology', keywords: ['GPT'] },
+  'Language Models': { parent: 'AI', keywords: ['LLM'] },
+  'Design': { parent: 'Technology', keywords: ['figma'] },
+  'Cooking': ['recipe']
+};
+
+describe('tag hierarchy', () => {
+  test('should find parents from categories and tag paths', () => {
+    expect(getTagParent('language models', nestedCategories)).toBe('AI');
+    expect(getTagParent('Cooking', nestedCategories)).toBe(null);
+    expect(getTagParent('Reading/Papers/ML', nestedCategories)).toBe('Reading/Papers');
+  });
+
+  test('should list ancestors nearest first', () => {
+    expect(getTagAncestors('Language Models', nestedCategories).join(' > ')).toBe('AI > Technology');
+    expect(getTagAncestors('Reading/Papers/ML', nestedCategories).join(' > ')).toBe('Reading/Papers > Reading');
+  });
+
+  test('should stop at parent cycles', () => {
+    const cyclic = { 'A': { parent: 'B', keywords: [] }, 'B': { parent: 'A', keywords: [] } };
+    expect(getTagAncestors('A', cyclic).join(',')).toBe('B');
+  });
+
+  test('should expand a parent filter to all descendant categories', () => {
+    const expanded = expandTagFilter(['Technology'], nestedCategories);
+    expect(expanded.length).toBe(4);
+    expect(expanded).toContain('Language Models');
+    expect(expandTagFilter(['Cooking'], nestedCategories).length).toBe(1);
+  });
+
+  test('should match nested tag paths under a filter', () => {
+    expect(tagMatchesFilter('Reading/Papers', 'reading')).toBe(true);
+    expect(tagMatchesFilter('Reading', 'Reading/Papers')).toBe(false);
+    expect(tagMatchesFilter('Readings', 'Reading')).toBe(false);
+  });
+});
+
+describe('replaceTags', () => {
+  test('should rename in place and drop duplicates', () => {
+    expect(replaceTags(['ai', 'News', 'AI'], ['ai'], 'AI').join(',')).toBe('AI,News');
+  });
+
+  test('should delete when there is no replacement', () => {
+    expect(replaceTags(['ML', 'News'], ['ML'], null).join(',')).toBe('News');
+  });
+
+  test('should move nested tags with their parent', () => {
+    expect(replaceTags(['Reading/Papers', 'Reading', 'Readings'], ['Reading'], 'Library').join(','))
+      .toBe('Library/Papers,Library,Readings');
+    expect(replaceTags(['Reading/Papers/2024', 'News'], ['Reading'], null).join(',')).toBe('News');
+  });
+});
+
+describe('replaceTagPath', () => {
+  test('should prefer an exact match over a parent', () => {
+    expect(replaceTagPath('AI/Agents', ['AI', 'AI/Agents'], 'ML')).toBe('ML');
+    expect(replaceTagPath('AI/Agents', ['AI'], 'ML')).toBe('ML/Agents');
+    expect(replaceTagPath('AIR', ['AI'], 'ML')).toBe('AIR');
+  });
+});
+
+describe('applyTagChange', () => {
+  test('should merge across manual, auto and learned tags', () => {
+    const retweet = {
+      tags: ['ML'],
+      auto_tags: ['Machine Learning', 'AI'],
+      learned_tags: [{ tag: 'ML', confidence: 0.9 }, { tag: 'Machine Learning', confidence: 0.85 }]
+    };
+    const change = applyTagChange(retweet, ['ML'], 'Machine Learning');
+    expect(change.tags.join(',')).toBe('Machine Learning');
+    expect(change.auto_tags.join(',')).toBe('Machine Learning,AI');
+    expect(change.learned_tags.length).toBe(1);
+    expect(change.learned_tags[0].confidence).toBe(0.9);
+  });
+
+  test('should rewrite tags nested under the changed tag', () => {
+    const retweet = {
+      tags: ['Reading/Papers'],
+      auto_tags: [],
+      learned_tags: [{ tag: 'Reading/Papers', confidence: 0.8 }]
+    };
+    const change = applyTagChange(retweet, ['Reading'], 'Library');
+    expect(change.tags.join(',')).toBe('Library/Papers');
+    expect(change.learned_tags[0].tag).toBe('Library/Papers');
+    expect(applyTagChange(retweet, ['Reading'], null).tags.length).toBe(0);
+  });
+
+  test('should leave unrelated records alone', () => {
+    expect(applyTagChange({ tags: ['News'], auto_tags: [] }, ['ML'], 'AI')).toBe(null);
+  });
+});
+
 // Simple test runner
 if (typeof window !== 'undefined') {
   const tests = [];
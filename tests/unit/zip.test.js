@@ -0,0 +1,181 @@
+/**
+ * Unit tests for zip reading module
+ */
+
+import { readZipEntries } from '../../extension/src/lib/zip.js';
+
+const encoder = new TextEncoder();
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Build a zip from { name, text, deflate } entries. With zip64 the sizes,
+// offsets and counts are written to the Zip64 fields instead.
+async function buildZip(files, { zip64 = false, comment = '' } = {}) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const raw = encoder.encode(file.text);
+    const data = file.deflate ? await deflate(raw) : raw;
+    const method = file.deflate ? 8 : 0;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const extraLength = zip64 ? 28 : 0;
+    const entry = new DataView(new ArrayBuffer(46 + name.length + extraLength));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(10, method, true);
+    entry.setUint32(20, zip64 ? 0xffffffff : data.length, true);
+    entry.setUint32(24, zip64 ? 0xffffffff : raw.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint16(30, extraLength, true);
+    entry.setUint32(42, zip64 ? 0xffffffff : offset, true);
+    new Uint8Array(entry.buffer).set(name, 46);
+    if (zip64) {
+      const extra = 46 + name.length;
+      entry.setUint16(extra, 0x0001, true);
+      entry.setUint16(extra + 2, 24, true);
+      entry.setBigUint64(extra + 4, BigInt(raw.length), true);
+      entry.setBigUint64(extra + 12, BigInt(data.length), true);
+      entry.setBigUint64(extra + 20, BigInt(offset), true);
+    }
+    central.push(new Uint8Array(entry.buffer));
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = central.reduce((total, entry) => total + entry.length, 0);
+  const end = [];
+  if (zip64) {
+    const record = new DataView(new ArrayBuffer(56));
+    record.setUint32(0, 0x06064b50, true);
+    record.setBigUint64(4, 44n, true);
+    record.setBigUint64(24, BigInt(files.length), true);
+    record.setBigUint64(32, BigInt(files.length), true);
+    record.setBigUint64(40, BigInt(directorySize), true);
+    record.setBigUint64(48, BigInt(offset), true);
+
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    locator.setBigUint64(8, BigInt(offset + directorySize), true);
+    locator.setUint32(16, 1, true);
+    end.push(new Uint8Array(record.buffer), new Uint8Array(locator.buffer));
+  }
+
+  const commentBytes = encoder.encode(comment);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, zip64 ? 0xffff : files.length, true);
+  eocd.setUint16(10, zip64 ? 0xffff : files.length, true);
+  eocd.setUint32(12, zip64 ? 0xffffffff : directorySize, true);
+  eocd.setUint32(16, zip64 ? 0xffffffff : offset, true);
+  eocd.setUint16(20, commentBytes.length, true);
+
+  return new File([...parts, ...central, ...end, new Uint8Array(eocd.buffer), commentBytes], 'export.zip');
+}
+
+const files = [
+  { name: 'data/like.js', text: 'window.YTD.like.part0 = []' },
+  { name: 'data/tweets_media/photo.jpg', text: 'not text' },
+  { name: 'data/bookmarks.js', text: 'window.YTD.bookmark.part0 = ["café"]' }
+];
+const isData = name => name.endsWith('.js');
+
+describe('readZipEntries', () => {
+  test('should read stored entries that pass the filter', async () => {
+    const entries = await readZipEntries(await buildZip(files), isData);
+    expect(entries.map(entry => entry.name).join(',')).toBe('data/like.js,data/bookmarks.js');
+    expect(entries[1].text).toBe('window.YTD.bookmark.part0 = ["café"]');
+  });
+
+  test('should inflate deflated entries', async () => {
+    const text = 'window.YTD.like.part0 = '.repeat(200);
+    const entries = await readZipEntries(await buildZip([{ name: 'like.js', text, deflate: true }]), isData);
+    expect(entries.length).toBe(1);
+    expect(entries[0].text).toBe(text);
+  });
+
+  test('should read Zip64 sizes, offsets and counts', async () => {
+    const zip = await buildZip(files.map(file => ({ ...file, deflate: true })), { zip64: true });
+    const entries = await readZipEntries(zip, isData);
+    expect(entries.map(entry => entry.text).join('|')).toBe(`${files[0].text}|${files[2].text}`);
+  });
+
+  test('should find the directory behind an archive comment', async () => {
+    const entries = await readZipEntries(await buildZip(files, { comment: 'Exported by X' }), isData);
+    expect(entries.length).toBe(2);
+  });
+
+  test('should reject files that are not zips', async () => {
+    let message = '';
+    try {
+      await readZipEntries(new File(['{"retweets": []}'], 'backup.json'), isData);
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message).toBe('backup.json is not a zip file');
+  });
+});
+
+// Simple test runner
+if (typeof window !== 'undefined') {
+  const tests = [];
+  let currentSuite = '';
+
+  globalThis.describe = (name, fn) => {
+    currentSuite = name;
+    fn();
+  };
+
+  globalThis.test = (name, fn) => {
+    tests.push({ suite: currentSuite, name, fn });
+  };
+
+  globalThis.expect = (actual) => ({
+    toBe: (expected) => {
+      if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+    },
+    toContain: (expected) => {
+      if (!actual.includes(expected)) throw new Error(`Expected to contain ${expected}`);
+    },
+    toBeGreaterThan: (expected) => {
+      if (!(actual > expected)) throw new Error(`Expected ${actual} to be greater than ${expected}`);
+    },
+    toThrow: (expected) => {
+      try {
+        actual();
+      } catch (error) {
+        if (expected && !error.message.includes(expected)) throw new Error(`Expected error "${expected}", got "${error.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✓ ${test.suite} > ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.suite} > ${test.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+}